@@ -0,0 +1,108 @@
+// backend/adherence.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(dateString) {
+  return new Date(`${dateString}T00:00:00Z`);
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Monday of the week containing the given date
+function weekStart(date) {
+  const day = (date.getUTCDay() + 6) % 7; // Monday = 0
+  return new Date(date.getTime() - day * DAY_MS);
+}
+
+// Sessions prescribed per week for one program entry.
+// frequency_per_day × frequency_per_week; a missing value means once a day / every day
+// (an explicit 0 stays 0).
+function prescribedPerWeek(entry) {
+  return (entry.frequency_per_day ?? 1) * (entry.frequency_per_week ?? 7);
+}
+
+// Days from first to last (inclusive) on which the exercise was in the program.
+// periods are its PrescriptionPeriods (ended_on is the day it was removed); without
+// them every day counts.
+function prescribedDays(first, last, periods) {
+  const days = Math.round((last - first) / DAY_MS) + 1;
+  if (!periods) {
+    return days;
+  }
+
+  let count = 0;
+  for (let day = first; day <= last; day = new Date(day.getTime() + DAY_MS)) {
+    const date = toDateString(day);
+    if (periods.some(period => period.started_on <= date && (!period.ended_on || date < period.ended_on))) {
+      count++;
+    }
+  }
+  return count;
+}
+
+function ratio(completed, prescribed) {
+  return prescribed > 0 ? Math.round((completed / prescribed) * 100) / 100 : null;
+}
+
+// Summarize completed vs. prescribed sessions per Monday-based week between from and to (inclusive).
+// Partial weeks at either end get a prorated prescription, and extra logs for an
+// exercise beyond what was prescribed that week do not raise adherence. With periods
+// (the program's PrescriptionPeriods), an exercise is only prescribed from the day it
+// was added.
+function summarizeAdherence(entries, logs, { from, to }, periods = null) {
+  const rangeStart = toDate(from);
+  const rangeEnd = toDate(to);
+  const weeks = [];
+
+  for (let start = weekStart(rangeStart); start <= rangeEnd; start = new Date(start.getTime() + 7 * DAY_MS)) {
+    const end = new Date(start.getTime() + 6 * DAY_MS);
+    const first = start < rangeStart ? rangeStart : start;
+    const last = end > rangeEnd ? rangeEnd : end;
+
+    const exercises = entries.map(entry => {
+      const entryPeriods = periods && periods.filter(period => period.exercise_id === entry.exercise_id);
+      const days = prescribedDays(first, last, entryPeriods);
+      const prescribed = Math.ceil(prescribedPerWeek(entry) * days / 7);
+      const logged = logs.filter(log =>
+        log.exercise_id === entry.exercise_id &&
+        log.session_date >= toDateString(first) &&
+        log.session_date <= toDateString(last)
+      ).length;
+
+      return {
+        exercise_id: entry.exercise_id,
+        name: entry.exercise_name,
+        prescribed,
+        completed: Math.min(logged, prescribed)
+      };
+    });
+
+    const prescribed = exercises.reduce((sum, ex) => sum + ex.prescribed, 0);
+    const completed = exercises.reduce((sum, ex) => sum + ex.completed, 0);
+
+    weeks.push({
+      week_start: toDateString(start),
+      week_end: toDateString(end),
+      prescribed,
+      completed,
+      adherence: ratio(completed, prescribed),
+      exercises
+    });
+  }
+
+  const prescribed = weeks.reduce((sum, week) => sum + week.prescribed, 0);
+  const completed = weeks.reduce((sum, week) => sum + week.completed, 0);
+
+  return {
+    from,
+    to,
+    prescribed,
+    completed,
+    adherence: ratio(completed, prescribed),
+    weeks
+  };
+}
+
+module.exports = { summarizeAdherence, prescribedPerWeek };
@@ -0,0 +1,34 @@
+// backend/api/caching.js
+// Conditional GETs: a route sets the ETag and Last-Modified of what it is about to send,
+// and a client holding that version (If-None-Match, or If-Modified-Since) gets 304 Not
+// Modified without the body. Responses depend on who asks (favorites), so they are
+// private and revalidated on every use.
+
+// SQLite CURRENT_TIMESTAMP text ('YYYY-MM-DD HH:MM:SS', UTC) as a Date; null for none
+function parseTimestamp(text) {
+  return text ? new Date(`${String(text).replace(' ', 'T')}Z`) : null;
+}
+
+// The latest of some SQLite timestamps (missing ones ignored), as a Date
+function latestTimestamp(...texts) {
+  const times = texts.map(parseTimestamp).filter(Boolean).map(date => date.getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// Set the validators; when the request's copy is current, answer 304 and return true
+function notModified(req, res, { etag, lastModified }) {
+  res.set('Cache-Control', 'private, no-cache');
+  res.set('Vary', 'Authorization');
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+
+module.exports = { parseTimestamp, latestTimestamp, notModified };
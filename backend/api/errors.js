@@ -0,0 +1,70 @@
+// backend/api/errors.js
+// The one shape every API error is sent in:
+//   { error: 'Exercise not found', code: 'not_found' }
+//   { error: 'page_size must be <= 100', code: 'validation_failed', details: [...] }
+// error is a sentence to show the user; code is stable for clients to branch on (by
+// default the one for the status, see ERROR_CODES); details, when present, lists the
+// individual problems as { in, field, message }.
+
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  422: 'unprocessable',
+  500: 'internal_error',
+  502: 'upstream_error',
+  503: 'service_unavailable'
+};
+
+// Answer with an error; returns res, so routes can `return sendError(...)`
+function sendError(res, status, message, { code = ERROR_CODES[status] || ERROR_CODES[500], details } = {}) {
+  return res.status(status).json(details ? { error: message, code, details } : { error: message, code });
+}
+
+// 400 for a body missing required fields, one detail per field
+function sendMissingFields(res, fields) {
+  return sendError(res, 400, 'Missing required fields', {
+    details: fields.map(field => ({ in: 'body', field, message: 'is required' }))
+  });
+}
+
+// 400 for an update body with none of the fields that can be changed
+function sendNothingToUpdate(res, fields) {
+  return sendError(res, 400, `Nothing to update: send at least one of ${fields.join(', ')}`, { code: 'validation_failed' });
+}
+
+// 400 for body values a route checks itself, in the shape validate() sends: details
+// are { in, field, message }
+function sendInvalidFields(res, details) {
+  return sendError(res, 400, details.map(detail => `${detail.field} ${detail.message}`).join('; '), {
+    code: 'validation_failed',
+    details
+  });
+}
+
+// Middleware for /api requests no route handled
+function notFoundHandler(req, res) {
+  sendError(res, 404, `No route for ${req.method} ${req.baseUrl}${req.path}`);
+}
+
+// Express error handler: unreadable bodies from the parsers (which set status and type)
+// and anything a route lets through
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    console.error('Unhandled error:', error);
+  }
+  sendError(res, status, error.message);
+}
+
+module.exports = { ERROR_CODES, sendError, sendMissingFields, sendNothingToUpdate, sendInvalidFields, notFoundHandler, errorHandler };
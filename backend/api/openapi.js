@@ -0,0 +1,789 @@
+// backend/api/openapi.js
+// OpenAPI 3.1 description of the exercise library API: /api/exercises*, /api/db/stats
+// and /api/exercise-image. Served at /api/openapi.json (browse it at /api/docs), and the
+// source of the request schemas api/validate.js checks requests against, so keep each
+// operation in step with its route in server.js.
+const { SORT_FIELDS, RELATION_TYPES } = require('../db/database');
+const { DIFFICULTIES, MAX_NAME_LENGTH } = require('../library/import');
+const { FORMATS } = require('../library/formats');
+const { DIFFICULTY_FILTERS } = require('../library/similarity');
+const { ERROR_CODES } = require('./errors');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_SIMILAR = 50;
+
+// Codes sent besides the per-status ones of ERROR_CODES
+const EXTRA_CODES = ['validation_failed', 'invalid_json'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = schema => ({ 'application/json': { schema } });
+
+function response(description, schema) {
+  return schema ? { description, content: jsonContent(schema) } : { description };
+}
+
+const errorResponse = description => ({ description, content: jsonContent(ref('Error')) });
+
+const header = (description, schema = { type: 'string' }) => ({ description, schema });
+
+// Request headers of a conditional GET, answered with 304 while the copy held is current
+const conditionalHeaders = [
+  { name: 'If-None-Match', in: 'header', schema: { type: 'string' }, description: 'ETag of the copy held' },
+  { name: 'If-Modified-Since', in: 'header', schema: { type: 'string' }, description: 'Last-Modified of the copy held' }
+];
+
+// A list of exercises, versioned by the whole library (see libraryValidators in server.js)
+const libraryResponse = (description, schema) => ({
+  ...response(description, schema),
+  headers: {
+    ETag: header('Changes with any change to the library or to favorites'),
+    'Last-Modified': header('When the library or favorites last changed')
+  }
+});
+
+const pathId = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'integer', minimum: 1 }
+});
+
+const query = (name, schema, description) => ({ name, in: 'query', schema, description });
+
+const excludeConditionsParam = query(
+  'exclude_conditions',
+  { type: 'string' },
+  'Comma-separated condition slugs (see /api/taxonomy); exercises contraindicated for any are left out'
+);
+
+// Exercise fields a client sends; slugs must be in the taxonomy (checked by the route)
+const exerciseFields = {
+  name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+  type: { type: 'string', minLength: 1, description: 'Exercise type slug' },
+  muscle: { type: 'string', minLength: 1, description: 'Primary muscle slug' },
+  equipment: { type: 'string', minLength: 1, description: 'Main equipment slug ("none" for body weight)' },
+  difficulty: { type: 'string', enum: DIFFICULTIES },
+  instructions: { type: 'string', minLength: 1 },
+  secondary_muscles: ref('SlugList'),
+  additional_equipment: ref('SlugList'),
+  contraindications: ref('SlugList'),
+  precautions: ref('SlugList')
+};
+
+const secured = [{ bearerAuth: [] }];
+
+const spec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'PT Exercise Library API',
+    version: '1.0.0',
+    description: 'The exercise library: browsing, search, editing, history, relations, similar exercises and images. ' +
+      'Endpoints marked with a lock need a session token from POST /api/auth/login, sent as "Authorization: Bearer <token>". ' +
+      'Every error is an Error: a message to show, a code to branch on and, for invalid requests (400), ' +
+      'details listing every problem found. GET /api/exercises/{id}, the exercise list, search and ' +
+      'favorites answer conditional requests (If-None-Match, If-Modified-Since) with 304 while what they ' +
+      'would send is unchanged.'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'Exercises', description: 'Browse, search and edit the library' },
+    { name: 'Favorites', description: 'Per-user starred exercises' },
+    { name: 'Import / Export', description: 'Bulk library transfer' },
+    { name: 'History', description: 'Audit log of exercise changes' },
+    { name: 'Relations', description: 'Progressions, regressions, alternatives and variations' },
+    { name: 'Images', description: 'Locally stored exercise images' },
+    { name: 'Stats', description: 'Library statistics' }
+  ],
+  paths: {
+    '/api/exercises': {
+      get: {
+        operationId: 'listExercises',
+        tags: ['Exercises'],
+        summary: 'List exercises, filtered, sorted and paginated, with facet counts',
+        parameters: [
+          query('muscle', { type: 'string' }, 'Muscle slug; matches primary and secondary muscles'),
+          query('type', { type: 'string' }, 'Exercise type slug'),
+          query('difficulty', { type: 'string', enum: DIFFICULTIES }),
+          query('equipment', { type: 'string' }, 'Equipment slug; matches main and additional equipment'),
+          query('favorites', { type: 'boolean', default: false }, 'Only the logged-in user\'s favorites (needs a session)'),
+          excludeConditionsParam,
+          query('sort', { type: 'string', enum: Object.keys(SORT_FIELDS), default: 'name' }),
+          query('order', { type: 'string', enum: ['asc', 'desc'], default: 'asc' }),
+          query('page', { type: 'integer', minimum: 1, default: 1 }),
+          query('page_size', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 10 }),
+          ...conditionalHeaders
+        ],
+        responses: {
+          200: libraryResponse('A page of exercises', ref('ExercisePage')),
+          304: response('The copy held is current'),
+          400: errorResponse('Invalid filter, sort or pagination'),
+          401: errorResponse('favorites=true without a session')
+        }
+      },
+      post: {
+        operationId: 'createExercise',
+        tags: ['Exercises'],
+        summary: 'Add an exercise',
+        security: secured,
+        requestBody: {
+          required: true,
+          content: jsonContent({
+            type: 'object',
+            properties: exerciseFields,
+            required: ['name', 'type', 'muscle', 'equipment', 'difficulty', 'instructions'],
+            additionalProperties: false
+          })
+        },
+        responses: {
+          201: {
+            ...response('The new exercise', ref('Exercise')),
+            headers: { Location: header('URL of the new exercise') }
+          },
+          400: errorResponse('Invalid exercise, or slugs not in the taxonomy'),
+          401: errorResponse('Not logged in'),
+          403: errorResponse('Not staff'),
+          409: errorResponse('An exercise with this name already exists')
+        }
+      }
+    },
+    '/api/exercises/search': {
+      get: {
+        operationId: 'searchExercises',
+        tags: ['Exercises'],
+        summary: 'Full-text search, best match first (at most 100 results)',
+        parameters: [
+          { ...query('query', { type: 'string', minLength: 1 }, 'Words to search names, instructions, muscles and equipment for'), required: true },
+          excludeConditionsParam,
+          ...conditionalHeaders
+        ],
+        responses: {
+          200: libraryResponse('Matching exercises', { type: 'array', items: ref('SearchResult') }),
+          304: response('The copy held is current'),
+          400: errorResponse('Missing query')
+        }
+      }
+    },
+    '/api/exercises/favorites': {
+      get: {
+        operationId: 'listFavorites',
+        tags: ['Favorites'],
+        summary: 'The logged-in user\'s favorite exercises',
+        security: secured,
+        parameters: conditionalHeaders,
+        responses: {
+          200: libraryResponse('Favorite exercises', { type: 'array', items: ref('Exercise') }),
+          304: response('The copy held is current'),
+          401: errorResponse('Not logged in')
+        }
+      }
+    },
+    '/api/exercises/export': {
+      get: {
+        operationId: 'exportExercises',
+        tags: ['Import / Export'],
+        summary: 'Download the (filtered) library',
+        parameters: [
+          query('format', { type: 'string', enum: FORMATS, default: 'json' }),
+          query('muscle', { type: 'string' }),
+          query('type', { type: 'string' }),
+          query('difficulty', { type: 'string', enum: DIFFICULTIES }),
+          query('equipment', { type: 'string' })
+        ],
+        responses: {
+          200: {
+            description: 'The export file, as an attachment',
+            content: {
+              'application/json': { schema: { type: 'array', items: { type: 'object' } } },
+              'text/csv': { schema: { type: 'string' } }
+            }
+          },
+          400: errorResponse('Invalid format')
+        }
+      }
+    },
+    '/api/exercises/import': {
+      post: {
+        operationId: 'importExercises',
+        tags: ['Import / Export'],
+        summary: 'Bulk-add exercises from a JSON, CSV or free-exercise-db file',
+        description: 'Dry run by default: the per-row report says what would be added. With dry_run=false the new ' +
+          'exercises are added in one transaction, or none at all if any row is invalid (422).',
+        security: secured,
+        parameters: [
+          query('format', { type: 'string', enum: FORMATS }, 'Detected from the content when left out'),
+          query('dry_run', { type: 'boolean', default: true })
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': { schema: { type: 'string', description: 'The file as sent' } },
+            'text/csv': { schema: { type: 'string' } }
+          }
+        },
+        responses: {
+          200: response('Import report', ref('ImportReport')),
+          400: errorResponse('Invalid format, or a file that cannot be read'),
+          401: errorResponse('Not logged in'),
+          403: errorResponse('Not staff'),
+          409: errorResponse('Nothing added: another request added one of the names meanwhile'),
+          422: response('Nothing added: some rows are invalid', ref('ImportReport'))
+        }
+      }
+    },
+    '/api/exercises/{id}': {
+      parameters: [pathId('id', 'Exercise id')],
+      get: {
+        operationId: 'getExercise',
+        tags: ['Exercises'],
+        summary: 'One exercise',
+        parameters: conditionalHeaders,
+        responses: {
+          200: {
+            ...response('The exercise', ref('Exercise')),
+            headers: {
+              ETag: header('Changes with every edit of the exercise and with the user\'s favorite state'),
+              'Last-Modified': header('When the exercise (or the user\'s favorite state) last changed')
+            }
+          },
+          304: response('The copy held is current'),
+          400: errorResponse('Invalid id'),
+          404: errorResponse('No such exercise')
+        }
+      },
+      put: {
+        operationId: 'updateExercise',
+        tags: ['Exercises'],
+        summary: 'Change some of an exercise\'s fields',
+        description: 'Only the fields sent are changed; list fields replace the whole list. Unknown fields are rejected.',
+        security: secured,
+        requestBody: {
+          required: true,
+          content: jsonContent({
+            type: 'object',
+            properties: {
+              ...exerciseFields,
+              is_favorited: { type: 'boolean', deprecated: true, description: 'Ignored: use /api/exercises/{id}/favorite' }
+            },
+            minProperties: 1,
+            additionalProperties: false
+          })
+        },
+        responses: {
+          200: response('The updated exercise', ref('Exercise')),
+          400: errorResponse('Invalid fields, or slugs not in the taxonomy'),
+          401: errorResponse('Not logged in'),
+          403: errorResponse('Not staff'),
+          404: errorResponse('No such exercise'),
+          409: errorResponse('Another exercise already has this name')
+        }
+      },
+      delete: {
+        operationId: 'deleteExercise',
+        tags: ['Exercises'],
+        summary: 'Delete an exercise (soft delete; see undelete)',
+        security: secured,
+        responses: {
+          200: response('Deleted', {
+            type: 'object',
+            properties: { message: { type: 'string' }, undo: { type: 'string', description: 'Path that undoes the delete' } }
+          }),
+          400: errorResponse('Invalid id'),
+          401: errorResponse('Not logged in'),
+          403: errorResponse('Not staff'),
+          404: errorResponse('No such exercise')
+        }
+      }
+    },
+    '/api/exercises/{id}/undelete': {
+      parameters: [pathId('id', 'Exercise id')],
+      post: {
+        operationId: 'undeleteExercise',
+        tags: ['Exercises'],
+        summary: 'Undo a delete',
+        security: secured,
+        responses: {
+          200: response('The restored exercise', ref('Exercise')),
+          400: errorResponse('Invalid id'),
+          401: errorResponse('Not logged in'),
+          403: errorResponse('Not staff'),
+          404: errorResponse('No deleted exercise with this id'),
+          409: errorResponse('Another exercise has taken its name')
+        }
+      }
+    },
+    '/api/exercises/{id}/favorite': {
+      parameters: [pathId('id', 'Exercise id')],
+      patch: {
+        operationId: 'toggleFavorite',
+        tags: ['Favorites'],
+        summary: 'Star or unstar an exercise, whichever it is not',
+        security: secured,
+        responses: {
+          200: response('The exercise with its new state', ref('Exercise')),
+          400: errorResponse('Invalid id'),
+          401: errorResponse('Not logged in'),
+          404: errorResponse('No such exercise')
+        }
+      },
+      put: {
+        operationId: 'setFavorite',
+        tags: ['Favorites'],
+        summary: 'Star or unstar an exercise (safe to replay)',
+        security: secured,
+        requestBody: {
+          required: true,
+          content: jsonContent({
+            type: 'object',
+            properties: { is_favorited: { type: 'boolean' } },
+            required: ['is_favorited'],
+            additionalProperties: false
+          })
+        },
+        responses: {
+          200: response('The exercise with its new state', ref('Exercise')),
+          400: errorResponse('Invalid body'),
+          401: errorResponse('Not logged in'),
+          404: errorResponse('No such exercise')
+        }
+      }
+    },
+    '/api/exercises/{id}/history': {
+      parameters: [pathId('id', 'Exercise id')],
+      get: {
+        operationId: 'getExerciseHistory',
+        tags: ['History'],
+        summary: 'Every recorded change to an exercise, newest first',
+        security: secured,
+        responses: {
+          200: response('History entries', { type: 'array', items: ref('HistoryEntry') }),
+          400: errorResponse('Invalid id'),
+          401: errorResponse('Not logged in'),
+          403: errorResponse('Not staff'),
+          404: errorResponse('No such exercise')
+        }
+      }
+    },
+    '/api/exercises/{id}/history/{auditId}/restore': {
+      parameters: [pathId('id', 'Exercise id'), pathId('auditId', 'History entry id')],
+      post: {
+        operationId: 'restoreExerciseVersion',
+        tags: ['History'],
+        summary: 'Put an exercise back to the version a history entry saved',
+        security: secured,
+        parameters: [
+          query('version', { type: 'string', enum: ['before', 'after'], default: 'after' }, 'before restores the version the entry replaced')
+        ],
+        responses: {
+          200: response('The restored exercise', ref('Exercise')),
+          400: errorResponse('Invalid version, or an entry with nothing to restore'),
+          401: errorResponse('Not logged in'),
+          403: errorResponse('Not staff'),
+          404: errorResponse('No such exercise or history entry'),
+          409: errorResponse('Another exercise now has this version\'s name')
+        }
+      }
+    },
+    '/api/exercises/{id}/relations': {
+      parameters: [pathId('id', 'Exercise id')],
+      get: {
+        operationId: 'getExerciseRelations',
+        tags: ['Relations'],
+        summary: 'An exercise\'s related exercises, grouped',
+        responses: {
+          200: response('Related exercises', ref('RelationGroups')),
+          400: errorResponse('Invalid id'),
+          404: errorResponse('No such exercise')
+        }
+      },
+      post: {
+        operationId: 'createExerciseRelation',
+        tags: ['Relations'],
+        summary: 'Relate another exercise to this one',
+        description: 'relation says what the other exercise is to this one.',
+        security: secured,
+        requestBody: {
+          required: true,
+          content: jsonContent({
+            type: 'object',
+            properties: {
+              related_exercise_id: { type: 'integer', minimum: 1 },
+              relation: { type: 'string', enum: RELATION_TYPES },
+              notes: { type: ['string', 'null'] }
+            },
+            required: ['related_exercise_id', 'relation'],
+            additionalProperties: false
+          })
+        },
+        responses: {
+          201: response('The new relation', ref('Relation')),
+          400: errorResponse('Invalid relation, or an exercise related to itself'),
+          401: errorResponse('Not logged in'),
+          403: errorResponse('Not staff'),
+          404: errorResponse('No such exercise'),
+          409: errorResponse('Already related, or the progression would loop')
+        }
+      }
+    },
+    '/api/exercises/{id}/relations/{relationId}': {
+      parameters: [pathId('id', 'Exercise id'), pathId('relationId', 'Relation id')],
+      delete: {
+        operationId: 'deleteExerciseRelation',
+        tags: ['Relations'],
+        summary: 'Remove a relation (from either exercise)',
+        security: secured,
+        responses: {
+          200: response('Deleted', ref('Message')),
+          400: errorResponse('Invalid id'),
+          401: errorResponse('Not logged in'),
+          403: errorResponse('Not staff'),
+          404: errorResponse('No such relation')
+        }
+      }
+    },
+    '/api/exercises/{id}/progression': {
+      parameters: [pathId('id', 'Exercise id')],
+      get: {
+        operationId: 'getProgressionLadder',
+        tags: ['Relations'],
+        summary: 'The whole progression ladder through an exercise, easiest step first',
+        responses: {
+          200: response('Ladder steps; step 0 is the exercise, negative steps are easier', ref('ProgressionLadder')),
+          400: errorResponse('Invalid id'),
+          404: errorResponse('No such exercise')
+        }
+      }
+    },
+    '/api/exercises/{id}/similar': {
+      parameters: [pathId('id', 'Exercise id')],
+      get: {
+        operationId: 'getSimilarExercises',
+        tags: ['Relations'],
+        summary: 'Substitutes for an exercise, most similar first',
+        parameters: [
+          query('limit', { type: 'integer', minimum: 1, maximum: MAX_SIMILAR, default: 10 }),
+          query('no_equipment', { type: 'boolean', default: false }, 'Body-weight exercises only'),
+          query('difficulty', { type: 'string', enum: Object.keys(DIFFICULTY_FILTERS) }, 'Relative to this exercise'),
+          excludeConditionsParam
+        ],
+        responses: {
+          200: response('Similar exercises', { type: 'array', items: ref('SimilarExercise') }),
+          400: errorResponse('Invalid options'),
+          404: errorResponse('No such exercise')
+        }
+      }
+    },
+    '/api/exercises/{id}/images': {
+      parameters: [pathId('id', 'Exercise id')],
+      get: {
+        operationId: 'listExerciseImages',
+        tags: ['Images'],
+        summary: 'An exercise\'s images',
+        responses: {
+          200: response('Images in display order', { type: 'array', items: ref('Image') }),
+          400: errorResponse('Invalid id'),
+          404: errorResponse('No such exercise')
+        }
+      },
+      post: {
+        operationId: 'uploadExerciseImage',
+        tags: ['Images'],
+        summary: 'Upload a photo (JPEG, PNG or WebP, up to 10 MB)',
+        security: secured,
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: { image: { type: 'string', contentMediaType: 'application/octet-stream' } },
+                required: ['image']
+              }
+            }
+          }
+        },
+        responses: {
+          201: response('The stored image', ref('Image')),
+          400: errorResponse('No image, or not a readable image'),
+          401: errorResponse('Not logged in'),
+          403: errorResponse('Not staff'),
+          404: errorResponse('No such exercise')
+        }
+      }
+    },
+    '/api/exercises/{id}/images/{imageId}': {
+      parameters: [pathId('id', 'Exercise id'), pathId('imageId', 'Image id')],
+      delete: {
+        operationId: 'deleteExerciseImage',
+        tags: ['Images'],
+        summary: 'Delete an image and its files',
+        security: secured,
+        responses: {
+          200: response('Deleted', ref('Message')),
+          400: errorResponse('Invalid id'),
+          401: errorResponse('Not logged in'),
+          403: errorResponse('Not staff'),
+          404: errorResponse('No such image')
+        }
+      }
+    },
+    '/api/exercise-image/{exerciseName}': {
+      parameters: [{
+        name: 'exerciseName',
+        in: 'path',
+        required: true,
+        description: 'Exact exercise name (case-insensitive)',
+        schema: { type: 'string', minLength: 1 }
+      }],
+      get: {
+        operationId: 'getExerciseImageByName',
+        tags: ['Images'],
+        summary: 'Image URLs of an exercise, looked up by name',
+        responses: {
+          200: response('found is false (and the lists null) when the exercise has no images', {
+            type: 'object',
+            properties: {
+              images: { type: ['array', 'null'], items: { type: 'string' } },
+              thumbnails: { type: ['array', 'null'], items: { type: 'string' } },
+              found: { type: 'boolean' }
+            }
+          }),
+          404: errorResponse('No exercise with this name')
+        }
+      }
+    },
+    '/api/db/stats': {
+      get: {
+        operationId: 'getLibraryStats',
+        tags: ['Stats'],
+        summary: 'Library size, the user\'s favorite count and exercises per muscle',
+        responses: {
+          200: response('Stats', {
+            type: 'object',
+            properties: {
+              total: { type: 'integer' },
+              favorites: { type: 'integer', description: '0 when logged out' },
+              byMuscle: ref('FacetCounts')
+            }
+          })
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token from POST /api/auth/login' }
+    },
+    schemas: {
+      SlugList: {
+        type: ['array', 'string'],
+        items: { type: 'string' },
+        description: 'Slugs as an array, or one string separated by commas or semicolons'
+      },
+      Exercise: {
+        type: 'object',
+        properties: {
+          id: { type: ['integer', 'null'], description: 'null only for API Ninjas results the list falls back to' },
+          name: { type: 'string' },
+          type: { type: 'string' },
+          muscle: { type: 'string' },
+          equipment: { type: ['string', 'null'] },
+          difficulty: { type: 'string', enum: DIFFICULTIES },
+          instructions: { type: 'string' },
+          secondary_muscles: { type: 'array', items: { type: 'string' } },
+          additional_equipment: { type: 'array', items: { type: 'string' } },
+          contraindications: { type: 'array', items: { type: 'string' } },
+          precautions: { type: 'array', items: { type: 'string' } },
+          is_favorited: { type: 'boolean' },
+          last_updated: { type: ['string', 'null'] },
+          created_timestamp: { type: ['string', 'null'] }
+        }
+      },
+      SearchResult: {
+        allOf: [
+          ref('Exercise'),
+          {
+            type: 'object',
+            properties: {
+              snippet: { type: ['string', 'null'], description: 'Escaped HTML with matches wrapped in <mark>' }
+            }
+          }
+        ]
+      },
+      FacetCounts: {
+        type: 'object',
+        additionalProperties: { type: 'integer' },
+        description: 'Exercise count per value'
+      },
+      ExercisePage: {
+        type: 'object',
+        properties: {
+          exercises: { type: 'array', items: ref('Exercise') },
+          total: { type: 'integer' },
+          page: { type: 'integer' },
+          page_size: { type: 'integer' },
+          total_pages: { type: 'integer' },
+          facets: {
+            type: 'object',
+            properties: {
+              muscle: ref('FacetCounts'),
+              type: ref('FacetCounts'),
+              difficulty: ref('FacetCounts'),
+              equipment: ref('FacetCounts')
+            }
+          }
+        }
+      },
+      ImportReport: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: FORMATS },
+          dry_run: { type: 'boolean' },
+          committed: { type: 'boolean' },
+          summary: { type: 'object', additionalProperties: { type: 'integer' } },
+          rows: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                row: { type: 'integer' },
+                name: { type: 'string' },
+                status: { type: 'string', enum: ['new', 'created', 'duplicate', 'invalid'] },
+                errors: { type: 'array', items: { type: 'string' } },
+                id: { type: 'integer' }
+              }
+            }
+          }
+        }
+      },
+      HistoryEntry: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          exercise_id: { type: 'integer' },
+          action: { type: 'string', enum: ['create', 'update', 'delete', 'undelete', 'restore', 'favorite'] },
+          before: { type: ['object', 'null'] },
+          after: { type: ['object', 'null'] },
+          changed_fields: { type: 'array', items: { type: 'string' } },
+          user_id: { type: ['integer', 'null'] },
+          actor_name: { type: ['string', 'null'] },
+          created_timestamp: { type: 'string' }
+        }
+      },
+      ExerciseSummary: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          type: { type: 'string' },
+          muscle: { type: 'string' },
+          equipment: { type: ['string', 'null'] },
+          difficulty: { type: 'string' }
+        }
+      },
+      Relation: {
+        allOf: [
+          ref('ExerciseSummary'),
+          {
+            type: 'object',
+            properties: {
+              relation_id: { type: 'integer' },
+              relation: { type: 'string', enum: RELATION_TYPES },
+              notes: { type: ['string', 'null'] }
+            }
+          }
+        ]
+      },
+      RelationGroups: {
+        type: 'object',
+        properties: {
+          easier: { type: 'array', items: ref('Relation') },
+          harder: { type: 'array', items: ref('Relation') },
+          alternatives: { type: 'array', items: ref('Relation') },
+          variations: { type: 'array', items: ref('Relation') }
+        }
+      },
+      ProgressionLadder: {
+        type: 'object',
+        properties: {
+          exercise_id: { type: 'integer' },
+          steps: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                step: { type: 'integer' },
+                exercises: { type: 'array', items: ref('ExerciseSummary') }
+              }
+            }
+          }
+        }
+      },
+      SimilarExercise: {
+        allOf: [
+          ref('ExerciseSummary'),
+          {
+            type: 'object',
+            properties: {
+              similarity: { type: 'number', minimum: 0, maximum: 1 },
+              match: {
+                type: 'object',
+                description: 'How well each part matched, from 0 to 1',
+                properties: {
+                  muscle: { type: 'number' },
+                  text: { type: 'number' },
+                  type: { type: 'number' },
+                  equipment: { type: 'number' },
+                  difficulty: { type: 'number' }
+                }
+              }
+            }
+          }
+        ]
+      },
+      Image: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          exercise_id: { type: 'integer' },
+          url: { type: 'string' },
+          thumbnail_url: { type: 'string' },
+          source: { type: 'string' },
+          position: { type: 'integer' }
+        }
+      },
+      Message: {
+        type: 'object',
+        properties: { message: { type: 'string' } }
+      },
+      Error: {
+        type: 'object',
+        description: 'Every error response. error is a sentence for display; details lists the problems one by one',
+        properties: {
+          error: { type: 'string' },
+          code: {
+            type: 'string',
+            enum: [...new Set([...Object.values(ERROR_CODES), ...EXTRA_CODES])],
+            description: 'validation_failed for requests failing the schema, invalid_json for unreadable bodies; ' +
+              'otherwise the one for the status'
+          },
+          details: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                in: { type: 'string', enum: ['path', 'query', 'header', 'body'] },
+                field: { type: ['string', 'null'], description: 'Dotted path of the field; null for the whole body' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        },
+        required: ['error', 'code']
+      }
+    }
+  }
+};
+
+module.exports = { spec, MAX_PAGE_SIZE, MAX_SIMILAR };
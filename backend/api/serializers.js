@@ -0,0 +1,79 @@
+// backend/api/serializers.js
+// Exercises as the API sends them. Rows use column names (exercise_name, exercise_type);
+// the API says name and type, and adds the linked slugs (secondary_muscles,
+// additional_equipment, contraindications, precautions) from db.getExerciseLinks.
+
+// The library fields of an exercise: what exports and the similarity index work from
+function exerciseFields(row, links = {}) {
+  return {
+    id: row.id,
+    name: row.exercise_name,
+    type: row.exercise_type,
+    muscle: row.muscle,
+    equipment: row.equipment,
+    difficulty: row.difficulty,
+    instructions: row.instructions,
+    ...links
+  };
+}
+
+// An exercise as every /api/exercises route returns it, for one user
+function serializeExercise(row, { links, favorited = false } = {}) {
+  return {
+    ...exerciseFields(row, links),
+    is_favorited: favorited,
+    last_updated: row.last_updated,
+    created_timestamp: row.created_timestamp
+  };
+}
+
+// Rows in the API's shape, with their links and the user's favorites loaded (none when
+// user is null)
+async function serializeExercises(db, rows, user) {
+  const favoriteIds = await db.getFavoriteIds(user?.id);
+  const links = await db.getExerciseLinks(rows.map(row => row.id));
+
+  return rows.map(row => serializeExercise(row, {
+    links: links.get(row.id),
+    favorited: favoriteIds.has(row.id)
+  }));
+}
+
+// An API Ninjas exercise in the same shape, for the list's fallback when the database
+// fails. It is not in the library, so it has no id, links or timestamps.
+function serializeUpstreamExercise(item) {
+  const row = {
+    id: null,
+    exercise_name: item.name,
+    exercise_type: item.type,
+    muscle: item.muscle,
+    equipment: item.equipment,
+    difficulty: item.difficulty,
+    instructions: item.instructions,
+    last_updated: null,
+    created_timestamp: null
+  };
+  const links = { secondary_muscles: [], additional_equipment: [], contraindications: [], precautions: [] };
+  return serializeExercise(row, { links });
+}
+
+const SUMMARY_FIELDS = ['id', 'name', 'type', 'muscle', 'equipment', 'difficulty'];
+
+// The summary fields of an exercise already in the API's shape (see exerciseFields)
+function summaryFields(exercise) {
+  return Object.fromEntries(SUMMARY_FIELDS.map(field => [field, exercise[field]]));
+}
+
+// Just enough of an exercise to show and open it, in lists of related exercises
+function serializeExerciseSummary(row) {
+  return summaryFields(exerciseFields(row));
+}
+
+module.exports = {
+  exerciseFields,
+  serializeExercise,
+  serializeExercises,
+  serializeUpstreamExercise,
+  summaryFields,
+  serializeExerciseSummary
+};
@@ -0,0 +1,126 @@
+// backend/api/validate.js
+// Request validation against the OpenAPI document (api/openapi.js). validate(operationId)
+// is route middleware checking the path parameters, query string and JSON body against
+// that operation; anything wrong is answered with 400 and every problem found:
+//   { error: 'page_size must be <= 100; order must be one of: asc, desc', code: 'validation_failed',
+//     details: [{ in: 'query', field: 'page_size', message: 'must be <= 100' }, ...] }
+// Query values arrive as text: they are converted to their declared types and defaults
+// are filled in, so routes read req.query as declared. Path parameters are checked but
+// left as text, as routes compare them with String(id).
+const Ajv = require('ajv/dist/2020');
+const { spec } = require('./openapi');
+const { sendError } = require('./errors');
+
+const SPEC_ID = 'openapi.json';
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+// Query and path values are converted ("2" → 2, "true" → true); bodies are checked as sent
+const paramsAjv = new Ajv({ allErrors: true, strict: false, validateFormats: false, coerceTypes: 'array', useDefaults: true });
+const bodyAjv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+bodyAjv.addSchema(spec, SPEC_ID);
+
+// { path, method, operation, parameters } of an operation, with path-level parameters
+function findOperation(operationId) {
+  for (const [path, item] of Object.entries(spec.paths)) {
+    for (const method of METHODS) {
+      if (item[method]?.operationId === operationId) {
+        return {
+          path,
+          method,
+          operation: item[method],
+          parameters: [...(item.parameters || []), ...(item[method].parameters || [])]
+        };
+      }
+    }
+  }
+  return null;
+}
+
+// One object schema for all of an operation's parameters in a location (path or query)
+function compileParameters(parameters, location) {
+  const params = parameters.filter(param => param.in === location);
+  if (params.length === 0) {
+    return null;
+  }
+
+  return paramsAjv.compile({
+    type: 'object',
+    properties: Object.fromEntries(params.map(param => [param.name, param.schema])),
+    required: params.filter(param => param.required).map(param => param.name)
+  });
+}
+
+// The JSON body schema, referenced in place so its $refs resolve against the document
+function compileBody({ path, method, operation }) {
+  if (!operation.requestBody?.content?.['application/json']) {
+    return null;
+  }
+
+  const pointer = ['paths', path, method, 'requestBody', 'content', 'application/json', 'schema']
+    .map(part => part.replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('/');
+  return bodyAjv.compile({ $ref: `${SPEC_ID}#/${pointer}` });
+}
+
+// Ajv error → { in, field, message }; field is the dotted path, null for the whole body
+function describeError(error, location) {
+  const path = error.instancePath.split('/').filter(Boolean);
+
+  switch (error.keyword) {
+    case 'required':
+      return { in: location, field: [...path, error.params.missingProperty].join('.'), message: 'is required' };
+    case 'additionalProperties':
+      return { in: location, field: [...path, error.params.additionalProperty].join('.'), message: 'is not a known field' };
+    case 'enum':
+      return { in: location, field: path.join('.') || null, message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+    case 'minProperties':
+      return { in: location, field: path.join('.') || null, message: 'must have at least one field' };
+    default:
+      return { in: location, field: path.join('.') || null, message: error.message };
+  }
+}
+
+function summarize(detail) {
+  return `${detail.field ?? (detail.in === 'body' ? 'request body' : detail.in)} ${detail.message}`;
+}
+
+// Middleware validating requests against an operation of the OpenAPI document. Throws
+// at startup for an operationId the document does not have.
+function validate(operationId) {
+  const found = findOperation(operationId);
+  if (!found) {
+    throw new Error(`No operation "${operationId}" in the OpenAPI document`);
+  }
+
+  const checkPath = compileParameters(found.parameters, 'path');
+  const checkQuery = compileParameters(found.parameters, 'query');
+  const checkBody = compileBody(found);
+
+  return (req, res, next) => {
+    const details = [];
+
+    if (checkPath && !checkPath({ ...req.params })) {
+      details.push(...checkPath.errors.map(error => describeError(error, 'path')));
+    }
+
+    if (checkQuery) {
+      const query = { ...req.query };
+      if (checkQuery(query)) {
+        req.query = query;
+      } else {
+        details.push(...checkQuery.errors.map(error => describeError(error, 'query')));
+      }
+    }
+
+    if (checkBody && !checkBody(req.body)) {
+      details.push(...checkBody.errors.map(error => describeError(error, 'body')));
+    }
+
+    if (details.length > 0) {
+      return sendError(res, 400, details.map(summarize).join('; '), { code: 'validation_failed', details });
+    }
+    next();
+  };
+}
+
+module.exports = { validate };
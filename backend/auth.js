@@ -0,0 +1,142 @@
+// backend/auth.js
+// Password hashing, session tokens and the middleware that guards routes.
+// Clients log in with POST /api/auth/login and send the returned token as
+// "Authorization: Bearer <token>".
+const crypto = require('crypto');
+const { sendError } = require('./api/errors');
+
+const ROLES = ['admin', 'clinician', 'patient'];
+const STAFF_ROLES = ['admin', 'clinician'];
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// ========== PASSWORDS ==========
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+// Stored as "scrypt:<salt hex>:<key hex>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, saltHex, keyHex] = String(storedHash).split(':');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Returns an error message or null
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// ========== SESSIONS ==========
+
+// Only the hash is stored, so a leaked database does not hand out live sessions
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Start a session for a user on an open database; returns the token to hand to the client
+async function createSession(db, userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+
+  await db.createSession(userId, hashToken(token), expiresAt);
+  return { token, expires_at: expiresAt };
+}
+
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// ========== MIDDLEWARE ==========
+
+// Attach req.user for requests carrying a valid token. Requests without one carry on
+// anonymously (req.user = null); an unknown or expired token is rejected outright so the
+// client knows to log in again. Runs after attachDatabase (req.db).
+async function authenticate(req, res, next) {
+  req.user = null;
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  const tokenHash = hashToken(token);
+
+  try {
+    const user = await req.db.getSessionUser(tokenHash);
+
+    if (!user) {
+      return sendError(res, 401, 'Invalid or expired session');
+    }
+
+    req.user = user;
+    req.sessionTokenHash = tokenHash;
+    next();
+
+  } catch (error) {
+    console.error('Error authenticating request:', error.message);
+    sendError(res, 500, error.message);
+  }
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return sendError(res, 401, 'Authentication required');
+  }
+  next();
+}
+
+// e.g. app.delete('/api/exercises/:id', requireRole('admin', 'clinician'), ...)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, 401, 'Authentication required');
+    }
+    if (!roles.includes(req.user.role)) {
+      return sendError(res, 403, `Requires role: ${roles.join(' or ')}`);
+    }
+    next();
+  };
+}
+
+// Staff see their clinic's patients; a patient account sees only its own record
+function canAccessPatient(user, patient) {
+  if (user.role === 'patient') {
+    return user.patient_id === patient.id;
+  }
+  return patient.clinic_id === user.clinic_id;
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  createSession,
+  authenticate,
+  requireAuth,
+  requireRole,
+  canAccessPatient
+};
@@ -0,0 +1,199 @@
+// backend/config.js
+// Server settings, read once from the environment (and backend/.env) and checked before
+// anything starts. NODE_ENV picks a profile of defaults (development, test or
+// production); these variables override it:
+//
+//   PORT                         port to listen on
+//   DB_PATH                      SQLite file, or :memory:
+//   IMAGE_DIR                    image store (full/ and thumbs/)
+//   API_BASE_URL                 where the frontend finds the API; empty for the page's own origin
+//   CORS_ORIGINS                 comma-separated origins allowed to call the API, or *
+//   LOG_LEVEL                    silent, error, warn, info or debug
+//   NINJA_API_URL                API Ninjas exercises endpoint
+//   NINJA_API_KEY                API Ninjas key (never logged)
+//   FREE_EXERCISE_DB_URL         raw files of free-exercise-db
+//   FEATURE_API_DOCS             serve /api/openapi.json and /api/docs (true/false)
+//   FEATURE_API_NINJAS_FALLBACK  list exercises from API Ninjas when the database fails
+//   FEATURE_SERVE_FRONTEND       serve frontend/public at /
+const os = require('os');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const FRONTEND_DIR = path.join(__dirname, '..', 'frontend', 'public');
+
+// Quietest first: each level also shows the ones before it
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+// console methods written at each level
+const CONSOLE_METHODS = {
+  error: ['error'],
+  warn: ['warn'],
+  info: ['log', 'info'],
+  debug: ['debug']
+};
+
+const SOURCES = {
+  apiNinjasUrl: 'https://api.api-ninjas.com/v1/exercises',
+  freeExerciseDbUrl: 'https://raw.githubusercontent.com/yuhonas/free-exercise-db/main'
+};
+
+const PROFILES = {
+  development: {
+    port: 3000,
+    dbPath: path.join(__dirname, 'db', 'exercises.db'),
+    imageDir: path.join(__dirname, 'data', 'images'),
+    apiBaseUrl: '',
+    corsOrigins: ['*'],
+    logLevel: 'debug',
+    sources: SOURCES,
+    features: { apiDocs: true, apiNinjasFallback: true, serveFrontend: true }
+  },
+  // Never touches the real database or image store; external calls are stubbed by tests
+  test: {
+    port: 0,
+    dbPath: ':memory:',
+    imageDir: path.join(os.tmpdir(), 'pt-exercise-images'),
+    apiBaseUrl: '',
+    corsOrigins: ['*'],
+    logLevel: 'error',
+    sources: SOURCES,
+    features: { apiDocs: true, apiNinjasFallback: true, serveFrontend: true }
+  },
+  // The frontend comes from this server, so no other origin needs CORS by default
+  production: {
+    port: 3000,
+    dbPath: path.join(__dirname, 'db', 'exercises.db'),
+    imageDir: path.join(__dirname, 'data', 'images'),
+    apiBaseUrl: '',
+    corsOrigins: [],
+    logLevel: 'info',
+    sources: SOURCES,
+    features: { apiDocs: false, apiNinjasFallback: true, serveFrontend: true }
+  }
+};
+
+// Environment variable → feature toggle
+const FEATURE_VARIABLES = {
+  FEATURE_API_DOCS: 'apiDocs',
+  FEATURE_API_NINJAS_FALLBACK: 'apiNinjasFallback',
+  FEATURE_SERVE_FRONTEND: 'serveFrontend'
+};
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// "true"/"false" (or 1/0, yes/no); anything else is undefined so it can be reported
+function parseBoolean(value) {
+  const normalized = value.trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(normalized)) {
+    return true;
+  }
+  if (['false', '0', 'no'].includes(normalized)) {
+    return false;
+  }
+  return undefined;
+}
+
+// Build the settings for env (process.env by default). Throws one error listing every
+// problem, so a misconfigured server never starts. Problems that still leave a working
+// server (e.g. no API Ninjas key) are returned in config.warnings.
+function loadConfig(env = process.env) {
+  const profile = env.NODE_ENV || 'development';
+  const defaults = PROFILES[profile];
+  if (!defaults) {
+    throw new Error(`Invalid configuration: NODE_ENV must be one of ${Object.keys(PROFILES).join(', ')} (got "${profile}")`);
+  }
+
+  const problems = [];
+  const warnings = [];
+  const set = name => env[name] !== undefined && env[name] !== '';
+
+  const config = {
+    profile,
+    port: defaults.port,
+    dbPath: set('DB_PATH') ? env.DB_PATH : defaults.dbPath,
+    imageDir: set('IMAGE_DIR') ? path.resolve(env.IMAGE_DIR) : defaults.imageDir,
+    frontendDir: FRONTEND_DIR,
+    apiBaseUrl: env.API_BASE_URL !== undefined ? env.API_BASE_URL.trim().replace(/\/+$/, '') : defaults.apiBaseUrl,
+    corsOrigins: set('CORS_ORIGINS') ? env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean) : defaults.corsOrigins,
+    logLevel: set('LOG_LEVEL') ? env.LOG_LEVEL.trim().toLowerCase() : defaults.logLevel,
+    ninjaApiKey: env.NINJA_API_KEY || null,
+    sources: {
+      apiNinjasUrl: set('NINJA_API_URL') ? env.NINJA_API_URL.trim() : defaults.sources.apiNinjasUrl,
+      freeExerciseDbUrl: set('FREE_EXERCISE_DB_URL') ? env.FREE_EXERCISE_DB_URL.trim().replace(/\/+$/, '') : defaults.sources.freeExerciseDbUrl
+    },
+    features: { ...defaults.features },
+    warnings
+  };
+
+  if (set('PORT')) {
+    config.port = Number(env.PORT);
+    if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+      problems.push(`PORT must be a whole number from 0 to 65535 (got "${env.PORT}")`);
+    }
+  }
+
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    problems.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')} (got "${env.LOG_LEVEL}")`);
+  }
+
+  if (config.apiBaseUrl !== '' && !isHttpUrl(config.apiBaseUrl)) {
+    problems.push(`API_BASE_URL must be an http(s) URL or empty (got "${env.API_BASE_URL}")`);
+  }
+
+  for (const origin of config.corsOrigins) {
+    if (origin !== '*' && (!isHttpUrl(origin) || new URL(origin).origin !== origin)) {
+      problems.push(`CORS_ORIGINS entries must be origins like https://clinic.example.com, or * (got "${origin}")`);
+    }
+  }
+  if (profile === 'production' && config.corsOrigins.includes('*')) {
+    problems.push('CORS_ORIGINS must list the allowed origins in production, not *');
+  }
+
+  for (const [name, value] of [['NINJA_API_URL', config.sources.apiNinjasUrl], ['FREE_EXERCISE_DB_URL', config.sources.freeExerciseDbUrl]]) {
+    if (!isHttpUrl(value)) {
+      problems.push(`${name} must be an http(s) URL (got "${value}")`);
+    }
+  }
+
+  for (const [name, feature] of Object.entries(FEATURE_VARIABLES)) {
+    if (!set(name)) {
+      continue;
+    }
+    const enabled = parseBoolean(env[name]);
+    if (enabled === undefined) {
+      problems.push(`${name} must be true or false (got "${env[name]}")`);
+    } else {
+      config.features[feature] = enabled;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration (${profile}):\n  - ${problems.join('\n  - ')}`);
+  }
+
+  if (config.features.apiNinjasFallback && !config.ninjaApiKey) {
+    warnings.push('NINJA_API_KEY is not set: the API Ninjas fallback will fail');
+  }
+
+  return config;
+}
+
+// Silence the console methods above the level (e.g. "warn" keeps error and warn)
+function applyLogLevel(level, target = console) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  LOG_LEVELS.slice(threshold + 1).forEach(name => {
+    for (const method of CONSOLE_METHODS[name]) {
+      target[method] = () => {};
+    }
+  });
+}
+
+const config = loadConfig();
+
+module.exports = { config, loadConfig, applyLogLevel, PROFILES, LOG_LEVELS };
@@ -0,0 +1,129 @@
+// backend/db/benchmark.js
+// Load benchmark: the database work of a GET /api/exercises request (count, page,
+// facets, favorites), run with many requests in flight, once opening a connection per
+// request as the server used to and once on a single shared connection as it does now.
+//
+//   npm run db:benchmark
+//   npm run db:benchmark -- --requests 5000 --concurrency 50
+const path = require('path');
+const Database = require('./database');
+const { migrate } = require('./migrate');
+
+function parseArgs(argv) {
+  const options = { requests: 2000, concurrency: 20, db: path.join(__dirname, 'exercises.db') };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--requests') {
+      options.requests = Number(argv[++i]);
+    } else if (argv[i] === '--concurrency') {
+      options.concurrency = Number(argv[++i]);
+    } else if (argv[i] === '--db') {
+      options.db = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!(options.requests > 0) || !(options.concurrency > 0)) {
+    throw new Error('--requests and --concurrency must be positive numbers');
+  }
+
+  return options;
+}
+
+// What the exercise list route asks of the database for one page
+async function listPage(db, page) {
+  const filters = {};
+  await db.getExerciseCount(filters);
+  await db.getExercises({ ...filters, sort: 'name', order: 'asc', limit: 10, offset: page * 10 });
+  await db.getExerciseFacets(filters);
+  await db.getFavoriteIds(null);
+}
+
+// Run `requests` calls of handle(i), at most `concurrency` at a time; returns latencies in ms
+async function runLoad(requests, concurrency, handle) {
+  const latencies = [];
+  let next = 0;
+
+  async function worker() {
+    while (next < requests) {
+      const i = next++;
+      const start = process.hrtime.bigint();
+      await handle(i);
+      latencies.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, requests) }, worker));
+  return latencies;
+}
+
+function summarize(label, latencies, elapsedMs, log) {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  const result = {
+    label,
+    throughput: latencies.length / (elapsedMs / 1000),
+    mean: latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length,
+    p95: percentile(0.95)
+  };
+
+  log(`${label.padEnd(24)} ${result.throughput.toFixed(0).padStart(7)} req/s   ` +
+    `mean ${result.mean.toFixed(2)} ms   p95 ${result.p95.toFixed(2)} ms`);
+  return result;
+}
+
+async function benchmark(options) {
+  console.log(`\n=== Database Load Benchmark: ${options.requests} requests, ${options.concurrency} concurrent ===\n`);
+
+  // Every connect and close logs a line; keep the report readable
+  const log = console.log;
+  console.log = () => {};
+  let before;
+  let after;
+
+  try {
+    // Bring the schema up to date first, so neither mode pays for it
+    const setup = new Database(options.db);
+    await setup.connect();
+    await migrate(setup);
+    const pages = Math.max(1, Math.ceil(await setup.getExerciseCount() / 10));
+    await setup.close();
+
+    let start = Date.now();
+    const perRequest = await runLoad(options.requests, options.concurrency, async (i) => {
+      const db = new Database(options.db);
+      await db.connect();
+      await listPage(db, i % pages);
+      await db.close();
+    });
+    before = summarize('Connection per request', perRequest, Date.now() - start, log);
+
+    const shared = new Database(options.db);
+    await shared.connect();
+    start = Date.now();
+    const sharedLatencies = await runLoad(options.requests, options.concurrency, (i) => listPage(shared, i % pages));
+    after = summarize('Shared connection', sharedLatencies, Date.now() - start, log);
+    await shared.close();
+  } finally {
+    console.log = log;
+  }
+
+  console.log(`\n📈 Shared connection: ${(after.throughput / before.throughput).toFixed(1)}× the throughput\n`);
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  benchmark(options).catch(error => {
+    console.error('\n❌ Benchmark failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { benchmark };
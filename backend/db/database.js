@@ -1,81 +1,287 @@
 // backend/db/database.js
 const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('../config');
 
+// How long a write waits for another connection's (e.g. a CLI script's) lock
+const BUSY_TIMEOUT_MS = 5000;
+// Prepared statements kept per connection; the least recently added go first
+const STATEMENT_CACHE_SIZE = 200;
+
+// Markers placed around matched words in search snippets; control characters
+// never appear in exercise text, so callers can escape the snippet safely first
+const SEARCH_MATCH_START = '\u0002';
+const SEARCH_MATCH_END = '\u0003';
+
+// Filterable/facetable exercise columns, keyed by their API name
+const FACET_FIELDS = {
+  muscle: 'muscle',
+  type: 'exercise_type',
+  difficulty: 'difficulty',
+  equipment: 'equipment'
+};
+
+// Facets backed by many-to-many links (migration 009): an exercise matches and is
+// counted for every muscle it works and every piece of equipment it needs
+const LINKED_FACETS = {
+  muscle: { links: 'ExerciseMuscles', lookup: 'Muscles', key: 'muscle_id' },
+  equipment: { links: 'ExerciseEquipment', lookup: 'Equipment', key: 'equipment_id' }
+};
+
+// Exercise fields holding the non-primary links, and the facet each belongs to
+const LINK_FIELDS = {
+  secondary_muscles: 'muscle',
+  additional_equipment: 'equipment'
+};
+
+// Exercise fields holding safety flags (migration 011): condition slugs, and the
+// ExerciseConditions severity each field lists
+const SAFETY_FIELDS = {
+  contraindications: 'contraindication',
+  precautions: 'precaution'
+};
+
+// Sortable exercise columns, keyed by their API name
+const SORT_FIELDS = {
+  name: 'exercise_name',
+  type: 'exercise_type',
+  muscle: 'muscle',
+  equipment: 'equipment',
+  difficulty: "CASE difficulty WHEN 'beginner' THEN 1 WHEN 'intermediate' THEN 2 WHEN 'expert' THEN 3 ELSE 4 END",
+  created: 'created_timestamp',
+  updated: 'last_updated'
+};
+
+// How one exercise relates to another, from the first one's point of view: the other is
+// its progression (harder), regression (easier), an alternative or a variation
+const RELATION_TYPES = ['progression', 'regression', 'alternative', 'variation'];
+
+// Longest chain of progressions walked when building a progression ladder
+const MAX_PROGRESSION_STEPS = 20;
+
+// Patient fields PUT /api/patients/:id may change
+const PATIENT_FIELDS = ['first_name', 'last_name', 'date_of_birth', 'diagnosis', 'notes'];
+
+// Session log fields PUT .../logs/:logId may change
+const SESSION_LOG_FIELDS = ['exercise_id', 'session_date', 'sets_completed', 'reps_completed', 'pain_score', 'comment'];
+
+// Measure fields PUT /api/measures/:id may change (never the slug)
+const MEASURE_FIELDS = ['label', 'category', 'unit', 'min_value', 'max_value', 'higher_is_better', 'mcid', 'bilateral', 'active'];
+
+// Measurement columns an update may change
+const MEASUREMENT_FIELDS = ['measure_id', 'measured_on', 'value', 'side', 'notes'];
+
+// Exercise columns captured in audit snapshots; restoring a version writes these back
+const AUDITED_FIELDS = ['exercise_name', 'exercise_type', 'muscle', 'equipment', 'difficulty', 'instructions'];
+
+function exerciseSnapshot(row) {
+  const snapshot = {};
+  for (const field of AUDITED_FIELDS) {
+    snapshot[field] = row[field];
+  }
+  return snapshot;
+}
+
+function parseAuditRow(row) {
+  const { before_json, after_json, ...entry } = row;
+  return {
+    ...entry,
+    before: before_json ? JSON.parse(before_json) : null,
+    after: after_json ? JSON.parse(after_json) : null
+  };
+}
+
+// Whether error is the unique index on live exercise names (migration 014) refusing a
+// write: the routes check names first, so this only fires when two requests race
+function isDuplicateNameError(error) {
+  return error.code === 'SQLITE_CONSTRAINT' && /UNIQUE constraint failed: Exercises\.exercise_name/.test(error.message);
+}
+
+// One SQLite connection. The server keeps a single long-lived instance (see
+// db/service.js) shared by all requests; scripts open their own. Both use config.dbPath
+// (DB_PATH) unless given another file.
 class Database {
-  constructor(dbPath = path.join(__dirname, 'exercises.db')) {
+  constructor(dbPath = config.dbPath) {
     this.dbPath = dbPath;
     this.db = null;
+    this.statements = new Map();
+    // Identifies the code running inside the open transaction, if any
+    this.transactionContext = new AsyncLocalStorage();
+    this.activeTransaction = null;
   }
 
   // Initialize database connection
   async connect() {
-    return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(this.dbPath, (err) => {
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.dbPath, (err) => (err ? reject(err) : resolve()));
+    });
+    console.log('Connected to SQLite database');
+
+    // Run statements one at a time in the order issued, so nothing queued before a
+    // BEGIN can land inside that transaction
+    this.db.serialize();
+    this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+    // Foreign keys are off by default in SQLite; program entries rely on cascades
+    await this.run('PRAGMA foreign_keys = ON');
+    // Readers no longer block the writer (and vice versa), e.g. the server while a script
+    // imports. The mode is stored in the file, so this only switches a database once.
+    const { journal_mode: journalMode } = await this.get('PRAGMA journal_mode');
+    if (journalMode !== 'wal') {
+      await this.get('PRAGMA journal_mode = WAL');
+    }
+  }
+
+  // Statements are prepared once per SQL text and reused. Resolves to the statement;
+  // sqlite3 reports a failed prepare only to the prepare callback, so it is awaited here.
+  prepare(sql) {
+    let statement = this.statements.get(sql);
+    if (!statement) {
+      statement = new Promise((resolve, reject) => {
+        const prepared = this.db.prepare(sql, (err) => (err ? reject(err) : resolve(prepared)));
+      });
+      this.statements.set(sql, statement);
+      statement.catch(() => this.statements.delete(sql));
+
+      if (this.statements.size > STATEMENT_CACHE_SIZE) {
+        const [oldestSql, oldest] = this.statements.entries().next().value;
+        this.statements.delete(oldestSql);
+        // Callers that already took it from the cache queue their call first
+        setImmediate(() => oldest.then(evicted => evicted.finalize(), () => {}));
+      }
+    }
+    return statement;
+  }
+
+  // True when a statement issued now cannot land inside another caller's transaction.
+  // Statements from inside the open transaction itself go straight through.
+  isIdle() {
+    return !this.activeTransaction || this.transactionContext.getStore() === this.activeTransaction;
+  }
+
+  // Wait for another caller's open transaction, if any, to finish
+  async idle() {
+    while (!this.isIdle()) {
+      await this.activeTransaction.finished;
+    }
+  }
+
+  // Call fn(statement) with the prepared statement for sql once no other caller's
+  // transaction is open. The check and the call happen in the same tick, so no
+  // transaction can begin in between.
+  async withStatement(sql, fn) {
+    let statement;
+    do {
+      await this.idle();
+      statement = await this.prepare(sql);
+    } while (!this.isIdle());
+    return fn(statement);
+  }
+
+  // Helpers: promise wrappers around the sqlite3 callback API
+
+  async run(sql, params = []) {
+    return this.withStatement(sql, statement => new Promise((resolve, reject) => {
+      statement.run(params, function(err) {
         if (err) {
           reject(err);
         } else {
-          console.log('Connected to SQLite database');
-          resolve();
+          resolve({ lastID: this.lastID, changes: this.changes });
         }
       });
-    });
+    }));
   }
 
-  // Initialize schema
-  async initSchema() {
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
-    
-    return new Promise((resolve, reject) => {
-      this.db.exec(schema, (err) => {
+  async get(sql, params = []) {
+    return this.withStatement(sql, statement => new Promise((resolve, reject) => {
+      statement.get(params, (err, row) => {
         if (err) {
           reject(err);
         } else {
-          console.log('Database schema initialized');
-          resolve();
+          resolve(row);
         }
       });
-    });
+      // get() steps only once: rewind now, before anyone else's get() queues behind
+      // this one, and so the unfinished statement does not hold a read snapshot open
+      statement.reset();
+    }));
   }
 
-  // Migration: Add is_favorited column to existing databases
-  async migrateAddFavorited() {
-    return new Promise((resolve, reject) => {
-      // First check if column exists
-      this.db.get("PRAGMA table_info(Exercises)", (err, row) => {
+  async all(sql, params = []) {
+    return this.withStatement(sql, statement => new Promise((resolve, reject) => {
+      statement.all(params, (err, rows) => {
         if (err) {
           reject(err);
-          return;
+        } else {
+          resolve(rows);
         }
       });
+    }));
+  }
+
+  // Run fn inside BEGIN/COMMIT, rolling back if it throws. Other callers sharing the
+  // connection wait until it finishes; nested calls join the transaction in progress.
+  async transaction(fn) {
+    if (this.activeTransaction && this.isIdle()) {
+      return fn();
+    }
+
+    while (!this.isIdle()) {
+      await this.activeTransaction.finished;
+    }
+    let finish;
+    const transaction = { finished: new Promise(resolve => { finish = resolve; }) };
+    this.activeTransaction = transaction;
 
-      // Try to add the column (will fail silently if it already exists)
-      this.db.run(
-        `ALTER TABLE Exercises ADD COLUMN is_favorited INTEGER DEFAULT 0`,
-        (err) => {
-          if (err) {
-            // Column might already exist, check the error message
-            if (err.message.includes('duplicate column name')) {
-              console.log('✓ is_favorited column already exists');
-              resolve();
-            } else {
-              reject(err);
-            }
-          } else {
-            console.log('✓ Added is_favorited column to existing database');
-            resolve();
-          }
+    try {
+      return await this.transactionContext.run(transaction, async () => {
+        await this.run('BEGIN IMMEDIATE');
+        try {
+          const result = await fn();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
         }
-      );
+      });
+    } finally {
+      this.activeTransaction = null;
+      finish();
+    }
+  }
+
+  // Run several statements at once (migrations)
+  async exec(sql) {
+    while (!this.isIdle()) {
+      await this.activeTransaction.finished;
+    }
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
     });
   }
 
+  async columnExists(table, column) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    return columns.some(info => info.name === column);
+  }
+
+  // Add a column unless the table already has it (migrations use this so they also
+  // work on databases created before migrations existed)
+  async addColumnIfMissing(table, column, definition) {
+    if (await this.columnExists(table, column)) {
+      return false;
+    }
+    await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✓ Added ${column} column to ${table}`);
+    return true;
+  }
+
   // CRUD Operations
 
-  // CREATE: Insert a new exercise
-  async createExercise(exercise) {
+  // CREATE: Insert a new exercise, with optional secondary_muscles and
+  // additional_equipment slug lists. actor ({ id, display_name }) is recorded in the
+  // audit log; scripts like populate.js pass none.
+  async createExercise(exercise, actor = null) {
     const { name, type, muscle, equipment, difficulty, instructions, is_favorited = false } = exercise;
     
     const sql = `
@@ -83,125 +289,158 @@ class Database {
       VALUES (?, ?, ?, ?, ?, ?, ?)
     `;
     
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [name, type, muscle, equipment, difficulty, instructions, is_favorited ? 1 : 0], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, ...exercise });
-        }
-      });
+    return this.transaction(async () => {
+      const result = await this.run(sql, [name, type, muscle, equipment, difficulty, instructions, is_favorited ? 1 : 0]);
+      await this.setExerciseLinks(result.lastID, exercise);
+      await this.recordExerciseAudit(result.lastID, 'create', null, await this.getExerciseSnapshot(result.lastID), actor);
+      return { id: result.lastID, ...exercise };
     });
   }
 
-  // READ: Get all exercises with optional filters
-  async getExercises(filters = {}) {
-    let sql = 'SELECT * FROM Exercises WHERE 1=1';
+  // Build the WHERE clause shared by getExercises, getExerciseCount and getExerciseFacets.
+  // `exclude` names one filter to leave out, so a facet's counts are not narrowed by its own selection.
+  buildExerciseFilters(filters = {}, exclude = null) {
+    let where = 'WHERE deleted_timestamp IS NULL';
     const params = [];
 
     if (filters.name) {
-      sql += ' AND exercise_name LIKE ?';
+      where += ' AND exercise_name LIKE ?';
       params.push(`%${filters.name}%`);
     }
 
-    if (filters.muscle) {
-      sql += ' AND muscle = ?';
-      params.push(filters.muscle);
+    for (const [filter, column] of Object.entries(FACET_FIELDS)) {
+      if (filters[filter] && filter !== exclude) {
+        const linked = LINKED_FACETS[filter];
+        where += linked
+          ? ` AND id IN (SELECT l.exercise_id FROM ${linked.links} l JOIN ${linked.lookup} t ON t.id = l.${linked.key} WHERE t.slug = ?)`
+          : ` AND ${column} = ?`;
+        params.push(filters[filter]);
+      }
     }
 
-    if (filters.type) {
-      sql += ' AND exercise_type = ?';
-      params.push(filters.type);
+    if (filters.favoritedBy !== undefined) {
+      where += ' AND id IN (SELECT exercise_id FROM UserFavorites WHERE user_id = ?)';
+      params.push(filters.favoritedBy);
     }
 
-    if (filters.difficulty) {
-      sql += ' AND difficulty = ?';
-      params.push(filters.difficulty);
+    if (filters.excludeConditions?.length) {
+      where += ` AND id NOT IN (${this.contraindicatedSql(filters.excludeConditions)})`;
+      params.push(...filters.excludeConditions);
     }
 
-    if (filters.is_favorited !== undefined) {
-      sql += ' AND is_favorited = ?';
-      params.push(filters.is_favorited ? 1 : 0);
-    }
+    return { where, params };
+  }
+
+  // SELECT of the ids of exercises contraindicated for any of the given condition slugs
+  // (one ? each). Exercises with only a precaution for them are not excluded.
+  contraindicatedSql(conditions) {
+    return `
+      SELECT ec.exercise_id FROM ExerciseConditions ec JOIN Conditions c ON c.id = ec.condition_id
+      WHERE ec.severity = 'contraindication' AND c.slug IN (${conditions.map(() => '?').join(', ')})
+    `;
+  }
+
+  // READ: Get all exercises with optional filters, sorting and paging
+  async getExercises(filters = {}) {
+    const { where, params } = this.buildExerciseFilters(filters);
+    let sql = `SELECT * FROM Exercises ${where}`;
 
-    sql += ' ORDER BY exercise_name ASC';
+    const sortColumn = SORT_FIELDS[filters.sort] || SORT_FIELDS.name;
+    const direction = filters.order === 'desc' ? 'DESC' : 'ASC';
+    sql += ` ORDER BY ${sortColumn} ${direction}, exercise_name ASC`;
 
     if (filters.limit) {
       sql += ' LIMIT ?';
       params.push(filters.limit);
+
+      if (filters.offset) {
+        sql += ' OFFSET ?';
+        params.push(filters.offset);
+      }
     }
 
-    if (filters.offset) {
-      sql += ' OFFSET ?';
-      params.push(filters.offset);
+    return this.all(sql, params);
+  }
+
+  // READ: Count exercises per value of each facet (muscle, type, difficulty, equipment).
+  // Each facet honours every active filter except its own, e.g. { muscle: { biceps: 12, ... }, ... }.
+  // Muscle and equipment count secondary muscles and additional equipment too.
+  async getExerciseFacets(filters = {}) {
+    const facets = {};
+
+    for (const [facet, column] of Object.entries(FACET_FIELDS)) {
+      const { where, params } = this.buildExerciseFilters(filters, facet);
+      const linked = LINKED_FACETS[facet];
+      const sql = linked
+        ? `SELECT t.slug AS value, COUNT(*) AS count FROM ${linked.links} l JOIN ${linked.lookup} t ON t.id = l.${linked.key}
+           WHERE l.exercise_id IN (SELECT id FROM Exercises ${where}) GROUP BY t.slug ORDER BY t.slug ASC`
+        : `SELECT ${column} AS value, COUNT(*) AS count FROM Exercises ${where} GROUP BY ${column} ORDER BY ${column} ASC`;
+      const rows = await this.all(sql, params);
+
+      facets[facet] = {};
+      for (const row of rows) {
+        facets[facet][row.value] = row.count;
+      }
     }
 
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    return facets;
   }
 
-  // READ: Get single exercise by ID
-  async getExerciseById(id) {
-    const sql = 'SELECT * FROM Exercises WHERE id = ?';
+  // READ: Get single exercise by ID; deleted exercises only with { includeDeleted: true }
+  async getExerciseById(id, { includeDeleted = false } = {}) {
+    const sql = includeDeleted
+      ? 'SELECT * FROM Exercises WHERE id = ?'
+      : 'SELECT * FROM Exercises WHERE id = ? AND deleted_timestamp IS NULL';
     
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, [id], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+    return this.get(sql, [id]);
   }
 
-  // READ: Search exercises by name
-  async searchExercises(searchTerm, limit = 10) {
+  // READ: Full-text search over name, instructions, muscle and equipment.
+  // Every word is prefix-matched ("band" finds "bands"); results are ranked with bm25,
+  // weighting name matches highest. Each row gets a `snippet` with matches wrapped in
+  // SEARCH_MATCH_START/SEARCH_MATCH_END markers. excludeConditions leaves out exercises
+  // contraindicated for any of those condition slugs.
+  async searchExercises(searchTerm, limit = 10, { excludeConditions = [] } = {}) {
+    const terms = (searchTerm.match(/[\p{L}\p{N}]+/gu) || []).map(term => `"${term}"*`);
+
+    if (terms.length === 0) {
+      return [];
+    }
+
     const sql = `
-      SELECT * FROM Exercises 
-      WHERE exercise_name LIKE ? 
-      ORDER BY exercise_name ASC 
+      SELECT e.*,
+             snippet(ExercisesFts, -1, ?, ?, '…', 16) AS snippet
+      FROM ExercisesFts
+      JOIN Exercises e ON e.id = ExercisesFts.rowid
+      WHERE ExercisesFts MATCH ? AND e.deleted_timestamp IS NULL
+        ${excludeConditions.length ? `AND e.id NOT IN (${this.contraindicatedSql(excludeConditions)})` : ''}
+      ORDER BY bm25(ExercisesFts, 10.0, 1.0, 4.0, 4.0) ASC, e.exercise_name ASC
       LIMIT ?
     `;
-    
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, [`%${searchTerm}%`, limit], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+
+    // Prefer exercises matching every word, then fall back to any word
+    const markers = [SEARCH_MATCH_START, SEARCH_MATCH_END];
+    const rows = await this.all(sql, [...markers, terms.join(' AND '), ...excludeConditions, limit]);
+    if (rows.length > 0 || terms.length === 1) {
+      return rows;
+    }
+    return this.all(sql, [...markers, terms.join(' OR '), ...excludeConditions, limit]);
   }
 
-  // UPDATE: Update an existing exercise
-  async updateExercise(id, updates) {
-    const allowedFields = ['exercise_name', 'exercise_type', 'muscle', 'equipment', 'difficulty', 'instructions', 'is_favorited'];
+  // UPDATE: Update an existing exercise, recording the before/after versions
+  async updateExercise(id, updates, actor = null) {
     const fields = [];
     const values = [];
 
     for (const [key, value] of Object.entries(updates)) {
-      if (allowedFields.includes(key)) {
-        // Convert boolean to integer for is_favorited
-        if (key === 'is_favorited') {
-          fields.push(`${key} = ?`);
-          values.push(value ? 1 : 0);
-        } else {
-          fields.push(`${key} = ?`);
-          values.push(value);
-        }
+      if (AUDITED_FIELDS.includes(key)) {
+        fields.push(`${key} = ?`);
+        values.push(value);
       }
     }
 
-    if (fields.length === 0) {
+    const hasLinks = [...Object.keys(LINK_FIELDS), ...Object.keys(SAFETY_FIELDS)].some(field => Array.isArray(updates[field]));
+    if (fields.length === 0 && !hasLinks) {
       throw new Error('No valid fields to update');
     }
 
@@ -209,117 +448,1150 @@ class Database {
     fields.push('last_updated = CURRENT_TIMESTAMP');
     values.push(id);
 
-    const sql = `UPDATE Exercises SET ${fields.join(', ')} WHERE id = ?`;
+    return this.transaction(async () => {
+      if (!await this.getExerciseById(id)) {
+        return { changes: 0 };
+      }
 
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, values, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ changes: this.changes });
-        }
-      });
+      const before = await this.getExerciseSnapshot(id);
+      const result = await this.run(`UPDATE Exercises SET ${fields.join(', ')} WHERE id = ?`, values);
+      await this.setExerciseLinks(id, updates);
+      await this.recordExerciseAudit(id, 'update', before, await this.getExerciseSnapshot(id), actor);
+      return { changes: result.changes };
+    });
+  }
+
+  // FAVORITES (per user)
+
+  // Star or unstar an exercise for a user ({ id, display_name }); returns { changes }
+  // like the other writes. Actual changes are recorded in the audit log.
+  async setFavorite(user, exerciseId, favorited) {
+    const sql = favorited
+      ? 'INSERT OR IGNORE INTO UserFavorites (user_id, exercise_id) VALUES (?, ?)'
+      : 'DELETE FROM UserFavorites WHERE user_id = ? AND exercise_id = ?';
+
+    return this.transaction(async () => {
+      const result = await this.run(sql, [user.id, exerciseId]);
+      if (result.changes > 0) {
+        await this.recordExerciseAudit(exerciseId, 'favorite', { is_favorited: !favorited }, { is_favorited: favorited }, user);
+      }
+      return { changes: result.changes };
     });
   }
 
-  // NEW: Toggle favorite status for an exercise
-  async toggleFavorite(id) {
+  // Flip an exercise's star for a user; returns the new state
+  async toggleFavorite(user, exerciseId) {
+    const favoriteIds = await this.getFavoriteIds(user.id);
+    const favorited = !favoriteIds.has(Number(exerciseId));
+    await this.setFavorite(user, exerciseId, favorited);
+    return favorited;
+  }
+
+  // Ids of a user's starred exercises, for marking is_favorited in responses.
+  // Anonymous requests (no userId) have no favorites.
+  async getFavoriteIds(userId) {
+    if (!userId) {
+      return new Set();
+    }
+    const rows = await this.all('SELECT exercise_id FROM UserFavorites WHERE user_id = ?', [userId]);
+    return new Set(rows.map(row => row.exercise_id));
+  }
+
+  // READ: Get a user's favorited exercises
+  async getFavorites(userId) {
     const sql = `
-      UPDATE Exercises 
-      SET is_favorited = CASE WHEN is_favorited = 1 THEN 0 ELSE 1 END,
-          last_updated = CURRENT_TIMESTAMP
-      WHERE id = ?
+      SELECT e.* FROM Exercises e
+      JOIN UserFavorites f ON f.exercise_id = e.id
+      WHERE f.user_id = ? AND e.deleted_timestamp IS NULL
+      ORDER BY e.exercise_name ASC
     `;
-    
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [id], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ changes: this.changes });
-        }
-      });
-    });
+    return this.all(sql, [userId]);
   }
 
-  // NEW: Get all favorited exercises
-  async getFavorites() {
-    const sql = 'SELECT * FROM Exercises WHERE is_favorited = 1 ORDER BY exercise_name ASC';
-    
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, [], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
+  // DELETE: Soft-delete an exercise. The row stays (programs that use it keep working)
+  // but disappears from lists, search and lookups until undeleted.
+  async deleteExercise(id, actor = null) {
+    return this.transaction(async () => {
+      if (!await this.getExerciseById(id)) {
+        return { changes: 0 };
+      }
+
+      const snapshot = await this.getExerciseSnapshot(id);
+      const result = await this.run(
+        'UPDATE Exercises SET deleted_timestamp = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+        [id]
+      );
+      await this.recordExerciseAudit(id, 'delete', snapshot, null, actor);
+      return { changes: result.changes };
     });
   }
 
-  // DELETE: Delete an exercise
-  async deleteExercise(id) {
-    const sql = 'DELETE FROM Exercises WHERE id = ?';
-    
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [id], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ changes: this.changes });
-        }
-      });
+  // UPDATE: Undo a soft delete
+  async undeleteExercise(id, actor = null) {
+    return this.transaction(async () => {
+      const result = await this.run(
+        'UPDATE Exercises SET deleted_timestamp = NULL, last_updated = CURRENT_TIMESTAMP WHERE id = ? AND deleted_timestamp IS NOT NULL',
+        [id]
+      );
+      if (result.changes > 0) {
+        await this.recordExerciseAudit(id, 'undelete', null, await this.getExerciseSnapshot(id), actor);
+      }
+      return { changes: result.changes };
     });
   }
 
   // Utility: Get total count
   async getExerciseCount(filters = {}) {
-    let sql = 'SELECT COUNT(*) as count FROM Exercises WHERE 1=1';
-    const params = [];
+    const { where, params } = this.buildExerciseFilters(filters);
+    const row = await this.get(`SELECT COUNT(*) as count FROM Exercises ${where}`, params);
+    return row.count;
+  }
 
-    if (filters.name) {
-      sql += ' AND exercise_name LIKE ?';
-      params.push(`%${filters.name}%`);
+  // READ: What an exercise's ETag is built from: revision, the id of its latest audit
+  // entry (every change is audited, so edits within the same second still differ; 0 for
+  // seeded exercises never changed), and favorited_at, when userId last starred or
+  // unstarred it (favorites do not touch last_updated)
+  async getExerciseRevision(id, userId = null) {
+    return this.get(`
+      SELECT COALESCE(MAX(id), 0) AS revision,
+             MAX(CASE WHEN action = 'favorite' AND user_id = ? THEN created_timestamp END) AS favorited_at
+      FROM ExerciseAudit
+      WHERE exercise_id = ?
+    `, [userId, id]);
+  }
+
+  // READ: getExerciseRevision for the whole library, for list ETags and caches built from
+  // the library: the live count, the latest create or update, and revision, the id of the
+  // latest audit entry. Every change is audited (favorites too), so revision moves even
+  // for edits within the same second, which timestamps cannot tell apart.
+  async getLibraryRevision() {
+    return this.get(`
+      SELECT (SELECT COUNT(*) FROM Exercises WHERE deleted_timestamp IS NULL) AS count,
+             (SELECT MAX(COALESCE(last_updated, created_timestamp)) FROM Exercises) AS changed_at,
+             (SELECT COALESCE(MAX(id), 0) FROM ExerciseAudit) AS revision,
+             (SELECT MAX(created_timestamp) FROM ExerciseAudit) AS audited_at
+    `);
+  }
+
+  // Utility: Check if a live exercise has this name, ignoring case as getExerciseByName
+  // does (deleted ones give theirs up); excludeId leaves out the exercise being renamed
+  async exerciseExists(name, { excludeId = null } = {}) {
+    const sql = 'SELECT id FROM Exercises WHERE exercise_name = ? COLLATE NOCASE AND deleted_timestamp IS NULL AND id IS NOT ? LIMIT 1';
+    
+    const row = await this.get(sql, [name, excludeId === null ? null : Number(excludeId)]);
+    return !!row;
+  }
+
+  // Utility: Return the subset of ids that exist in Exercises
+  async getExistingExerciseIds(ids) {
+    if (ids.length === 0) {
+      return [];
     }
+    const placeholders = ids.map(() => '?').join(', ');
+    const rows = await this.all(
+      `SELECT id FROM Exercises WHERE id IN (${placeholders}) AND deleted_timestamp IS NULL`,
+      ids
+    );
+    return rows.map(row => row.id);
+  }
+
+  // PATIENTS
+
+  // CREATE: Insert a new patient
+  async createPatient(patient) {
+    const { clinic_id = null, first_name, last_name, date_of_birth = null, diagnosis = null, notes = null } = patient;
+
+    const sql = `
+      INSERT INTO Patients (clinic_id, first_name, last_name, date_of_birth, diagnosis, notes)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await this.run(sql, [clinic_id, first_name, last_name, date_of_birth, diagnosis, notes]);
+    return this.getPatientById(result.lastID);
+  }
+
+  // READ: Get all patients of a clinic
+  async getPatients(clinicId) {
+    return this.all('SELECT * FROM Patients WHERE clinic_id = ? ORDER BY last_name ASC, first_name ASC', [clinicId]);
+  }
+
+  // READ: Get single patient by ID
+  async getPatientById(id) {
+    return this.get('SELECT * FROM Patients WHERE id = ?', [id]);
+  }
 
-    if (filters.muscle) {
-      sql += ' AND muscle = ?';
-      params.push(filters.muscle);
+  // UPDATE: Update an existing patient
+  async updatePatient(id, updates) {
+    const fields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (PATIENT_FIELDS.includes(key)) {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
     }
 
-    if (filters.is_favorited !== undefined) {
-      sql += ' AND is_favorited = ?';
-      params.push(filters.is_favorited ? 1 : 0);
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
     }
 
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row.count);
-        }
-      });
+    fields.push('last_updated = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    const result = await this.run(`UPDATE Patients SET ${fields.join(', ')} WHERE id = ?`, values);
+    return { changes: result.changes };
+  }
+
+  // DELETE: Delete a patient (their programs are removed by cascade)
+  async deletePatient(id) {
+    const result = await this.run('DELETE FROM Patients WHERE id = ?', [id]);
+    return { changes: result.changes };
+  }
+
+  // PROGRAMS
+
+  // CREATE: Insert a program and its ordered exercise entries
+  async createProgram(patientId, program) {
+    const { name, notes = null, exercises = [] } = program;
+
+    return this.transaction(async () => {
+      const result = await this.run(
+        'INSERT INTO Programs (patient_id, program_name, notes) VALUES (?, ?, ?)',
+        [patientId, name, notes]
+      );
+      await this.replaceProgramExercises(result.lastID, exercises);
+      return result.lastID;
     });
   }
 
-  // Utility: Check if exercise exists by name
-  async exerciseExists(name) {
-    const sql = 'SELECT id FROM Exercises WHERE exercise_name = ? LIMIT 1';
-    
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, [name], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(!!row);
-        }
-      });
+  // READ: Get all programs for a patient, newest first
+  async getProgramsByPatient(patientId) {
+    return this.all(
+      'SELECT * FROM Programs WHERE patient_id = ? ORDER BY created_timestamp DESC, id DESC',
+      [patientId]
+    );
+  }
+
+  // READ: Get single program by ID
+  async getProgramById(id) {
+    return this.get('SELECT * FROM Programs WHERE id = ?', [id]);
+  }
+
+  // READ: Get a program's exercise entries in prescribed order, joined with exercise details
+  async getProgramExercises(programId) {
+    const sql = `
+      SELECT pe.*, e.exercise_name, e.exercise_type, e.muscle, e.equipment, e.difficulty, e.instructions
+      FROM ProgramExercises pe
+      JOIN Exercises e ON e.id = pe.exercise_id
+      WHERE pe.program_id = ?
+      ORDER BY pe.position ASC
+    `;
+    return this.all(sql, [programId]);
+  }
+
+  // UPDATE: Update program fields and, if given, replace its exercise list
+  async updateProgram(id, updates) {
+    return this.transaction(async () => {
+      const fields = [];
+      const values = [];
+
+      if (updates.name !== undefined) {
+        fields.push('program_name = ?');
+        values.push(updates.name);
+      }
+
+      if (updates.notes !== undefined) {
+        fields.push('notes = ?');
+        values.push(updates.notes);
+      }
+
+      fields.push('last_updated = CURRENT_TIMESTAMP');
+      values.push(id);
+
+      const result = await this.run(`UPDATE Programs SET ${fields.join(', ')} WHERE id = ?`, values);
+
+      if (result.changes > 0 && Array.isArray(updates.exercises)) {
+        await this.replaceProgramExercises(id, updates.exercises);
+      }
+
+      return { changes: result.changes };
     });
   }
 
-  // Close database connection
-  close() {
+  // Replace all entries of a program; array order becomes the prescribed order
+  async replaceProgramExercises(programId, exercises) {
+    await this.run('DELETE FROM ProgramExercises WHERE program_id = ?', [programId]);
+
+    const sql = `
+      INSERT INTO ProgramExercises
+        (program_id, exercise_id, position, sets, reps, hold_seconds, frequency_per_day, frequency_per_week, clinician_notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    for (const [index, entry] of exercises.entries()) {
+      await this.run(sql, [
+        programId,
+        entry.exercise_id,
+        index + 1,
+        entry.sets ?? null,
+        entry.reps ?? null,
+        entry.hold_seconds ?? null,
+        entry.frequency_per_day ?? null,
+        entry.frequency_per_week ?? null,
+        entry.clinician_notes ?? null
+      ]);
+    }
+
+    // Keep the prescription periods (migration 013) in step: close those of exercises no
+    // longer in the program and open one for each exercise new to it
+    await this.run(`
+      UPDATE PrescriptionPeriods SET ended_on = date('now')
+      WHERE program_id = ? AND ended_on IS NULL
+        AND exercise_id NOT IN (SELECT exercise_id FROM ProgramExercises WHERE program_id = ?)
+    `, [programId, programId]);
+    await this.run(`
+      INSERT INTO PrescriptionPeriods (program_id, exercise_id, started_on)
+      SELECT DISTINCT pe.program_id, pe.exercise_id, date('now')
+      FROM ProgramExercises pe
+      WHERE pe.program_id = ? AND NOT EXISTS (
+        SELECT 1 FROM PrescriptionPeriods pp
+        WHERE pp.program_id = pe.program_id AND pp.exercise_id = pe.exercise_id AND pp.ended_on IS NULL
+      )
+    `, [programId]);
+  }
+
+  // DELETE: Delete a program (its entries are removed by cascade)
+  async deleteProgram(id) {
+    const result = await this.run('DELETE FROM Programs WHERE id = ?', [id]);
+    return { changes: result.changes };
+  }
+
+  // SESSION LOGS
+
+  // CREATE: Record a completed exercise for a program
+  async createSessionLog(programId, log) {
+    const { exercise_id, session_date, sets_completed = null, reps_completed = null, pain_score = null, comment = null } = log;
+
+    const sql = `
+      INSERT INTO SessionLogs (program_id, exercise_id, session_date, sets_completed, reps_completed, pain_score, comment)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await this.run(sql, [programId, exercise_id, session_date, sets_completed, reps_completed, pain_score, comment]);
+    return this.getSessionLogById(result.lastID);
+  }
+
+  // READ: Get logs for a program, optionally limited to a date range (inclusive)
+  async getSessionLogs(programId, filters = {}) {
+    let sql = `
+      SELECT sl.*, e.exercise_name
+      FROM SessionLogs sl
+      JOIN Exercises e ON e.id = sl.exercise_id
+      WHERE sl.program_id = ?
+    `;
+    const params = [programId];
+
+    if (filters.from) {
+      sql += ' AND sl.session_date >= ?';
+      params.push(filters.from);
+    }
+
+    if (filters.to) {
+      sql += ' AND sl.session_date <= ?';
+      params.push(filters.to);
+    }
+
+    sql += ' ORDER BY sl.session_date DESC, sl.id DESC';
+
+    return this.all(sql, params);
+  }
+
+  // READ: Get single log by ID
+  async getSessionLogById(id) {
+    const sql = `
+      SELECT sl.*, e.exercise_name
+      FROM SessionLogs sl
+      JOIN Exercises e ON e.id = sl.exercise_id
+      WHERE sl.id = ?
+    `;
+    return this.get(sql, [id]);
+  }
+
+  // UPDATE: Update an existing log
+  async updateSessionLog(id, updates) {
+    const fields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (SESSION_LOG_FIELDS.includes(key)) {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    }
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    fields.push('last_updated = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    const result = await this.run(`UPDATE SessionLogs SET ${fields.join(', ')} WHERE id = ?`, values);
+    return { changes: result.changes };
+  }
+
+  // DELETE: Delete a log
+  async deleteSessionLog(id) {
+    const result = await this.run('DELETE FROM SessionLogs WHERE id = ?', [id]);
+    return { changes: result.changes };
+  }
+
+  // MEASURES
+
+  // READ: The outcome measure catalog in display order, deactivated measures only on request
+  async getMeasures({ includeInactive = false } = {}) {
+    const where = includeInactive ? '' : 'WHERE active = 1';
+    return this.all(`SELECT * FROM Measures ${where} ORDER BY position ASC, label ASC`);
+  }
+
+  // READ: Get single measure by ID
+  async getMeasureById(id) {
+    return this.get('SELECT * FROM Measures WHERE id = ?', [id]);
+  }
+
+  // READ: Get single measure by slug
+  async getMeasureBySlug(slug) {
+    return this.get('SELECT * FROM Measures WHERE slug = ?', [slug]);
+  }
+
+  // CREATE: Add a measure to the end of the catalog
+  async createMeasure(measure) {
+    const {
+      slug, label, category, unit = null, min_value = null, max_value = null,
+      higher_is_better = true, mcid = null, bilateral = false
+    } = measure;
+
+    const sql = `
+      INSERT INTO Measures (slug, label, category, unit, min_value, max_value, higher_is_better, mcid, bilateral, position)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM Measures))
+    `;
+
+    const result = await this.run(sql, [
+      slug, label, category, unit, min_value, max_value, higher_is_better ? 1 : 0, mcid, bilateral ? 1 : 0
+    ]);
+    return this.getMeasureById(result.lastID);
+  }
+
+  // UPDATE: Update a measure; the slug never changes
+  async updateMeasure(id, updates) {
+    const flags = ['higher_is_better', 'bilateral', 'active'];
+    const fields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (MEASURE_FIELDS.includes(key)) {
+        fields.push(`${key} = ?`);
+        values.push(flags.includes(key) ? (value ? 1 : 0) : value);
+      }
+    }
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    values.push(id);
+
+    const result = await this.run(`UPDATE Measures SET ${fields.join(', ')} WHERE id = ?`, values);
+    return { changes: result.changes };
+  }
+
+  // MEASUREMENTS
+
+  // Measurement rows with their measure's slug, label and unit
+  measurementsSql(where) {
+    return `
+      SELECT pm.*, m.slug AS measure, m.label AS measure_label, m.unit
+      FROM PatientMeasurements pm
+      JOIN Measures m ON m.id = pm.measure_id
+      WHERE ${where}
+    `;
+  }
+
+  // CREATE: Record a measurement for a patient
+  async createMeasurement(patientId, measurement) {
+    const { measure_id, measured_on, value, side = null, notes = null, recorded_by = null } = measurement;
+
+    const sql = `
+      INSERT INTO PatientMeasurements (patient_id, measure_id, measured_on, value, side, notes, recorded_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await this.run(sql, [patientId, measure_id, measured_on, value, side, notes, recorded_by]);
+    return this.getMeasurementById(result.lastID);
+  }
+
+  // READ: A patient's measurements oldest first, optionally for one measure (slug) and
+  // limited to a date range (inclusive)
+  async getMeasurements(patientId, filters = {}) {
+    let where = 'pm.patient_id = ?';
+    const params = [patientId];
+
+    if (filters.measure) {
+      where += ' AND m.slug = ?';
+      params.push(filters.measure);
+    }
+
+    if (filters.from) {
+      where += ' AND pm.measured_on >= ?';
+      params.push(filters.from);
+    }
+
+    if (filters.to) {
+      where += ' AND pm.measured_on <= ?';
+      params.push(filters.to);
+    }
+
+    return this.all(`${this.measurementsSql(where)} ORDER BY pm.measured_on ASC, pm.id ASC`, params);
+  }
+
+  // READ: Get single measurement by ID
+  async getMeasurementById(id) {
+    return this.get(this.measurementsSql('pm.id = ?'), [id]);
+  }
+
+  // UPDATE: Update an existing measurement
+  async updateMeasurement(id, updates) {
+    const fields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (MEASUREMENT_FIELDS.includes(key)) {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    }
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    fields.push('last_updated = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    const result = await this.run(`UPDATE PatientMeasurements SET ${fields.join(', ')} WHERE id = ?`, values);
+    return { changes: result.changes };
+  }
+
+  // DELETE: Delete a measurement
+  async deleteMeasurement(id) {
+    const result = await this.run('DELETE FROM PatientMeasurements WHERE id = ?', [id]);
+    return { changes: result.changes };
+  }
+
+  // READ: When each exercise was prescribed to a patient, across all their programs (or
+  // one, with programId), optionally limited to periods overlapping a date range. Open
+  // periods have ended_on null.
+  async getPrescriptionPeriods(patientId, filters = {}) {
+    let sql = `
+      SELECT pp.program_id, p.program_name, pp.exercise_id, e.exercise_name, pp.started_on, pp.ended_on
+      FROM PrescriptionPeriods pp
+      JOIN Programs p ON p.id = pp.program_id
+      JOIN Exercises e ON e.id = pp.exercise_id
+      WHERE p.patient_id = ?
+    `;
+    const params = [patientId];
+
+    if (filters.programId) {
+      sql += ' AND pp.program_id = ?';
+      params.push(filters.programId);
+    }
+
+    if (filters.from) {
+      sql += ' AND (pp.ended_on IS NULL OR pp.ended_on >= ?)';
+      params.push(filters.from);
+    }
+
+    if (filters.to) {
+      sql += ' AND pp.started_on <= ?';
+      params.push(filters.to);
+    }
+
+    sql += ' ORDER BY pp.started_on ASC, e.exercise_name ASC';
+
+    return this.all(sql, params);
+  }
+
+  // Utility: Find an exercise by exact name (case-insensitive); deleted exercises only
+  // with { includeDeleted: true }
+  async getExerciseByName(name, { includeDeleted = false } = {}) {
+    const sql = includeDeleted
+      ? 'SELECT * FROM Exercises WHERE exercise_name = ? COLLATE NOCASE LIMIT 1'
+      : 'SELECT * FROM Exercises WHERE exercise_name = ? COLLATE NOCASE AND deleted_timestamp IS NULL LIMIT 1';
+
+    return this.get(sql, [name]);
+  }
+
+  // EXERCISE AUDIT LOG
+
+  // Record one change to an exercise. before/after are snapshots (null before a create
+  // or after a delete); actor is the user ({ id, display_name }) or null for scripts.
+  async recordExerciseAudit(exerciseId, action, before, after, actor = null) {
+    const sql = `
+      INSERT INTO ExerciseAudit (exercise_id, action, before_json, after_json, user_id, actor_name)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    await this.run(sql, [
+      exerciseId,
+      action,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      actor ? actor.id : null,
+      actor ? actor.display_name : null
+    ]);
+  }
+
+  // Utility: Whether a user (rather than a script) has created, edited or restored an
+  // exercise. Imports leave those exercises alone.
+  async hasUserEdits(exerciseId) {
+    const row = await this.get(
+      `SELECT 1 FROM ExerciseAudit
+       WHERE exercise_id = ? AND (user_id IS NOT NULL OR actor_name IS NOT NULL)
+         AND action IN ('create', 'update', 'restore')
+       LIMIT 1`,
+      [exerciseId]
+    );
+    return !!row;
+  }
+
+  // READ: Get an exercise's audit entries, newest first, with snapshots parsed
+  async getExerciseHistory(exerciseId) {
+    const rows = await this.all(
+      'SELECT * FROM ExerciseAudit WHERE exercise_id = ? ORDER BY id DESC',
+      [exerciseId]
+    );
+    return rows.map(parseAuditRow);
+  }
+
+  // READ: Get one audit entry of an exercise
+  async getExerciseAuditEntry(exerciseId, auditId) {
+    const row = await this.get(
+      'SELECT * FROM ExerciseAudit WHERE id = ? AND exercise_id = ?',
+      [auditId, exerciseId]
+    );
+    return row ? parseAuditRow(row) : row;
+  }
+
+  // UPDATE: Put an exercise back to the version saved in an audit entry: its "after"
+  // snapshot, or with version = 'before' the one it replaced (the only copy of the
+  // original for exercises that predate the audit log). The restore is itself audited,
+  // so it can be undone the same way.
+  async restoreExerciseVersion(exerciseId, auditId, actor = null, version = 'after') {
+    return this.transaction(async () => {
+      const entry = await this.getExerciseAuditEntry(exerciseId, auditId);
+      if (!entry || !await this.getExerciseById(exerciseId)) {
+        return { changes: 0 };
+      }
+
+      const before = await this.getExerciseSnapshot(exerciseId);
+      const snapshot = entry[version];
+      const sql = `
+        UPDATE Exercises
+        SET ${AUDITED_FIELDS.map(field => `${field} = ?`).join(', ')}, last_updated = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      const result = await this.run(sql, [...AUDITED_FIELDS.map(field => snapshot[field]), exerciseId]);
+      // Snapshots from before migration 009 have no links; those are left as they are
+      await this.setExerciseLinks(exerciseId, snapshot);
+
+      await this.recordExerciseAudit(exerciseId, 'restore', before, await this.getExerciseSnapshot(exerciseId), actor);
+      return { changes: result.changes };
+    });
+  }
+
+  // TAXONOMY
+
+  // The lookup tables in display order:
+  // { body_regions: [{ slug, label, muscles: [slug] }], muscles: [{ slug, label, body_region }],
+  //   equipment: [{ slug, label }], types: [{ slug, label }], conditions: [{ slug, label }] }
+  // Muscles added without a region have body_region null and come last.
+  async getTaxonomy() {
+    const regions = await this.all('SELECT slug, label FROM BodyRegions ORDER BY position ASC, slug ASC');
+    const muscles = await this.all(`
+      SELECT m.slug, m.label, r.slug AS body_region
+      FROM Muscles m
+      LEFT JOIN BodyRegions r ON r.id = m.body_region_id
+      ORDER BY r.position IS NULL, r.position ASC, m.position ASC, m.slug ASC
+    `);
+    const equipment = await this.all('SELECT slug, label FROM Equipment ORDER BY position ASC, slug ASC');
+    const types = await this.all('SELECT slug, label FROM ExerciseTypes ORDER BY position ASC, slug ASC');
+    const conditions = await this.all('SELECT slug, label FROM Conditions ORDER BY position ASC, slug ASC');
+
+    return {
+      body_regions: regions.map(region => ({
+        ...region,
+        muscles: muscles.filter(muscle => muscle.body_region === region.slug).map(muscle => muscle.slug)
+      })),
+      muscles,
+      equipment,
+      types,
+      conditions
+    };
+  }
+
+  // READ: Secondary muscles, additional equipment and safety flags of each exercise, as
+  // Map of id → { secondary_muscles: [slug], additional_equipment: [slug],
+  //               contraindications: [condition slug], precautions: [condition slug] }
+  async getExerciseLinks(exerciseIds) {
+    const links = new Map(exerciseIds.map(id => [Number(id), {
+      secondary_muscles: [], additional_equipment: [], contraindications: [], precautions: []
+    }]));
+    if (links.size === 0) {
+      return links;
+    }
+
+    const placeholders = exerciseIds.map(() => '?').join(', ');
+    for (const [field, facet] of Object.entries(LINK_FIELDS)) {
+      const linked = LINKED_FACETS[facet];
+      const rows = await this.all(`
+        SELECT l.exercise_id, t.slug
+        FROM ${linked.links} l
+        JOIN ${linked.lookup} t ON t.id = l.${linked.key}
+        WHERE l.is_primary = 0 AND l.exercise_id IN (${placeholders})
+        ORDER BY t.position ASC, t.slug ASC
+      `, exerciseIds);
+
+      for (const row of rows) {
+        links.get(row.exercise_id)[field].push(row.slug);
+      }
+    }
+
+    const conditions = await this.all(`
+      SELECT ec.exercise_id, ec.severity, c.slug
+      FROM ExerciseConditions ec
+      JOIN Conditions c ON c.id = ec.condition_id
+      WHERE ec.exercise_id IN (${placeholders})
+      ORDER BY c.position ASC, c.slug ASC
+    `, exerciseIds);
+    const severityFields = Object.fromEntries(Object.entries(SAFETY_FIELDS).map(([field, severity]) => [severity, field]));
+    for (const row of conditions) {
+      links.get(row.exercise_id)[severityFields[row.severity]].push(row.slug);
+    }
+
+    return links;
+  }
+
+  // UPDATE: Replace an exercise's secondary muscles, additional equipment and/or safety
+  // flags with the slug lists in values ({ secondary_muscles?, additional_equipment?,
+  // contraindications?, precautions? }); fields that are not arrays are left alone. The
+  // primary muscle and equipment are never duplicated here, and a condition listed as
+  // both a contraindication and a precaution is kept as a contraindication.
+  async setExerciseLinks(exerciseId, values) {
+    for (const [field, facet] of Object.entries(LINK_FIELDS)) {
+      if (!Array.isArray(values[field])) {
+        continue;
+      }
+
+      const linked = LINKED_FACETS[facet];
+      await this.run(`DELETE FROM ${linked.links} WHERE exercise_id = ? AND is_primary = 0`, [exerciseId]);
+      for (const slug of values[field]) {
+        await this.run(
+          `INSERT OR IGNORE INTO ${linked.links} (exercise_id, ${linked.key}, is_primary) SELECT ?, id, 0 FROM ${linked.lookup} WHERE slug = ?`,
+          [exerciseId, slug]
+        );
+      }
+    }
+
+    for (const [field, severity] of Object.entries(SAFETY_FIELDS)) {
+      if (Array.isArray(values[field])) {
+        await this.run('DELETE FROM ExerciseConditions WHERE exercise_id = ? AND severity = ?', [exerciseId, severity]);
+      }
+    }
+    for (const [field, severity] of Object.entries(SAFETY_FIELDS)) {
+      for (const slug of Array.isArray(values[field]) ? values[field] : []) {
+        await this.run(
+          'INSERT OR IGNORE INTO ExerciseConditions (exercise_id, condition_id, severity) SELECT ?, id, ? FROM Conditions WHERE slug = ?',
+          [exerciseId, severity, slug]
+        );
+      }
+    }
+  }
+
+  // READ: An exercise's audited state (deleted or not): its AUDITED_FIELDS plus
+  // secondary_muscles, additional_equipment, contraindications and precautions
+  async getExerciseSnapshot(id) {
+    const row = await this.getExerciseById(id, { includeDeleted: true });
+    if (!row) {
+      return null;
+    }
+    const links = await this.getExerciseLinks([row.id]);
+    return { ...exerciseSnapshot(row), ...links.get(row.id) };
+  }
+
+  // EXERCISE RELATIONS
+
+  // SELECT for relations seen from exercise ?: the related exercise's columns plus
+  // relation_id, relation (progression/regression flipped to this side) and notes.
+  // Takes the exercise id four times, then the where clause's parameters.
+  relationsSql(where) {
+    return `
+      SELECT e.*, r.id AS relation_id, r.notes,
+             CASE WHEN r.relation != 'progression' THEN r.relation
+                  WHEN r.exercise_id = ? THEN 'progression'
+                  ELSE 'regression' END AS relation
+      FROM ExerciseRelations r
+      JOIN Exercises e ON e.id = CASE WHEN r.exercise_id = ? THEN r.related_exercise_id ELSE r.exercise_id END
+      WHERE (r.exercise_id = ? OR r.related_exercise_id = ?) AND e.deleted_timestamp IS NULL ${where}
+      ORDER BY ${SORT_FIELDS.difficulty} ASC, e.exercise_name ASC
+    `;
+  }
+
+  // CREATE: Relate two exercises; relation is one of RELATION_TYPES from exerciseId's
+  // point of view. Returns the relation as getExerciseRelations lists it.
+  async createExerciseRelation(exerciseId, relatedId, relation, { notes = null, createdBy = null } = {}) {
+    let from = Number(exerciseId);
+    let to = Number(relatedId);
+    if (relation === 'regression' || (relation !== 'progression' && from > to)) {
+      [from, to] = [to, from];
+    }
+
+    const result = await this.run(
+      'INSERT INTO ExerciseRelations (exercise_id, related_exercise_id, relation, notes, created_by) VALUES (?, ?, ?, ?, ?)',
+      [from, to, relation === 'regression' ? 'progression' : relation, notes, createdBy]
+    );
+    return this.getExerciseRelation(exerciseId, result.lastID);
+  }
+
+  // READ: An exercise's related exercises (deleted ones left out), easiest first
+  async getExerciseRelations(exerciseId) {
+    return this.all(this.relationsSql(''), [exerciseId, exerciseId, exerciseId, exerciseId]);
+  }
+
+  // READ: One relation of an exercise, seen from that exercise
+  async getExerciseRelation(exerciseId, relationId) {
+    return this.get(this.relationsSql('AND r.id = ?'), [exerciseId, exerciseId, exerciseId, exerciseId, relationId]);
+  }
+
+  // READ: The relation between two exercises in either direction, as stored
+  async findExerciseRelation(exerciseId, relatedId) {
+    const sql = `
+      SELECT * FROM ExerciseRelations
+      WHERE MIN(exercise_id, related_exercise_id) = MIN(?, ?) AND MAX(exercise_id, related_exercise_id) = MAX(?, ?)
+    `;
+    return this.get(sql, [exerciseId, relatedId, exerciseId, relatedId]);
+  }
+
+  // Utility: Whether toId can be reached from fromId by following progressions, i.e.
+  // toId is fromId or harder than it. Used to keep progressions free of loops.
+  async progressionReaches(fromId, toId) {
+    const sql = `
+      WITH RECURSIVE harder(id) AS (
+        SELECT ?
+        UNION
+        SELECT r.related_exercise_id FROM ExerciseRelations r JOIN harder h ON r.exercise_id = h.id
+        WHERE r.relation = 'progression'
+      )
+      SELECT 1 AS found FROM harder WHERE id = ?
+    `;
+    return !!(await this.get(sql, [Number(fromId), Number(toId)]));
+  }
+
+  // READ: Every exercise on an exercise's progression ladder with its step: negative
+  // steps are easier, 0 is the exercise itself, positive steps harder. An exercise
+  // reachable in several ways sits on its furthest step from the middle.
+  async getProgressionLadder(exerciseId) {
+    const sql = `
+      WITH RECURSIVE
+        harder(id, step) AS (
+          SELECT ?, 0
+          UNION
+          SELECT r.related_exercise_id, h.step + 1 FROM ExerciseRelations r JOIN harder h ON r.exercise_id = h.id
+          WHERE r.relation = 'progression' AND h.step < ?
+        ),
+        easier(id, step) AS (
+          SELECT ?, 0
+          UNION
+          SELECT r.exercise_id, e.step - 1 FROM ExerciseRelations r JOIN easier e ON r.related_exercise_id = e.id
+          WHERE r.relation = 'progression' AND e.step > -?
+        ),
+        steps(id, step) AS (
+          SELECT id, MAX(step) FROM harder GROUP BY id
+          UNION ALL
+          SELECT id, MIN(step) FROM easier WHERE step < 0 GROUP BY id
+        )
+      SELECT e.*, s.step
+      FROM steps s
+      JOIN Exercises e ON e.id = s.id
+      WHERE e.deleted_timestamp IS NULL
+      ORDER BY s.step ASC, e.exercise_name ASC
+    `;
+    const id = Number(exerciseId);
+    return this.all(sql, [id, MAX_PROGRESSION_STEPS, id, MAX_PROGRESSION_STEPS]);
+  }
+
+  // DELETE: Remove a relation of an exercise
+  async deleteExerciseRelation(exerciseId, relationId) {
+    const result = await this.run(
+      'DELETE FROM ExerciseRelations WHERE id = ? AND (exercise_id = ? OR related_exercise_id = ?)',
+      [relationId, exerciseId, exerciseId]
+    );
+    return { changes: result.changes };
+  }
+
+  // EXERCISE IMAGES
+
+  // CREATE: Record a stored image file, appended after the exercise's existing images
+  async addExerciseImage(image) {
+    const { exercise_id, file_name, source = 'upload', source_path = null } = image;
+
+    const sql = `
+      INSERT INTO ExerciseImages (exercise_id, file_name, source, source_path, position)
+      VALUES (?, ?, ?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM ExerciseImages WHERE exercise_id = ?))
+    `;
+
+    const result = await this.run(sql, [exercise_id, file_name, source, source_path, exercise_id]);
+    return this.getExerciseImageById(result.lastID);
+  }
+
+  // READ: Get an exercise's images in display order
+  async getExerciseImages(exerciseId) {
+    return this.all('SELECT * FROM ExerciseImages WHERE exercise_id = ? ORDER BY position ASC, id ASC', [exerciseId]);
+  }
+
+  // READ: Get single image by ID
+  async getExerciseImageById(id) {
+    return this.get('SELECT * FROM ExerciseImages WHERE id = ?', [id]);
+  }
+
+  // READ: Get all images that came from one source, e.g. 'free-exercise-db'
+  async getExerciseImagesBySource(source) {
+    return this.all('SELECT * FROM ExerciseImages WHERE source = ? ORDER BY exercise_id ASC, position ASC', [source]);
+  }
+
+  // DELETE: Delete an image record (the caller removes the files)
+  async deleteExerciseImage(id) {
+    const result = await this.run('DELETE FROM ExerciseImages WHERE id = ?', [id]);
+    return { changes: result.changes };
+  }
+
+  // EXERCISE IMAGE MATCHES
+
+  // CREATE/UPDATE: Record the matcher's pick for an exercise (candidates: [{ id, name, score, images }])
+  async saveImageMatch(match) {
+    const { exercise_id, source_id = null, source_name = null, score = 0, status = 'auto', candidates = [] } = match;
+
+    const sql = `
+      INSERT INTO ExerciseImageMatches (exercise_id, source_id, source_name, score, status, candidates, last_updated)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(exercise_id) DO UPDATE SET
+        source_id = excluded.source_id,
+        source_name = excluded.source_name,
+        score = excluded.score,
+        status = excluded.status,
+        candidates = excluded.candidates,
+        last_updated = CURRENT_TIMESTAMP
+    `;
+
+    await this.run(sql, [exercise_id, source_id, source_name, score, status, JSON.stringify(candidates)]);
+    return this.getImageMatch(exercise_id);
+  }
+
+  // READ: Get an exercise's match with its candidates parsed
+  async getImageMatch(exerciseId) {
+    const sql = `
+      SELECT m.*, e.exercise_name
+      FROM ExerciseImageMatches m
+      JOIN Exercises e ON e.id = m.exercise_id
+      WHERE m.exercise_id = ?
+    `;
+
+    const row = await this.get(sql, [exerciseId]);
+    return row ? { ...row, candidates: JSON.parse(row.candidates) } : row;
+  }
+
+  // READ: Get matches for review, weakest first
+  // filters: { status?, maxScore?, withCandidates? }
+  async getImageMatches(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      conditions.push('m.status = ?');
+      params.push(filters.status);
+    }
+    if (filters.maxScore !== undefined) {
+      conditions.push('m.score < ?');
+      params.push(filters.maxScore);
+    }
+    if (filters.withCandidates) {
+      conditions.push("m.candidates != '[]'");
+    }
+
+    const sql = `
+      SELECT m.*, e.exercise_name
+      FROM ExerciseImageMatches m
+      JOIN Exercises e ON e.id = m.exercise_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY m.score ASC, e.exercise_name ASC
+    `;
+
+    const rows = await this.all(sql, params);
+    return rows.map(row => ({ ...row, candidates: JSON.parse(row.candidates) }));
+  }
+
+  // UPDATE: A reviewer accepts the current pick as is
+  async confirmImageMatch(exerciseId) {
+    const sql = `
+      UPDATE ExerciseImageMatches
+      SET status = 'confirmed', reviewed_timestamp = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+      WHERE exercise_id = ?
+    `;
+
+    const result = await this.run(sql, [exerciseId]);
+    return { changes: result.changes };
+  }
+
+  // UPDATE: A reviewer picks another candidate ('confirmed') or none at all ('rejected')
+  async reviewImageMatch(exerciseId, review) {
+    const { status, source_id = null, source_name = null, score = 0 } = review;
+
+    const sql = `
+      UPDATE ExerciseImageMatches
+      SET status = ?, source_id = ?, source_name = ?, score = ?,
+          reviewed_timestamp = CURRENT_TIMESTAMP, last_updated = CURRENT_TIMESTAMP
+      WHERE exercise_id = ?
+    `;
+
+    const result = await this.run(sql, [status, source_id, source_name, score, exerciseId]);
+    return { changes: result.changes };
+  }
+
+  // CLINICS & USERS
+
+  // CREATE: Insert a clinic and return its id
+  async createClinic(name) {
+    const result = await this.run('INSERT INTO Clinics (clinic_name) VALUES (?)', [name]);
+    return result.lastID;
+  }
+
+  // READ: Get single clinic by ID
+  async getClinicById(id) {
+    return this.get('SELECT * FROM Clinics WHERE id = ?', [id]);
+  }
+
+  // First-run setup: hand records from before accounts existed to the first clinic and admin.
+  // Patients without a clinic join it; the old shared favorites become the admin's.
+  async adoptUnownedData(clinicId, userId) {
+    await this.run('UPDATE Patients SET clinic_id = ? WHERE clinic_id IS NULL', [clinicId]);
+    await this.run(
+      'INSERT OR IGNORE INTO UserFavorites (user_id, exercise_id) SELECT ?, id FROM Exercises WHERE is_favorited = 1',
+      [userId]
+    );
+  }
+
+  // CREATE: Insert a user (password already hashed) and return it without the hash
+  async createUser(user) {
+    const { clinic_id, email, password_hash, display_name, role, patient_id = null } = user;
+
+    const sql = `
+      INSERT INTO Users (clinic_id, email, password_hash, display_name, role, patient_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await this.run(sql, [clinic_id, email, password_hash, display_name, role, patient_id]);
+    return this.getUserById(result.lastID);
+  }
+
+  async getUserCount() {
+    const row = await this.get('SELECT COUNT(*) as count FROM Users');
+    return row.count;
+  }
+
+  // READ: Get single user by ID (never includes the password hash)
+  async getUserById(id) {
+    const sql = `
+      SELECT id, clinic_id, email, display_name, role, patient_id, last_updated, created_timestamp
+      FROM Users WHERE id = ?
+    `;
+    return this.get(sql, [id]);
+  }
+
+  // READ: Get a user with their password hash, for logging in
+  async getUserCredentials(email) {
+    return this.get('SELECT * FROM Users WHERE email = ?', [email]);
+  }
+
+  // READ: Get all users of a clinic
+  async getUsersByClinic(clinicId) {
+    const sql = `
+      SELECT id, clinic_id, email, display_name, role, patient_id, last_updated, created_timestamp
+      FROM Users WHERE clinic_id = ?
+      ORDER BY display_name ASC
+    `;
+    return this.all(sql, [clinicId]);
+  }
+
+  // UPDATE: Replace a user's password hash
+  async updateUserPassword(id, passwordHash) {
+    const result = await this.run(
+      'UPDATE Users SET password_hash = ?, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+      [passwordHash, id]
+    );
+    return { changes: result.changes };
+  }
+
+  // DELETE: Delete a user (their sessions and favorites are removed by cascade)
+  async deleteUser(id) {
+    const result = await this.run('DELETE FROM Users WHERE id = ?', [id]);
+    return { changes: result.changes };
+  }
+
+  // SESSIONS
+
+  // CREATE: Record a login session by the hash of its token
+  async createSession(userId, tokenHash, expiresAt) {
+    await this.run(
+      'INSERT INTO Sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+      [userId, tokenHash, expiresAt]
+    );
+  }
+
+  // READ: Get the user behind an unexpired session token hash
+  async getSessionUser(tokenHash) {
+    const sql = `
+      SELECT u.id, u.clinic_id, u.email, u.display_name, u.role, u.patient_id
+      FROM Sessions s
+      JOIN Users u ON u.id = s.user_id
+      WHERE s.token_hash = ? AND s.expires_at > ?
+    `;
+    return this.get(sql, [tokenHash, new Date().toISOString()]);
+  }
+
+  // DELETE: End one session (logout)
+  async deleteSession(tokenHash) {
+    const result = await this.run('DELETE FROM Sessions WHERE token_hash = ?', [tokenHash]);
+    return { changes: result.changes };
+  }
+
+  // DELETE: End all of a user's sessions, e.g. after a password change
+  async deleteUserSessions(userId) {
+    await this.run('DELETE FROM Sessions WHERE user_id = ?', [userId]);
+  }
+
+  async deleteExpiredSessions() {
+    await this.run('DELETE FROM Sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+  }
+
+  // Close database connection, finishing any open transaction first
+  async close() {
+    await this.idle();
+    const statements = await Promise.allSettled(this.statements.values());
+    this.statements.clear();
+    await Promise.all(statements
+      .filter(({ status }) => status === 'fulfilled')
+      .map(({ value }) => new Promise(resolve => value.finalize(resolve))));
+
     return new Promise((resolve, reject) => {
       this.db.close((err) => {
         if (err) {
@@ -333,4 +1605,16 @@ class Database {
   }
 }
 
-module.exports = Database;
\ No newline at end of file
+module.exports = Database;
+module.exports.SEARCH_MATCH_START = SEARCH_MATCH_START;
+module.exports.SEARCH_MATCH_END = SEARCH_MATCH_END;
+module.exports.SORT_FIELDS = SORT_FIELDS;
+module.exports.AUDITED_FIELDS = AUDITED_FIELDS;
+module.exports.LINK_FIELDS = LINK_FIELDS;
+module.exports.SAFETY_FIELDS = SAFETY_FIELDS;
+module.exports.RELATION_TYPES = RELATION_TYPES;
+module.exports.PATIENT_FIELDS = PATIENT_FIELDS;
+module.exports.SESSION_LOG_FIELDS = SESSION_LOG_FIELDS;
+module.exports.MEASURE_FIELDS = MEASURE_FIELDS;
+module.exports.MEASUREMENT_FIELDS = MEASUREMENT_FIELDS;
+module.exports.isDuplicateNameError = isDuplicateNameError;
\ No newline at end of file
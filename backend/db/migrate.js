@@ -0,0 +1,214 @@
+// backend/db/migrate.js
+// Versioned schema migrations. Each file in db/migrations is named <version>_<name>.js
+// and exports async up(db) and down(db). Applied versions are recorded in
+// schema_migrations; each migration runs in its own transaction.
+//
+//   npm run db:migrate                      apply all pending migrations
+//   npm run db:rollback                     undo the last applied migration
+//   npm run db:rollback -- --steps 3        undo the last three
+//   npm run db:status                       list applied and pending migrations
+//
+// Migrations must also work on databases created before migrations existed, whose
+// tables are already there: use IF NOT EXISTS and db.addColumnIfMissing. For the same
+// reason 001, which covers the original Exercises table, cannot be rolled back.
+const fs = require('fs');
+const path = require('path');
+const Database = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// [{ version, name, up, down }] sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up(db) and down(db)`);
+      }
+      return { version: Number(match[1]), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations share version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Run one migration step. Foreign keys are switched off while the schema changes (they
+// cannot be toggled inside a transaction) so that rebuilding a table does not cascade,
+// and checked before committing.
+async function runStep(db, step) {
+  await db.run('PRAGMA foreign_keys = OFF');
+  try {
+    await db.transaction(async () => {
+      await step();
+
+      const violations = await db.all('PRAGMA foreign_key_check');
+      if (violations.length > 0) {
+        throw new Error(`Foreign key check failed for ${violations.length} rows (first in ${violations[0].table})`);
+      }
+    });
+  } finally {
+    await db.run('PRAGMA foreign_keys = ON');
+  }
+}
+
+// [{ version, name, applied_at }] for every known migration; applied_at is null when
+// pending. Applied versions with no file left are included with missing: true.
+async function getMigrationStatus(db, migrations = loadMigrations()) {
+  await ensureMigrationsTable(db);
+  const applied = new Map((await db.all('SELECT * FROM schema_migrations')).map(row => [row.version, row]));
+
+  const status = migrations.map(({ version, name }) => ({
+    version,
+    name,
+    applied_at: applied.has(version) ? applied.get(version).applied_at : null
+  }));
+
+  for (const row of applied.values()) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      status.push({ version: row.version, name: row.name, applied_at: row.applied_at, missing: true });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+// Apply every pending migration in order on an open database; returns the versions applied
+async function migrate(db, migrations = loadMigrations()) {
+  await ensureMigrationsTable(db);
+  const applied = new Set((await db.all('SELECT version FROM schema_migrations')).map(row => row.version));
+  const done = [];
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) {
+      continue;
+    }
+
+    await runStep(db, async () => {
+      await migration.up(db);
+      await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    console.log(`✓ Applied migration ${migration.version} ${migration.name}`);
+    done.push(migration.version);
+  }
+
+  return done;
+}
+
+// Undo the last `steps` applied migrations, newest first; returns the versions undone
+async function rollback(db, steps = 1, migrations = loadMigrations()) {
+  await ensureMigrationsTable(db);
+  const applied = await db.all('SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT ?', [steps]);
+  const done = [];
+
+  for (const row of applied) {
+    const migration = migrations.find(m => m.version === row.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back migration ${row.version} ${row.name}: its file is missing`);
+    }
+
+    await runStep(db, async () => {
+      await migration.down(db);
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+    console.log(`✓ Rolled back migration ${migration.version} ${migration.name}`);
+    done.push(migration.version);
+  }
+
+  return done;
+}
+
+// ========== COMMAND LINE ==========
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, steps: 1 };
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    throw new Error('Usage: node db/migrate.js up|down|status [--steps N]');
+  }
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--steps' && command === 'down') {
+      options.steps = Number(rest[++i]);
+      if (!Number.isInteger(options.steps) || options.steps < 1) {
+        throw new Error('--steps must be a positive integer');
+      }
+    } else {
+      throw new Error(`Unknown argument: ${rest[i]}`);
+    }
+  }
+
+  return options;
+}
+
+function printStatus(status) {
+  console.log('\n=== Schema Migrations ===\n');
+  for (const migration of status) {
+    const state = migration.missing
+      ? `applied ${migration.applied_at} (file missing!)`
+      : migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`${migration.applied_at ? '✅' : '⏳'} ${String(migration.version).padStart(3, '0')} ${migration.name} — ${state}`);
+  }
+
+  const pending = status.filter(migration => !migration.applied_at).length;
+  console.log(`\n${pending === 0 ? '✨ Up to date' : `⏳ ${pending} pending`}\n`);
+}
+
+async function main(options) {
+  const db = new Database();
+
+  try {
+    await db.connect();
+
+    if (options.command === 'up') {
+      const applied = await migrate(db);
+      console.log(applied.length > 0 ? `\n✅ Applied ${applied.length} migrations` : '\n✨ Already up to date');
+    } else if (options.command === 'down') {
+      const undone = await rollback(db, options.steps);
+      console.log(undone.length > 0 ? `\n✅ Rolled back ${undone.length} migrations` : '\nNothing to roll back');
+    } else {
+      printStatus(await getMigrationStatus(db));
+    }
+
+    await db.close();
+
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    if (db.db) {
+      await db.close();
+    }
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  main(options);
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, getMigrationStatus, migrate, rollback };
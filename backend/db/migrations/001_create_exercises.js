@@ -0,0 +1,39 @@
+// backend/db/migrations/001_create_exercises.js
+// The exercise library. is_favorited is the old shared star, kept for existing
+// databases; favorites are per user since 007.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS Exercises (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exercise_name TEXT NOT NULL,
+        exercise_type TEXT NOT NULL,
+        muscle TEXT NOT NULL,
+        equipment TEXT NOT NULL,
+        difficulty TEXT NOT NULL,
+        instructions TEXT NOT NULL,
+        is_favorited INTEGER DEFAULT 0,
+        last_updated DATETIME DEFAULT NULL,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Databases from before favorites existed have the table without the column
+  await db.addColumnIfMissing('Exercises', 'is_favorited', 'INTEGER DEFAULT 0');
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_exercises_name ON Exercises(exercise_name);
+    CREATE INDEX IF NOT EXISTS idx_exercises_muscle ON Exercises(muscle);
+    CREATE INDEX IF NOT EXISTS idx_exercises_type ON Exercises(exercise_type);
+    CREATE INDEX IF NOT EXISTS idx_exercises_favorited ON Exercises(is_favorited);
+  `);
+}
+
+// Databases from before migrations already had this table, full of exercises, when 001
+// was recorded against them, so dropping it could lose a library 001 never created.
+// Rollbacks stop here instead.
+async function down() {
+  throw new Error('Migration 001 cannot be rolled back: the Exercises table may predate it, and dropping it would lose the library');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+// backend/db/migrations/002_create_patient_programs.js
+// Patients and the home-exercise programs prescribed to them
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS Patients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        first_name TEXT NOT NULL,
+        last_name TEXT NOT NULL,
+        date_of_birth DATE DEFAULT NULL,
+        diagnosis TEXT DEFAULT NULL,
+        notes TEXT DEFAULT NULL,
+        last_updated DATETIME DEFAULT NULL,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS Programs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL REFERENCES Patients(id) ON DELETE CASCADE,
+        program_name TEXT NOT NULL,
+        notes TEXT DEFAULT NULL,
+        last_updated DATETIME DEFAULT NULL,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Ordered exercise entries of a program, each with its own dosage
+    CREATE TABLE IF NOT EXISTS ProgramExercises (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        program_id INTEGER NOT NULL REFERENCES Programs(id) ON DELETE CASCADE,
+        exercise_id INTEGER NOT NULL REFERENCES Exercises(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        sets INTEGER DEFAULT NULL,
+        reps INTEGER DEFAULT NULL,
+        hold_seconds INTEGER DEFAULT NULL,
+        frequency_per_day INTEGER DEFAULT NULL,
+        frequency_per_week INTEGER DEFAULT NULL,
+        clinician_notes TEXT DEFAULT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_programs_patient ON Programs(patient_id);
+    CREATE INDEX IF NOT EXISTS idx_program_exercises_program ON ProgramExercises(program_id, position);
+  `);
+}
+
+async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS ProgramExercises;
+    DROP TABLE IF EXISTS Programs;
+    DROP TABLE IF EXISTS Patients;
+  `);
+}
+
+module.exports = { up, down };
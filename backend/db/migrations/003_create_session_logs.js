@@ -0,0 +1,27 @@
+// backend/db/migrations/003_create_session_logs.js
+// What a patient actually did for a prescribed exercise on a given day
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS SessionLogs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        program_id INTEGER NOT NULL REFERENCES Programs(id) ON DELETE CASCADE,
+        exercise_id INTEGER NOT NULL REFERENCES Exercises(id) ON DELETE CASCADE,
+        session_date DATE NOT NULL,
+        sets_completed INTEGER DEFAULT NULL,
+        reps_completed INTEGER DEFAULT NULL,
+        pain_score INTEGER DEFAULT NULL CHECK (pain_score BETWEEN 0 AND 10),
+        comment TEXT DEFAULT NULL,
+        last_updated DATETIME DEFAULT NULL,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_session_logs_program_date ON SessionLogs(program_id, session_date);
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS SessionLogs;');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+// backend/db/migrations/004_create_exercise_search.js
+// Full-text index over the searchable exercise columns, kept in sync by triggers
+
+async function up(db) {
+  await db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS ExercisesFts USING fts5(
+        exercise_name,
+        instructions,
+        muscle,
+        equipment,
+        content='Exercises',
+        content_rowid='id',
+        tokenize='porter unicode61'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS exercises_fts_insert AFTER INSERT ON Exercises BEGIN
+        INSERT INTO ExercisesFts(rowid, exercise_name, instructions, muscle, equipment)
+        VALUES (new.id, new.exercise_name, new.instructions, new.muscle, new.equipment);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS exercises_fts_delete AFTER DELETE ON Exercises BEGIN
+        INSERT INTO ExercisesFts(ExercisesFts, rowid, exercise_name, instructions, muscle, equipment)
+        VALUES ('delete', old.id, old.exercise_name, old.instructions, old.muscle, old.equipment);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS exercises_fts_update AFTER UPDATE OF exercise_name, instructions, muscle, equipment ON Exercises BEGIN
+        INSERT INTO ExercisesFts(ExercisesFts, rowid, exercise_name, instructions, muscle, equipment)
+        VALUES ('delete', old.id, old.exercise_name, old.instructions, old.muscle, old.equipment);
+        INSERT INTO ExercisesFts(rowid, exercise_name, instructions, muscle, equipment)
+        VALUES (new.id, new.exercise_name, new.instructions, new.muscle, new.equipment);
+    END;
+  `);
+
+  // Index the exercises that were there before the triggers
+  const indexed = await db.get('SELECT COUNT(*) AS count FROM ExercisesFts_docsize');
+  const total = await db.get('SELECT COUNT(*) AS count FROM Exercises');
+  if (indexed.count !== total.count) {
+    await db.run("INSERT INTO ExercisesFts(ExercisesFts) VALUES('rebuild')");
+    console.log(`✓ Rebuilt search index for ${total.count} exercises`);
+  }
+}
+
+async function down(db) {
+  await db.exec(`
+    DROP TRIGGER IF EXISTS exercises_fts_update;
+    DROP TRIGGER IF EXISTS exercises_fts_delete;
+    DROP TRIGGER IF EXISTS exercises_fts_insert;
+    DROP TABLE IF EXISTS ExercisesFts;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// backend/db/migrations/005_create_exercise_images.js
+// Locally stored exercise images (imported from free-exercise-db or uploaded);
+// files live in the image store, a same-named thumbnail next to each
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS ExerciseImages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exercise_id INTEGER NOT NULL REFERENCES Exercises(id) ON DELETE CASCADE,
+        file_name TEXT NOT NULL UNIQUE,
+        source TEXT NOT NULL DEFAULT 'upload',
+        source_path TEXT DEFAULT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_exercise_images_exercise ON ExerciseImages(exercise_id, position);
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS ExerciseImages;');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// backend/db/migrations/006_create_image_matches.js
+// The free-exercise-db entry chosen for each exercise's images, with its match score.
+// candidates holds the top-ranked alternatives as JSON so a reviewer can pick another.
+// status: 'auto' (picked by the matcher), 'confirmed' (by a reviewer), 'rejected' (no good match)
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS ExerciseImageMatches (
+        exercise_id INTEGER PRIMARY KEY REFERENCES Exercises(id) ON DELETE CASCADE,
+        source_id TEXT DEFAULT NULL,
+        source_name TEXT DEFAULT NULL,
+        score REAL NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'auto' CHECK (status IN ('auto', 'confirmed', 'rejected')),
+        candidates TEXT NOT NULL DEFAULT '[]',
+        reviewed_timestamp DATETIME DEFAULT NULL,
+        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_exercise_image_matches_review ON ExerciseImageMatches(status, score);
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS ExerciseImageMatches;');
+}
+
+module.exports = { up, down };
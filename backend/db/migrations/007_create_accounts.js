@@ -0,0 +1,86 @@
+// backend/db/migrations/007_create_accounts.js
+// Clinics, user accounts, login sessions and per-user favorites. Patients now belong
+// to a clinic. Staff (admin, clinician) work across their clinic's patients; a patient
+// account is tied to one Patients row and only sees that patient's data.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS Clinics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        clinic_name TEXT NOT NULL,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await db.addColumnIfMissing('Patients', 'clinic_id', 'INTEGER DEFAULT NULL REFERENCES Clinics(id) ON DELETE CASCADE');
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_patients_clinic ON Patients(clinic_id);
+
+    CREATE TABLE IF NOT EXISTS Users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        clinic_id INTEGER NOT NULL REFERENCES Clinics(id) ON DELETE CASCADE,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        display_name TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'clinician', 'patient')),
+        patient_id INTEGER DEFAULT NULL REFERENCES Patients(id) ON DELETE CASCADE,
+        last_updated DATETIME DEFAULT NULL,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_users_clinic ON Users(clinic_id);
+
+    -- Only a hash of the bearer token is stored
+    CREATE TABLE IF NOT EXISTS Sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES Users(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON Sessions(user_id);
+
+    -- Each user's starred exercises (replaces the shared Exercises.is_favorited flag)
+    CREATE TABLE IF NOT EXISTS UserFavorites (
+        user_id INTEGER NOT NULL REFERENCES Users(id) ON DELETE CASCADE,
+        exercise_id INTEGER NOT NULL REFERENCES Exercises(id) ON DELETE CASCADE,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, exercise_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_favorites_exercise ON UserFavorites(exercise_id);
+  `);
+}
+
+// SQLite cannot drop a column with a foreign key, so Patients is rebuilt without clinic_id
+async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS UserFavorites;
+    DROP TABLE IF EXISTS Sessions;
+    DROP TABLE IF EXISTS Users;
+    DROP INDEX IF EXISTS idx_patients_clinic;
+
+    CREATE TABLE Patients_without_clinic (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        first_name TEXT NOT NULL,
+        last_name TEXT NOT NULL,
+        date_of_birth DATE DEFAULT NULL,
+        diagnosis TEXT DEFAULT NULL,
+        notes TEXT DEFAULT NULL,
+        last_updated DATETIME DEFAULT NULL,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT INTO Patients_without_clinic (id, first_name, last_name, date_of_birth, diagnosis, notes, last_updated, created_timestamp)
+    SELECT id, first_name, last_name, date_of_birth, diagnosis, notes, last_updated, created_timestamp FROM Patients;
+
+    DROP TABLE Patients;
+    ALTER TABLE Patients_without_clinic RENAME TO Patients;
+
+    DROP TABLE IF EXISTS Clinics;
+  `);
+}
+
+module.exports = { up, down };
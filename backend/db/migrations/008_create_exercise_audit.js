@@ -0,0 +1,34 @@
+// backend/db/migrations/008_create_exercise_audit.js
+// Soft delete for exercises and the audit log of every change to them: create, update,
+// delete, undelete, restore and favorite toggles. before_json/after_json hold snapshots
+// (NULL before a create, after a delete); actor_name is kept so entries stay readable
+// after the user is removed.
+
+async function up(db) {
+  await db.addColumnIfMissing('Exercises', 'deleted_timestamp', 'DATETIME DEFAULT NULL');
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS ExerciseAudit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exercise_id INTEGER NOT NULL REFERENCES Exercises(id) ON DELETE CASCADE,
+        action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'undelete', 'restore', 'favorite')),
+        before_json TEXT DEFAULT NULL,
+        after_json TEXT DEFAULT NULL,
+        user_id INTEGER DEFAULT NULL REFERENCES Users(id) ON DELETE SET NULL,
+        actor_name TEXT DEFAULT NULL,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_exercise_audit_exercise ON ExerciseAudit(exercise_id, id);
+  `);
+}
+
+// Soft-deleted exercises come back: there is nowhere left to record the deletion
+async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS ExerciseAudit;
+    ALTER TABLE Exercises DROP COLUMN deleted_timestamp;
+  `);
+}
+
+module.exports = { up, down };
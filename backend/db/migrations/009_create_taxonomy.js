@@ -0,0 +1,138 @@
+// backend/db/migrations/009_create_taxonomy.js
+// Lookup tables for muscles (grouped by body region), equipment and exercise types, and
+// the many-to-many links from exercises to the muscles they work and the equipment they
+// need. Exercises.muscle and Exercises.equipment stay as the primary muscle and main
+// piece of equipment; triggers keep their is_primary link rows in step with them.
+const { BODY_REGIONS, MUSCLES, EQUIPMENT, EXERCISE_TYPES, labelFor } = require('../taxonomy');
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS BodyRegions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS Muscles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        body_region_id INTEGER DEFAULT NULL REFERENCES BodyRegions(id) ON DELETE SET NULL,
+        position INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS Equipment (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS ExerciseTypes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS ExerciseMuscles (
+        exercise_id INTEGER NOT NULL REFERENCES Exercises(id) ON DELETE CASCADE,
+        muscle_id INTEGER NOT NULL REFERENCES Muscles(id) ON DELETE CASCADE,
+        is_primary INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (exercise_id, muscle_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS ExerciseEquipment (
+        exercise_id INTEGER NOT NULL REFERENCES Exercises(id) ON DELETE CASCADE,
+        equipment_id INTEGER NOT NULL REFERENCES Equipment(id) ON DELETE CASCADE,
+        is_primary INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (exercise_id, equipment_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_exercise_muscles_muscle ON ExerciseMuscles(muscle_id);
+    CREATE INDEX IF NOT EXISTS idx_exercise_equipment_equipment ON ExerciseEquipment(equipment_id);
+
+    CREATE TRIGGER IF NOT EXISTS exercises_taxonomy_insert AFTER INSERT ON Exercises BEGIN
+        INSERT OR REPLACE INTO ExerciseMuscles (exercise_id, muscle_id, is_primary)
+        SELECT new.id, id, 1 FROM Muscles WHERE slug = new.muscle;
+        INSERT OR REPLACE INTO ExerciseEquipment (exercise_id, equipment_id, is_primary)
+        SELECT new.id, id, 1 FROM Equipment WHERE slug = new.equipment;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS exercises_muscle_update AFTER UPDATE OF muscle ON Exercises BEGIN
+        DELETE FROM ExerciseMuscles WHERE exercise_id = new.id AND is_primary = 1;
+        INSERT OR REPLACE INTO ExerciseMuscles (exercise_id, muscle_id, is_primary)
+        SELECT new.id, id, 1 FROM Muscles WHERE slug = new.muscle;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS exercises_equipment_update AFTER UPDATE OF equipment ON Exercises BEGIN
+        DELETE FROM ExerciseEquipment WHERE exercise_id = new.id AND is_primary = 1;
+        INSERT OR REPLACE INTO ExerciseEquipment (exercise_id, equipment_id, is_primary)
+        SELECT new.id, id, 1 FROM Equipment WHERE slug = new.equipment;
+    END;
+  `);
+
+  for (const [position, region] of BODY_REGIONS.entries()) {
+    await db.run('INSERT OR IGNORE INTO BodyRegions (slug, label, position) VALUES (?, ?, ?)', [region.slug, region.label, position]);
+  }
+  for (const [position, muscle] of MUSCLES.entries()) {
+    await db.run(
+      'INSERT OR IGNORE INTO Muscles (slug, label, body_region_id, position) VALUES (?, ?, (SELECT id FROM BodyRegions WHERE slug = ?), ?)',
+      [muscle.slug, muscle.label, muscle.region, position]
+    );
+  }
+  for (const [position, item] of EQUIPMENT.entries()) {
+    await db.run('INSERT OR IGNORE INTO Equipment (slug, label, position) VALUES (?, ?, ?)', [item.slug, item.label, position]);
+  }
+  for (const [position, type] of EXERCISE_TYPES.entries()) {
+    await db.run('INSERT OR IGNORE INTO ExerciseTypes (slug, label, position) VALUES (?, ?, ?)', [type.slug, type.label, position]);
+  }
+
+  // Values already in the library that the built-in lists lack (muscles get no region)
+  const extras = [
+    ['Muscles', 'muscle'],
+    ['Equipment', 'equipment'],
+    ['ExerciseTypes', 'exercise_type']
+  ];
+  for (const [table, column] of extras) {
+    const rows = await db.all(
+      `SELECT DISTINCT ${column} AS slug FROM Exercises WHERE ${column} IS NOT NULL AND ${column} != '' AND ${column} NOT IN (SELECT slug FROM ${table})`
+    );
+    for (const { slug } of rows) {
+      await db.run(
+        `INSERT INTO ${table} (slug, label, position) VALUES (?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM ${table}))`,
+        [slug, labelFor(slug)]
+      );
+      console.log(`✓ Added ${column} "${slug}" from the library to ${table}`);
+    }
+  }
+
+  // Link the exercises that were there before the triggers
+  await db.run(`
+    INSERT OR IGNORE INTO ExerciseMuscles (exercise_id, muscle_id, is_primary)
+    SELECT e.id, m.id, 1 FROM Exercises e JOIN Muscles m ON m.slug = e.muscle
+  `);
+  await db.run(`
+    INSERT OR IGNORE INTO ExerciseEquipment (exercise_id, equipment_id, is_primary)
+    SELECT e.id, q.id, 1 FROM Exercises e JOIN Equipment q ON q.slug = e.equipment
+  `);
+}
+
+// Secondary muscles and additional equipment are lost; the primary ones live on in
+// Exercises.muscle and Exercises.equipment
+async function down(db) {
+  await db.exec(`
+    DROP TRIGGER IF EXISTS exercises_equipment_update;
+    DROP TRIGGER IF EXISTS exercises_muscle_update;
+    DROP TRIGGER IF EXISTS exercises_taxonomy_insert;
+    DROP TABLE IF EXISTS ExerciseEquipment;
+    DROP TABLE IF EXISTS ExerciseMuscles;
+    DROP TABLE IF EXISTS ExerciseTypes;
+    DROP TABLE IF EXISTS Equipment;
+    DROP TABLE IF EXISTS Muscles;
+    DROP TABLE IF EXISTS BodyRegions;
+  `);
+}
+
+module.exports = { up, down };
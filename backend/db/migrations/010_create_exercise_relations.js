@@ -0,0 +1,31 @@
+// backend/db/migrations/010_create_exercise_relations.js
+// How exercises relate to one another, for stepping a patient up or down: each row links
+// a pair of exercises once. A progression points from the easier exercise to the harder
+// one (a regression is the same row read backwards); alternatives and variations are
+// symmetric and stored with the lower id first.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS ExerciseRelations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exercise_id INTEGER NOT NULL REFERENCES Exercises(id) ON DELETE CASCADE,
+        related_exercise_id INTEGER NOT NULL REFERENCES Exercises(id) ON DELETE CASCADE,
+        relation TEXT NOT NULL CHECK (relation IN ('progression', 'alternative', 'variation')),
+        notes TEXT DEFAULT NULL,
+        created_by INTEGER DEFAULT NULL REFERENCES Users(id) ON DELETE SET NULL,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK (exercise_id != related_exercise_id)
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_exercise_relations_pair
+        ON ExerciseRelations(MIN(exercise_id, related_exercise_id), MAX(exercise_id, related_exercise_id));
+    CREATE INDEX IF NOT EXISTS idx_exercise_relations_exercise ON ExerciseRelations(exercise_id);
+    CREATE INDEX IF NOT EXISTS idx_exercise_relations_related ON ExerciseRelations(related_exercise_id);
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS ExerciseRelations;');
+}
+
+module.exports = { up, down };
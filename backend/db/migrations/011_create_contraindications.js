@@ -0,0 +1,38 @@
+// backend/db/migrations/011_create_contraindications.js
+// Safety flags: the health conditions an exercise is contraindicated for (never
+// prescribe) or carries a precaution for (prescribe with care). One row per exercise and
+// condition, so an exercise cannot be both for the same condition.
+const { CONDITIONS } = require('../taxonomy');
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS Conditions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS ExerciseConditions (
+        exercise_id INTEGER NOT NULL REFERENCES Exercises(id) ON DELETE CASCADE,
+        condition_id INTEGER NOT NULL REFERENCES Conditions(id) ON DELETE CASCADE,
+        severity TEXT NOT NULL CHECK (severity IN ('contraindication', 'precaution')),
+        PRIMARY KEY (exercise_id, condition_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_exercise_conditions_condition ON ExerciseConditions(condition_id, severity);
+  `);
+
+  for (const [position, condition] of CONDITIONS.entries()) {
+    await db.run('INSERT OR IGNORE INTO Conditions (slug, label, position) VALUES (?, ?, ?)', [condition.slug, condition.label, position]);
+  }
+}
+
+async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS ExerciseConditions;
+    DROP TABLE IF EXISTS Conditions;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,61 @@
+// backend/db/migrations/012_create_measurements.js
+// Outcome measures: a catalog of what can be measured (range of motion, strength grades,
+// pain scales, questionnaire scores) and each patient's dated results. A measure that is
+// no longer wanted is deactivated rather than deleted, so past results keep their meaning.
+const { MEASURE_CATEGORIES, MEASURES } = require('../taxonomy');
+
+async function up(db) {
+  const categories = MEASURE_CATEGORIES.map(category => `'${category}'`).join(', ');
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS Measures (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        category TEXT NOT NULL CHECK (category IN (${categories})),
+        unit TEXT DEFAULT NULL,
+        min_value REAL DEFAULT NULL,
+        max_value REAL DEFAULT NULL,
+        higher_is_better INTEGER NOT NULL DEFAULT 1,
+        mcid REAL DEFAULT NULL,
+        bilateral INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        position INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS PatientMeasurements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL REFERENCES Patients(id) ON DELETE CASCADE,
+        measure_id INTEGER NOT NULL REFERENCES Measures(id),
+        measured_on DATE NOT NULL,
+        value REAL NOT NULL,
+        side TEXT DEFAULT NULL CHECK (side IN ('left', 'right')),
+        notes TEXT DEFAULT NULL,
+        recorded_by INTEGER DEFAULT NULL REFERENCES Users(id) ON DELETE SET NULL,
+        last_updated DATETIME DEFAULT NULL,
+        created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_patient_measurements_patient
+        ON PatientMeasurements(patient_id, measure_id, measured_on);
+  `);
+
+  for (const [position, measure] of MEASURES.entries()) {
+    await db.run(
+      `INSERT OR IGNORE INTO Measures
+         (slug, label, category, unit, min_value, max_value, higher_is_better, mcid, bilateral, position)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [measure.slug, measure.label, measure.category, measure.unit, measure.range[0], measure.range[1],
+        measure.higher ? 1 : 0, measure.mcid, measure.bilateral ? 1 : 0, position]
+    );
+  }
+}
+
+async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS PatientMeasurements;
+    DROP TABLE IF EXISTS Measures;
+  `);
+}
+
+module.exports = { up, down };
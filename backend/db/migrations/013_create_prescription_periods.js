@@ -0,0 +1,33 @@
+// backend/db/migrations/013_create_prescription_periods.js
+// When each exercise was part of a program: ProgramExercises only holds the current
+// list, so outcome trends could not otherwise show what was prescribed at the time of a
+// measurement. A period is open (ended_on NULL) while the exercise is in the program.
+// Exercises already prescribed are taken to have been there since their program began.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS PrescriptionPeriods (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        program_id INTEGER NOT NULL REFERENCES Programs(id) ON DELETE CASCADE,
+        exercise_id INTEGER NOT NULL REFERENCES Exercises(id) ON DELETE CASCADE,
+        started_on DATE NOT NULL,
+        ended_on DATE DEFAULT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_prescription_periods_program ON PrescriptionPeriods(program_id, exercise_id);
+  `);
+
+  await db.run(`
+    INSERT INTO PrescriptionPeriods (program_id, exercise_id, started_on)
+    SELECT DISTINCT pe.program_id, pe.exercise_id, date(p.created_timestamp)
+    FROM ProgramExercises pe
+    JOIN Programs p ON p.id = pe.program_id
+    WHERE NOT EXISTS (SELECT 1 FROM PrescriptionPeriods pp WHERE pp.program_id = pe.program_id)
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS PrescriptionPeriods;');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// backend/db/migrations/014_unique_exercise_names.js
+// No two live exercises may share a name, ignoring case (as db.exerciseExists compares
+// them). The routes check first, but only this index stops two requests that both
+// passed the check, e.g. concurrent imports of one file. Deleted exercises give their
+// names up, so they are left out.
+
+async function up(db) {
+  const duplicates = await db.all(`
+    SELECT exercise_name FROM Exercises
+    WHERE deleted_timestamp IS NULL
+    GROUP BY exercise_name COLLATE NOCASE
+    HAVING COUNT(*) > 1
+  `);
+  if (duplicates.length > 0) {
+    const names = duplicates.map(row => `"${row.exercise_name}"`).join(', ');
+    throw new Error(`Rename or delete exercises that share a name before migrating: ${names}`);
+  }
+
+  await db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_exercises_live_name
+    ON Exercises(exercise_name COLLATE NOCASE) WHERE deleted_timestamp IS NULL;
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP INDEX IF EXISTS idx_exercises_live_name;');
+}
+
+module.exports = { up, down };
@@ -1,254 +1,272 @@
 // backend/db/populate.js
-const axios = require('axios');
-const Database = require('./database');
+// Fill the exercise library from a source adapter (see sources/index.js). Each batch is
+// written in its own transaction and then checkpointed, so an interrupted run picks up
+// where it stopped. Re-running is safe: exercises already in the library are skipped,
+// or with --incremental updated where the source changed them. Exercises a user has
+// created, edited or deleted are never touched, and favorites are never touched at all.
+//
+//   npm run db:populate                                              API Ninjas (needs NINJA_API_KEY)
+//   npm run db:populate -- --source free-exercise-db [--path ../free-exercise-db]
+//   npm run db:populate -- --source file --path exercises.csv [--format csv]
+//   npm run db:populate -- --incremental                             update changed exercises
+//   npm run db:populate -- --restart                                 ignore a saved checkpoint
+const fs = require('fs');
 const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const Database = require('./database');
+const { migrate } = require('./migrate');
+const { SOURCES, createSource } = require('./sources');
+const { validateExercise } = require('../library/import');
+
+const CHECKPOINT_DIR = path.join(__dirname, '..', 'data');
+
+// Import record field → Exercises column
+const COLUMNS = {
+  name: 'exercise_name',
+  type: 'exercise_type',
+  muscle: 'muscle',
+  equipment: 'equipment',
+  difficulty: 'difficulty',
+  instructions: 'instructions'
+};
+
+function parseArgs(argv) {
+  const options = { source: 'api-ninjas', path: null, format: null, incremental: false, restart: false };
 
-const NINJA_API_KEY = process.env.NINJA_API_KEY;
-const API_URL = 'https://api.api-ninjas.com/v1/exercises';
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--source') {
+      options.source = argv[++i];
+    } else if (argv[i] === '--path') {
+      options.path = argv[++i];
+    } else if (argv[i] === '--format') {
+      options.format = argv[++i];
+    } else if (argv[i] === '--incremental') {
+      options.incremental = true;
+    } else if (argv[i] === '--restart') {
+      options.restart = true;
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
 
-// Verify API key is loaded
-if (!NINJA_API_KEY) {
-  console.error('❌ ERROR: NINJA_API_KEY not found in .env file!');
-  process.exit(1);
+  if (!SOURCES[options.source]) {
+    throw new Error(`source must be one of: ${Object.keys(SOURCES).join(', ')}`);
+  }
+
+  return options;
 }
 
-console.log('✓ API Key loaded successfully');
-console.log(`✓ API Key length: ${NINJA_API_KEY.length} characters\n`);
-
-// All muscle groups to fetch from
-const MUSCLE_GROUPS = [
-  'abdominals', 'abductors', 'adductors', 'biceps', 'calves', 'chest',
-  'forearms', 'glutes', 'hamstrings', 'lats', 'lower_back', 'middle_back',
-  'neck', 'quadriceps', 'traps', 'triceps', 'shoulders'
-];
-
-// All exercise types
-const EXERCISE_TYPES = [
-  'cardio', 'olympic_weightlifting', 'plyometrics', 'powerlifting',
-  'strength', 'stretching', 'strongman'
-];
-
-async function fetchExercisesFromAPI() {
-  const allExercises = new Map(); // Use Map to avoid duplicates by name
-  const errors = [];
-  const difficulties = ['beginner', 'intermediate', 'expert'];
-  
-  console.log('=== Starting Exercise Fetch from API Ninjas ===');
-  console.log('ℹ️  Free tier limitation: 10 results per query (no offset support)\n');
-  console.log('💡 Strategy: Fetch by muscle × difficulty combinations to maximize coverage\n');
-  
-  // Fetch by muscle groups × difficulty levels
-  console.log('📋 Fetching by Muscle Groups × Difficulty Levels...\n');
-  
-  for (const muscle of MUSCLE_GROUPS) {
-    console.log(`⏳ Fetching ${muscle} exercises...`);
-    
-    for (const difficulty of difficulties) {
-      try {
-        const response = await axios.get(API_URL, {
-          headers: { 'X-Api-Key': NINJA_API_KEY },
-          params: { 
-            muscle,
-            difficulty
-          }
-        });
-        
-        let newExercises = 0;
-        response.data.forEach(exercise => {
-          if (!allExercises.has(exercise.name)) {
-            allExercises.set(exercise.name, exercise);
-            newExercises++;
-          }
-        });
-        
-        console.log(`   ${difficulty}: ${response.data.length} fetched (${newExercises} new)`);
-        
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 150));
-        
-      } catch (error) {
-        console.error(`   ❌ ${difficulty} error:`, error.response?.status, error.response?.statusText || error.message);
-        errors.push({
-          category: 'muscle',
-          value: muscle,
-          difficulty,
-          status: error.response?.status,
-          message: error.response?.statusText || error.message,
-          data: error.response?.data
-        });
-      }
+// ========== CHECKPOINTS ==========
+
+function checkpointPath(source) {
+  return path.join(CHECKPOINT_DIR, `populate-${source}.checkpoint.json`);
+}
+
+// A checkpoint only resumes a run with the same settings
+function runSignature(options) {
+  return {
+    source: options.source,
+    path: options.path ? path.resolve(options.path) : null,
+    format: options.format,
+    incremental: options.incremental
+  };
+}
+
+function loadCheckpoint(file, signature) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (JSON.stringify(checkpoint.signature) !== JSON.stringify(signature)) {
+    console.log('⚠️  Found a checkpoint from a run with different options; starting over');
+    return null;
+  }
+  return checkpoint;
+}
+
+// Write to a temporary file first so a crash mid-write cannot leave a broken checkpoint
+function saveCheckpoint(file, checkpoint) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// ========== WRITING ==========
+
+// Changed columns between a library row and a source exercise
+function changedColumns(row, exercise) {
+  const updates = {};
+  for (const [field, column] of Object.entries(COLUMNS)) {
+    if (row[column] !== exercise[field]) {
+      updates[column] = exercise[field];
     }
-    
-    console.log(`   ✅ ${muscle} complete | Total unique: ${allExercises.size}\n`);
   }
-  
-  console.log('\n📋 Fetching by Exercise Types × Difficulty Levels...\n');
-  
-  // Also fetch by type × difficulty to catch more exercises
-  for (const type of EXERCISE_TYPES) {
-    console.log(`⏳ Fetching ${type} exercises...`);
-    
-    for (const difficulty of difficulties) {
-      try {
-        const response = await axios.get(API_URL, {
-          headers: { 'X-Api-Key': NINJA_API_KEY },
-          params: { 
-            type,
-            difficulty
-          }
-        });
-        
-        let newExercises = 0;
-        response.data.forEach(exercise => {
-          if (!allExercises.has(exercise.name)) {
-            allExercises.set(exercise.name, exercise);
-            newExercises++;
-          }
-        });
-        
-        console.log(`   ${difficulty}: ${response.data.length} fetched (${newExercises} new)`);
-        
-        await new Promise(resolve => setTimeout(resolve, 150));
-        
-      } catch (error) {
-        console.error(`   ❌ ${difficulty} error:`, error.response?.status, error.response?.statusText || error.message);
-        errors.push({
-          category: 'type',
-          value: type,
-          difficulty,
-          status: error.response?.status,
-          message: error.response?.statusText || error.message,
-          data: error.response?.data
-        });
-      }
+  return updates;
+}
+
+// Link lists (secondary_muscles, additional_equipment) the source gives that differ
+// from the library's; lists the source does not have are left alone
+function changedLinks(links, record, exercise) {
+  const updates = {};
+  for (const field of Object.keys(links)) {
+    const sorted = list => JSON.stringify([...list].sort());
+    if (record[field] !== undefined && sorted(links[field]) !== sorted(exercise[field])) {
+      updates[field] = exercise[field];
     }
-    
-    console.log(`   ✅ ${type} complete | Total unique: ${allExercises.size}\n`);
   }
-  
-  console.log('\n=== Fetch Summary ===');
-  console.log(`✅ Total unique exercises found: ${allExercises.size}`);
-  
-  if (errors.length > 0) {
-    console.log(`\n⚠️  ${errors.length} errors occurred during fetch:\n`);
-    errors.forEach((err, i) => {
-      console.log(`${i + 1}. ${err.category}: ${err.value}`);
-      console.log(`   Status: ${err.status || 'N/A'}`);
-      console.log(`   Message: ${err.message}`);
-      if (err.offset !== undefined) {
-        console.log(`   Offset: ${err.offset}`);
+  return updates;
+}
+
+// Write one batch in a single transaction, adding to stats. Exercises whose muscles,
+// equipment or type are not in the taxonomy are skipped as invalid.
+async function applyBatch(db, exercises, incremental, taxonomy, stats) {
+  await db.transaction(async () => {
+    for (const record of exercises) {
+      const { exercise, errors } = validateExercise(record, taxonomy);
+      if (errors.length > 0) {
+        console.error(`   ❌ Skipping "${record?.name || '(no name)'}": ${errors.join('; ')}`);
+        stats.invalid++;
+        continue;
       }
-      if (err.data) {
-        console.log(`   Response data:`, JSON.stringify(err.data, null, 2));
+
+      const existing = await db.getExerciseByName(exercise.name, { includeDeleted: true });
+      if (!existing) {
+        await db.createExercise(exercise);
+        stats.inserted++;
+        continue;
       }
-      console.log('');
-    });
-  } else {
-    console.log('✨ No errors during fetch!');
-  }
-  
-  return Array.from(allExercises.values());
+
+      if (!incremental) {
+        stats.skipped++;
+        continue;
+      }
+
+      // A clinician's edit or delete wins over the source
+      if (existing.deleted_timestamp || await db.hasUserEdits(existing.id)) {
+        stats.kept++;
+        continue;
+      }
+
+      const links = await db.getExerciseLinks([existing.id]);
+      const updates = {
+        ...changedColumns(existing, exercise),
+        ...changedLinks(links.get(existing.id), record, exercise)
+      };
+      if (Object.keys(updates).length === 0) {
+        stats.skipped++;
+        continue;
+      }
+
+      await db.updateExercise(existing.id, updates);
+      stats.updated++;
+    }
+  });
 }
 
-async function populateDatabase() {
+// ========== RUN ==========
+
+async function populateDatabase(options) {
   const db = new Database();
-  
+  const file = checkpointPath(options.source);
+
   try {
-    console.log('\n=== Database Population Starting ===\n');
-    
-    // Connect to database
-    await db.connect();
-    
-    // Initialize schema
-    await db.initSchema();
-    
-    // Check if database already has data
-    const existingCount = await db.getExerciseCount();
-    if (existingCount > 0) {
-      console.log(`\n⚠️  Database already contains ${existingCount} exercises.`);
-      const readline = require('readline').createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
-      
-      const answer = await new Promise(resolve => {
-        readline.question('Do you want to re-populate? This will add duplicates unless you clear first. (y/n): ', resolve);
-      });
-      readline.close();
-      
-      if (answer.toLowerCase() !== 'y') {
-        console.log('❌ Aborted.');
-        await db.close();
-        return;
-      }
+    const source = createSource(options.source, options);
+    const signature = runSignature(options);
+
+    console.log(`\n=== Database Population Starting (${source.name}: ${source.description}) ===\n`);
+    if (options.incremental) {
+      console.log('🔁 Incremental mode: changed exercises will be updated\n');
     }
-    
-    // Fetch exercises from API
-    const exercises = await fetchExercisesFromAPI();
-    
-    if (exercises.length === 0) {
-      console.log('\n❌ No exercises were fetched. Please check the errors above.');
-      await db.close();
-      return;
+
+    const checkpoint = (!options.restart && loadCheckpoint(file, signature)) || {
+      signature,
+      started: new Date().toISOString(),
+      completed: [],
+      stats: { inserted: 0, updated: 0, skipped: 0, kept: 0, invalid: 0 }
+    };
+    const completed = new Set(checkpoint.completed);
+    if (completed.size > 0) {
+      console.log(`⏩ Resuming from checkpoint: ${completed.size} batches already done\n`);
     }
-    
-    // Insert exercises into database
-    console.log('\n=== Inserting Exercises into Database ===\n');
-    let inserted = 0;
-    let skipped = 0;
-    let failed = 0;
-    
-    for (const exercise of exercises) {
+
+    await db.connect();
+    await migrate(db);
+
+    const taxonomy = await db.getTaxonomy();
+    const batches = await source.listBatches();
+    const failed = [];
+
+    for (const [index, batch] of batches.entries()) {
+      if (completed.has(batch.key)) {
+        continue;
+      }
+
+      let exercises;
       try {
-        // Check if exercise already exists
-        const exists = await db.exerciseExists(exercise.name);
-        
-        if (!exists) {
-          await db.createExercise({
-            name: exercise.name,
-            type: exercise.type || 'unknown',
-            muscle: exercise.muscle || 'unknown',
-            equipment: exercise.equipment || 'none',
-            difficulty: exercise.difficulty || 'beginner',
-            instructions: exercise.instructions || 'No instructions available'
-          });
-          inserted++;
-          
-          if (inserted % 50 === 0) {
-            console.log(`✓ Inserted ${inserted} exercises...`);
-          }
-        } else {
-          skipped++;
-        }
+        exercises = await source.fetchBatch(batch);
       } catch (error) {
-        console.error(`❌ Error inserting "${exercise.name}":`, error.message);
-        failed++;
+        // Left out of the checkpoint, so the next run tries it again
+        console.error(`   ❌ ${batch.key}:`, error.response?.status || '', error.response?.statusText || error.message);
+        failed.push(batch.key);
+        continue;
       }
+
+      await applyBatch(db, exercises, options.incremental, taxonomy, checkpoint.stats);
+
+      completed.add(batch.key);
+      checkpoint.completed = [...completed];
+      saveCheckpoint(file, checkpoint);
+
+      console.log(`✓ [${index + 1}/${batches.length}] ${batch.key}: ${exercises.length} fetched | ` +
+        `${checkpoint.stats.inserted} inserted, ${checkpoint.stats.updated} updated so far`);
     }
-    
+
     const finalCount = await db.getExerciseCount();
-    
+    await db.close();
+
+    const { stats } = checkpoint;
     console.log('\n=== 🎉 Database Population Complete! ===');
-    console.log(`✅ Inserted: ${inserted} exercises`);
-    console.log(`⏭️  Skipped (duplicates): ${skipped} exercises`);
-    if (failed > 0) {
-      console.log(`❌ Failed: ${failed} exercises`);
+    console.log(`✅ Inserted: ${stats.inserted} exercises`);
+    if (options.incremental) {
+      console.log(`🔁 Updated: ${stats.updated} exercises`);
+      console.log(`🔒 Kept (edited or deleted by a user): ${stats.kept} exercises`);
+    }
+    console.log(`⏭️  Skipped (already in the library): ${stats.skipped} exercises`);
+    if (stats.invalid > 0) {
+      console.log(`❌ Invalid: ${stats.invalid} exercises`);
     }
     console.log(`📊 Total in database: ${finalCount} exercises\n`);
-    
-    await db.close();
-    
+
+    if (failed.length > 0) {
+      console.log(`⚠️  ${failed.length} batches failed: ${failed.join(', ')}`);
+      console.log('   Run the same command again to retry them.\n');
+      process.exitCode = 1;
+    } else if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+
   } catch (error) {
-    console.error('\n❌ Fatal error populating database:', error);
-    await db.close();
-    process.exit(1);
+    console.error('\n❌ Fatal error populating database:', error.message);
+    if (fs.existsSync(file)) {
+      console.error('   Progress is checkpointed; run the same command again to resume.');
+    }
+    if (db.db) {
+      await db.close();
+    }
+    process.exitCode = 1;
   }
 }
 
 // Run the population script
 if (require.main === module) {
-  populateDatabase();
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  populateDatabase(options);
 }
 
-module.exports = { populateDatabase, fetchExercisesFromAPI };
\ No newline at end of file
+module.exports = { populateDatabase };
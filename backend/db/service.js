@@ -0,0 +1,61 @@
+// backend/db/service.js
+// The server's long-lived database connection. It is opened (and migrated) once at
+// startup, handed to routes as req.db, and closed when the server shuts down.
+// Scripts under db/, images/ and library/ open their own Database instead.
+const Database = require('./database');
+const { migrate } = require('./migrate');
+const { sendError } = require('../api/errors');
+const { config } = require('../config');
+
+let database = null;
+let opening = null;
+
+// Open and migrate the shared connection; later calls return the same instance. The
+// file is config.dbPath (DB_PATH) unless dbPath names another, e.g. ':memory:'.
+function openDatabase(dbPath = config.dbPath) {
+  if (!opening) {
+    opening = (async () => {
+      const db = new Database(dbPath);
+      try {
+        await db.connect();
+        await migrate(db);
+      } catch (error) {
+        // Don't leave a half-open connection behind for the retry to replace
+        await db.close().catch(() => {});
+        throw error;
+      }
+      database = db;
+      return db;
+    })();
+    // Let a failed open be retried
+    opening.catch(() => {
+      opening = null;
+    });
+  }
+  return opening;
+}
+
+// Middleware: attach the shared connection as req.db
+async function attachDatabase(req, res, next) {
+  try {
+    req.db = database || await openDatabase();
+    next();
+  } catch (error) {
+    console.error('Database unavailable:', error.message);
+    sendError(res, 503, 'Database unavailable');
+  }
+}
+
+// Close the shared connection; waits for a transaction in progress to finish
+async function closeDatabase() {
+  if (!opening) {
+    return;
+  }
+
+  const db = await opening;
+  database = null;
+  opening = null;
+  await db.close();
+}
+
+module.exports = { openDatabase, attachDatabase, closeDatabase };
@@ -0,0 +1,57 @@
+// backend/db/sources/apiNinjas.js
+// API Ninjas exercises API. The free tier returns at most 10 results per query and has
+// no offset, so we query every muscle × difficulty and type × difficulty combination.
+const axios = require('axios');
+const { sleep, withRetry } = require('./retry');
+const { MUSCLES, EXERCISE_TYPES } = require('../taxonomy');
+const { config } = require('../../config');
+
+const API_URL = config.sources.apiNinjasUrl;
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'expert'];
+
+// Spacing between requests; 429s are handled by the retry backoff
+const REQUEST_INTERVAL_MS = 150;
+
+function createApiNinjasSource({ apiKey = config.ninjaApiKey } = {}) {
+  if (!apiKey) {
+    throw new Error('NINJA_API_KEY not found in .env file');
+  }
+
+  return {
+    name: 'api-ninjas',
+    description: API_URL,
+
+    // One batch per query: "muscle:biceps:beginner", "type:cardio:expert", ...
+    async listBatches() {
+      const batches = [];
+      for (const { slug: muscle } of MUSCLES) {
+        for (const difficulty of DIFFICULTIES) {
+          batches.push({ key: `muscle:${muscle}:${difficulty}`, params: { muscle, difficulty } });
+        }
+      }
+      for (const { slug: type } of EXERCISE_TYPES) {
+        for (const difficulty of DIFFICULTIES) {
+          batches.push({ key: `type:${type}:${difficulty}`, params: { type, difficulty } });
+        }
+      }
+      return batches;
+    },
+
+    async fetchBatch(batch) {
+      const response = await withRetry(
+        () => axios.get(API_URL, { headers: { 'X-Api-Key': apiKey }, params: batch.params }),
+        { label: batch.key }
+      );
+      await sleep(REQUEST_INTERVAL_MS);
+
+      // Already in our shape: { name, type, muscle, equipment, difficulty, instructions },
+      // except that body-weight exercises say body_only where the taxonomy says none
+      return response.data.map(exercise => (
+        exercise.equipment === 'body_only' ? { ...exercise, equipment: 'none' } : exercise
+      ));
+    }
+  };
+}
+
+module.exports = { createApiNinjasSource };
@@ -0,0 +1,28 @@
+// backend/db/sources/file.js
+// A local JSON, CSV or free-exercise-db file, in any format library:import reads.
+const fs = require('fs');
+const path = require('path');
+const { FORMATS, detectFormat, parseExercises } = require('../../library/formats');
+
+function createFileSource({ path: filePath, format = null } = {}) {
+  if (!filePath) {
+    throw new Error('--path is required for the file source');
+  }
+  if (format && !FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const resolved = path.resolve(filePath);
+
+  return {
+    name: 'file',
+    description: resolved,
+
+    async loadExercises() {
+      const text = fs.readFileSync(resolved, 'utf8');
+      return parseExercises(text, format || detectFormat(text, path.basename(resolved)));
+    }
+  };
+}
+
+module.exports = { createFileSource };
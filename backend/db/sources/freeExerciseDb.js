@@ -0,0 +1,28 @@
+// backend/db/sources/freeExerciseDb.js
+// The free-exercise-db list (https://github.com/yuhonas/free-exercise-db), downloaded
+// from GitHub or read from a local checkout.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { withRetry } = require('./retry');
+const { FREE_EXERCISE_DB_URL } = require('../../images/import');
+const { fromFreeExercise } = require('../../library/formats');
+
+function createFreeExerciseDbSource({ path: checkout = null } = {}) {
+  const root = checkout ? path.resolve(checkout) : null;
+
+  return {
+    name: 'free-exercise-db',
+    description: root || FREE_EXERCISE_DB_URL,
+
+    async loadExercises() {
+      const entries = root
+        ? JSON.parse(fs.readFileSync(path.join(root, 'dist', 'exercises.json'), 'utf8'))
+        : (await withRetry(() => axios.get(`${FREE_EXERCISE_DB_URL}/dist/exercises.json`), { label: 'exercises.json' })).data;
+
+      return entries.map(fromFreeExercise);
+    }
+  };
+}
+
+module.exports = { createFreeExerciseDbSource };
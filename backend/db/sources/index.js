@@ -0,0 +1,60 @@
+// backend/db/sources/index.js
+// Source adapters for populate.js. An adapter is { name, description } plus either:
+//
+//   listBatches() → [{ key, ... }] and fetchBatch(batch) → [exercise]
+//     for sources fetched piece by piece (API Ninjas: one query per batch), or
+//   loadExercises() → [exercise]
+//     for sources that arrive as one list; createSource splits it into batches.
+//
+// Exercises are records like { name, type, muscle, equipment, difficulty, instructions }.
+// Batch keys are stable across runs, so a checkpoint of finished keys can resume a run.
+const { createApiNinjasSource } = require('./apiNinjas');
+const { createFreeExerciseDbSource } = require('./freeExerciseDb');
+const { createFileSource } = require('./file');
+
+const SOURCES = {
+  'api-ninjas': createApiNinjasSource,
+  'free-exercise-db': createFreeExerciseDbSource,
+  file: createFileSource
+};
+
+// Exercises per batch for list sources: one transaction and one checkpoint step each
+const LIST_BATCH_SIZE = 100;
+
+// Give a list source the batch interface. The list is loaded once; batches are slices
+// keyed by position ("0-99"), which stay stable as long as the list does.
+function batchList(adapter) {
+  let exercises = null;
+
+  return {
+    name: adapter.name,
+    description: adapter.description,
+
+    async listBatches() {
+      exercises = await adapter.loadExercises();
+
+      const batches = [];
+      for (let start = 0; start < exercises.length; start += LIST_BATCH_SIZE) {
+        const end = Math.min(start + LIST_BATCH_SIZE, exercises.length) - 1;
+        batches.push({ key: `${start}-${end}`, start, end });
+      }
+      return batches;
+    },
+
+    async fetchBatch(batch) {
+      return exercises.slice(batch.start, batch.end + 1);
+    }
+  };
+}
+
+function createSource(name, options = {}) {
+  const factory = SOURCES[name];
+  if (!factory) {
+    throw new Error(`Unknown source "${name}". Available: ${Object.keys(SOURCES).join(', ')}`);
+  }
+
+  const adapter = factory(options);
+  return adapter.loadExercises ? batchList(adapter) : adapter;
+}
+
+module.exports = { SOURCES, createSource };
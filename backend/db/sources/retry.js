@@ -0,0 +1,50 @@
+// backend/db/sources/retry.js
+// Retry a request with exponential backoff when the server is rate limiting (429),
+// failing (5xx) or unreachable. Other errors, like a 401 for a bad API key, fail at once.
+
+const DEFAULT_RETRIES = 5;
+const DEFAULT_BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (!status) {
+    // No response at all: timeout, reset connection, DNS hiccup
+    return !!error.request || ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code);
+  }
+  return status === 429 || status >= 500;
+}
+
+// Honour Retry-After (seconds) when the server sends one, else double the delay each
+// attempt with some jitter so parallel runs do not retry in lockstep
+function retryDelay(error, attempt, baseDelayMs) {
+  const retryAfter = Number(error.response?.headers?.['retry-after']);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  }
+  const delay = baseDelayMs * 2 ** attempt;
+  return Math.min(delay + Math.random() * delay * 0.25, MAX_DELAY_MS);
+}
+
+async function withRetry(fn, { retries = DEFAULT_RETRIES, baseDelayMs = DEFAULT_BASE_DELAY_MS, label = 'request' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = retryDelay(error, attempt, baseDelayMs);
+      const reason = error.response?.status || error.code || error.message;
+      console.log(`   ↻ ${label} failed (${reason}), retrying in ${Math.round(delay)} ms (${attempt + 1}/${retries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { sleep, isRetryable, withRetry };
@@ -0,0 +1,115 @@
+// backend/db/taxonomy.js
+// The built-in taxonomy: muscles (grouped by body region), equipment, exercise types and
+// the health conditions exercises can be flagged as unsafe for, plus the starting catalog
+// of outcome measures. Migrations 009, 011 and 012 seed the lookup tables from these
+// lists; from then on the database is the source of truth (served by /api/taxonomy and
+// /api/measures), so add values with a new migration or, for measures, through the API.
+// The muscle and type slugs are also what the API Ninjas source queries by.
+
+// Listed head to toe; the order is kept for display
+const BODY_REGIONS = [
+  { slug: 'neck', label: 'Neck' },
+  { slug: 'shoulders', label: 'Shoulders' },
+  { slug: 'arms', label: 'Arms' },
+  { slug: 'chest', label: 'Chest' },
+  { slug: 'back', label: 'Back' },
+  { slug: 'core', label: 'Core' },
+  { slug: 'hips', label: 'Hips' },
+  { slug: 'legs', label: 'Legs' }
+];
+
+const MUSCLES = [
+  { slug: 'neck', label: 'Neck', region: 'neck' },
+  { slug: 'shoulders', label: 'Shoulders', region: 'shoulders' },
+  { slug: 'biceps', label: 'Biceps', region: 'arms' },
+  { slug: 'triceps', label: 'Triceps', region: 'arms' },
+  { slug: 'forearms', label: 'Forearms', region: 'arms' },
+  { slug: 'chest', label: 'Chest', region: 'chest' },
+  { slug: 'traps', label: 'Traps', region: 'back' },
+  { slug: 'lats', label: 'Lats', region: 'back' },
+  { slug: 'middle_back', label: 'Middle Back', region: 'back' },
+  { slug: 'lower_back', label: 'Lower Back', region: 'back' },
+  { slug: 'abdominals', label: 'Abdominals', region: 'core' },
+  { slug: 'glutes', label: 'Glutes', region: 'hips' },
+  { slug: 'abductors', label: 'Abductors', region: 'hips' },
+  { slug: 'adductors', label: 'Adductors', region: 'hips' },
+  { slug: 'quadriceps', label: 'Quadriceps', region: 'legs' },
+  { slug: 'hamstrings', label: 'Hamstrings', region: 'legs' },
+  { slug: 'calves', label: 'Calves', region: 'legs' }
+];
+
+const EQUIPMENT = [
+  { slug: 'none', label: 'None (body weight)' },
+  { slug: 'bands', label: 'Resistance Bands' },
+  { slug: 'barbell', label: 'Barbell' },
+  { slug: 'bench', label: 'Bench' },
+  { slug: 'cable', label: 'Cable' },
+  { slug: 'chair', label: 'Chair' },
+  { slug: 'dumbbell', label: 'Dumbbell' },
+  { slug: 'e-z_curl_bar', label: 'E-Z Curl Bar' },
+  { slug: 'exercise_ball', label: 'Exercise Ball' },
+  { slug: 'foam_roll', label: 'Foam Roll' },
+  { slug: 'kettlebells', label: 'Kettlebells' },
+  { slug: 'machine', label: 'Machine' },
+  { slug: 'mat', label: 'Mat' },
+  { slug: 'medicine_ball', label: 'Medicine Ball' },
+  { slug: 'step', label: 'Step' },
+  { slug: 'other', label: 'Other' }
+];
+
+const EXERCISE_TYPES = [
+  { slug: 'cardio', label: 'Cardio' },
+  { slug: 'olympic_weightlifting', label: 'Olympic Weightlifting' },
+  { slug: 'plyometrics', label: 'Plyometrics' },
+  { slug: 'powerlifting', label: 'Powerlifting' },
+  { slug: 'strength', label: 'Strength' },
+  { slug: 'stretching', label: 'Stretching' },
+  { slug: 'strongman', label: 'Strongman' }
+];
+
+// Conditions an exercise can be contraindicated (never prescribe) or carry a precaution
+// (prescribe with care) for
+const CONDITIONS = [
+  { slug: 'acute_low_back_pain', label: 'Acute Low Back Pain' },
+  { slug: 'post_op_shoulder', label: 'Post-op Shoulder' },
+  { slug: 'post_op_hip', label: 'Post-op Hip' },
+  { slug: 'post_op_knee', label: 'Post-op Knee' },
+  { slug: 'pregnancy', label: 'Pregnancy' },
+  { slug: 'osteoporosis', label: 'Osteoporosis' },
+  { slug: 'hypertension', label: 'Uncontrolled Hypertension' },
+  { slug: 'knee_osteoarthritis', label: 'Knee Osteoarthritis' },
+  { slug: 'neck_pain', label: 'Acute Neck Pain' }
+];
+
+const MEASURE_CATEGORIES = ['range_of_motion', 'strength', 'pain', 'questionnaire', 'other'];
+
+// Outcome measures. Range is the valid value range; higher says which way is better;
+// mcid is the minimal clinically important difference, where one is established;
+// bilateral measures are taken per side.
+const MEASURES = [
+  { slug: 'shoulder_flexion_rom', label: 'Shoulder Flexion ROM', category: 'range_of_motion', unit: '°', range: [0, 180], higher: true, mcid: null, bilateral: true },
+  { slug: 'shoulder_abduction_rom', label: 'Shoulder Abduction ROM', category: 'range_of_motion', unit: '°', range: [0, 180], higher: true, mcid: null, bilateral: true },
+  { slug: 'shoulder_external_rotation_rom', label: 'Shoulder External Rotation ROM', category: 'range_of_motion', unit: '°', range: [0, 90], higher: true, mcid: null, bilateral: true },
+  { slug: 'hip_flexion_rom', label: 'Hip Flexion ROM', category: 'range_of_motion', unit: '°', range: [0, 135], higher: true, mcid: null, bilateral: true },
+  { slug: 'knee_flexion_rom', label: 'Knee Flexion ROM', category: 'range_of_motion', unit: '°', range: [0, 160], higher: true, mcid: null, bilateral: true },
+  { slug: 'knee_extension_rom', label: 'Knee Extension ROM', category: 'range_of_motion', unit: '°', range: [-45, 15], higher: true, mcid: null, bilateral: true },
+  { slug: 'ankle_dorsiflexion_rom', label: 'Ankle Dorsiflexion ROM', category: 'range_of_motion', unit: '°', range: [-20, 40], higher: true, mcid: null, bilateral: true },
+  { slug: 'cervical_rotation_rom', label: 'Cervical Rotation ROM', category: 'range_of_motion', unit: '°', range: [0, 90], higher: true, mcid: null, bilateral: true },
+  { slug: 'mmt_shoulder_flexors', label: 'Shoulder Flexor Strength (MMT)', category: 'strength', unit: '/5', range: [0, 5], higher: true, mcid: null, bilateral: true },
+  { slug: 'mmt_hip_abductors', label: 'Hip Abductor Strength (MMT)', category: 'strength', unit: '/5', range: [0, 5], higher: true, mcid: null, bilateral: true },
+  { slug: 'mmt_quadriceps', label: 'Quadriceps Strength (MMT)', category: 'strength', unit: '/5', range: [0, 5], higher: true, mcid: null, bilateral: true },
+  { slug: 'grip_strength', label: 'Grip Strength', category: 'strength', unit: 'kg', range: [0, 100], higher: true, mcid: 6.5, bilateral: true },
+  { slug: 'pain_vas', label: 'Pain (VAS)', category: 'pain', unit: 'mm', range: [0, 100], higher: false, mcid: 20, bilateral: false },
+  { slug: 'pain_nprs', label: 'Pain (NPRS)', category: 'pain', unit: '/10', range: [0, 10], higher: false, mcid: 2, bilateral: false },
+  { slug: 'lefs', label: 'Lower Extremity Functional Scale (LEFS)', category: 'questionnaire', unit: '/80', range: [0, 80], higher: true, mcid: 9, bilateral: false },
+  { slug: 'odi', label: 'Oswestry Disability Index (ODI)', category: 'questionnaire', unit: '%', range: [0, 100], higher: false, mcid: 10, bilateral: false },
+  { slug: 'ndi', label: 'Neck Disability Index (NDI)', category: 'questionnaire', unit: '%', range: [0, 100], higher: false, mcid: 10, bilateral: false },
+  { slug: 'quickdash', label: 'QuickDASH', category: 'questionnaire', unit: '/100', range: [0, 100], higher: false, mcid: 8, bilateral: false }
+];
+
+// "lower_back" → "Lower Back", for values found in the library that have no label yet
+function labelFor(slug) {
+  return String(slug).replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+module.exports = { BODY_REGIONS, MUSCLES, EQUIPMENT, EXERCISE_TYPES, CONDITIONS, MEASURE_CATEGORIES, MEASURES, labelFor };
@@ -0,0 +1,210 @@
+// backend/handout.js
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+// A handout looks like:
+// {
+//   title, patientName?, notes?,
+//   exercises: [{ name, instructions, images: [{ url, path }], sets?, reps?, hold_seconds?,
+//                 frequency_per_day?, frequency_per_week?, clinician_notes? }]
+// }
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Human-readable dosage line, e.g. "3 sets × 10 reps · Hold 30 s · 2× per day"
+function formatDosage(entry) {
+  const parts = [];
+
+  if (entry.sets && entry.reps) {
+    parts.push(`${entry.sets} sets × ${entry.reps} reps`);
+  } else if (entry.sets) {
+    parts.push(`${entry.sets} sets`);
+  } else if (entry.reps) {
+    parts.push(`${entry.reps} reps`);
+  }
+
+  if (entry.hold_seconds) {
+    parts.push(`Hold ${entry.hold_seconds} s`);
+  }
+  if (entry.frequency_per_day) {
+    parts.push(`${entry.frequency_per_day}× per day`);
+  }
+  if (entry.frequency_per_week) {
+    parts.push(`${entry.frequency_per_week}× per week`);
+  }
+
+  return parts.join(' · ');
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function handoutFilename(title) {
+  const slug = String(title || 'handout').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'handout'}.pdf`;
+}
+
+// ========== HTML ==========
+
+function renderHandoutHtml(handout, generatedAt = new Date()) {
+  const exercisesHtml = handout.exercises.map((exercise, index) => {
+    const dosage = formatDosage(exercise);
+    const images = (exercise.images || []).slice(0, 2);
+
+    return `
+      <section class="exercise">
+        <h2>${index + 1}. ${escapeHtml(exercise.name)}</h2>
+        ${dosage ? `<p class="dosage">${escapeHtml(dosage)}</p>` : ''}
+        ${images.length > 0 ? `
+          <div class="images">
+            ${images.map(image => `<img src="${escapeHtml(image.url)}" alt="${escapeHtml(exercise.name)}">`).join('')}
+          </div>
+        ` : ''}
+        <p class="instructions">${escapeHtml(exercise.instructions)}</p>
+        ${exercise.clinician_notes ? `<p class="notes"><strong>Notes:</strong> ${escapeHtml(exercise.clinician_notes)}</p>` : ''}
+      </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(handout.title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; max-width: 800px; margin: 0 auto; padding: 24px; }
+        header { border-bottom: 2px solid #667eea; margin-bottom: 16px; }
+        h1 { margin: 0 0 8px; color: #667eea; }
+        .meta { color: #666; margin: 4px 0; }
+        .exercise { border-bottom: 1px solid #ddd; padding: 16px 0; page-break-inside: avoid; break-inside: avoid; }
+        .exercise h2 { margin: 0 0 8px; font-size: 1.2em; }
+        .dosage { font-weight: bold; color: #764ba2; margin: 0 0 8px; }
+        .images { display: flex; gap: 12px; margin-bottom: 8px; }
+        .images img { max-width: 48%; max-height: 220px; object-fit: contain; border: 1px solid #eee; }
+        .instructions { line-height: 1.5; margin: 0 0 8px; }
+        .notes { background: #f5f5ff; padding: 8px; margin: 0; }
+        .print-button { margin-bottom: 16px; }
+        @media print {
+            .print-button { display: none; }
+            body { padding: 0; }
+        }
+    </style>
+</head>
+<body>
+    <button class="print-button" onclick="window.print()">Print</button>
+    <header>
+        <h1>${escapeHtml(handout.title)}</h1>
+        ${handout.patientName ? `<p class="meta">Patient: ${escapeHtml(handout.patientName)}</p>` : ''}
+        <p class="meta">Date: ${formatDate(generatedAt)}</p>
+        ${handout.notes ? `<p class="meta">${escapeHtml(handout.notes)}</p>` : ''}
+    </header>
+    ${exercisesHtml}
+</body>
+</html>`;
+}
+
+// ========== PDF ==========
+
+// Read a stored image for embedding; the image store keeps everything as JPEG
+async function loadImage(filePath) {
+  try {
+    return await fs.promises.readFile(filePath);
+  } catch (error) {
+    console.error(`Could not load handout image ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+async function renderHandoutPdf(handout, generatedAt = new Date()) {
+  // Load all images up front so the document can be written synchronously
+  const exercises = [];
+  for (const exercise of handout.exercises) {
+    const images = [];
+    for (const { path } of (exercise.images || []).slice(0, 2)) {
+      const image = await loadImage(path);
+      if (image) {
+        images.push(image);
+      }
+    }
+    exercises.push({ ...exercise, images });
+  }
+
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const imageWidth = (contentWidth - 12) / 2;
+  const imageHeight = 160;
+
+  doc.fontSize(22).fillColor('#667eea').text(handout.title);
+  doc.moveDown(0.3);
+  doc.fontSize(11).fillColor('#666666');
+  if (handout.patientName) {
+    doc.text(`Patient: ${handout.patientName}`);
+  }
+  doc.text(`Date: ${formatDate(generatedAt)}`);
+  if (handout.notes) {
+    doc.text(handout.notes);
+  }
+  doc.moveDown();
+
+  exercises.forEach((exercise, index) => {
+    // Keep the heading, dosage and images together on one page
+    const headerHeight = 50 + (exercise.images.length > 0 ? imageHeight + 10 : 0);
+    if (doc.y + headerHeight > bottom) {
+      doc.addPage();
+    }
+
+    doc.fontSize(15).fillColor('#333333').text(`${index + 1}. ${exercise.name}`);
+
+    const dosage = formatDosage(exercise);
+    if (dosage) {
+      doc.fontSize(11).fillColor('#764ba2').text(dosage);
+    }
+    doc.moveDown(0.4);
+
+    if (exercise.images.length > 0) {
+      const top = doc.y;
+      exercise.images.forEach((image, imageIndex) => {
+        try {
+          doc.image(image, doc.page.margins.left + imageIndex * (imageWidth + 12), top, {
+            fit: [imageWidth, imageHeight],
+            align: 'center',
+            valign: 'center'
+          });
+        } catch (error) {
+          console.error(`Could not embed image for ${exercise.name}:`, error.message);
+        }
+      });
+      doc.x = doc.page.margins.left;
+      doc.y = top + imageHeight + 10;
+    }
+
+    doc.fontSize(11).fillColor('#333333').text(exercise.instructions || '', { align: 'left', lineGap: 2 });
+
+    if (exercise.clinician_notes) {
+      doc.moveDown(0.4);
+      doc.fillColor('#333333').text(`Notes: ${exercise.clinician_notes}`);
+    }
+
+    doc.moveDown(1.2);
+  });
+
+  doc.end();
+  return finished;
+}
+
+module.exports = { renderHandoutHtml, renderHandoutPdf, formatDosage, handoutFilename };
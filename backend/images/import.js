@@ -0,0 +1,209 @@
+// backend/images/import.js
+// Copy free-exercise-db images into the local image store and link them to our exercises.
+// Each exercise's best match is saved with its score; matches a reviewer has confirmed
+// or rejected in the admin UI are kept as they are.
+//
+//   npm run images:import                                   download from GitHub
+//   npm run images:import -- --source ../free-exercise-db   copy from a local checkout
+//   npm run images:import -- --replace                      copy images again even if unchanged
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const Database = require('../db/database');
+const { migrate } = require('../db/migrate');
+const { saveImage, removeImageFiles } = require('./store');
+const { MIN_MATCH_SCORE, REVIEW_SCORE, rankFreeExerciseMatches } = require('./matcher');
+const { config } = require('../config');
+
+const FREE_EXERCISE_DB_URL = config.sources.freeExerciseDbUrl;
+const SOURCE = 'free-exercise-db';
+
+function parseArgs(argv) {
+  const options = { source: null, replace: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--source') {
+      options.source = argv[++i];
+    } else if (argv[i] === '--replace') {
+      options.replace = true;
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+// Reads the exercise list and image files from a local checkout or from GitHub
+function createSource(sourceDir) {
+  if (sourceDir) {
+    const root = path.resolve(sourceDir);
+    return {
+      description: root,
+      loadExercises: async () => JSON.parse(fs.readFileSync(path.join(root, 'dist', 'exercises.json'), 'utf8')),
+      loadImage: async (imagePath) => fs.promises.readFile(path.join(root, 'exercises', imagePath))
+    };
+  }
+
+  return {
+    description: FREE_EXERCISE_DB_URL,
+    loadExercises: async () => (await axios.get(`${FREE_EXERCISE_DB_URL}/dist/exercises.json`)).data,
+    loadImage: async (imagePath) => {
+      const response = await axios.get(`${FREE_EXERCISE_DB_URL}/exercises/${imagePath}`, { responseType: 'arraybuffer' });
+      return Buffer.from(response.data);
+    }
+  };
+}
+
+// Candidate as stored with a match: enough to re-link its images without the full list
+function toCandidate({ candidate, score }) {
+  return {
+    id: candidate.id || candidate.name,
+    name: candidate.name,
+    score,
+    images: candidate.images || []
+  };
+}
+
+function sameImages(existing, imagePaths) {
+  return existing.length === imagePaths.length &&
+    existing.every((image, index) => image.source_path === imagePaths[index]);
+}
+
+// Replace an exercise's free-exercise-db images with the given ones (uploads are left alone).
+// Everything is fetched before the old images go, so a failed download changes nothing.
+// Returns the number of images copied.
+async function linkImages(db, source, exerciseId, imagePaths) {
+  const buffers = [];
+  for (const imagePath of imagePaths) {
+    buffers.push(await source.loadImage(imagePath));
+  }
+
+  const existing = (await db.getExerciseImages(exerciseId)).filter(image => image.source === SOURCE);
+  for (const image of existing) {
+    await db.deleteExerciseImage(image.id);
+    await removeImageFiles(image.file_name);
+  }
+
+  for (const [index, buffer] of buffers.entries()) {
+    const fileName = await saveImage(buffer, exerciseId);
+    await db.addExerciseImage({ exercise_id: exerciseId, file_name: fileName, source: SOURCE, source_path: imagePaths[index] });
+  }
+
+  return buffers.length;
+}
+
+async function importImages(options = {}) {
+  const source = createSource(options.source);
+  const db = new Database();
+
+  console.log(`\n=== Importing exercise images from ${source.description} ===\n`);
+
+  try {
+    const freeExercises = await source.loadExercises();
+    console.log(`✓ Loaded ${freeExercises.length} free-exercise-db entries`);
+
+    await db.connect();
+    await migrate(db);
+
+    const exercises = await db.getExercises();
+    const imported = await db.getExerciseImagesBySource(SOURCE);
+    const importedByExercise = new Map();
+    for (const image of imported) {
+      importedByExercise.set(image.exercise_id, [...(importedByExercise.get(image.exercise_id) || []), image]);
+    }
+    const reviewed = new Map((await db.getImageMatches())
+      .filter(match => match.status !== 'auto')
+      .map(match => [match.exercise_id, match]));
+
+    let linked = 0;
+    let copied = 0;
+    let skipped = 0;
+    let unmatched = 0;
+    let failed = 0;
+
+    for (const exercise of exercises) {
+      const existing = importedByExercise.get(exercise.id) || [];
+      let imagePaths = [];
+
+      const review = reviewed.get(exercise.id);
+      if (review) {
+        // A reviewer's pick wins over the matcher
+        const picked = review.candidates.find(candidate => candidate.id === review.source_id);
+        imagePaths = picked ? picked.images : [];
+      } else {
+        const candidates = rankFreeExerciseMatches(exercise, freeExercises).map(toCandidate);
+        const best = candidates[0] && candidates[0].score >= MIN_MATCH_SCORE ? candidates[0] : null;
+
+        await db.saveImageMatch({
+          exercise_id: exercise.id,
+          source_id: best ? best.id : null,
+          source_name: best ? best.name : null,
+          score: best ? best.score : 0,
+          candidates
+        });
+        imagePaths = best ? best.images : [];
+      }
+
+      if (imagePaths.length === 0) {
+        // Drop images left over from an earlier, since rejected or weaker, match
+        if (existing.length > 0) {
+          await linkImages(db, source, exercise.id, []);
+        }
+        unmatched++;
+        continue;
+      }
+
+      if (sameImages(existing, imagePaths) && !options.replace) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        copied += await linkImages(db, source, exercise.id, imagePaths);
+      } catch (error) {
+        console.error(`❌ Could not import images for "${exercise.exercise_name}":`, error.message);
+        failed++;
+        continue;
+      }
+
+      linked++;
+      if (linked % 25 === 0) {
+        console.log(`✓ Linked ${linked} exercises...`);
+      }
+    }
+
+    const needsReview = await db.getImageMatches({ status: 'auto', maxScore: REVIEW_SCORE, withCandidates: true });
+
+    console.log('\n=== Image Import Complete ===');
+    console.log(`✅ Exercises linked: ${linked} (${copied} images copied)`);
+    console.log(`⏭️  Already up to date: ${skipped}`);
+    console.log(`❔ No match: ${unmatched}`);
+    console.log(`🔍 Low-confidence matches to review: ${needsReview.length}`);
+    if (failed > 0) {
+      console.log(`❌ Failed exercises: ${failed}`);
+    }
+
+    await db.close();
+
+  } catch (error) {
+    console.error('\n❌ Fatal error importing images:', error.message);
+    if (db.db) {
+      await db.close();
+    }
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  importImages(options);
+}
+
+module.exports = { FREE_EXERCISE_DB_URL, SOURCE, createSource, linkImages, importImages };
@@ -0,0 +1,110 @@
+// backend/images/matcher.js
+// Scores free-exercise-db entries against one of our exercises. The name carries
+// most of the weight; equipment and primary muscle break ties between variants
+// like "Barbell Curl" and "Cable Curl".
+
+// Matches below this are not linked at all
+const MIN_MATCH_SCORE = 0.5;
+// Automatic matches below this are listed for admin review
+const REVIEW_SCORE = 0.75;
+
+const NAME_WEIGHT = 0.7;
+const EQUIPMENT_WEIGHT = 0.15;
+const MUSCLE_WEIGHT = 0.15;
+
+// Words that say nothing about which exercise it is
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'on', 'to', 'with', 'w']);
+
+// Our exercises say "none"/"body_only" where free-exercise-db says "body only" or nothing
+const BODYWEIGHT = 'body only';
+
+// Normalize an exercise name for comparison
+function normalizeName(name) {
+  return name.toLowerCase()
+    .replace(/[-_]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Distinct words of a name, with simple plurals folded ("curls" → "curl")
+function nameTokens(name) {
+  const words = normalizeName(name || '').match(/[a-z0-9]+/g) || [];
+  return new Set(words
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)));
+}
+
+// Token-set similarity: shared words over the smaller name, discounted by how much
+// longer the other name is. "Curl" vs "Barbell Curl" scores well below an exact hit.
+function tokenSetSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) {
+      shared++;
+    }
+  }
+
+  const containment = shared / Math.min(a.size, b.size);
+  const dice = (2 * shared) / (a.size + b.size);
+  return (containment + dice) / 2;
+}
+
+function normalizeEquipment(equipment) {
+  const value = normalizeName(equipment || '');
+  return !value || value === 'none' ? BODYWEIGHT : value;
+}
+
+// 1 for the same equipment, 0 for different equipment
+function equipmentSimilarity(exercise, candidate) {
+  return normalizeEquipment(exercise.equipment) === normalizeEquipment(candidate.equipment) ? 1 : 0;
+}
+
+// 1 when our muscle is the candidate's primary muscle, 0.5 when it is secondary
+function muscleSimilarity(exercise, candidate) {
+  const muscle = normalizeName(exercise.muscle || '');
+  const normalize = muscles => (muscles || []).map(normalizeName);
+
+  if (normalize(candidate.primaryMuscles).includes(muscle)) {
+    return 1;
+  }
+  if (normalize(candidate.secondaryMuscles).includes(muscle)) {
+    return 0.5;
+  }
+  return 0;
+}
+
+// Score in [0, 1] for one candidate; exercise is a row from our Exercises table
+function scoreMatch(exercise, candidate) {
+  const nameScore = tokenSetSimilarity(nameTokens(exercise.exercise_name), nameTokens(candidate.name));
+  if (nameScore === 0) {
+    return 0;
+  }
+
+  const score = NAME_WEIGHT * nameScore +
+    EQUIPMENT_WEIGHT * equipmentSimilarity(exercise, candidate) +
+    MUSCLE_WEIGHT * muscleSimilarity(exercise, candidate);
+
+  return Math.round(score * 1000) / 1000;
+}
+
+// Best-scoring free-exercise-db entries for an exercise, highest first:
+// [{ candidate, score }]. Entries sharing no name words are left out.
+function rankFreeExerciseMatches(exercise, freeExercises, limit = 5) {
+  return freeExercises
+    .map(candidate => ({ candidate, score: scoreMatch(exercise, candidate) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.candidate.name.localeCompare(b.candidate.name))
+    .slice(0, limit);
+}
+
+module.exports = {
+  MIN_MATCH_SCORE,
+  REVIEW_SCORE,
+  normalizeName,
+  scoreMatch,
+  rankFreeExerciseMatches
+};
@@ -0,0 +1,63 @@
+// backend/images/store.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { config } = require('../config');
+
+// Full-size images and thumbnails live side by side under the same file name
+const IMAGE_DIR = config.imageDir;
+const FULL_DIR = path.join(IMAGE_DIR, 'full');
+const THUMB_DIR = path.join(IMAGE_DIR, 'thumbs');
+
+const FULL_MAX_SIZE = 1600;
+const THUMB_WIDTH = 320;
+
+function ensureImageDirs() {
+  fs.mkdirSync(FULL_DIR, { recursive: true });
+  fs.mkdirSync(THUMB_DIR, { recursive: true });
+}
+
+function imagePath(fileName) {
+  return path.join(FULL_DIR, fileName);
+}
+
+function thumbnailPath(fileName) {
+  return path.join(THUMB_DIR, fileName);
+}
+
+// Store an image for an exercise: everything is re-encoded as JPEG (which PDF
+// handouts can embed), capped at FULL_MAX_SIZE, with a THUMB_WIDTH thumbnail.
+// Returns the generated file name.
+async function saveImage(buffer, exerciseId) {
+  ensureImageDirs();
+
+  const fileName = `${exerciseId}-${crypto.randomBytes(6).toString('hex')}.jpg`;
+  const image = sharp(buffer).rotate(); // honour EXIF orientation from phone photos
+
+  await image.clone()
+    .resize({ width: FULL_MAX_SIZE, height: FULL_MAX_SIZE, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 85 })
+    .toFile(imagePath(fileName));
+
+  await image.clone()
+    .resize({ width: THUMB_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toFile(thumbnailPath(fileName));
+
+  return fileName;
+}
+
+async function removeImageFiles(fileName) {
+  for (const filePath of [imagePath(fileName), thumbnailPath(fileName)]) {
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = { IMAGE_DIR, saveImage, removeImageFiles, imagePath, thumbnailPath };
@@ -0,0 +1,89 @@
+// backend/library/export.js
+// Write the exercise library (or a filtered part of it) as JSON, CSV or free-exercise-db JSON.
+//
+//   npm run library:export                                      exercises.json
+//   npm run library:export -- --format csv --out clinic.csv
+//   npm run library:export -- --format free-exercise-db --muscle biceps
+const fs = require('fs');
+const Database = require('../db/database');
+const { migrate } = require('../db/migrate');
+const { SOURCE } = require('../images/import');
+const { exerciseFields } = require('../api/serializers');
+const { FORMATS, serializeExercises, exportFilename } = require('./formats');
+
+const FILTERS = ['muscle', 'type', 'difficulty', 'equipment'];
+
+function parseArgs(argv) {
+  const options = { format: 'json', out: null, filters: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].startsWith('--') ? argv[i].slice(2) : null;
+    if (name === 'format') {
+      options.format = argv[++i];
+    } else if (name === 'out') {
+      options.out = argv[++i];
+    } else if (FILTERS.includes(name)) {
+      options.filters[name] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+  options.out = options.out || exportFilename(options.format);
+
+  return options;
+}
+
+// Exercises matching the list filters, in the API's shape, as a file in the given format
+async function exportExercises(db, format, filters = {}) {
+  const rows = await db.getExercises(filters);
+  const links = await db.getExerciseLinks(rows.map(ex => ex.id));
+  const exercises = rows.map(ex => exerciseFields(ex, links.get(ex.id)));
+
+  // free-exercise-db entries list their image paths; keep the ones we imported from it
+  const imagesById = new Map();
+  if (format === 'free-exercise-db') {
+    for (const image of await db.getExerciseImagesBySource(SOURCE)) {
+      imagesById.set(image.exercise_id, [...(imagesById.get(image.exercise_id) || []), image.source_path]);
+    }
+  }
+
+  return { count: exercises.length, content: serializeExercises(exercises, format, imagesById) };
+}
+
+async function exportFile(options) {
+  const db = new Database();
+
+  try {
+    await db.connect();
+    await migrate(db);
+    const { count, content } = await exportExercises(db, options.format, options.filters);
+    await db.close();
+
+    fs.writeFileSync(options.out, content);
+    console.log(`✅ Exported ${count} exercises to ${options.out} (${options.format})`);
+
+  } catch (error) {
+    console.error('\n❌ Fatal error exporting exercises:', error.message);
+    if (db.db) {
+      await db.close();
+    }
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  exportFile(options);
+}
+
+module.exports = { exportExercises };
@@ -0,0 +1,237 @@
+// backend/library/formats.js
+// Reading and writing the exercise library as JSON, CSV or free-exercise-db JSON.
+// Every format is parsed into plain records shaped like the API's exercises:
+// { name, type, muscle, equipment, difficulty, instructions, secondary_muscles,
+// additional_equipment, contraindications, precautions }.
+
+const FORMATS = ['json', 'csv', 'free-exercise-db'];
+
+const CSV_COLUMNS = [
+  'name', 'type', 'muscle', 'equipment', 'difficulty', 'instructions', 'secondary_muscles', 'additional_equipment',
+  'contraindications', 'precautions'
+];
+
+// Lists (secondary_muscles, additional_equipment, contraindications, precautions) share one CSV cell
+const CSV_LIST_SEPARATOR = '; ';
+
+// ========== CSV ==========
+
+// RFC 4180: fields separated by commas, quoted when they contain commas, quotes or
+// line breaks, with quotes inside doubled. Returns an array of rows (arrays of strings).
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Records keyed by the header row; column names are matched case-insensitively
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  if (!columns.includes('name')) {
+    throw new Error('CSV header must include a "name" column');
+  }
+
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = cells[index] ?? '';
+    });
+    return record;
+  });
+}
+
+function csvField(value) {
+  const text = Array.isArray(value) ? value.join(CSV_LIST_SEPARATOR) : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(exercises) {
+  const lines = [['id', ...CSV_COLUMNS].join(',')];
+  for (const exercise of exercises) {
+    lines.push(['id', ...CSV_COLUMNS].map(column => csvField(exercise[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ========== FREE-EXERCISE-DB ==========
+// https://github.com/yuhonas/free-exercise-db: { id, name, level, category, equipment,
+// primaryMuscles[], secondaryMuscles[], instructions[], images[], ... }
+
+// free-exercise-db says "lower back"/"olympic weightlifting" where we say lower_back
+function fromFreeExerciseTerm(value) {
+  return value ? String(value).trim().toLowerCase().replace(/\s+/g, '_') : '';
+}
+
+function toFreeExerciseTerm(value) {
+  return value ? String(value).replace(/_/g, ' ') : null;
+}
+
+function fromFreeExercise(entry) {
+  const equipment = entry.equipment && entry.equipment !== 'body only' ? fromFreeExerciseTerm(entry.equipment) : 'none';
+
+  return {
+    name: entry.name,
+    type: fromFreeExerciseTerm(entry.category),
+    muscle: fromFreeExerciseTerm((entry.primaryMuscles || [])[0]),
+    equipment,
+    difficulty: entry.level,
+    instructions: Array.isArray(entry.instructions) ? entry.instructions.join(' ') : entry.instructions,
+    secondary_muscles: (entry.secondaryMuscles || []).map(fromFreeExerciseTerm)
+  };
+}
+
+// free-exercise-db ids are the name with underscores, e.g. "Barbell_Curl"
+function freeExerciseId(name) {
+  return String(name).replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// images: the exercise's free-exercise-db image paths, when it has any. free-exercise-db
+// has room for one piece of equipment and no safety flags, so additional_equipment,
+// contraindications and precautions are left out.
+function toFreeExercise(exercise, images = []) {
+  return {
+    id: freeExerciseId(exercise.name),
+    name: exercise.name,
+    force: null,
+    level: exercise.difficulty,
+    mechanic: null,
+    equipment: !exercise.equipment || exercise.equipment === 'none' ? 'body only' : toFreeExerciseTerm(exercise.equipment),
+    primaryMuscles: exercise.muscle ? [toFreeExerciseTerm(exercise.muscle)] : [],
+    secondaryMuscles: (exercise.secondary_muscles || []).map(toFreeExerciseTerm),
+    // Our instructions are one paragraph; free-exercise-db lists the steps
+    instructions: String(exercise.instructions || '').split(/(?<=[.!?])\s+/).filter(Boolean),
+    category: toFreeExerciseTerm(exercise.type),
+    images
+  };
+}
+
+// ========== PARSE / SERIALIZE ==========
+
+// JSON imports may be a bare array or { exercises: [...] } like a list page
+function parseJsonArray(text) {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data && data.exercises;
+  if (!Array.isArray(records)) {
+    throw new Error('JSON must be an array of exercises or { "exercises": [...] }');
+  }
+  return records;
+}
+
+// Guess the format of an import from a file name and its content
+function detectFormat(text, fileName = '') {
+  if (/\.csv$/i.test(fileName)) {
+    return 'csv';
+  }
+
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+    return 'csv';
+  }
+
+  try {
+    const [first] = parseJsonArray(trimmed);
+    return first && (first.primaryMuscles || first.level || first.category) ? 'free-exercise-db' : 'json';
+  } catch (error) {
+    return 'json';
+  }
+}
+
+// Text in one of FORMATS → exercise records. Throws on input that cannot be read at all;
+// bad individual records are left for validation to report.
+function parseExercises(text, format) {
+  switch (format) {
+    case 'csv':
+      return parseCsv(text);
+    case 'json':
+      return parseJsonArray(text);
+    case 'free-exercise-db':
+      return parseJsonArray(text).map(entry => (entry && typeof entry === 'object' ? fromFreeExercise(entry) : entry));
+    default:
+      throw new Error(`Unknown format: ${format}`);
+  }
+}
+
+// Exercises as sent by the API ({ id, name, type, ... }) → file contents.
+// imagesById maps exercise id → free-exercise-db image paths (free-exercise-db format only).
+function serializeExercises(exercises, format, imagesById = new Map()) {
+  switch (format) {
+    case 'csv':
+      return toCsv(exercises);
+    case 'json':
+      return JSON.stringify(exercises, null, 2) + '\n';
+    case 'free-exercise-db':
+      return JSON.stringify(exercises.map(exercise => toFreeExercise(exercise, imagesById.get(exercise.id) || [])), null, 2) + '\n';
+    default:
+      throw new Error(`Unknown format: ${format}`);
+  }
+}
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  'free-exercise-db': 'application/json; charset=utf-8'
+};
+
+function exportFilename(format) {
+  return format === 'csv' ? 'exercises.csv' : format === 'json' ? 'exercises.json' : 'exercises.free-exercise-db.json';
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  fromFreeExercise,
+  detectFormat,
+  parseExercises,
+  serializeExercises,
+  exportFilename
+};
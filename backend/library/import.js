@@ -0,0 +1,271 @@
+// backend/library/import.js
+// Bulk-add exercises from a JSON, CSV or free-exercise-db file. Every row is validated
+// and checked against the library first; nothing is written unless the whole file is
+// valid, and then all new exercises go in one transaction.
+//
+//   npm run library:import -- exercises.csv            dry run: print the per-row report
+//   npm run library:import -- exercises.csv --commit   add the new exercises
+//   npm run library:import -- data.json --format free-exercise-db --commit
+const fs = require('fs');
+const path = require('path');
+const Database = require('../db/database');
+const { migrate } = require('../db/migrate');
+const { FORMATS, detectFormat, parseExercises } = require('./formats');
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'expert'];
+const REQUIRED_FIELDS = ['name', 'type', 'muscle', 'difficulty', 'instructions'];
+const MAX_NAME_LENGTH = 200;
+
+function parseArgs(argv) {
+  const options = { file: null, format: null, commit: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') {
+      options.format = argv[++i];
+    } else if (argv[i] === '--commit') {
+      options.commit = true;
+    } else if (argv[i].startsWith('--') || options.file) {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    } else {
+      options.file = argv[i];
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('Usage: npm run library:import -- <file> [--format json|csv|free-exercise-db] [--commit]');
+  }
+  if (options.format && !FORMATS.includes(options.format)) {
+    throw new Error(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  return options;
+}
+
+function clean(value) {
+  return typeof value === 'string' ? value.trim() : value == null ? '' : String(value).trim();
+}
+
+// "biceps; forearms", "biceps,forearms" or ['biceps', 'forearms'] → ['biceps', 'forearms']
+function cleanList(value) {
+  const items = Array.isArray(value) ? value : clean(value).split(/[;,]/);
+  return [...new Set(items.map(item => clean(item).toLowerCase()).filter(Boolean))];
+}
+
+// Fields checked against the taxonomy, and the taxonomy list each must come from
+const TAXONOMY_FIELDS = {
+  type: 'types',
+  muscle: 'muscles',
+  equipment: 'equipment',
+  secondary_muscles: 'muscles',
+  additional_equipment: 'equipment',
+  contraindications: 'conditions',
+  precautions: 'conditions'
+};
+
+// Errors for values of an exercise (or the fields of a partial update) that are not in
+// the taxonomy, as returned by db.getTaxonomy()
+function checkTaxonomy(exercise, taxonomy) {
+  const errors = [];
+
+  for (const [field, list] of Object.entries(TAXONOMY_FIELDS)) {
+    const values = [].concat(exercise[field] ?? []);
+    for (const value of values.filter(Boolean)) {
+      if (!taxonomy[list].some(entry => entry.slug === value)) {
+        errors.push(`${field} "${value}" is not in the taxonomy`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Exercise fields by how they are cleaned: trimmed text, lowercased slugs, and lists
+// (or ";"-separated in CSV)
+const TEXT_FIELDS = ['name', 'instructions'];
+const SLUG_FIELDS = ['type', 'muscle', 'equipment', 'difficulty'];
+const LIST_FIELDS = ['secondary_muscles', 'additional_equipment', 'contraindications', 'precautions'];
+const EXERCISE_FIELDS = ['name', 'type', 'muscle', 'equipment', 'difficulty', 'instructions', ...LIST_FIELDS];
+
+function cleanField(field, value) {
+  if (LIST_FIELDS.includes(field)) {
+    return cleanList(value);
+  }
+  return SLUG_FIELDS.includes(field) ? clean(value).toLowerCase() : clean(value);
+}
+
+// Errors for the values a cleaned exercise (or partial update) has
+function checkValues(exercise, taxonomy) {
+  const errors = [];
+
+  if (exercise.name && exercise.name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (exercise.difficulty && !DIFFICULTIES.includes(exercise.difficulty)) {
+    errors.push(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+  if (taxonomy) {
+    errors.push(...checkTaxonomy(exercise, taxonomy));
+  }
+
+  return errors;
+}
+
+// One parsed record → { exercise, errors }. Values are trimmed; type, muscle, equipment
+// and difficulty are lowercased to match the library; missing equipment means none.
+// With a taxonomy, slugs it does not know are errors too.
+function validateExercise(record, taxonomy = null) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { exercise: null, errors: ['row is not an exercise object'] };
+  }
+
+  const exercise = Object.fromEntries(EXERCISE_FIELDS.map(field => [field, cleanField(field, record[field])]));
+  exercise.equipment = exercise.equipment || 'none';
+
+  const errors = REQUIRED_FIELDS
+    .filter(field => !exercise[field])
+    .map(field => `${field} is required`);
+  errors.push(...checkValues(exercise, taxonomy));
+
+  return { exercise, errors };
+}
+
+// The fields of a partial update → { exercise, errors }, cleaned and checked as
+// validateExercise does a whole exercise. exercise has only the fields sent; blanking a
+// required one is an error (blank equipment means none).
+function validateExerciseUpdate(record, taxonomy = null) {
+  const exercise = {};
+  for (const field of EXERCISE_FIELDS.filter(field => record[field] !== undefined)) {
+    exercise[field] = cleanField(field, record[field]);
+  }
+  if (exercise.equipment === '') {
+    exercise.equipment = 'none';
+  }
+
+  const errors = REQUIRED_FIELDS
+    .filter(field => exercise[field] === '')
+    .map(field => `${field} must not be blank`);
+  errors.push(...checkValues(exercise, taxonomy));
+
+  return { exercise, errors };
+}
+
+// Validate and deduplicate records against an open database, then add the new ones
+// unless dryRun is set or any row is invalid. actor is recorded in the audit log.
+// Returns { dry_run, committed, summary, rows: [{ row, name, status, errors?, id? }] }
+// where status is new (would be added), created, duplicate or invalid.
+async function importExercises(db, records, { dryRun = true, actor = null } = {}) {
+  const rows = [];
+  const seen = new Set();
+  const taxonomy = await db.getTaxonomy();
+
+  for (const [index, record] of records.entries()) {
+    const { exercise, errors } = validateExercise(record, taxonomy);
+    const row = { row: index + 1, name: exercise ? exercise.name : null };
+
+    if (errors.length > 0) {
+      rows.push({ ...row, status: 'invalid', errors });
+      continue;
+    }
+
+    // Fold case the way SQLite's NOCASE does (ASCII letters only), as db.exerciseExists does
+    const key = exercise.name.replace(/[A-Z]/g, letter => letter.toLowerCase());
+    if (seen.has(key) || await db.exerciseExists(exercise.name)) {
+      rows.push({ ...row, status: 'duplicate' });
+      continue;
+    }
+
+    seen.add(key);
+    rows.push({ ...row, status: 'new', exercise });
+  }
+
+  const count = status => rows.filter(row => row.status === status).length;
+  const summary = {
+    total: rows.length,
+    new: count('new'),
+    duplicates: count('duplicate'),
+    invalid: count('invalid')
+  };
+
+  const committed = !dryRun && summary.invalid === 0;
+  if (committed) {
+    await db.transaction(async () => {
+      for (const row of rows.filter(row => row.status === 'new')) {
+        const created = await db.createExercise(row.exercise, actor);
+        row.status = 'created';
+        row.id = created.id;
+      }
+    });
+  }
+
+  return {
+    dry_run: dryRun,
+    committed,
+    summary,
+    rows: rows.map(({ exercise, ...row }) => row)
+  };
+}
+
+function printReport(report, format) {
+  const symbols = { new: '➕', created: '✅', duplicate: '⏭️ ', invalid: '❌' };
+
+  for (const row of report.rows) {
+    const problems = row.errors ? `: ${row.errors.join('; ')}` : '';
+    console.log(`${symbols[row.status]} Row ${row.row} ${row.name ? `"${row.name}"` : ''} ${row.status}${problems}`);
+  }
+
+  const { summary } = report;
+  console.log(`\n=== Import ${report.dry_run ? 'Dry Run' : 'Complete'} (${format}) ===`);
+  console.log(`📄 Rows: ${summary.total}`);
+  console.log(`➕ New: ${summary.new}`);
+  console.log(`⏭️  Duplicates: ${summary.duplicates}`);
+  console.log(`❌ Invalid: ${summary.invalid}`);
+
+  if (report.committed) {
+    console.log(`\n✅ Added ${summary.new} exercises`);
+  } else if (!report.dry_run) {
+    console.log('\n❌ Nothing was imported: fix the invalid rows and run again');
+  } else {
+    console.log('\nDry run only. Run again with --commit to add the new exercises.');
+  }
+}
+
+async function importFile(options) {
+  const db = new Database();
+
+  try {
+    const text = fs.readFileSync(options.file, 'utf8');
+    const format = options.format || detectFormat(text, path.basename(options.file));
+    const records = parseExercises(text, format);
+
+    await db.connect();
+    await migrate(db);
+
+    const report = await importExercises(db, records, { dryRun: !options.commit });
+    await db.close();
+
+    printReport(report, format);
+    if (!report.dry_run && !report.committed) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('\n❌ Fatal error importing exercises:', error.message);
+    if (db.db) {
+      await db.close();
+    }
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  importFile(options);
+}
+
+module.exports = { DIFFICULTIES, MAX_NAME_LENGTH, cleanList, checkTaxonomy, validateExercise, validateExerciseUpdate, importExercises };
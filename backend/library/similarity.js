@@ -0,0 +1,185 @@
+// backend/library/similarity.js
+// Similar-exercise recommendations: other exercises ranked by how much they share an
+// exercise's muscles, type, equipment and difficulty, plus how alike their names and
+// instructions read (TF-IDF cosine similarity). Everything is computed locally from an
+// in-memory index of the library, rebuilt whenever the library changes.
+const { exerciseFields } = require('../api/serializers');
+
+// How much each kind of match counts towards the score (they add up to 1). Much of a
+// muscle group shares type and equipment, so the text breaks most ties.
+const WEIGHTS = {
+  muscle: 0.3,
+  text: 0.35,
+  type: 0.1,
+  equipment: 0.15,
+  difficulty: 0.1
+};
+
+const DIFFICULTY_LEVELS = { beginner: 0, intermediate: 1, expert: 2 };
+
+// difficulty filter values, relative to the exercise being substituted
+const DIFFICULTY_FILTERS = {
+  easier: (level, base) => level < base,
+  not_harder: (level, base) => level <= base,
+  same: (level, base) => level === base,
+  harder: (level, base) => level > base
+};
+
+// Words that say nothing about the movement itself
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'both', 'by', 'for', 'from', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'the', 'then', 'this', 'that', 'to', 'your', 'you', 'with', 'will',
+  'while', 'until', 'up', 'so', 'should', 'position', 'starting', 'repeat', 'recommended',
+  'amount', 'repetitions', 'times', 'slowly', 'keep', 'keeping', 'begin', 'return'
+]);
+
+// Name words are counted twice: a shared word in the name says more than one in the text
+function tokenize(exercise) {
+  const words = text => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    // Crude plural folding, so "bands" and "band" meet
+    .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  const name = words(exercise.name);
+  return [...name, ...name, ...words(exercise.instructions)];
+}
+
+// Term weights of a document, scaled to unit length so a dot product is the cosine
+function tfidfVector(tokens, idf) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+
+  const vector = new Map();
+  let norm = 0;
+  for (const [term, count] of counts) {
+    const weight = (1 + Math.log(count)) * idf.get(term);
+    vector.set(term, weight);
+    norm += weight * weight;
+  }
+
+  norm = Math.sqrt(norm);
+  for (const [term, weight] of vector) {
+    vector.set(term, weight / norm);
+  }
+  return vector;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    dot += weight * (large.get(term) || 0);
+  }
+  return dot;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  for (const value of a) {
+    if (b.has(value)) {
+      shared++;
+    }
+  }
+  const total = a.size + b.size - shared;
+  return total > 0 ? shared / total : 0;
+}
+
+// Index exercises in the API's shape (with secondary_muscles, additional_equipment and
+// contraindications): Map of id → { exercise, muscles, equipment, level, vector }
+function buildIndex(exercises) {
+  const documents = exercises.map(exercise => ({ exercise, tokens: tokenize(exercise) }));
+
+  // Smoothed inverse document frequency: rarer words weigh more, none weighs zero
+  const documentFrequency = new Map();
+  for (const { tokens } of documents) {
+    for (const term of new Set(tokens)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  const idf = new Map();
+  for (const [term, count] of documentFrequency) {
+    idf.set(term, Math.log((1 + documents.length) / (1 + count)) + 1);
+  }
+
+  return new Map(documents.map(({ exercise, tokens }) => [exercise.id, {
+    exercise,
+    muscles: new Set([exercise.muscle, ...(exercise.secondary_muscles || [])].filter(Boolean)),
+    equipment: new Set([exercise.equipment || 'none', ...(exercise.additional_equipment || [])]),
+    level: DIFFICULTY_LEVELS[exercise.difficulty],
+    vector: tokens.length > 0 ? tfidfVector(tokens, idf) : new Map()
+  }]));
+}
+
+// How alike two indexed exercises are: { score, match } with every part from 0 to 1
+function compare(a, b) {
+  const match = {
+    muscle: a.exercise.muscle && a.exercise.muscle === b.exercise.muscle ? 1 : jaccard(a.muscles, b.muscles),
+    text: cosine(a.vector, b.vector),
+    type: a.exercise.type && a.exercise.type === b.exercise.type ? 1 : 0,
+    equipment: jaccard(a.equipment, b.equipment),
+    difficulty: a.level !== undefined && b.level !== undefined ? 1 - Math.abs(a.level - b.level) / 2 : 0
+  };
+
+  const score = Object.entries(WEIGHTS).reduce((sum, [part, weight]) => sum + weight * match[part], 0);
+  return { score, match };
+}
+
+// Exercises most like exerciseId, best first, as [{ exercise, score, match }]; null when
+// the exercise is not in the index. Options narrow the candidates:
+//   noEquipment        body weight only (no equipment and no additional equipment)
+//   difficulty         one of DIFFICULTY_FILTERS, relative to the exercise
+//   excludeConditions  leave out exercises contraindicated for any of these slugs
+function findSimilar(index, exerciseId, { limit = 10, noEquipment = false, difficulty = null, excludeConditions = [] } = {}) {
+  const base = index.get(Number(exerciseId));
+  if (!base) {
+    return null;
+  }
+
+  const results = [];
+  for (const candidate of index.values()) {
+    const { exercise } = candidate;
+    if (candidate === base) {
+      continue;
+    }
+    if (noEquipment && (candidate.equipment.size > 1 || !candidate.equipment.has('none'))) {
+      continue;
+    }
+    if (difficulty && (candidate.level === undefined || base.level === undefined ||
+        !DIFFICULTY_FILTERS[difficulty](candidate.level, base.level))) {
+      continue;
+    }
+    if ((exercise.contraindications || []).some(condition => excludeConditions.includes(condition))) {
+      continue;
+    }
+
+    results.push({ exercise, ...compare(base, candidate) });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.exercise.name.localeCompare(b.exercise.name))
+    .slice(0, limit);
+}
+
+// One index per database connection, rebuilt when the library's revision (see
+// db.getLibraryRevision) moves
+const indexes = new WeakMap();
+
+// The library's similarity index, built from the non-deleted exercises
+async function getSimilarityIndex(db) {
+  const { count, revision } = await db.getLibraryRevision();
+  const version = `${count}:${revision}`;
+  const cached = indexes.get(db);
+  if (cached && cached.version === version) {
+    return cached.index;
+  }
+
+  const rows = await db.getExercises();
+  const links = await db.getExerciseLinks(rows.map(row => row.id));
+  const index = buildIndex(rows.map(row => exerciseFields(row, links.get(row.id))));
+
+  indexes.set(db, { version, index });
+  return index;
+}
+
+module.exports = { DIFFICULTY_FILTERS, buildIndex, findSimilar, getSimilarityIndex };
@@ -0,0 +1,72 @@
+// backend/measurements.js
+// Outcome measure trends for a patient: each measure (per side, for bilateral ones) as a
+// dated series, with the change from the first result to the latest read against the
+// measure's direction and its minimal clinically important difference (MCID).
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Shape a Measures row for the API, with real booleans
+function transformMeasure(measure) {
+  return {
+    id: measure.id,
+    slug: measure.slug,
+    label: measure.label,
+    category: measure.category,
+    unit: measure.unit,
+    min_value: measure.min_value,
+    max_value: measure.max_value,
+    higher_is_better: measure.higher_is_better === 1,
+    mcid: measure.mcid,
+    bilateral: measure.bilateral === 1,
+    active: measure.active === 1
+  };
+}
+
+// Group measurements (oldest first, as db.getMeasurements returns them) into one series
+// per measure and side, in catalog order. trend is improving, worsening or unchanged
+// (null with a single result); meaningful says whether the change reaches the MCID
+// (null when the measure has none).
+function summarizeTrends(measurements, measures) {
+  const series = new Map();
+
+  for (const measurement of measurements) {
+    const key = `${measurement.measure_id}:${measurement.side || ''}`;
+    if (!series.has(key)) {
+      const measure = measures.find(m => m.id === measurement.measure_id);
+      series.set(key, { measure, side: measurement.side, points: [] });
+    }
+    series.get(key).points.push({
+      id: measurement.id,
+      measured_on: measurement.measured_on,
+      value: measurement.value,
+      notes: measurement.notes
+    });
+  }
+
+  return [...series.values()]
+    .sort((a, b) =>
+      measures.indexOf(a.measure) - measures.indexOf(b.measure) ||
+      String(a.side).localeCompare(String(b.side))
+    )
+    .map(({ measure, side, points }) => {
+      const first = points[0].value;
+      const latest = points[points.length - 1].value;
+      const change = round(latest - first);
+      const improvement = measure.higher_is_better ? change : -change;
+
+      return {
+        measure: transformMeasure(measure),
+        side,
+        points,
+        first,
+        latest,
+        change,
+        trend: points.length < 2 ? null : improvement > 0 ? 'improving' : improvement < 0 ? 'worsening' : 'unchanged',
+        meaningful: points.length < 2 || measure.mcid === null ? null : Math.abs(change) >= measure.mcid
+      };
+    });
+}
+
+module.exports = { transformMeasure, summarizeTrends };
@@ -1,91 +1,175 @@
 // backend/server.js
-require('dotenv').config({ path: __dirname + '/.env' });
+const { config, applyLogLevel } = require('./config');
 
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
-const Database = require('./db/database');
+const { openDatabase, attachDatabase, closeDatabase } = require('./db/service');
+const { SEARCH_MATCH_START, SEARCH_MATCH_END, PATIENT_FIELDS, SESSION_LOG_FIELDS, MEASURE_FIELDS, MEASUREMENT_FIELDS, isDuplicateNameError } = require('./db/database');
+const { MUSCLES, MEASURE_CATEGORIES } = require('./db/taxonomy');
+const { renderHandoutHtml, renderHandoutPdf, handoutFilename } = require('./handout');
+const { summarizeAdherence } = require('./adherence');
+const { transformMeasure, summarizeTrends } = require('./measurements');
+const multer = require('multer');
+const { IMAGE_DIR, saveImage, removeImageFiles, imagePath } = require('./images/store');
+const { REVIEW_SCORE } = require('./images/matcher');
+const { FREE_EXERCISE_DB_URL, createSource, linkImages } = require('./images/import');
+const { CONTENT_TYPES, detectFormat, parseExercises, exportFilename } = require('./library/formats');
+const { DIFFICULTIES, cleanList, validateExercise, validateExerciseUpdate, importExercises } = require('./library/import');
+const { exportExercises } = require('./library/export');
+const { findSimilar, getSimilarityIndex } = require('./library/similarity');
+const { validateWorkoutRequest, generateWorkout } = require('./workouts/generator');
+const { spec } = require('./api/openapi');
+const { validate } = require('./api/validate');
+const { sendError, sendMissingFields, sendNothingToUpdate, sendInvalidFields, notFoundHandler, errorHandler } = require('./api/errors');
+const {
+  exerciseFields, serializeExercise, serializeExercises, serializeUpstreamExercise, summaryFields, serializeExerciseSummary
+} = require('./api/serializers');
+const { latestTimestamp, notModified } = require('./api/caching');
+const swaggerUiDist = require('swagger-ui-dist');
+const {
+  ROLES, STAFF_ROLES, hashPassword, verifyPassword, validatePassword, createSession,
+  authenticate, requireAuth, requireRole, canAccessPatient
+} = require('./auth');
 
 const app = express();
-const PORT = 3000;
 
-const NINJA_API_KEY = process.env.NINJA_API_KEY;
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const SHUTDOWN_TIMEOUT_MS = 10000;
 
-console.log('=== ENV DEBUG ===');
-console.log('NINJA_API_KEY exists?', !!NINJA_API_KEY);
-console.log('NINJA_API_KEY length:', NINJA_API_KEY?.length);
-console.log('First 5 chars:', NINJA_API_KEY?.substring(0, 5));
-console.log('=================');
+// Exercise fields the API names differently from their columns (for updates)
+const UPDATE_COLUMNS = {
+  name: 'exercise_name',
+  type: 'exercise_type'
+};
 
-// Enable CORS for frontend (running on different port/origin)
-app.use(cors());
+// The frontend is served from this origin; CORS_ORIGINS lets others (e.g. a separate
+// dev server) call the API too
+app.use(cors({ origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins }));
+// Library imports arrive as raw CSV or JSON text (format detection needs the original)
+app.use('/api/exercises/import', express.text({ type: '*/*', limit: MAX_IMPORT_BYTES }));
 app.use(express.json());
 
-// Cache for free-exercise-db data
-let exerciseDatabase = null;
+// Locally stored exercise images: /images/full/<file> and /images/thumbs/<file>.
+// File names are never reused, so they can be cached for good.
+app.use('/images', express.static(IMAGE_DIR, { maxAge: '365d', immutable: true }));
 
-// Load the free-exercise-db on startup
-async function loadExerciseDatabase() {
-  try {
-    const response = await axios.get('https://raw.githubusercontent.com/yuhonas/free-exercise-db/main/dist/exercises.json');
-    exerciseDatabase = response.data;
-    console.log(`Loaded ${exerciseDatabase.length} exercises from free-exercise-db`);
-  } catch (error) {
-    console.error('Error loading exercise database:', error.message);
-  }
+// The frontend (frontend/public), so one process serves everything. config.js tells the
+// page where the API is; it is generated so the URL can change without a rebuild.
+if (config.features.serveFrontend) {
+  app.get('/config.js', (req, res) => {
+    res.type('application/javascript')
+      .set('Cache-Control', 'no-cache')
+      .send(`window.API_BASE_URL = ${JSON.stringify(config.apiBaseUrl)};\n`);
+  });
+  app.use(express.static(config.frontendDir));
 }
 
-// Run migration on startup to add is_favorited column if needed
+// Every API request shares one long-lived connection (req.db) ...
+app.use('/api', attachDatabase);
+// ... and runs as the logged-in user (req.user) or anonymously (null)
+app.use('/api', authenticate);
+
+// Open the shared database and apply pending schema migrations (db/migrations) on startup
 async function runMigration() {
-  const db = new Database();
   try {
-    await db.connect();
-    await db.migrateAddFavorited();
-    await db.close();
+    await openDatabase();
   } catch (error) {
     console.error('Migration error:', error.message);
-    await db.close();
   }
 }
 
+// Turn a search snippet into HTML: escape the exercise text, then wrap matches in <mark>
+function highlightSnippet(snippet) {
+  if (!snippet) {
+    return null;
+  }
+  return snippet
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split(SEARCH_MATCH_START).join('<mark>')
+    .split(SEARCH_MATCH_END).join('</mark>');
+}
+
+// Validators for any list of exercises as `user` sees it. Lists are not worth tracking
+// one by one: a change to any exercise, or to anyone's favorites, gives them all a new
+// ETag.
+async function libraryValidators(db, user) {
+  const { count, changed_at: changedAt, revision, audited_at: auditedAt } = await db.getLibraryRevision();
+  const lastModified = latestTimestamp(changedAt, auditedAt);
+  return {
+    etag: `W/"library-${count}-${revision}-${lastModified ? lastModified.getTime() : 0}-${user ? user.id : 0}"`,
+    lastModified
+  };
+}
+
 // Health check endpoint
-app.get('/', (req, res) => {
+app.get('/api/health', (req, res) => {
   res.json({ message: 'Exercise API Proxy is running' });
 });
 
-// Search endpoint for exercises by name - NOW USING DATABASE
-app.get('/api/exercises/search', async (req, res) => {
-  const db = new Database();
+// ========== API DOCS ==========
+
+// Off in production unless FEATURE_API_DOCS=true
+if (config.features.apiDocs) {
+  // The OpenAPI document of the exercise library routes (api/openapi.js) ...
+  app.get('/api/openapi.json', (req, res) => {
+    res.json(spec);
+  });
+
+  // ... and Swagger UI to browse and try it, served from the swagger-ui-dist package
+  app.get('/api/docs', (req, res) => {
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${spec.info.title}</title>
+  <link rel="stylesheet" href="/api/docs/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/api/docs/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+  });
+
+  app.use('/api/docs', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+}
+
+// Full-text search endpoint - ranked results with highlighted snippets.
+// exclude_conditions (comma-separated condition slugs) leaves out contraindicated exercises.
+app.get('/api/exercises/search', validate('searchExercises'), async (req, res) => {
+  const { db } = req;
   
   try {
-    const { query, offset = 0 } = req.query;
+    const { query } = req.query;
+    const excludeConditions = cleanList(req.query.exclude_conditions);
     
     console.log(`Searching database for: "${query}"`);
     
-    if (!query || query.trim() === '') {
-      return res.status(400).json({ 
-        error: 'Query parameter is required',
-        message: 'Please provide a search query'
+    if (query.trim() === '') {
+      return sendError(res, 400, 'Please provide a search query', {
+        code: 'validation_failed',
+        details: [{ in: 'query', field: 'query', message: 'must not be blank' }]
       });
     }
     
-    await db.connect();
-    
-    // Search in database (returns up to 100 results)
-    const exercises = await db.searchExercises(query, 100);
-    
-    await db.close();
+    if (notModified(req, res, await libraryValidators(db, req.user))) {
+      return;
+    }
     
-    // Transform database format to match frontend expectations
-    const transformedExercises = exercises.map(ex => ({
-      id: ex.id,
-      name: ex.exercise_name,
-      type: ex.exercise_type,
-      muscle: ex.muscle,
-      equipment: ex.equipment,
-      difficulty: ex.difficulty,
-      instructions: ex.instructions,
-      is_favorited: ex.is_favorited === 1
+    // Search in database (returns up to 100 results, best match first)
+    const exercises = await db.searchExercises(query, 100, { excludeConditions });
+    const serialized = await serializeExercises(db, exercises, req.user);
+    const transformedExercises = serialized.map((exercise, i) => ({
+      ...exercise,
+      snippet: highlightSnippet(exercises[i].snippet)
     }));
     
     console.log(`Found ${transformedExercises.length} exercises in database for "${query}"`);
@@ -93,419 +177,2337 @@ app.get('/api/exercises/search', async (req, res) => {
     
   } catch (error) {
     console.error('Error searching exercises:', error.message);
-    await db.close();
-    res.status(500).json({
-      error: 'Failed to search exercises',
-      message: error.message
-    });
+    sendError(res, 500, `Failed to search exercises: ${error.message}`);
   }
 });
 
-// Get exercises endpoint - NOW USING DATABASE
-app.get('/api/exercises', async (req, res) => {
-  const db = new Database();
+// Get exercises endpoint - filterable, sortable and paginated, with facet counts
+// e.g. /api/exercises?muscle=biceps&difficulty=beginner&favorites=true&sort=name&order=asc&page=2&page_size=20
+// exclude_conditions=pregnancy,osteoporosis leaves out exercises contraindicated for either.
+app.get('/api/exercises', validate('listExercises'), async (req, res) => {
+  const { muscle, type, difficulty, equipment, favorites, sort, order, page, page_size: pageSize } = req.query;
+
+  const filters = { muscle, type, difficulty, equipment, excludeConditions: cleanList(req.query.exclude_conditions) };
+  if (favorites) {
+    if (!req.user) {
+      return sendError(res, 401, 'Log in to see your favorites');
+    }
+    filters.favoritedBy = req.user.id;
+  }
+
+  const { db } = req;
   
   try {
-    console.log('Fetching exercises from database...');
-    
-    await db.connect();
-    
-    // Fetch exercises from multiple muscle groups to get variety
-    const muscleGroups = ['biceps', 'triceps', 'chest', 'back', 'shoulders', 'legs'];
-    const allExercises = [];
+    console.log('Fetching exercises from database...', filters);
     
-    for (const muscle of muscleGroups) {
-      const exercises = await db.getExercises({ muscle, limit: 10 });
-      allExercises.push(...exercises);
-      console.log(`Fetched ${exercises.length} ${muscle} exercises from database`);
+    if (notModified(req, res, await libraryValidators(db, req.user))) {
+      return;
     }
     
-    await db.close();
-    
-    // Transform database format to match frontend expectations
-    const transformedExercises = allExercises.map(ex => ({
-      id: ex.id,
-      name: ex.exercise_name,
-      type: ex.exercise_type,
-      muscle: ex.muscle,
-      equipment: ex.equipment,
-      difficulty: ex.difficulty,
-      instructions: ex.instructions,
-      is_favorited: ex.is_favorited === 1
-    }));
-    
-    // DEBUG: Log what we're actually returning
-    console.log('\n=== DEBUG: Sample Exercise (transformed) ===');
-    if (transformedExercises.length > 0) {
-      console.log(JSON.stringify(transformedExercises[0], null, 2));
-    }
-    console.log('==============================\n');
+    const total = await db.getExerciseCount(filters);
+    const exercises = await db.getExercises({
+      ...filters,
+      sort,
+      order,
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+    const facets = await db.getExerciseFacets(filters);
+    const transformedExercises = await serializeExercises(db, exercises, req.user);
     
-    console.log(`Total exercises fetched from database: ${transformedExercises.length}`);
-    res.json(transformedExercises);
+    console.log(`Fetched page ${page} (${transformedExercises.length} of ${total} exercises) from database`);
+    res.json({
+      exercises: transformedExercises,
+      total,
+      page,
+      page_size: pageSize,
+      total_pages: Math.ceil(total / pageSize),
+      facets
+    });
     
   } catch (error) {
     console.error('Error fetching exercises from database:', error.message);
-    await db.close();
     
-    // Fallback to API if database fails
+    if (!config.features.apiNinjasFallback) {
+      return sendError(res, 500, error.message);
+    }
+    
+    // Fallback to API if database fails (unfiltered, single page, no facets)
     console.log('Falling back to API...');
     try {
-      const muscleGroups = ['biceps', 'triceps', 'chest', 'back', 'shoulders', 'legs'];
       const allExercises = [];
       
-      for (const muscle of muscleGroups) {
-        const response = await axios.get('https://api.api-ninjas.com/v1/exercises', {
-          headers: { 'X-Api-Key': NINJA_API_KEY },
+      for (const { slug: muscle } of MUSCLES) {
+        const response = await axios.get(config.sources.apiNinjasUrl, {
+          headers: { 'X-Api-Key': config.ninjaApiKey },
           params: { muscle: muscle }
         });
-        allExercises.push(...response.data);
+        allExercises.push(...response.data.map(serializeUpstreamExercise));
       }
       
       console.log(`Fetched ${allExercises.length} exercises from API fallback`);
-      res.json(allExercises);
-    } catch (apiError) {
-      res.status(500).json({
-        error: 'Failed to fetch exercises from both database and API',
-        message: apiError.message
+      res.json({
+        exercises: allExercises,
+        total: allExercises.length,
+        page: 1,
+        page_size: allExercises.length,
+        total_pages: 1,
+        facets: {}
       });
+    } catch (apiError) {
+      sendError(res, 500, `Failed to fetch exercises from both database and API: ${apiError.message}`);
     }
   }
 });
 
-// NEW: Get favorited exercises only
-app.get('/api/exercises/favorites', async (req, res) => {
-  const db = new Database();
+// Get the logged-in user's favorited exercises
+app.get('/api/exercises/favorites', requireAuth, validate('listFavorites'), async (req, res) => {
+  const { db } = req;
   
   try {
-    await db.connect();
-    const favorites = await db.getFavorites();
-    await db.close();
-    
-    // Transform database format to match frontend expectations
-    const transformedFavorites = favorites.map(ex => ({
-      id: ex.id,
-      name: ex.exercise_name,
-      type: ex.exercise_type,
-      muscle: ex.muscle,
-      equipment: ex.equipment,
-      difficulty: ex.difficulty,
-      instructions: ex.instructions,
-      is_favorited: true
-    }));
+    if (notModified(req, res, await libraryValidators(db, req.user))) {
+      return;
+    }
+    
+    const favorites = await db.getFavorites(req.user.id);
+    const transformedFavorites = await serializeExercises(db, favorites, req.user);
     
     console.log(`Fetched ${transformedFavorites.length} favorite exercises`);
     res.json(transformedFavorites);
     
   } catch (error) {
     console.error('Error fetching favorites:', error.message);
-    await db.close();
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, error.message);
   }
 });
 
-// NEW: Toggle favorite status for an exercise
-app.patch('/api/exercises/:id/favorite', async (req, res) => {
-  const db = new Database();
+// Star or unstar an exercise for the logged-in user. PATCH flips the current state;
+// PUT sets it from { is_favorited }, so it is safe to replay (the offline outbox uses it).
+async function updateFavorite(req, res, favorited) {
+  const { db } = req;
   
   try {
     const { id } = req.params;
     
-    console.log(`=== Toggle Favorite Request for ID: ${id} ===`);
+    console.log(`=== Favorite Request for ID: ${id} (user ${req.user.id}) ===`);
     
-    await db.connect();
-    
-    // Toggle the favorite
-    const result = await db.toggleFavorite(id);
-    console.log(`Toggle result:`, result);
-    
-    if (result.changes === 0) {
+    const exercise = await db.getExerciseById(id);
+    if (!exercise) {
       console.log(`No changes made - exercise ${id} not found`);
-      await db.close();
-      return res.status(404).json({ error: 'Exercise not found' });
+      return sendError(res, 404, 'Exercise not found');
     }
     
-    // Get the updated exercise to return current state
-    const exercise = await db.getExerciseById(id);
-    console.log(`Retrieved exercise after toggle:`, exercise);
+    if (favorited === undefined) {
+      favorited = await db.toggleFavorite(req.user, exercise.id);
+    } else {
+      await db.setFavorite(req.user, exercise.id, favorited);
+    }
     
-    if (!exercise) {
-      console.log(`ERROR: Exercise ${id} not found after toggle`);
-      await db.close();
-      return res.status(404).json({ error: 'Exercise not found after toggle' });
-    }
-    
-    await db.close();
-    
-    const transformed = {
-      id: exercise.id,
-      name: exercise.exercise_name,
-      type: exercise.exercise_type,
-      muscle: exercise.muscle,
-      equipment: exercise.equipment,
-      difficulty: exercise.difficulty,
-      instructions: exercise.instructions,
-      is_favorited: exercise.is_favorited === 1
-    };
+    const links = await db.getExerciseLinks([exercise.id]);
+    const transformed = serializeExercise(exercise, { links: links.get(exercise.id), favorited });
     
-    console.log(`SUCCESS: Toggled favorite for exercise ID ${id}: ${transformed.is_favorited}`);
-    console.log(`Sending response:`, transformed);
+    console.log(`SUCCESS: Favorite for exercise ID ${id}: ${transformed.is_favorited}`);
     console.log('===========================================\n');
     
     res.json(transformed);
     
   } catch (error) {
-    console.error('ERROR in toggle favorite:', error);
-    try {
-      await db.close();
-    } catch (closeError) {
-      console.error('Error closing database:', closeError);
+    console.error('ERROR in favorite:', error);
+    sendError(res, 500, error.message);
+  }
+}
+
+app.patch('/api/exercises/:id/favorite', requireAuth, validate('toggleFavorite'), (req, res) => updateFavorite(req, res));
+
+app.put('/api/exercises/:id/favorite', requireAuth, validate('setFavorite'), (req, res) => {
+  updateFavorite(req, res, req.body.is_favorited);
+});
+
+// ========== LIBRARY IMPORT / EXPORT ==========
+
+// e.g. /api/exercises/export?format=csv&muscle=biceps — a download of the (filtered) library
+app.get('/api/exercises/export', validate('exportExercises'), async (req, res) => {
+  const { format, muscle, type, difficulty, equipment } = req.query;
+  const { db } = req;
+  
+  try {
+    const { count, content } = await exportExercises(db, format, { muscle, type, difficulty, equipment });
+    
+    console.log(`Exported ${count} exercises as ${format}`);
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="${exportFilename(format)}"`);
+    res.send(content);
+    
+  } catch (error) {
+    console.error('Error exporting exercises:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Bulk-add exercises from a JSON, CSV or free-exercise-db file sent as the request body.
+// Dry run by default: the per-row report says what would be added. With ?dry_run=false
+// the new exercises are added in one transaction, or none at all if any row is invalid (422).
+// e.g. POST /api/exercises/import?format=csv&dry_run=false
+app.post('/api/exercises/import', requireRole(...STAFF_ROLES), validate('importExercises'), async (req, res) => {
+  const text = typeof req.body === 'string' ? req.body : '';
+  const format = req.query.format || detectFormat(text);
+  const dryRun = req.query.dry_run;
+  
+  let records;
+  try {
+    records = parseExercises(text, format);
+  } catch (error) {
+    return sendError(res, 400, `Could not read ${format} import: ${error.message}`);
+  }
+  
+  const { db } = req;
+  
+  try {
+    const report = await importExercises(db, records, { dryRun, actor: req.user });
+    
+    console.log(`Import (${format}${dryRun ? ', dry run' : ''}): ${JSON.stringify(report.summary)}`);
+    res.status(!dryRun && !report.committed ? 422 : 200).json({ format, ...report });
+    
+  } catch (error) {
+    if (isDuplicateNameError(error)) {
+      return sendError(res, 409, 'Another import or edit added one of these names meanwhile: nothing was imported');
     }
-    res.status(500).json({ error: error.message });
+    console.error('Error importing exercises:', error.message);
+    sendError(res, 500, error.message);
   }
 });
 
 // Get single exercise by ID from database
-app.get('/api/exercises/:id', async (req, res) => {
-  const db = new Database();
+app.get('/api/exercises/:id', validate('getExercise'), async (req, res) => {
+  const { db } = req;
   
   try {
     const { id } = req.params;
     
-    await db.connect();
     const exercise = await db.getExerciseById(id);
-    await db.close();
     
     if (!exercise) {
-      return res.status(404).json({ error: 'Exercise not found' });
-    }
-    
-    // Transform to match frontend expectations
-    const transformed = {
-      id: exercise.id,
-      name: exercise.exercise_name,
-      type: exercise.exercise_type,
-      muscle: exercise.muscle,
-      equipment: exercise.equipment,
-      difficulty: exercise.difficulty,
-      instructions: exercise.instructions,
-      is_favorited: exercise.is_favorited === 1
+      return sendError(res, 404, 'Exercise not found');
+    }
+    
+    // Clients holding the current version (ETag / Last-Modified) get 304 instead
+    const favoriteIds = await db.getFavoriteIds(req.user?.id);
+    const favorited = favoriteIds.has(exercise.id);
+    const { revision, favorited_at: favoritedAt } = await db.getExerciseRevision(exercise.id, req.user?.id);
+    const validators = {
+      etag: `W/"${exercise.id}-${revision}-${favorited ? 1 : 0}"`,
+      lastModified: latestTimestamp(exercise.created_timestamp, exercise.last_updated, favoritedAt)
     };
+    if (notModified(req, res, validators)) {
+      return;
+    }
     
-    res.json(transformed);
+    const links = await db.getExerciseLinks([exercise.id]);
+    res.json(serializeExercise(exercise, { links: links.get(exercise.id), favorited }));
     
   } catch (error) {
     console.error('Error fetching exercise:', error.message);
-    await db.close();
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, error.message);
   }
 });
 
 // Create a new exercise in database
-app.post('/api/exercises', async (req, res) => {
-  const db = new Database();
+app.post('/api/exercises', requireRole(...STAFF_ROLES), validate('createExercise'), async (req, res) => {
+  const { db } = req;
   
   try {
-    const { name, type, muscle, equipment, difficulty, instructions, is_favorited } = req.body;
-    
-    // Validate required fields
-    if (!name || !type || !muscle || !equipment || !difficulty || !instructions) {
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        required: ['name', 'type', 'muscle', 'equipment', 'difficulty', 'instructions']
-      });
+    // Muscles, equipment and type must come from the taxonomy
+    const { exercise, errors } = validateExercise(req.body, await db.getTaxonomy());
+    if (errors.length > 0) {
+      return sendError(res, 400, errors.join('; '));
     }
     
-    await db.connect();
-    
     // Check if exercise already exists
-    const exists = await db.exerciseExists(name);
+    const exists = await db.exerciseExists(exercise.name);
     if (exists) {
-      await db.close();
-      return res.status(409).json({ error: 'Exercise with this name already exists' });
+      return sendError(res, 409, 'Exercise with this name already exists');
     }
     
-    const newExercise = await db.createExercise({
-      name,
-      type,
-      muscle,
-      equipment,
-      difficulty,
-      instructions,
-      is_favorited: is_favorited || false
-    });
-    
-    await db.close();
+    const { id } = await db.createExercise(exercise, req.user);
+    const [newExercise] = await serializeExercises(db, [await db.getExerciseById(id)], req.user);
     
-    console.log(`Created new exercise: ${name}`);
-    res.status(201).json(newExercise);
+    console.log(`Created new exercise: ${exercise.name}`);
+    res.status(201).location(`/api/exercises/${id}`).json(newExercise);
     
   } catch (error) {
+    if (isDuplicateNameError(error)) {
+      return sendError(res, 409, 'Exercise with this name already exists');
+    }
     console.error('Error creating exercise:', error.message);
-    await db.close();
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, error.message);
   }
 });
 
-// Update an exercise in database
-app.put('/api/exercises/:id', async (req, res) => {
-  const db = new Database();
+// Update an exercise in database (favorites are per user: see /api/exercises/:id/favorite)
+app.put('/api/exercises/:id', requireRole(...STAFF_ROLES), validate('updateExercise'), async (req, res) => {
+  const { db } = req;
   
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { is_favorited, ...body } = req.body;
+    
+    if (Object.keys(body).length === 0) {
+      return sendError(res, 400, 'No fields to update (favorites are set with PUT /api/exercises/:id/favorite)');
+    }
     
-    await db.connect();
+    // Cleaned as on create (trimmed, slugs lowercased), so "Plank " cannot pass as new
+    const { exercise, errors } = validateExerciseUpdate(body, await db.getTaxonomy());
+    if (errors.length > 0) {
+      return sendError(res, 400, errors.join('; '));
+    }
+    
+    // The API's field names, as their columns
+    const updates = {};
+    for (const [field, value] of Object.entries(exercise)) {
+      updates[UPDATE_COLUMNS[field] || field] = value;
+    }
+    
+    // A rename must not take another exercise's name (as on create)
+    if (updates.exercise_name !== undefined && await db.exerciseExists(updates.exercise_name, { excludeId: id })) {
+      return sendError(res, 409, 'Exercise with this name already exists');
+    }
     
-    const result = await db.updateExercise(id, updates);
+    const result = await db.updateExercise(id, updates, req.user);
     
     if (result.changes === 0) {
-      await db.close();
-      return res.status(404).json({ error: 'Exercise not found' });
-    }
-    
-    const updatedExercise = await db.getExerciseById(id);
-    await db.close();
-    
-    // Transform response
-    const transformed = {
-      id: updatedExercise.id,
-      name: updatedExercise.exercise_name,
-      type: updatedExercise.exercise_type,
-      muscle: updatedExercise.muscle,
-      equipment: updatedExercise.equipment,
-      difficulty: updatedExercise.difficulty,
-      instructions: updatedExercise.instructions,
-      is_favorited: updatedExercise.is_favorited === 1
-    };
+      return sendError(res, 404, 'Exercise not found');
+    }
+    
+    const [transformed] = await serializeExercises(db, [await db.getExerciseById(id)], req.user);
     
     console.log(`Updated exercise ID ${id}`);
     res.json(transformed);
     
   } catch (error) {
+    if (isDuplicateNameError(error)) {
+      return sendError(res, 409, 'Exercise with this name already exists');
+    }
     console.error('Error updating exercise:', error.message);
-    await db.close();
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, error.message);
   }
 });
 
-// Delete an exercise from database
-app.delete('/api/exercises/:id', async (req, res) => {
-  const db = new Database();
+// Delete an exercise (soft delete: POST /api/exercises/:id/undelete brings it back)
+app.delete('/api/exercises/:id', requireRole(...STAFF_ROLES), validate('deleteExercise'), async (req, res) => {
+  const { db } = req;
   
   try {
     const { id } = req.params;
     
-    await db.connect();
-    const result = await db.deleteExercise(id);
-    await db.close();
+    const result = await db.deleteExercise(id, req.user);
     
     if (result.changes === 0) {
-      return res.status(404).json({ error: 'Exercise not found' });
+      return sendError(res, 404, 'Exercise not found');
     }
     
     console.log(`Deleted exercise ID ${id}`);
-    res.json({ message: 'Exercise deleted successfully' });
+    res.json({ message: 'Exercise deleted successfully', undo: `/api/exercises/${id}/undelete` });
     
   } catch (error) {
     console.error('Error deleting exercise:', error.message);
-    await db.close();
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, error.message);
   }
 });
 
-// Database stats endpoint
-app.get('/api/db/stats', async (req, res) => {
-  const db = new Database();
+// Undo a delete
+app.post('/api/exercises/:id/undelete', requireRole(...STAFF_ROLES), validate('undeleteExercise'), async (req, res) => {
+  const { db } = req;
   
   try {
-    await db.connect();
+    const { id } = req.params;
     
-    const total = await db.getExerciseCount();
-    const favoriteCount = await db.getExerciseCount({ is_favorited: true });
-    const muscles = ['biceps', 'triceps', 'chest', 'back', 'shoulders', 'legs', 
-                     'abdominals', 'calves', 'glutes', 'hamstrings', 'quadriceps'];
-    const stats = {};
-    
-    for (const muscle of muscles) {
-      const count = await db.getExerciseCount({ muscle });
-      if (count > 0) {
-        stats[muscle] = count;
-      }
+    // Its name may have gone to a new exercise while it was deleted
+    const deleted = await db.getExerciseById(id, { includeDeleted: true });
+    if (deleted && deleted.deleted_timestamp && await db.exerciseExists(deleted.exercise_name, { excludeId: id })) {
+      return sendError(res, 409, `Another exercise is now called "${deleted.exercise_name}": rename it first`);
     }
     
-    await db.close();
+    const result = await db.undeleteExercise(id, req.user);
     
-    res.json({
-      total,
-      favorites: favoriteCount,
-      byMuscle: stats
-    });
+    if (result.changes === 0) {
+      return sendError(res, 404, 'No deleted exercise with this ID');
+    }
+    
+    const [exercise] = await serializeExercises(db, [await db.getExerciseById(id)], req.user);
+    
+    console.log(`Undeleted exercise ID ${id}`);
+    res.json(exercise);
     
   } catch (error) {
-    await db.close();
-    res.status(500).json({ error: error.message });
+    if (isDuplicateNameError(error)) {
+      return sendError(res, 409, 'Another exercise now has this name: rename it first');
+    }
+    console.error('Error undeleting exercise:', error.message);
+    sendError(res, 500, error.message);
   }
 });
 
-// Endpoint to get exercise image from free-exercise-db
-app.get('/api/exercise-image/:exerciseName', async (req, res) => {
+// ========== EXERCISE HISTORY ==========
+
+// Audit entry as sent to the client; changed_fields lists what an update touched
+function transformAuditEntry(entry) {
+  const changedFields = entry.before && entry.after
+    ? Object.keys(entry.after).filter(field => JSON.stringify(entry.before[field]) !== JSON.stringify(entry.after[field]))
+    : [];
+
+  return {
+    id: entry.id,
+    exercise_id: entry.exercise_id,
+    action: entry.action,
+    before: entry.before,
+    after: entry.after,
+    changed_fields: changedFields,
+    user_id: entry.user_id,
+    actor_name: entry.actor_name,
+    created_timestamp: entry.created_timestamp
+  };
+}
+
+// Every recorded change to an exercise, newest first (deleted exercises included)
+app.get('/api/exercises/:id/history', requireRole(...STAFF_ROLES), validate('getExerciseHistory'), async (req, res) => {
+  const { db } = req;
+  
   try {
-    const { exerciseName } = req.params;
+    const { id } = req.params;
+    
+    const exercise = await db.getExerciseById(id, { includeDeleted: true });
+    
+    if (!exercise) {
+      return sendError(res, 404, 'Exercise not found');
+    }
+    
+    const history = await db.getExerciseHistory(id);
+    
+    res.json(history.map(transformAuditEntry));
+    
+  } catch (error) {
+    console.error('Error fetching exercise history:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Put an exercise back to the version saved by one of its history entries.
+// ?version=before restores the version that entry replaced instead.
+app.post('/api/exercises/:id/history/:auditId/restore', requireRole(...STAFF_ROLES), validate('restoreExerciseVersion'), async (req, res) => {
+  const { db } = req;
+  
+  try {
+    const { id, auditId } = req.params;
+    const { version } = req.query;
     
-    // If database not loaded yet, try to load it
-    if (!exerciseDatabase) {
-      await loadExerciseDatabase();
+    const entry = await db.getExerciseAuditEntry(id, auditId);
+    if (!entry) {
+      return sendError(res, 404, 'History entry not found');
+    }
+    if (!entry[version] || entry.action === 'favorite') {
+      return sendError(res, 400, 'This history entry has no exercise version to restore');
     }
     
-    if (!exerciseDatabase) {
-      return res.json({ images: null, found: false });
+    const result = await db.restoreExerciseVersion(id, auditId, req.user, version);
+    if (result.changes === 0) {
+      return sendError(res, 404, 'Exercise not found');
     }
     
-    // Normalize the exercise name for comparison
-    const normalizedSearchName = exerciseName.toLowerCase()
-      .replace(/[-_]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
+    const [exercise] = await serializeExercises(db, [await db.getExerciseById(id)], req.user);
     
-    // Search for matching exercise (fuzzy match)
-    const matchingExercise = exerciseDatabase.find(ex => {
-      const normalizedExName = ex.name.toLowerCase()
-        .replace(/[-_]/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-      
-      return normalizedExName.includes(normalizedSearchName) || 
-             normalizedSearchName.includes(normalizedExName);
-    });
+    console.log(`Restored exercise ID ${id} to history entry ${auditId}`);
+    res.json(exercise);
     
-    if (matchingExercise && matchingExercise.images && matchingExercise.images.length > 0) {
-      console.log(`Found match for "${exerciseName}": ${matchingExercise.name} with ${matchingExercise.images.length} images`);
-      // Construct the full GitHub URLs for all images
-      const imageUrls = matchingExercise.images.map(img => 
-        `https://raw.githubusercontent.com/yuhonas/free-exercise-db/main/exercises/${img}`
-      );
-      return res.json({ images: imageUrls, found: true });
+  } catch (error) {
+    if (isDuplicateNameError(error)) {
+      return sendError(res, 409, 'Another exercise now has the name of this version: rename it first');
     }
+    console.error('Error restoring exercise version:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Database stats endpoint
+app.get('/api/db/stats', validate('getLibraryStats'), async (req, res) => {
+  const { db } = req;
+  
+  try {
+    const total = await db.getExerciseCount();
+    const favoriteCount = req.user ? await db.getExerciseCount({ favoritedBy: req.user.id }) : 0;
+    const facets = await db.getExerciseFacets();
+    
+    res.json({
+      total,
+      favorites: favoriteCount,
+      byMuscle: facets.muscle
+    });
     
-    console.log(`No match found for "${exerciseName}"`);
-    // If no match found, return null
-    res.json({ images: null, found: false });
+  } catch (error) {
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== TAXONOMY ==========
+
+// Muscles grouped by body region, equipment, exercise types and difficulties: the values
+// exercise forms and filters offer
+app.get('/api/taxonomy', async (req, res) => {
+  const { db } = req;
+  
+  try {
+    const taxonomy = await db.getTaxonomy();
+    res.json({ ...taxonomy, difficulties: DIFFICULTIES });
     
   } catch (error) {
-    console.error(`Error fetching image for ${req.params.exerciseName}:`, error.message);
-    res.json({ images: null, found: false });
+    console.error('Error fetching taxonomy:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== ACCOUNTS ==========
+
+function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+$/.test(email);
+}
+
+// First-run setup: create the first clinic and its admin. Only works while there are no users;
+// patients and shared favorites from before accounts existed are handed to the new clinic/admin.
+app.post('/api/auth/setup', async (req, res) => {
+  const { clinic_name, email, password, display_name } = req.body;
+
+  if (!clinic_name || !display_name || !isValidEmail(email)) {
+    return sendMissingFields(res, ['clinic_name', 'email', 'password', 'display_name']);
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return sendError(res, 400, passwordError);
+  }
+
+  const { db } = req;
+
+  try {
+    if (await db.getUserCount() > 0) {
+      return sendError(res, 403, 'Setup has already been completed; ask an admin for an account');
+    }
+
+    const passwordHash = await hashPassword(password);
+    const user = await db.transaction(async () => {
+      const clinicId = await db.createClinic(clinic_name);
+      const admin = await db.createUser({
+        clinic_id: clinicId, email, password_hash: passwordHash, display_name, role: 'admin'
+      });
+      await db.adoptUnownedData(clinicId, admin.id);
+      return admin;
+    });
+    const session = await createSession(db, user.id);
+
+    console.log(`Set up clinic "${clinic_name}" with admin ${email}`);
+    res.status(201).json({ ...session, user });
+
+  } catch (error) {
+    console.error('Error during setup:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return sendError(res, 400, 'email and password are required');
+  }
+
+  const { db } = req;
+
+  try {
+    const credentials = await db.getUserCredentials(email);
+    if (!credentials || !(await verifyPassword(password, credentials.password_hash))) {
+      return sendError(res, 401, 'Invalid email or password');
+    }
+
+    await db.deleteExpiredSessions();
+    const session = await createSession(db, credentials.id);
+    const user = await db.getUserById(credentials.id);
+
+    console.log(`User ${user.email} logged in`);
+    res.json({ ...session, user });
+
+  } catch (error) {
+    console.error('Error logging in:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  const { db } = req;
+
+  try {
+    await db.deleteSession(req.sessionTokenHash);
+
+    res.json({ message: 'Logged out' });
+
+  } catch (error) {
+    console.error('Error logging out:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Who am I? Also tells the frontend whether first-run setup is still needed.
+app.get('/api/auth/me', async (req, res) => {
+  const { db } = req;
+
+  try {
+    const setupRequired = (await db.getUserCount()) === 0;
+    const clinic = req.user ? await db.getClinicById(req.user.clinic_id) : null;
+
+    res.json({
+      user: req.user,
+      clinic_name: clinic ? clinic.clinic_name : null,
+      setup_required: setupRequired
+    });
+
+  } catch (error) {
+    console.error('Error fetching current user:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Change your own password; every other session of yours is logged out
+app.put('/api/auth/password', requireAuth, async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  const passwordError = validatePassword(new_password);
+  if (!current_password || passwordError) {
+    return sendError(res, 400, passwordError || 'current_password is required');
+  }
+
+  const { db } = req;
+
+  try {
+    const credentials = await db.getUserCredentials(req.user.email);
+    if (!(await verifyPassword(current_password, credentials.password_hash))) {
+      return sendError(res, 401, 'Current password is incorrect');
+    }
+
+    await db.updateUserPassword(req.user.id, await hashPassword(new_password));
+    await db.deleteUserSessions(req.user.id);
+    const session = await createSession(db, req.user.id);
+
+    console.log(`User ${req.user.email} changed their password`);
+    res.json(session);
+
+  } catch (error) {
+    console.error('Error changing password:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Accounts in the admin's clinic
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const users = await db.getUsersByClinic(req.user.clinic_id);
+
+    res.json(users);
+
+  } catch (error) {
+    console.error('Error fetching users:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Create an account in the admin's clinic; patient accounts name the patient they belong to
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  const { email, password, display_name, role, patient_id = null } = req.body;
+
+  if (!display_name || !isValidEmail(email)) {
+    return sendMissingFields(res, ['email', 'password', 'display_name', 'role']);
+  }
+  if (!ROLES.includes(role)) {
+    return sendError(res, 400, `role must be one of: ${ROLES.join(', ')}`);
+  }
+  if ((role === 'patient') !== (patient_id !== null)) {
+    return sendError(res, 400, 'patient_id is required for patient accounts and only allowed for them');
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return sendError(res, 400, passwordError);
+  }
+
+  const { db } = req;
+
+  try {
+    if (patient_id !== null) {
+      const patient = await db.getPatientById(patient_id);
+      if (!patient || patient.clinic_id !== req.user.clinic_id) {
+        return sendError(res, 400, 'Patient not found in your clinic');
+      }
+    }
+
+    if (await db.getUserCredentials(email)) {
+      return sendError(res, 409, 'An account with this email already exists');
+    }
+
+    const user = await db.createUser({
+      clinic_id: req.user.clinic_id,
+      email,
+      password_hash: await hashPassword(password),
+      display_name,
+      role,
+      patient_id
+    });
+
+    console.log(`Created ${role} account ${email}`);
+    res.status(201).json(user);
+
+  } catch (error) {
+    console.error('Error creating user:', error.message);
+    sendError(res, 500, error.message);
   }
 });
 
-// Load exercise database and run migration on server start
-loadExerciseDatabase();
-runMigration();
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    if (Number(id) === req.user.id) {
+      return sendError(res, 400, 'You cannot delete your own account');
+    }
+
+    const user = await db.getUserById(id);
+    if (!user || user.clinic_id !== req.user.clinic_id) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    await db.deleteUser(id);
+
+    console.log(`Deleted user ID ${id}`);
+    res.json({ message: 'User deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting user:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== PATIENTS & PROGRAMS ==========
+
+const DOSAGE_FIELDS = ['sets', 'reps', 'hold_seconds', 'frequency_per_day', 'frequency_per_week'];
+
+// Check a patient body's values; returns { in, field, message } details (none when valid).
+// With partial (updates) only the fields sent are checked. date_of_birth may be null.
+function validatePatient(patient, { partial = false } = {}) {
+  const details = [];
+
+  for (const field of ['first_name', 'last_name']) {
+    if (partial && patient[field] === undefined) {
+      continue;
+    }
+    if (typeof patient[field] !== 'string' || patient[field].trim() === '') {
+      details.push({ in: 'body', field, message: 'must be a non-empty string' });
+    }
+  }
+
+  if (patient.date_of_birth !== undefined && patient.date_of_birth !== null && !isValidDate(patient.date_of_birth)) {
+    details.push({ in: 'body', field: 'date_of_birth', message: 'must be a date (YYYY-MM-DD)' });
+  }
+
+  return details;
+}
+
+// The names of a valid patient body, trimmed as they are stored
+function trimPatientNames(patient) {
+  const trimmed = { ...patient };
+  for (const field of ['first_name', 'last_name']) {
+    if (typeof trimmed[field] === 'string') {
+      trimmed[field] = trimmed[field].trim();
+    }
+  }
+  return trimmed;
+}
+
+// Validate a program's exercise list; returns an error message or null
+function validateProgramExercises(exercises) {
+  if (!Array.isArray(exercises)) {
+    return 'exercises must be an array';
+  }
+
+  for (const [index, entry] of exercises.entries()) {
+    if (!entry || !Number.isInteger(entry.exercise_id)) {
+      return `exercises[${index}].exercise_id must be an integer`;
+    }
+    for (const field of DOSAGE_FIELDS) {
+      const value = entry[field];
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+        return `exercises[${index}].${field} must be a non-negative integer`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Check that every exercise_id in the list exists; returns the missing ids
+async function findMissingExerciseIds(db, exercises) {
+  const ids = [...new Set(exercises.map(entry => Number(entry.exercise_id)))];
+  const existing = await db.getExistingExerciseIds(ids);
+  return ids.filter(id => !existing.includes(id));
+}
+
+// Shape a program row and its entries for the frontend
+function transformProgram(program, entries) {
+  // A program entry row's own id is the entry's; the exercise's is exercise_id
+  const entryFields = entry => {
+    const { id, ...fields } = exerciseFields(entry);
+    return fields;
+  };
+
+  return {
+    id: program.id,
+    patient_id: program.patient_id,
+    name: program.program_name,
+    notes: program.notes,
+    created_timestamp: program.created_timestamp,
+    last_updated: program.last_updated,
+    exercises: entries.map(entry => ({
+      exercise_id: entry.exercise_id,
+      position: entry.position,
+      ...entryFields(entry),
+      sets: entry.sets,
+      reps: entry.reps,
+      hold_seconds: entry.hold_seconds,
+      frequency_per_day: entry.frequency_per_day,
+      frequency_per_week: entry.frequency_per_week,
+      clinician_notes: entry.clinician_notes
+    }))
+  };
+}
+
+// Patient data is never public. Everything under /api/patients/:id is limited to the
+// patient's clinic, or to the patient themselves for patient accounts; other patients
+// answer 404 so their existence is not revealed.
+app.use('/api/patients', requireAuth);
+
+app.use('/api/patients/:id', async (req, res, next) => {
+  const { db } = req;
+
+  try {
+    const patient = await db.getPatientById(req.params.id);
+
+    if (!patient || !canAccessPatient(req.user, patient)) {
+      return sendError(res, 404, 'Patient not found');
+    }
+    next();
+
+  } catch (error) {
+    console.error('Error checking patient access:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Get all patients of the user's clinic (a patient account only gets itself)
+app.get('/api/patients', async (req, res) => {
+  const { db } = req;
+
+  try {
+    const patients = req.user.role === 'patient'
+      ? [await db.getPatientById(req.user.patient_id)]
+      : await db.getPatients(req.user.clinic_id);
+
+    res.json(patients);
+
+  } catch (error) {
+    console.error('Error fetching patients:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Create a new patient in the user's clinic
+app.post('/api/patients', requireRole(...STAFF_ROLES), async (req, res) => {
+  if (req.body.first_name === undefined || req.body.last_name === undefined) {
+    return sendMissingFields(res, ['first_name', 'last_name']);
+  }
+
+  const details = validatePatient(req.body);
+  if (details.length > 0) {
+    return sendInvalidFields(res, details);
+  }
+
+  const { first_name, last_name, date_of_birth, diagnosis, notes } = trimPatientNames(req.body);
+  const { db } = req;
+
+  try {
+    const patient = await db.createPatient({
+      clinic_id: req.user.clinic_id, first_name, last_name, date_of_birth, diagnosis, notes
+    });
+
+    console.log(`Created patient ID ${patient.id}`);
+    res.status(201).json(patient);
+
+  } catch (error) {
+    console.error('Error creating patient:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Get single patient by ID
+app.get('/api/patients/:id', async (req, res) => {
+  const { db } = req;
+
+  try {
+    const patient = await db.getPatientById(req.params.id);
+
+    if (!patient) {
+      return sendError(res, 404, 'Patient not found');
+    }
+
+    res.json(patient);
+
+  } catch (error) {
+    console.error('Error fetching patient:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Update a patient
+app.put('/api/patients/:id', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    if (!Object.keys(req.body).some(field => PATIENT_FIELDS.includes(field))) {
+      return sendNothingToUpdate(res, PATIENT_FIELDS);
+    }
+
+    const details = validatePatient(req.body, { partial: true });
+    if (details.length > 0) {
+      return sendInvalidFields(res, details);
+    }
+
+    const result = await db.updatePatient(id, trimPatientNames(req.body));
+
+    if (result.changes === 0) {
+      return sendError(res, 404, 'Patient not found');
+    }
+
+    const patient = await db.getPatientById(id);
+
+    console.log(`Updated patient ID ${id}`);
+    res.json(patient);
+
+  } catch (error) {
+    console.error('Error updating patient:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Delete a patient and their programs
+app.delete('/api/patients/:id', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    const result = await db.deletePatient(id);
+
+    if (result.changes === 0) {
+      return sendError(res, 404, 'Patient not found');
+    }
+
+    console.log(`Deleted patient ID ${id}`);
+    res.json({ message: 'Patient deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting patient:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Get all programs assigned to a patient
+app.get('/api/patients/:id/programs', async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    const patient = await db.getPatientById(id);
+    if (!patient) {
+      return sendError(res, 404, 'Patient not found');
+    }
+
+    const programs = await db.getProgramsByPatient(id);
+    const transformedPrograms = [];
+    for (const program of programs) {
+      const entries = await db.getProgramExercises(program.id);
+      transformedPrograms.push(transformProgram(program, entries));
+    }
+
+    res.json(transformedPrograms);
+
+  } catch (error) {
+    console.error('Error fetching programs:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Assign a new program to a patient
+app.post('/api/patients/:id/programs', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { name, notes, exercises = [] } = req.body;
+
+  if (!name) {
+    return sendMissingFields(res, ['name']);
+  }
+
+  const validationError = validateProgramExercises(exercises);
+  if (validationError) {
+    return sendError(res, 400, validationError);
+  }
+
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    const patient = await db.getPatientById(id);
+    if (!patient) {
+      return sendError(res, 404, 'Patient not found');
+    }
+
+    const missingIds = await findMissingExerciseIds(db, exercises);
+    if (missingIds.length > 0) {
+      return sendError(res, 400, `Unknown exercise ids: ${missingIds.join(', ')}`);
+    }
+
+    const programId = await db.createProgram(id, { name, notes, exercises });
+    const program = await db.getProgramById(programId);
+    const entries = await db.getProgramExercises(programId);
+
+    console.log(`Created program ID ${programId} for patient ID ${id}`);
+    res.status(201).json(transformProgram(program, entries));
+
+  } catch (error) {
+    console.error('Error creating program:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Get a single program of a patient
+app.get('/api/patients/:id/programs/:programId', async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id, programId } = req.params;
+
+    const program = await db.getProgramById(programId);
+
+    if (!program || String(program.patient_id) !== id) {
+      return sendError(res, 404, 'Program not found');
+    }
+
+    const entries = await db.getProgramExercises(programId);
+
+    res.json(transformProgram(program, entries));
+
+  } catch (error) {
+    console.error('Error fetching program:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Update a program; an exercises array replaces the whole ordered list
+app.put('/api/patients/:id/programs/:programId', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { name, notes, exercises } = req.body;
+
+  if (exercises !== undefined) {
+    const validationError = validateProgramExercises(exercises);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+  }
+
+  const { db } = req;
+
+  try {
+    const { id, programId } = req.params;
+
+    const existing = await db.getProgramById(programId);
+    if (!existing || String(existing.patient_id) !== id) {
+      return sendError(res, 404, 'Program not found');
+    }
+
+    if (exercises !== undefined) {
+      const missingIds = await findMissingExerciseIds(db, exercises);
+      if (missingIds.length > 0) {
+        return sendError(res, 400, `Unknown exercise ids: ${missingIds.join(', ')}`);
+      }
+    }
+
+    await db.updateProgram(programId, { name, notes, exercises });
+    const program = await db.getProgramById(programId);
+    const entries = await db.getProgramExercises(programId);
+
+    console.log(`Updated program ID ${programId}`);
+    res.json(transformProgram(program, entries));
+
+  } catch (error) {
+    console.error('Error updating program:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Delete a program
+app.delete('/api/patients/:id/programs/:programId', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id, programId } = req.params;
+
+    const existing = await db.getProgramById(programId);
+    if (!existing || String(existing.patient_id) !== id) {
+      return sendError(res, 404, 'Program not found');
+    }
+
+    await db.deleteProgram(programId);
+
+    console.log(`Deleted program ID ${programId}`);
+    res.json({ message: 'Program deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting program:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== SESSION LOGS & ADHERENCE ==========
+
+// YYYY-MM-DD that is also a real calendar date
+function isValidDate(value) {
+  return typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(new Date(`${value}T00:00:00Z`)) &&
+    new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+// Validate a session log body; returns an error message or null
+function validateSessionLog(log, { partial = false } = {}) {
+  if (!partial || log.session_date !== undefined) {
+    if (!isValidDate(log.session_date)) {
+      return 'session_date must be a date in YYYY-MM-DD format';
+    }
+  }
+
+  if (!partial || log.exercise_id !== undefined) {
+    if (!Number.isInteger(log.exercise_id)) {
+      return 'exercise_id must be an integer';
+    }
+  }
+
+  for (const field of ['sets_completed', 'reps_completed']) {
+    const value = log[field];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+      return `${field} must be a non-negative integer`;
+    }
+  }
+
+  const { pain_score } = log;
+  if (pain_score !== undefined && pain_score !== null && !(Number.isInteger(pain_score) && pain_score >= 0 && pain_score <= 10)) {
+    return 'pain_score must be an integer from 0 to 10';
+  }
+
+  return null;
+}
+
+// Load a program and make sure it belongs to the patient; returns null otherwise
+async function getPatientProgram(db, patientId, programId) {
+  const program = await db.getProgramById(programId);
+  if (!program || String(program.patient_id) !== String(patientId)) {
+    return null;
+  }
+  return program;
+}
+
+// Get logs for a program, optionally filtered with ?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/patients/:id/programs/:programId/logs', async (req, res) => {
+  const { from, to } = req.query;
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return sendError(res, 400, 'from and to must be dates in YYYY-MM-DD format');
+  }
+
+  const { db } = req;
+
+  try {
+    const { id, programId } = req.params;
+
+    const program = await getPatientProgram(db, id, programId);
+    if (!program) {
+      return sendError(res, 404, 'Program not found');
+    }
+
+    const logs = await db.getSessionLogs(programId, { from, to });
+
+    res.json(logs);
+
+  } catch (error) {
+    console.error('Error fetching session logs:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Record a completed exercise session
+app.post('/api/patients/:id/programs/:programId/logs', async (req, res) => {
+  const { exercise_id, session_date, sets_completed, reps_completed, pain_score, comment } = req.body;
+
+  const validationError = validateSessionLog(req.body);
+  if (validationError) {
+    return sendError(res, 400, validationError);
+  }
+
+  const { db } = req;
+
+  try {
+    const { id, programId } = req.params;
+
+    const program = await getPatientProgram(db, id, programId);
+    if (!program) {
+      return sendError(res, 404, 'Program not found');
+    }
+
+    const entries = await db.getProgramExercises(programId);
+    if (!entries.some(entry => entry.exercise_id === Number(exercise_id))) {
+      return sendError(res, 400, 'Exercise is not part of this program');
+    }
+
+    const log = await db.createSessionLog(programId, {
+      exercise_id: Number(exercise_id),
+      session_date,
+      sets_completed,
+      reps_completed,
+      pain_score,
+      comment
+    });
+
+    console.log(`Logged session ${log.id} for program ID ${programId}`);
+    res.status(201).json(log);
+
+  } catch (error) {
+    console.error('Error creating session log:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Update a session log
+app.put('/api/patients/:id/programs/:programId/logs/:logId', async (req, res) => {
+  if (!Object.keys(req.body).some(field => SESSION_LOG_FIELDS.includes(field))) {
+    return sendNothingToUpdate(res, SESSION_LOG_FIELDS);
+  }
+
+  const validationError = validateSessionLog(req.body, { partial: true });
+  if (validationError) {
+    return sendError(res, 400, validationError);
+  }
+
+  const { db } = req;
+
+  try {
+    const { id, programId, logId } = req.params;
+
+    const program = await getPatientProgram(db, id, programId);
+    const existing = program && await db.getSessionLogById(logId);
+    if (!existing || String(existing.program_id) !== programId) {
+      return sendError(res, 404, 'Session log not found');
+    }
+
+    if (req.body.exercise_id !== undefined) {
+      const entries = await db.getProgramExercises(programId);
+      if (!entries.some(entry => entry.exercise_id === Number(req.body.exercise_id))) {
+        return sendError(res, 400, 'Exercise is not part of this program');
+      }
+    }
+
+    await db.updateSessionLog(logId, req.body);
+    const log = await db.getSessionLogById(logId);
+
+    console.log(`Updated session log ID ${logId}`);
+    res.json(log);
+
+  } catch (error) {
+    console.error('Error updating session log:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Delete a session log
+app.delete('/api/patients/:id/programs/:programId/logs/:logId', async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id, programId, logId } = req.params;
+
+    const program = await getPatientProgram(db, id, programId);
+    const existing = program && await db.getSessionLogById(logId);
+    if (!existing || String(existing.program_id) !== programId) {
+      return sendError(res, 404, 'Session log not found');
+    }
+
+    await db.deleteSessionLog(logId);
+
+    console.log(`Deleted session log ID ${logId}`);
+    res.json({ message: 'Session log deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting session log:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Completed vs. prescribed sessions per week; from program start (or from, if later)
+// through today (or to)
+app.get('/api/patients/:id/programs/:programId/adherence', async (req, res) => {
+  const { from, to } = req.query;
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return sendError(res, 400, 'from and to must be dates in YYYY-MM-DD format');
+  }
+
+  const { db } = req;
+
+  try {
+    const { id, programId } = req.params;
+
+    const program = await getPatientProgram(db, id, programId);
+    if (!program) {
+      return sendError(res, 404, 'Program not found');
+    }
+
+    // Nothing was prescribed before the program existed
+    const programStart = program.created_timestamp.slice(0, 10);
+    const range = {
+      from: from && from > programStart ? from : programStart,
+      to: to || new Date().toISOString().slice(0, 10)
+    };
+
+    if (from && to && from > to) {
+      return sendError(res, 400, 'from must not be after to');
+    }
+    if (range.from > range.to) {
+      return sendError(res, 400, `to must not be before the program started (${programStart})`);
+    }
+
+    const entries = await db.getProgramExercises(programId);
+    const logs = await db.getSessionLogs(programId, range);
+    const periods = await db.getPrescriptionPeriods(id, { programId, ...range });
+
+    res.json({
+      program_id: program.id,
+      ...summarizeAdherence(entries, logs, range, periods)
+    });
+
+  } catch (error) {
+    console.error('Error computing adherence:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== OUTCOME MEASURES ==========
+
+const MEASUREMENT_SIDES = ['left', 'right'];
+
+// What PUT .../measurements/:measurementId may send: the measure by slug, not its id
+const MEASUREMENT_UPDATE_FIELDS = ['measure', ...MEASUREMENT_FIELDS.filter(field => field !== 'measure_id')];
+
+function isOptionalNumber(value) {
+  return value === undefined || value === null || (typeof value === 'number' && Number.isFinite(value));
+}
+
+// Validate a measure definition (updates are checked merged with the stored measure);
+// returns an error message or null
+function validateMeasure(measure) {
+  if (typeof measure.slug !== 'string' || !/^[a-z0-9_]+$/.test(measure.slug)) {
+    return 'slug must be lowercase letters, digits and underscores';
+  }
+  if (typeof measure.label !== 'string' || !measure.label.trim()) {
+    return 'label is required';
+  }
+  if (!MEASURE_CATEGORIES.includes(measure.category)) {
+    return `category must be one of: ${MEASURE_CATEGORIES.join(', ')}`;
+  }
+
+  for (const field of ['min_value', 'max_value', 'mcid']) {
+    if (!isOptionalNumber(measure[field])) {
+      return `${field} must be a number`;
+    }
+  }
+  if (measure.min_value != null && measure.max_value != null && measure.min_value > measure.max_value) {
+    return 'min_value must not be greater than max_value';
+  }
+  if (measure.mcid != null && measure.mcid <= 0) {
+    return 'mcid must be greater than 0';
+  }
+
+  for (const field of ['higher_is_better', 'bilateral', 'active']) {
+    const value = measure[field];
+    if (value !== undefined && typeof value !== 'boolean' && value !== 0 && value !== 1) {
+      return `${field} must be true or false`;
+    }
+  }
+
+  return null;
+}
+
+// Validate a measurement against its measure (updates are checked merged with the
+// stored measurement); returns an error message or null
+function validateMeasurement(measurement, measure) {
+  if (!isValidDate(measurement.measured_on)) {
+    return 'measured_on must be a date in YYYY-MM-DD format';
+  }
+
+  const { value } = measurement;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return 'value must be a number';
+  }
+  if ((measure.min_value !== null && value < measure.min_value) || (measure.max_value !== null && value > measure.max_value)) {
+    return `value must be from ${measure.min_value ?? '-∞'} to ${measure.max_value ?? '∞'} for ${measure.label}`;
+  }
+
+  if (measure.bilateral && !MEASUREMENT_SIDES.includes(measurement.side)) {
+    return `side must be one of: ${MEASUREMENT_SIDES.join(', ')} for ${measure.label}`;
+  }
+  if (!measure.bilateral && measurement.side != null) {
+    return `${measure.label} is not measured per side`;
+  }
+
+  return null;
+}
+
+// Shape a measurement row for the frontend
+function transformMeasurement(row) {
+  return {
+    id: row.id,
+    patient_id: row.patient_id,
+    measure: row.measure,
+    measure_label: row.measure_label,
+    unit: row.unit,
+    measured_on: row.measured_on,
+    value: row.value,
+    side: row.side,
+    notes: row.notes,
+    recorded_by: row.recorded_by,
+    created_timestamp: row.created_timestamp,
+    last_updated: row.last_updated
+  };
+}
+
+// Load a measurement and make sure it belongs to the patient; returns null otherwise
+async function getPatientMeasurement(db, patientId, measurementId) {
+  const measurement = await db.getMeasurementById(measurementId);
+  if (!measurement || String(measurement.patient_id) !== String(patientId)) {
+    return null;
+  }
+  return measurement;
+}
+
+// The measure catalog; ?all=true includes deactivated measures
+app.get('/api/measures', requireAuth, async (req, res) => {
+  const { db } = req;
+
+  try {
+    const measures = await db.getMeasures({ includeInactive: req.query.all === 'true' });
+    res.json(measures.map(transformMeasure));
+
+  } catch (error) {
+    console.error('Error fetching measures:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Add a measure to the catalog
+app.post('/api/measures', requireRole(...STAFF_ROLES), async (req, res) => {
+  const validationError = validateMeasure(req.body);
+  if (validationError) {
+    return sendError(res, 400, validationError);
+  }
+
+  const { db } = req;
+
+  try {
+    if (await db.getMeasureBySlug(req.body.slug)) {
+      return sendError(res, 409, `A measure with slug "${req.body.slug}" already exists`);
+    }
+
+    const measure = await db.createMeasure({ ...req.body, label: req.body.label.trim() });
+
+    console.log(`Created measure ${measure.slug}`);
+    res.status(201).json(transformMeasure(measure));
+
+  } catch (error) {
+    console.error('Error creating measure:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Update a measure; send active: false to retire it (past results are kept)
+app.put('/api/measures/:id', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const existing = await db.getMeasureById(req.params.id);
+    if (!existing) {
+      return sendError(res, 404, 'Measure not found');
+    }
+
+    const { slug, ...updates } = req.body;
+    if (slug !== undefined && slug !== existing.slug) {
+      return sendError(res, 400, 'slug cannot be changed');
+    }
+    if (!Object.keys(updates).some(field => MEASURE_FIELDS.includes(field))) {
+      return sendNothingToUpdate(res, MEASURE_FIELDS);
+    }
+
+    const validationError = validateMeasure({ ...existing, ...updates });
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    await db.updateMeasure(existing.id, updates);
+    const measure = await db.getMeasureById(existing.id);
+
+    console.log(`Updated measure ${measure.slug}`);
+    res.json(transformMeasure(measure));
+
+  } catch (error) {
+    console.error('Error updating measure:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Get a patient's measurements, oldest first; filter with ?measure=<slug>&from=&to=
+app.get('/api/patients/:id/measurements', async (req, res) => {
+  const { measure, from, to } = req.query;
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return sendError(res, 400, 'from and to must be dates in YYYY-MM-DD format');
+  }
+
+  const { db } = req;
+
+  try {
+    const measurements = await db.getMeasurements(req.params.id, { measure, from, to });
+    res.json(measurements.map(transformMeasurement));
+
+  } catch (error) {
+    console.error('Error fetching measurements:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Trend of each measure (per side) with the exercises prescribed over the same period,
+// for charting; takes the same filters as the measurement list
+app.get('/api/patients/:id/measurements/trends', async (req, res) => {
+  const { measure, from, to } = req.query;
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return sendError(res, 400, 'from and to must be dates in YYYY-MM-DD format');
+  }
+
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    const measures = await db.getMeasures({ includeInactive: true });
+    const measurements = await db.getMeasurements(id, { measure, from, to });
+    const periods = await db.getPrescriptionPeriods(id, { from, to });
+
+    res.json({
+      patient_id: Number(id),
+      from: from || null,
+      to: to || null,
+      series: summarizeTrends(measurements, measures),
+      prescriptions: periods.map(period => ({
+        program_id: period.program_id,
+        program_name: period.program_name,
+        exercise_id: period.exercise_id,
+        name: period.exercise_name,
+        started_on: period.started_on,
+        ended_on: period.ended_on
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error computing measurement trends:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Record a measurement: { measure: <slug>, measured_on, value, side?, notes? }
+app.post('/api/patients/:id/measurements', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const measure = req.body.measure && await db.getMeasureBySlug(req.body.measure);
+    if (!measure || !measure.active) {
+      return sendError(res, 400, `Unknown measure "${req.body.measure ?? ''}"`);
+    }
+
+    const validationError = validateMeasurement(req.body, measure);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    const { measured_on, value, side, notes } = req.body;
+    const measurement = await db.createMeasurement(req.params.id, {
+      measure_id: measure.id, measured_on, value, side, notes, recorded_by: req.user.id
+    });
+
+    console.log(`Recorded measurement ${measurement.id} for patient ID ${req.params.id}`);
+    res.status(201).json(transformMeasurement(measurement));
+
+  } catch (error) {
+    console.error('Error creating measurement:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Update a measurement
+app.put('/api/patients/:id/measurements/:measurementId', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { db } = req;
+
+  if (!Object.keys(req.body).some(field => MEASUREMENT_UPDATE_FIELDS.includes(field))) {
+    return sendNothingToUpdate(res, MEASUREMENT_UPDATE_FIELDS);
+  }
+
+  try {
+    const { id, measurementId } = req.params;
+
+    const existing = await getPatientMeasurement(db, id, measurementId);
+    if (!existing) {
+      return sendError(res, 404, 'Measurement not found');
+    }
+
+    const measure = req.body.measure === undefined
+      ? await db.getMeasureById(existing.measure_id)
+      : await db.getMeasureBySlug(req.body.measure);
+    if (!measure || (!measure.active && measure.id !== existing.measure_id)) {
+      return sendError(res, 400, `Unknown measure "${req.body.measure}"`);
+    }
+
+    const validationError = validateMeasurement({ ...existing, ...req.body }, measure);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    await db.updateMeasurement(measurementId, { ...req.body, measure_id: measure.id });
+    const measurement = await db.getMeasurementById(measurementId);
+
+    console.log(`Updated measurement ID ${measurementId}`);
+    res.json(transformMeasurement(measurement));
+
+  } catch (error) {
+    console.error('Error updating measurement:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Delete a measurement
+app.delete('/api/patients/:id/measurements/:measurementId', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id, measurementId } = req.params;
+
+    const existing = await getPatientMeasurement(db, id, measurementId);
+    if (!existing) {
+      return sendError(res, 404, 'Measurement not found');
+    }
+
+    await db.deleteMeasurement(measurementId);
+
+    console.log(`Deleted measurement ID ${measurementId}`);
+    res.json({ message: 'Measurement deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting measurement:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== EXERCISE RELATIONS ==========
+
+// Related exercise as listed on an exercise: the relation seen from that exercise, plus
+// enough of the related one to show and open it
+function transformRelation(relation) {
+  return {
+    relation_id: relation.relation_id,
+    relation: relation.relation,
+    notes: relation.notes,
+    ...serializeExerciseSummary(relation)
+  };
+}
+
+// An exercise's related exercises: easier (regressions), harder (progressions),
+// alternatives and variations
+app.get('/api/exercises/:id/relations', validate('getExerciseRelations'), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    const exercise = await db.getExerciseById(id);
+    if (!exercise) {
+      return sendError(res, 404, 'Exercise not found');
+    }
+
+    const relations = (await db.getExerciseRelations(id)).map(transformRelation);
+    const byRelation = relation => relations.filter(item => item.relation === relation);
+
+    res.json({
+      easier: byRelation('regression'),
+      harder: byRelation('progression'),
+      alternatives: byRelation('alternative'),
+      variations: byRelation('variation')
+    });
+
+  } catch (error) {
+    console.error('Error fetching exercise relations:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Relate another exercise to this one. relation says what the other exercise is to this
+// one: its progression (harder), regression (easier), an alternative or a variation.
+app.post('/api/exercises/:id/relations', requireRole(...STAFF_ROLES), validate('createExerciseRelation'), async (req, res) => {
+  const { related_exercise_id: relatedId, relation, notes } = req.body;
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    if (relatedId === Number(id)) {
+      return sendError(res, 400, 'An exercise cannot be related to itself');
+    }
+
+    const exercise = await db.getExerciseById(id);
+    if (!exercise) {
+      return sendError(res, 404, 'Exercise not found');
+    }
+    const related = await db.getExerciseById(relatedId);
+    if (!related) {
+      return sendError(res, 404, 'Related exercise not found');
+    }
+
+    if (await db.findExerciseRelation(exercise.id, related.id)) {
+      return sendError(res, 409, 'These exercises are already related');
+    }
+
+    // A progression must not lead back to where it started
+    if (relation === 'progression' || relation === 'regression') {
+      const [easier, harder] = relation === 'progression' ? [exercise, related] : [related, exercise];
+      if (await db.progressionReaches(harder.id, easier.id)) {
+        return sendError(res, 409, `"${harder.exercise_name}" already leads on to "${easier.exercise_name}"; this would make the progression a loop`);
+      }
+    }
+
+    const created = await db.createExerciseRelation(exercise.id, related.id, relation, {
+      notes: notes ? notes.trim() || null : null,
+      createdBy: req.user.id
+    });
+
+    console.log(`Related exercise ID ${related.id} to ID ${exercise.id} as ${relation}`);
+    res.status(201).json(transformRelation(created));
+
+  } catch (error) {
+    console.error('Error creating exercise relation:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Remove a relation between two exercises (from either exercise)
+app.delete('/api/exercises/:id/relations/:relationId', requireRole(...STAFF_ROLES), validate('deleteExerciseRelation'), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id, relationId } = req.params;
+
+    const result = await db.deleteExerciseRelation(id, relationId);
+    if (result.changes === 0) {
+      return sendError(res, 404, 'Relation not found');
+    }
+
+    console.log(`Deleted relation ID ${relationId} of exercise ID ${id}`);
+    res.json({ message: 'Relation deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting exercise relation:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// The whole progression ladder through an exercise, easiest step first. Step 0 is the
+// exercise itself; negative steps are easier, positive steps harder.
+app.get('/api/exercises/:id/progression', validate('getProgressionLadder'), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    const exercise = await db.getExerciseById(id);
+    if (!exercise) {
+      return sendError(res, 404, 'Exercise not found');
+    }
+
+    const steps = new Map();
+    for (const row of await db.getProgressionLadder(exercise.id)) {
+      if (!steps.has(row.step)) {
+        steps.set(row.step, []);
+      }
+      steps.get(row.step).push(serializeExerciseSummary(row));
+    }
+
+    res.json({
+      exercise_id: exercise.id,
+      steps: [...steps].map(([step, exercises]) => ({ step, exercises }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching progression ladder:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== SIMILAR EXERCISES ==========
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Substitutes for an exercise, most similar first, each with its similarity (0 to 1) and
+// how well each part matched. e.g. /api/exercises/12/similar?no_equipment=true&difficulty=easier
+//   limit               how many to return (default 10, at most 50)
+//   no_equipment=true   body-weight exercises only
+//   difficulty          easier, not_harder, same or harder than this exercise
+//   exclude_conditions  comma-separated condition slugs to leave out contraindicated exercises
+app.get('/api/exercises/:id/similar', validate('getSimilarExercises'), async (req, res) => {
+  const { limit, difficulty, no_equipment: noEquipment } = req.query;
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    const index = await getSimilarityIndex(db);
+    const similar = findSimilar(index, id, {
+      limit,
+      noEquipment,
+      difficulty,
+      excludeConditions: cleanList(req.query.exclude_conditions)
+    });
+
+    if (!similar) {
+      return sendError(res, 404, 'Exercise not found');
+    }
+
+    res.json(similar.map(({ exercise, score, match }) => ({
+      ...summaryFields(exercise),
+      similarity: round(score),
+      match: Object.fromEntries(Object.entries(match).map(([part, value]) => [part, round(value)]))
+    })));
+
+  } catch (error) {
+    console.error('Error finding similar exercises:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== WORKOUT GENERATOR ==========
+
+// Assemble a balanced session from the library. Body (every field optional):
+// { muscles, equipment, types, max_difficulty, duration_minutes, exercise_count,
+//   prefer_favorites, exclude_conditions, seed }
+// Returns the ordered exercises with suggested sets, reps or hold and rest; send the
+// returned seed back with the same constraints to get the same session again.
+app.post('/api/workouts/generate', async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { options, errors } = validateWorkoutRequest(req.body || {}, await db.getTaxonomy());
+    if (errors.length > 0) {
+      return sendError(res, 400, errors.join('; '));
+    }
+
+    const workout = await generateWorkout(db, options, { userId: req.user?.id });
+
+    console.log(`Generated a ${workout.exercises.length}-exercise workout (seed ${workout.seed})`);
+    res.json(workout);
+
+  } catch (error) {
+    console.error('Error generating workout:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== EXERCISE IMAGES ==========
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG, PNG or WebP images are allowed'));
+    }
+  }
+});
+
+// Parse a single "image" file upload, answering upload errors with a 400
+function handleImageUpload(req, res, next) {
+  upload.single('image')(req, res, (err) => {
+    if (err) {
+      return sendError(res, 400, err.message);
+    }
+    next();
+  });
+}
+
+// Shape an image row for the frontend, with absolute URLs to the static image route
+function transformImage(req, image) {
+  const baseUrl = `${req.protocol}://${req.get('host')}/images`;
+  return {
+    id: image.id,
+    exercise_id: image.exercise_id,
+    url: `${baseUrl}/full/${image.file_name}`,
+    thumbnail_url: `${baseUrl}/thumbs/${image.file_name}`,
+    source: image.source,
+    position: image.position
+  };
+}
+
+// Get the locally stored images of an exercise
+app.get('/api/exercises/:id/images', validate('listExerciseImages'), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    const exercise = await db.getExerciseById(id);
+    if (!exercise) {
+      return sendError(res, 404, 'Exercise not found');
+    }
+
+    const images = await db.getExerciseImages(id);
+
+    res.json(images.map(image => transformImage(req, image)));
+
+  } catch (error) {
+    console.error('Error fetching exercise images:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Upload a photo for an exercise (multipart/form-data, field "image")
+app.post('/api/exercises/:id/images', requireRole(...STAFF_ROLES), validate('uploadExerciseImage'), handleImageUpload, async (req, res) => {
+  if (!req.file) {
+    return sendError(res, 400, 'An image file is required in the "image" field');
+  }
+
+  const { db } = req;
+
+  try {
+    const { id } = req.params;
+
+    const exercise = await db.getExerciseById(id);
+    if (!exercise) {
+      return sendError(res, 404, 'Exercise not found');
+    }
+
+    let fileName;
+    try {
+      fileName = await saveImage(req.file.buffer, exercise.id);
+    } catch (imageError) {
+      return sendError(res, 400, `Could not read image: ${imageError.message}`);
+    }
+
+    const image = await db.addExerciseImage({ exercise_id: exercise.id, file_name: fileName, source: 'upload' });
+
+    console.log(`Uploaded image ${fileName} for exercise ID ${id}`);
+    res.status(201).json(transformImage(req, image));
+
+  } catch (error) {
+    console.error('Error uploading exercise image:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Delete an exercise image and its files
+app.delete('/api/exercises/:id/images/:imageId', requireRole(...STAFF_ROLES), validate('deleteExerciseImage'), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { id, imageId } = req.params;
+
+    const image = await db.getExerciseImageById(imageId);
+    if (!image || String(image.exercise_id) !== id) {
+      return sendError(res, 404, 'Image not found');
+    }
+
+    await db.deleteExerciseImage(imageId);
+
+    // The record is gone either way; a leftover file is only wasted space
+    removeImageFiles(image.file_name).catch(fileError => {
+      console.error(`Error removing files of image ID ${imageId}:`, fileError.message);
+    });
+
+    console.log(`Deleted image ID ${imageId} of exercise ID ${id}`);
+    res.json({ message: 'Image deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting exercise image:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Endpoint to get the local images of an exercise by name (see `npm run images:import`)
+app.get('/api/exercise-image/:exerciseName', validate('getExerciseImageByName'), async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { exerciseName } = req.params;
+
+    const exercise = await db.getExerciseByName(exerciseName);
+    if (!exercise) {
+      return sendError(res, 404, 'Exercise not found');
+    }
+    const images = await db.getExerciseImages(exercise.id);
+
+    if (images.length === 0) {
+      return res.json({ images: null, thumbnails: null, found: false });
+    }
+
+    const transformed = images.map(image => transformImage(req, image));
+    res.json({
+      images: transformed.map(image => image.url),
+      thumbnails: transformed.map(image => image.thumbnail_url),
+      found: true
+    });
+
+  } catch (error) {
+    console.error(`Error fetching image for ${req.params.exerciseName}:`, error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== IMAGE MATCH REVIEW ==========
+
+app.use('/api/admin', requireRole('admin'));
+
+const MATCH_STATUSES = ['auto', 'confirmed', 'rejected'];
+
+// Shape a match for the review UI; candidates get a preview of their first image
+function transformImageMatch(match) {
+  return {
+    exercise_id: match.exercise_id,
+    exercise_name: match.exercise_name,
+    source_id: match.source_id,
+    source_name: match.source_name,
+    score: match.score,
+    status: match.status,
+    needs_review: match.status === 'auto' && match.score < REVIEW_SCORE,
+    reviewed_timestamp: match.reviewed_timestamp,
+    candidates: match.candidates.map(candidate => ({
+      id: candidate.id,
+      name: candidate.name,
+      score: candidate.score,
+      preview_url: candidate.images.length > 0 ? `${FREE_EXERCISE_DB_URL}/exercises/${candidate.images[0]}` : null
+    }))
+  };
+}
+
+// List image matches for review: by default the automatic ones scoring below the review
+// threshold. Reviewed matches (status=confirmed|rejected|all) are listed whatever their score.
+app.get('/api/admin/image-matches', async (req, res) => {
+  const status = req.query.status || 'auto';
+  const defaultMaxScore = status === 'auto' ? REVIEW_SCORE : undefined;
+  const maxScore = req.query.max_score !== undefined ? Number(req.query.max_score) : defaultMaxScore;
+
+  if (status !== 'all' && !MATCH_STATUSES.includes(status)) {
+    return sendError(res, 400, `status must be one of: all, ${MATCH_STATUSES.join(', ')}`);
+  }
+  if (Number.isNaN(maxScore)) {
+    return sendError(res, 400, 'max_score must be a number');
+  }
+
+  const { db } = req;
+
+  try {
+    const matches = await db.getImageMatches({ status: status === 'all' ? null : status, maxScore, withCandidates: true });
+
+    res.json({
+      review_score: REVIEW_SCORE,
+      matches: matches.map(transformImageMatch)
+    });
+
+  } catch (error) {
+    console.error('Error fetching image matches:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Accept the current match as it is
+app.post('/api/admin/image-matches/:exerciseId/confirm', async (req, res) => {
+  const { db } = req;
+
+  try {
+    const { exerciseId } = req.params;
+
+    const match = await db.getImageMatch(exerciseId);
+    if (!match) {
+      return sendError(res, 404, 'Image match not found');
+    }
+    if (!match.source_id) {
+      return sendError(res, 400, 'This exercise has no match to confirm; pick a candidate instead');
+    }
+
+    await db.confirmImageMatch(exerciseId);
+    const updated = await db.getImageMatch(exerciseId);
+
+    console.log(`Confirmed image match "${match.source_name}" for exercise ID ${exerciseId}`);
+    res.json(transformImageMatch(updated));
+
+  } catch (error) {
+    console.error('Error confirming image match:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Switch to another candidate, or pass source_id: null to leave the exercise without images.
+// The exercise's free-exercise-db images are replaced straight away.
+app.put('/api/admin/image-matches/:exerciseId', async (req, res) => {
+  if (!req.body || req.body.source_id === undefined) {
+    return sendError(res, 400, 'source_id is required (null for no match)');
+  }
+
+  const { db } = req;
+
+  try {
+    const { exerciseId } = req.params;
+    const { source_id } = req.body;
+
+    const match = await db.getImageMatch(exerciseId);
+    if (!match) {
+      return sendError(res, 404, 'Image match not found');
+    }
+
+    const candidate = source_id === null ? null : match.candidates.find(c => c.id === source_id);
+    if (source_id !== null && !candidate) {
+      return sendError(res, 400, `"${source_id}" is not one of this exercise's candidates`);
+    }
+
+    try {
+      await linkImages(db, createSource(), match.exercise_id, candidate ? candidate.images : []);
+    } catch (imageError) {
+      return sendError(res, 502, `Could not fetch candidate images: ${imageError.message}`);
+    }
+
+    await db.reviewImageMatch(exerciseId, candidate
+      ? { status: 'confirmed', source_id: candidate.id, source_name: candidate.name, score: candidate.score }
+      : { status: 'rejected' });
+    const updated = await db.getImageMatch(exerciseId);
+
+    console.log(`Image match for exercise ID ${exerciseId} set to ${candidate ? `"${candidate.name}"` : 'none'}`);
+    res.json(transformImageMatch(updated));
+
+  } catch (error) {
+    console.error('Error updating image match:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== HANDOUTS ==========
+
+// Attach each entry's stored images: URLs for the HTML handout, file paths for the PDF
+async function addHandoutImages(db, req, entries) {
+  const withImages = [];
+  for (const entry of entries) {
+    const images = await db.getExerciseImages(entry.exercise_id);
+    withImages.push({
+      ...entry,
+      images: images.map(image => ({
+        url: transformImage(req, image).url,
+        path: imagePath(image.file_name)
+      }))
+    });
+  }
+  return withImages;
+}
+
+// Send a handout as print-ready HTML or as a PDF download
+async function sendHandout(res, handout, format) {
+  if (format === 'pdf') {
+    const pdf = await renderHandoutPdf(handout);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${handoutFilename(handout.title)}"`
+    });
+    return res.send(pdf);
+  }
+
+  res.type('html').send(renderHandoutHtml(handout));
+}
+
+// Handout for an ad-hoc list of exercises, e.g. /api/handout?ids=3,7,12&format=pdf
+app.get('/api/handout', async (req, res) => {
+  const { ids = '', title, format = 'html' } = req.query;
+
+  if (!['html', 'pdf'].includes(format)) {
+    return sendError(res, 400, 'format must be "html" or "pdf"');
+  }
+
+  const exerciseIds = ids.split(',').map(id => id.trim()).filter(Boolean).map(Number);
+  if (exerciseIds.length === 0 || !exerciseIds.every(Number.isInteger)) {
+    return sendError(res, 400, 'Please provide a comma-separated list of exercise ids in the ids query parameter');
+  }
+
+  const { db } = req;
+  const entries = [];
+  let handoutExercises;
+
+  try {
+    for (const id of exerciseIds) {
+      const exercise = await db.getExerciseById(id);
+      if (!exercise) {
+        return sendError(res, 404, `Exercise ${id} not found`);
+      }
+      entries.push({
+        exercise_id: exercise.id,
+        name: exercise.exercise_name,
+        equipment: exercise.equipment,
+        instructions: exercise.instructions
+      });
+    }
+
+    handoutExercises = await addHandoutImages(db, req, entries);
+
+  } catch (error) {
+    console.error('Error loading handout exercises:', error.message);
+    return sendError(res, 500, error.message);
+  }
+
+  try {
+    const handout = {
+      title: title || 'Home Exercise Program',
+      exercises: handoutExercises
+    };
+
+    await sendHandout(res, handout, format);
+
+  } catch (error) {
+    console.error('Error rendering handout:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Handout for a patient's program, including dosage and clinician notes
+app.get('/api/patients/:id/programs/:programId/handout', async (req, res) => {
+  const { format = 'html' } = req.query;
+
+  if (!['html', 'pdf'].includes(format)) {
+    return sendError(res, 400, 'format must be "html" or "pdf"');
+  }
+
+  const { db } = req;
+  let patient, details, handoutExercises;
+
+  try {
+    const { id, programId } = req.params;
+
+    const program = await db.getProgramById(programId);
+    if (!program || String(program.patient_id) !== id) {
+      return sendError(res, 404, 'Program not found');
+    }
+
+    patient = await db.getPatientById(id);
+    const { exercises, ...programDetails } = transformProgram(program, await db.getProgramExercises(programId));
+    details = programDetails;
+    handoutExercises = await addHandoutImages(db, req, exercises);
+
+  } catch (error) {
+    console.error('Error loading program handout:', error.message);
+    return sendError(res, 500, error.message);
+  }
+
+  try {
+    const handout = {
+      title: details.name,
+      patientName: `${patient.first_name} ${patient.last_name}`,
+      notes: details.notes,
+      exercises: handoutExercises
+    };
+
+    await sendHandout(res, handout, format);
+
+  } catch (error) {
+    console.error('Error rendering program handout:', error.message);
+    sendError(res, 500, error.message);
+  }
+});
+
+// ========== ERRORS ==========
+
+// Unknown API routes, unreadable bodies and anything a route lets through, in the
+// same { error, code } shape as every other error
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+// Graceful shutdown: stop taking connections, let requests in flight finish, then
+// close the database (after any transaction in progress)
+function shutdown(server, signal) {
+  console.log(`\n${signal} received, shutting down...`);
+  server.close(async () => {
+    try {
+      await closeDatabase();
+      process.exit(0);
+    } catch (error) {
+      console.error('Error closing database:', error.message);
+      process.exit(1);
+    }
+  });
+  server.closeIdleConnections();
+  // Clients holding a connection open must not keep the process alive
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+}
+
+// Serve when run directly (npm start). Tests require the app without listening and open
+// their own database first (e.g. DB_PATH=:memory:).
+if (require.main === module) {
+  applyLogLevel(config.logLevel);
+  config.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+
+  // Run migration on server start
+  runMigration();
+
+  const server = app.listen(config.port, () => {
+    const url = `http://localhost:${server.address().port}`;
+    console.log(`Backend server running on ${url} (${config.profile} profile, log level ${config.logLevel})`);
+    if (config.features.serveFrontend) {
+      console.log(`App: ${url}/`);
+    }
+    console.log(`API endpoint: ${url}/api/exercises`);
+    console.log(`Search endpoint: ${url}/api/exercises/search?query=curl`);
+    console.log(`Favorites endpoint: ${url}/api/exercises/favorites`);
+    console.log(`Database stats: ${url}/api/db/stats`);
+    console.log(`Taxonomy: ${url}/api/taxonomy`);
+    console.log(`Patients endpoint: ${url}/api/patients`);
+    console.log(`Accounts: ${url}/api/auth/login (POST /api/auth/setup creates the first admin)`);
+    console.log(`Images: ${url}/images (run "npm run images:import" to fill the store)`);
+    if (config.features.apiDocs) {
+      console.log(`API docs: ${url}/api/docs`);
+    }
+  });
+
+  process.on('SIGINT', () => shutdown(server, 'SIGINT'));
+  process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+}
 
-app.listen(PORT, () => {
-  console.log(`Backend server running on http://localhost:${PORT}`);
-  console.log(`API endpoint: http://localhost:${PORT}/api/exercises`);
-  console.log(`Search endpoint: http://localhost:${PORT}/api/exercises/search?query=curl`);
-  console.log(`Favorites endpoint: http://localhost:${PORT}/api/exercises/favorites`);
-  console.log(`Database stats: http://localhost:${PORT}/api/exercises/stats`);
-});
\ No newline at end of file
+module.exports = app;
@@ -0,0 +1,169 @@
+// backend/test/api/accounts.test.js
+// HTTP tests for first-run setup, login/logout, passwords and user management
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, silenceConsole, createAccount, startApp } = require('../helpers');
+
+silenceConsole();
+
+const SETUP = { email: 'owner@example.com', password: PASSWORD, display_name: 'Owner', clinic_name: 'Main Street PT' };
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+describe('first-run setup', () => {
+  test('GET /api/auth/me says setup is required before any user exists', async () => {
+    const { status, body } = await app.request('GET', '/api/auth/me');
+    assert.equal(status, 200);
+    assert.deepEqual(body, { user: null, clinic_name: null, setup_required: true });
+  });
+
+  test('POST /api/auth/setup validates the body', async () => {
+    const missing = await app.request('POST', '/api/auth/setup', { body: { email: 'not-an-email' } });
+    assert.equal(missing.status, 400);
+    assert.deepEqual(missing.body.details.map(detail => detail.field), ['clinic_name', 'email', 'password', 'display_name']);
+
+    const weak = await app.request('POST', '/api/auth/setup', { body: { ...SETUP, password: 'short' } });
+    assert.equal(weak.status, 400);
+    assert.match(weak.body.error, /at least 8 characters/);
+  });
+
+  test('POST /api/auth/setup creates the clinic and its admin, adopting old patients', async () => {
+    const orphan = await app.db.createPatient({ first_name: 'Old', last_name: 'Record' });
+
+    const { status, body } = await app.request('POST', '/api/auth/setup', { body: SETUP });
+    assert.equal(status, 201);
+    assert.ok(body.token);
+    assert.equal(body.user.role, 'admin');
+    assert.equal(body.user.email, SETUP.email);
+    assert.equal((await app.db.getPatientById(orphan.id)).clinic_id, body.user.clinic_id);
+
+    const me = await app.request('GET', '/api/auth/me', { token: body.token });
+    assert.equal(me.body.clinic_name, 'Main Street PT');
+    assert.equal(me.body.setup_required, false);
+  });
+
+  test('setup only works once', async () => {
+    const { status, body } = await app.request('POST', '/api/auth/setup', { body: { ...SETUP, email: 'again@example.com' } });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'forbidden');
+  });
+});
+
+describe('login and logout', () => {
+  test('POST /api/auth/login returns a session for the right password only', async () => {
+    assert.equal((await app.request('POST', '/api/auth/login', { body: { email: SETUP.email } })).status, 400);
+    assert.equal((await app.request('POST', '/api/auth/login', { body: { email: SETUP.email, password: 'wrong-password' } })).status, 401);
+    assert.equal((await app.request('POST', '/api/auth/login', { body: { email: 'nobody@example.com', password: PASSWORD } })).status, 401);
+
+    const { status, body } = await app.request('POST', '/api/auth/login', { body: { email: SETUP.email, password: PASSWORD } });
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.ok(body.expires_at);
+    assert.equal(body.user.display_name, 'Owner');
+  });
+
+  test('POST /api/auth/logout ends the session', async () => {
+    const { body: session } = await app.request('POST', '/api/auth/login', { body: { email: SETUP.email, password: PASSWORD } });
+    assert.equal((await app.request('POST', '/api/auth/logout', { token: session.token })).status, 200);
+    assert.equal((await app.request('GET', '/api/auth/me', { token: session.token })).status, 401);
+    assert.equal((await app.request('POST', '/api/auth/logout')).status, 401);
+  });
+});
+
+describe('PUT /api/auth/password', () => {
+  let user;
+  before(async () => { user = await createAccount(app.db, { role: 'clinician' }); });
+
+  test('checks the current password and the new one', async () => {
+    assert.equal((await app.request('PUT', '/api/auth/password', { body: {} })).status, 401);
+    assert.equal((await app.request('PUT', '/api/auth/password', {
+      token: user.token, body: { current_password: PASSWORD, new_password: 'short' }
+    })).status, 400);
+    assert.equal((await app.request('PUT', '/api/auth/password', {
+      token: user.token, body: { new_password: 'NewPassword123!' }
+    })).status, 400);
+    assert.equal((await app.request('PUT', '/api/auth/password', {
+      token: user.token, body: { current_password: 'wrong-password', new_password: 'NewPassword123!' }
+    })).status, 401);
+  });
+
+  test('changes the password and replaces every session', async () => {
+    const { status, body } = await app.request('PUT', '/api/auth/password', {
+      token: user.token, body: { current_password: PASSWORD, new_password: 'NewPassword123!' }
+    });
+    assert.equal(status, 200);
+    assert.ok(body.token);
+
+    assert.equal((await app.request('GET', '/api/auth/me', { token: user.token })).status, 401);
+    assert.equal((await app.request('GET', '/api/auth/me', { token: body.token })).body.user.id, user.id);
+    assert.equal((await app.request('POST', '/api/auth/login', {
+      body: { email: user.email, password: 'NewPassword123!' }
+    })).status, 200);
+  });
+});
+
+describe('users', () => {
+  let admin;
+  let clinician;
+  let patientRecord;
+  let otherClinicPatient;
+  before(async () => {
+    admin = await createAccount(app.db, { role: 'admin' });
+    clinician = await createAccount(app.db, { role: 'clinician', clinicId: admin.clinic_id });
+    patientRecord = await app.db.createPatient({ clinic_id: admin.clinic_id, first_name: 'Pat', last_name: 'Smith' });
+    otherClinicPatient = await app.db.createPatient({ clinic_id: await app.db.createClinic('Other'), first_name: 'O', last_name: 'Ther' });
+  });
+
+  test('only admins manage users', async () => {
+    assert.equal((await app.request('GET', '/api/users')).status, 401);
+    assert.equal((await app.request('GET', '/api/users', { token: clinician.token })).status, 403);
+    assert.equal((await app.request('POST', '/api/users', { token: clinician.token, body: {} })).status, 403);
+  });
+
+  test('GET /api/users lists the admin\'s clinic', async () => {
+    const { status, body } = await app.request('GET', '/api/users', { token: admin.token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(user => user.id).sort(), [admin.id, clinician.id].sort());
+    assert.ok(body.every(user => user.password_hash === undefined));
+  });
+
+  test('POST /api/users validates role, patient and password', async () => {
+    const post = body => app.request('POST', '/api/users', { token: admin.token, body });
+    const base = { email: 'new@example.com', password: PASSWORD, display_name: 'New', role: 'clinician' };
+
+    assert.equal((await post({ role: 'clinician' })).status, 400);
+    assert.match((await post({ ...base, role: 'owner' })).body.error, /role must be one of/);
+    assert.equal((await post({ ...base, role: 'patient' })).status, 400);
+    assert.equal((await post({ ...base, patient_id: patientRecord.id })).status, 400);
+    assert.equal((await post({ ...base, password: 'short' })).status, 400);
+    assert.match((await post({ ...base, role: 'patient', patient_id: otherClinicPatient.id })).body.error, /not found in your clinic/);
+  });
+
+  test('POST /api/users creates accounts; a taken email is a 409', async () => {
+    const created = await app.request('POST', '/api/users', {
+      token: admin.token,
+      body: { email: 'pat@example.com', password: PASSWORD, display_name: 'Pat', role: 'patient', patient_id: patientRecord.id }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.patient_id, patientRecord.id);
+    assert.equal(created.body.clinic_id, admin.clinic_id);
+
+    const taken = await app.request('POST', '/api/users', {
+      token: admin.token, body: { email: 'pat@example.com', password: PASSWORD, display_name: 'Pat 2', role: 'clinician' }
+    });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, 'conflict');
+  });
+
+  test('DELETE /api/users/:id', async () => {
+    const outsider = await createAccount(app.db, { role: 'clinician' });
+    assert.equal((await app.request('DELETE', `/api/users/${admin.id}`, { token: admin.token })).status, 400);
+    assert.equal((await app.request('DELETE', `/api/users/${outsider.id}`, { token: admin.token })).status, 404);
+    assert.equal((await app.request('DELETE', '/api/users/9999', { token: admin.token })).status, 404);
+
+    assert.equal((await app.request('DELETE', `/api/users/${clinician.id}`, { token: admin.token })).status, 200);
+    assert.equal((await app.request('GET', '/api/auth/me', { token: clinician.token })).status, 401);
+  });
+});
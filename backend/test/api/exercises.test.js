@@ -0,0 +1,509 @@
+// backend/test/api/exercises.test.js
+// HTTP tests for the exercise library routes: list, search, CRUD, favorites, history,
+// import/export, stats, taxonomy and docs
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { silenceConsole, seedExercises, createAccount, startApp } = require('../helpers');
+const { MUSCLES } = require('../../db/taxonomy');
+
+silenceConsole();
+
+const NEW_EXERCISE = {
+  name: 'Side Plank', type: 'strength', muscle: 'abdominals', equipment: 'none',
+  difficulty: 'intermediate', instructions: 'Hold the body straight on one forearm.'
+};
+
+let app;
+let admin;
+let clinician;
+let patient;
+let exercises;
+
+before(async () => {
+  app = await startApp();
+  exercises = await seedExercises(app.db);
+  admin = await createAccount(app.db, { role: 'admin' });
+  clinician = await createAccount(app.db, { role: 'clinician', clinicId: admin.clinic_id });
+  patient = await createAccount(app.db, { role: 'patient', clinicId: admin.clinic_id });
+});
+after(() => app.close());
+
+const byName = name => exercises.find(exercise => exercise.name === name);
+
+describe('app', () => {
+  test('GET /api/health answers the health check', async () => {
+    const { status, body } = await app.request('GET', '/api/health');
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Exercise API Proxy is running');
+  });
+
+  test('GET / serves the frontend, and /config.js its API base URL', async () => {
+    const page = await app.request('GET', '/');
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.match(page.body.toString(), /<script src="config.js"><\/script>/);
+
+    const script = await app.request('GET', '/config.js');
+    assert.equal(script.status, 200);
+    assert.match(script.headers.get('content-type'), /javascript/);
+    assert.equal(script.body.toString(), 'window.API_BASE_URL = "";\n');
+    assert.equal((await app.request('GET', '/app.js')).status, 200);
+  });
+
+  test('unknown /api routes answer 404 in the error envelope', async () => {
+    const { status, body } = await app.request('GET', '/api/nothing-here');
+    assert.equal(status, 404);
+    assert.deepEqual(body, { error: 'No route for GET /api/nothing-here', code: 'not_found' });
+  });
+
+  test('malformed JSON answers 400 invalid_json', async () => {
+    const { status, body } = await app.request('POST', '/api/exercises', {
+      token: admin.token, body: '{"name":', headers: { 'Content-Type': 'application/json' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'invalid_json');
+  });
+
+  test('an unknown token answers 401', async () => {
+    const { status, body } = await app.request('GET', '/api/exercises', { token: 'nope' });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'unauthorized');
+  });
+
+  test('GET /api/openapi.json and /api/docs', async () => {
+    const spec = await app.request('GET', '/api/openapi.json');
+    assert.equal(spec.status, 200);
+    assert.ok(spec.body.paths['/api/exercises']);
+
+    const docs = await app.request('GET', '/api/docs');
+    assert.equal(docs.status, 200);
+    assert.match(docs.body.toString(), /SwaggerUIBundle/);
+  });
+});
+
+describe('GET /api/exercises', () => {
+  test('pages, sorts and counts facets', async () => {
+    const { status, body } = await app.request('GET', '/api/exercises?page=2&page_size=2&sort=name');
+    assert.equal(status, 200);
+    assert.equal(body.total, exercises.length);
+    assert.equal(body.page, 2);
+    assert.equal(body.total_pages, 3);
+    assert.deepEqual(body.exercises.map(exercise => exercise.name), ['Crunch', 'Hammer Curl']);
+    assert.equal(body.facets.muscle.biceps, 2);
+    assert.deepEqual(body.exercises[1].secondary_muscles, ['forearms']);
+  });
+
+  test('filters and leaves out contraindicated exercises', async () => {
+    const { body } = await app.request('GET', '/api/exercises?muscle=abdominals&exclude_conditions=osteoporosis');
+    assert.deepEqual(body.exercises.map(exercise => exercise.name), ['Plank']);
+  });
+
+  test('rejects invalid query parameters', async () => {
+    const { status, body } = await app.request('GET', '/api/exercises?page_size=1000');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'validation_failed');
+    assert.equal(body.details[0].field, 'page_size');
+  });
+
+  test('favorites=true needs a login', async () => {
+    const { status } = await app.request('GET', '/api/exercises?favorites=true');
+    assert.equal(status, 401);
+  });
+
+  test('falls back to API Ninjas when the database fails', async () => {
+    const count = mock.method(app.db, 'getExerciseCount', async () => { throw new Error('disk I/O error'); });
+    const get = mock.method(axios, 'get', async (url, { params }) => ({
+      data: [{ name: `${params.muscle} move`, type: 'strength', muscle: params.muscle, equipment: 'body_only', difficulty: 'beginner', instructions: 'Move.' }]
+    }));
+    try {
+      const { status, body } = await app.request('GET', '/api/exercises');
+      assert.equal(status, 200);
+      assert.equal(get.mock.callCount(), MUSCLES.length);
+      assert.equal(get.mock.calls[0].arguments[0], 'https://api.api-ninjas.com/v1/exercises');
+      assert.equal(body.total, MUSCLES.length);
+      assert.deepEqual(body.facets, {});
+      // The same shape as every other list, without an id: they are not in the library
+      const { body: stored } = await app.request('GET', `/api/exercises/${byName('Plank').id}`);
+      assert.deepEqual(Object.keys(body.exercises[0]), Object.keys(stored));
+      assert.deepEqual(body.exercises[0], {
+        id: null, name: `${MUSCLES[0].slug} move`, type: 'strength', muscle: MUSCLES[0].slug, equipment: 'body_only',
+        difficulty: 'beginner', instructions: 'Move.', secondary_muscles: [], additional_equipment: [],
+        contraindications: [], precautions: [], is_favorited: false, last_updated: null, created_timestamp: null
+      });
+    } finally {
+      count.mock.restore();
+      get.mock.restore();
+    }
+  });
+
+  test('answers 500 when the fallback fails too', async () => {
+    const count = mock.method(app.db, 'getExerciseCount', async () => { throw new Error('disk I/O error'); });
+    const get = mock.method(axios, 'get', async () => { throw new Error('getaddrinfo ENOTFOUND'); });
+    try {
+      const { status, body } = await app.request('GET', '/api/exercises');
+      assert.equal(status, 500);
+      assert.match(body.error, /ENOTFOUND/);
+    } finally {
+      count.mock.restore();
+      get.mock.restore();
+    }
+  });
+});
+
+describe('GET /api/exercises/search', () => {
+  test('returns ranked matches with highlighted snippets', async () => {
+    const { status, body } = await app.request('GET', '/api/exercises/search?query=hammer');
+    assert.equal(status, 200);
+    assert.equal(body[0].name, 'Hammer Curl');
+    assert.match(body[0].snippet, /<mark>Hammer<\/mark>/);
+  });
+
+  test('a blank or missing query is a 400', async () => {
+    const blank = await app.request('GET', '/api/exercises/search?query=%20');
+    assert.equal(blank.status, 400);
+    assert.equal(blank.body.details[0].message, 'must not be blank');
+
+    const missing = await app.request('GET', '/api/exercises/search');
+    assert.equal(missing.status, 400);
+  });
+});
+
+describe('GET /api/exercises/:id', () => {
+  test('returns the exercise with its links', async () => {
+    const { status, body, headers } = await app.request('GET', `/api/exercises/${byName('Plank').id}`);
+    assert.equal(status, 200);
+    assert.equal(body.name, 'Plank');
+    assert.deepEqual(body.precautions, ['pregnancy']);
+    assert.equal(body.is_favorited, false);
+    assert.ok(headers.get('etag'));
+    assert.ok(headers.get('last-modified'));
+  });
+
+  test('answers 304 while the ETag is current', async () => {
+    const path = `/api/exercises/${byName('Crunch').id}`;
+    const first = await app.request('GET', path, { token: clinician.token });
+    const etag = first.headers.get('etag');
+
+    const cached = await app.request('GET', path, { token: clinician.token, headers: { 'If-None-Match': etag } });
+    assert.equal(cached.status, 304);
+
+    await app.request('PUT', `${path}/favorite`, { token: clinician.token, body: { is_favorited: true } });
+    const changed = await app.request('GET', path, { token: clinician.token, headers: { 'If-None-Match': etag } });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.is_favorited, true);
+  });
+
+  test('404 for an unknown id and 400 for a non-numeric one', async () => {
+    assert.equal((await app.request('GET', '/api/exercises/9999')).status, 404);
+    assert.equal((await app.request('GET', '/api/exercises/abc')).status, 400);
+  });
+});
+
+describe('conditional list requests', () => {
+  const conditionalGet = (path, account, etag) => app.request('GET', path, { token: account.token, headers: { 'If-None-Match': etag } });
+
+  for (const path of ['/api/exercises?page=1', '/api/exercises/search?query=plank', '/api/exercises/favorites']) {
+    test(`GET ${path} answers 304 until the library or a favorite changes`, async () => {
+      const first = await app.request('GET', path, { token: clinician.token });
+      const etag = first.headers.get('etag');
+      assert.equal(first.status, 200);
+      assert.ok(first.headers.get('last-modified'));
+
+      assert.equal((await conditionalGet(path, clinician, etag)).status, 304);
+      // Favorites differ per user, so another account's copy is never current
+      assert.equal((await conditionalGet(path, patient, etag)).status, 200);
+
+      const favoritePath = `/api/exercises/${byName('Plank').id}/favorite`;
+      await app.request('PUT', favoritePath, { token: clinician.token, body: { is_favorited: true } });
+      try {
+        assert.equal((await conditionalGet(path, clinician, etag)).status, 200);
+      } finally {
+        await app.request('PUT', favoritePath, { token: clinician.token, body: { is_favorited: false } });
+      }
+    });
+  }
+
+  test('an edit gives the list a new ETag', async () => {
+    const path = '/api/exercises?page=1';
+    const etag = (await app.request('GET', path, { token: clinician.token })).headers.get('etag');
+    const stretch = byName('Hamstring Stretch');
+
+    await app.request('PUT', `/api/exercises/${stretch.id}`, { token: clinician.token, body: { instructions: `${stretch.instructions} Breathe.` } });
+    const changed = await conditionalGet(path, clinician, etag);
+    assert.equal(changed.status, 200);
+    assert.ok(changed.body.exercises.some(exercise => exercise.instructions.endsWith('Breathe.')));
+  });
+});
+
+describe('POST /api/exercises', () => {
+  test('staff create exercises: 201 with Location', async () => {
+    const { status, body, headers } = await app.request('POST', '/api/exercises', {
+      token: clinician.token, body: { ...NEW_EXERCISE, contraindications: ['pregnancy'] }
+    });
+    assert.equal(status, 201);
+    assert.equal(headers.get('location'), `/api/exercises/${body.id}`);
+    assert.equal(body.name, 'Side Plank');
+    assert.deepEqual(body.contraindications, ['pregnancy']);
+  });
+
+  test('a duplicate name is a 409', async () => {
+    const { status, body } = await app.request('POST', '/api/exercises', { token: admin.token, body: NEW_EXERCISE });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'conflict');
+
+    const recased = await app.request('POST', '/api/exercises', { token: admin.token, body: { ...NEW_EXERCISE, name: 'SIDE plank' } });
+    assert.equal(recased.status, 409);
+  });
+
+  test('missing fields and unknown taxonomy values are 400s', async () => {
+    const missing = await app.request('POST', '/api/exercises', { token: admin.token, body: { name: 'Only a name' } });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'validation_failed');
+
+    const unknown = await app.request('POST', '/api/exercises', {
+      token: admin.token, body: { ...NEW_EXERCISE, name: 'Odd One', muscle: 'wings' }
+    });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /wings/);
+  });
+
+  test('needs a staff login', async () => {
+    assert.equal((await app.request('POST', '/api/exercises', { body: NEW_EXERCISE })).status, 401);
+    assert.equal((await app.request('POST', '/api/exercises', { token: patient.token, body: NEW_EXERCISE })).status, 403);
+  });
+});
+
+describe('PUT /api/exercises/:id', () => {
+  test('updates fields under their API names', async () => {
+    const { status, body } = await app.request('PUT', `/api/exercises/${byName('Box Jump').id}`, {
+      token: clinician.token, body: { name: 'Box Jump (low)', difficulty: 'intermediate', secondary_muscles: 'glutes, calves' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.name, 'Box Jump (low)');
+    assert.equal(body.difficulty, 'intermediate');
+    assert.deepEqual(body.secondary_muscles, ['glutes', 'calves']);
+  });
+
+  test('400 for nothing to update or unknown taxonomy, 404 for an unknown id', async () => {
+    const id = byName('Plank').id;
+    assert.equal((await app.request('PUT', `/api/exercises/${id}`, { token: admin.token, body: { is_favorited: true } })).status, 400);
+    assert.equal((await app.request('PUT', `/api/exercises/${id}`, { token: admin.token, body: { equipment: 'rocket' } })).status, 400);
+    assert.equal((await app.request('PUT', '/api/exercises/9999', { token: admin.token, body: { difficulty: 'expert' } })).status, 404);
+  });
+
+  test('409 when renaming to another exercise\'s name; keeping its own name is fine', async () => {
+    const id = byName('Barbell Curl').id;
+    const taken = await app.request('PUT', `/api/exercises/${id}`, { token: admin.token, body: { name: 'Hammer Curl' } });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, 'conflict');
+    assert.equal((await app.db.getExerciseById(id)).exercise_name, 'Barbell Curl');
+
+    const same = await app.request('PUT', `/api/exercises/${id}`, { token: admin.token, body: { name: 'Barbell Curl' } });
+    assert.equal(same.status, 200);
+  });
+
+  test('cleans values as on create: trimmed text, lowercased slugs', async () => {
+    const id = byName('Barbell Curl').id;
+    const padded = await app.request('PUT', `/api/exercises/${id}`, { token: admin.token, body: { name: 'Hammer Curl ' } });
+    assert.equal(padded.status, 409);
+
+    const { status, body } = await app.request('PUT', `/api/exercises/${id}`, {
+      token: admin.token, body: { name: ' Barbell Curl ', muscle: ' BICEPS ', instructions: '  Curl the bar up.  ' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.name, 'Barbell Curl');
+    assert.equal(body.muscle, 'biceps');
+    assert.equal(body.instructions, 'Curl the bar up.');
+  });
+
+  test('400 for a name that is blank once trimmed', async () => {
+    const id = byName('Barbell Curl').id;
+    const blank = await app.request('PUT', `/api/exercises/${id}`, { token: admin.token, body: { name: '   ' } });
+    assert.equal(blank.status, 400);
+    assert.equal(blank.body.error, 'name must not be blank');
+    assert.equal((await app.db.getExerciseById(id)).exercise_name, 'Barbell Curl');
+  });
+});
+
+describe('DELETE /api/exercises/:id and undelete', () => {
+  test('soft-deletes, hides and restores', async () => {
+    const id = byName('Hamstring Stretch').id;
+    const deleted = await app.request('DELETE', `/api/exercises/${id}`, { token: admin.token });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.undo, `/api/exercises/${id}/undelete`);
+    assert.equal((await app.request('GET', `/api/exercises/${id}`)).status, 404);
+    assert.equal((await app.request('DELETE', `/api/exercises/${id}`, { token: admin.token })).status, 404);
+
+    const restored = await app.request('POST', `/api/exercises/${id}/undelete`, { token: admin.token });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.name, 'Hamstring Stretch');
+    assert.equal((await app.request('POST', `/api/exercises/${id}/undelete`, { token: admin.token })).status, 404);
+  });
+
+  test('a deleted exercise gives up its name; undelete is a 409 once it is taken', async () => {
+    const body = { ...NEW_EXERCISE, name: 'Dead Bug' };
+    const first = await app.request('POST', '/api/exercises', { token: admin.token, body });
+    await app.request('DELETE', `/api/exercises/${first.body.id}`, { token: admin.token });
+
+    const second = await app.request('POST', '/api/exercises', { token: admin.token, body });
+    assert.equal(second.status, 201);
+
+    const undelete = await app.request('POST', `/api/exercises/${first.body.id}/undelete`, { token: admin.token });
+    assert.equal(undelete.status, 409);
+    assert.equal(undelete.body.code, 'conflict');
+    assert.equal(undelete.body.error, 'Another exercise is now called "Dead Bug": rename it first');
+  });
+
+  test('needs a staff login', async () => {
+    assert.equal((await app.request('DELETE', `/api/exercises/${byName('Plank').id}`, { token: patient.token })).status, 403);
+  });
+});
+
+describe('favorites', () => {
+  test('PATCH flips and PUT sets the star; GET lists them', async () => {
+    const id = byName('Barbell Curl').id;
+    const flipped = await app.request('PATCH', `/api/exercises/${id}/favorite`, { token: patient.token });
+    assert.equal(flipped.status, 200);
+    assert.equal(flipped.body.is_favorited, true);
+
+    const set = await app.request('PUT', `/api/exercises/${id}/favorite`, { token: patient.token, body: { is_favorited: true } });
+    assert.equal(set.body.is_favorited, true);
+
+    const { body } = await app.request('GET', '/api/exercises/favorites', { token: patient.token });
+    assert.deepEqual(body.map(exercise => exercise.name), ['Barbell Curl']);
+
+    const listed = await app.request('GET', '/api/exercises?favorites=true', { token: patient.token });
+    assert.deepEqual(listed.body.exercises.map(exercise => exercise.id), [id]);
+
+    const unset = await app.request('PATCH', `/api/exercises/${id}/favorite`, { token: patient.token });
+    assert.equal(unset.body.is_favorited, false);
+  });
+
+  test('401 without a login, 404 for an unknown exercise, 400 for a bad body', async () => {
+    const id = byName('Barbell Curl').id;
+    assert.equal((await app.request('GET', '/api/exercises/favorites')).status, 401);
+    assert.equal((await app.request('PATCH', `/api/exercises/${id}/favorite`)).status, 401);
+    assert.equal((await app.request('PATCH', '/api/exercises/9999/favorite', { token: patient.token })).status, 404);
+    assert.equal((await app.request('PUT', `/api/exercises/${id}/favorite`, { token: patient.token, body: {} })).status, 400);
+  });
+});
+
+describe('history', () => {
+  test('lists changes newest first and restores a version', async () => {
+    const id = byName('Plank').id;
+    await app.request('PUT', `/api/exercises/${id}`, { token: admin.token, body: { instructions: 'Hold it.' } });
+
+    const history = await app.request('GET', `/api/exercises/${id}/history`, { token: admin.token });
+    assert.equal(history.status, 200);
+    const [update] = history.body;
+    assert.equal(update.action, 'update');
+    assert.deepEqual(update.changed_fields, ['instructions']);
+
+    const restored = await app.request('POST', `/api/exercises/${id}/history/${update.id}/restore?version=before`, { token: admin.token });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.instructions, byName('Plank').instructions);
+  });
+
+  test('400 for an entry with nothing to restore, 404 for unknown ones', async () => {
+    const id = byName('Barbell Curl').id;
+    const { body: history } = await app.request('GET', `/api/exercises/${id}/history`, { token: admin.token });
+    const favorite = history.find(entry => entry.action === 'favorite');
+    const create = history.find(entry => entry.action === 'create');
+
+    assert.equal((await app.request('POST', `/api/exercises/${id}/history/${favorite.id}/restore`, { token: admin.token })).status, 400);
+    assert.equal((await app.request('POST', `/api/exercises/${id}/history/${create.id}/restore?version=before`, { token: admin.token })).status, 400);
+    assert.equal((await app.request('POST', `/api/exercises/${id}/history/9999/restore`, { token: admin.token })).status, 404);
+    assert.equal((await app.request('GET', '/api/exercises/9999/history', { token: admin.token })).status, 404);
+    assert.equal((await app.request('GET', `/api/exercises/${id}/history`, { token: patient.token })).status, 403);
+  });
+});
+
+describe('import and export', () => {
+  test('exports JSON and CSV downloads', async () => {
+    const json = await app.request('GET', '/api/exercises/export?muscle=biceps');
+    assert.equal(json.status, 200);
+    assert.match(json.headers.get('content-disposition'), /attachment/);
+    assert.deepEqual(json.body.map(exercise => exercise.name).sort(), ['Barbell Curl', 'Hammer Curl']);
+
+    const csv = await app.request('GET', '/api/exercises/export?format=csv');
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    assert.match(csv.body.toString(), /Hammer Curl/);
+
+    assert.equal((await app.request('GET', '/api/exercises/export?format=xml')).status, 400);
+  });
+
+  test('dry runs by default, then commits', async () => {
+    const file = JSON.stringify([
+      { ...NEW_EXERCISE, name: 'Bird Dog' },
+      { ...NEW_EXERCISE, name: 'Plank' },
+      { ...NEW_EXERCISE, name: 'PLANK' },
+      { ...NEW_EXERCISE, name: 'bird dog' }
+    ]);
+    const dryRun = await app.request('POST', '/api/exercises/import', {
+      token: clinician.token, body: file, headers: { 'Content-Type': 'application/json' }
+    });
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.format, 'json');
+    assert.equal(dryRun.body.committed, false);
+    assert.equal(dryRun.body.summary.new, 1);
+    assert.equal(dryRun.body.summary.duplicates, 3);
+
+    const committed = await app.request('POST', '/api/exercises/import?dry_run=false', {
+      token: clinician.token, body: file, headers: { 'Content-Type': 'application/json' }
+    });
+    assert.equal(committed.status, 200);
+    assert.equal(committed.body.committed, true);
+    assert.equal((await app.request('GET', '/api/exercises/search?query=bird')).body[0].name, 'Bird Dog');
+  });
+
+  test('two imports of one file at once add its exercises only once', async () => {
+    const file = JSON.stringify([{ ...NEW_EXERCISE, name: 'Dead Bug' }]);
+    const imports = await Promise.all([1, 2].map(() => app.request('POST', '/api/exercises/import?dry_run=false', {
+      token: clinician.token, body: file, headers: { 'Content-Type': 'application/json' }
+    })));
+    for (const { status } of imports) {
+      assert.ok([200, 409].includes(status), `unexpected ${status}`);
+    }
+    assert.ok(imports.some(({ status }) => status === 200));
+    const found = await app.request('GET', '/api/exercises/search?query=dead%20bug');
+    assert.equal(found.body.filter(exercise => exercise.name === 'Dead Bug').length, 1);
+  });
+
+  test('422 when any row is invalid, 400 for an unreadable file, 403 for patients', async () => {
+    const invalid = await app.request('POST', '/api/exercises/import?dry_run=false', {
+      token: admin.token, body: JSON.stringify([{ name: 'No Details' }]), headers: { 'Content-Type': 'application/json' }
+    });
+    assert.equal(invalid.status, 422);
+    assert.equal(invalid.body.committed, false);
+
+    const unreadable = await app.request('POST', '/api/exercises/import?format=json', {
+      token: admin.token, body: '[{', headers: { 'Content-Type': 'application/json' }
+    });
+    assert.equal(unreadable.status, 400);
+
+    assert.equal((await app.request('POST', '/api/exercises/import', { token: patient.token, body: '[]' })).status, 403);
+  });
+});
+
+describe('stats and taxonomy', () => {
+  test('GET /api/db/stats counts the library and the user\'s favorites', async () => {
+    const anonymous = await app.request('GET', '/api/db/stats');
+    assert.equal(anonymous.status, 200);
+    assert.equal(anonymous.body.favorites, 0);
+    assert.equal(anonymous.body.byMuscle.biceps, 2);
+
+    const mine = await app.request('GET', '/api/db/stats', { token: clinician.token });
+    assert.equal(mine.body.favorites, 1);
+    assert.equal(mine.body.total, anonymous.body.total);
+  });
+
+  test('GET /api/taxonomy lists the lookups and difficulties', async () => {
+    const { status, body } = await app.request('GET', '/api/taxonomy');
+    assert.equal(status, 200);
+    assert.deepEqual(body.difficulties, ['beginner', 'intermediate', 'expert']);
+    assert.ok(body.muscles.some(muscle => muscle.slug === 'biceps'));
+    assert.ok(body.conditions.length > 0);
+  });
+});
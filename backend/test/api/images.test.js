@@ -0,0 +1,180 @@
+// backend/test/api/images.test.js
+// HTTP tests for exercise images and the admin image match review. free-exercise-db is
+// never fetched: axios.get is stubbed to serve a generated image.
+const fs = require('fs');
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const sharp = require('sharp');
+const { silenceConsole, seedExercises, createAccount, startApp } = require('../helpers');
+const { imagePath } = require('../../images/store');
+const { FREE_EXERCISE_DB_URL } = require('../../images/import');
+
+silenceConsole();
+
+let app;
+let admin;
+let clinician;
+let exercises;
+let png;
+
+// An image upload in a multipart body, as the exercise form sends it
+function imageForm(buffer, type = 'image/png') {
+  const form = new FormData();
+  form.append('image', new Blob([buffer], { type }), 'photo.png');
+  return form;
+}
+
+before(async () => {
+  app = await startApp();
+  exercises = await seedExercises(app.db);
+  admin = await createAccount(app.db, { role: 'admin' });
+  clinician = await createAccount(app.db, { role: 'clinician', clinicId: admin.clinic_id });
+  png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#3366cc' } }).png().toBuffer();
+});
+after(() => app.close());
+
+describe('exercise images', () => {
+  let image;
+  const imagesPath = () => `/api/exercises/${exercises[0].id}/images`;
+
+  test('POST stores an upload as JPEG with a thumbnail', async () => {
+    const { status, body } = await app.request('POST', imagesPath(), { token: clinician.token, body: imageForm(png) });
+    assert.equal(status, 201);
+    assert.equal(body.source, 'upload');
+    assert.equal(body.position, 1);
+    assert.match(body.url, /\/images\/full\/.+\.jpg$/);
+    image = body;
+
+    const served = await app.request('GET', new URL(body.thumbnail_url).pathname);
+    assert.equal(served.status, 200);
+    assert.match(served.headers.get('content-type'), /image\/jpeg/);
+  });
+
+  test('POST rejects missing, unsupported and unreadable files', async () => {
+    const post = (body, token = clinician.token) => app.request('POST', imagesPath(), { token, body });
+    assert.match((await post(new FormData())).body.error, /image file is required/);
+    assert.match((await post(imageForm(png, 'image/gif'))).body.error, /Only JPEG, PNG or WebP/);
+    assert.match((await post(imageForm(Buffer.from('not an image')))).body.error, /Could not read image/);
+    assert.equal((await app.request('POST', '/api/exercises/9999/images', { token: clinician.token, body: imageForm(png) })).status, 404);
+    assert.equal((await post(imageForm(png), null)).status, 401);
+  });
+
+  test('GET lists an exercise\'s images', async () => {
+    const { status, body } = await app.request('GET', imagesPath());
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(row => row.id), [image.id]);
+    assert.equal((await app.request('GET', '/api/exercises/9999/images')).status, 404);
+  });
+
+  test('GET /api/exercise-image/:name looks images up by name', async () => {
+    const found = await app.request('GET', `/api/exercise-image/${encodeURIComponent('barbell curl')}`);
+    assert.equal(found.status, 200);
+    assert.equal(found.body.found, true);
+    assert.deepEqual(found.body.images, [image.url]);
+
+    const none = await app.request('GET', '/api/exercise-image/Plank');
+    assert.deepEqual(none.body, { images: null, thumbnails: null, found: false });
+    assert.equal((await app.request('GET', '/api/exercise-image/Nothing')).status, 404);
+  });
+
+  test('DELETE removes the record and its files', async () => {
+    const fileName = image.url.split('/').pop();
+    assert.equal((await app.request('DELETE', `/api/exercises/${exercises[1].id}/images/${image.id}`, { token: clinician.token })).status, 404);
+    assert.equal((await app.request('DELETE', `${imagesPath()}/${image.id}`, { token: clinician.token })).status, 200);
+    assert.equal((await app.request('DELETE', `${imagesPath()}/${image.id}`, { token: clinician.token })).status, 404);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(fs.existsSync(imagePath(fileName)), false);
+  });
+});
+
+describe('admin image match review', () => {
+  const candidates = [
+    { id: 'Hammer_Curls', name: 'Hammer Curls', score: 0.6, images: ['Hammer_Curls/0.jpg', 'Hammer_Curls/1.jpg'] },
+    { id: 'Cross_Body_Hammer_Curl', name: 'Cross Body Hammer Curl', score: 0.5, images: ['Cross_Body_Hammer_Curl/0.jpg'] }
+  ];
+
+  before(async () => {
+    await app.db.saveImageMatch({ exercise_id: exercises[1].id, source_id: 'Hammer_Curls', source_name: 'Hammer Curls', score: 0.6, candidates });
+    await app.db.saveImageMatch({ exercise_id: exercises[2].id, score: 0.2, candidates: [] });
+    await app.db.saveImageMatch({ exercise_id: exercises[3].id, score: 0.3, candidates: [candidates[1]] });
+  });
+
+  test('only admins review matches', async () => {
+    assert.equal((await app.request('GET', '/api/admin/image-matches')).status, 401);
+    assert.equal((await app.request('GET', '/api/admin/image-matches', { token: clinician.token })).status, 403);
+  });
+
+  test('GET lists weak automatic matches with candidate previews', async () => {
+    const { status, body } = await app.request('GET', '/api/admin/image-matches', { token: admin.token });
+    assert.equal(status, 200);
+    assert.equal(body.review_score, 0.75);
+    assert.deepEqual(body.matches.map(match => match.exercise_name), ['Crunch', 'Hammer Curl']);
+    assert.equal(body.matches[1].needs_review, true);
+    assert.equal(body.matches[1].candidates[0].preview_url, `${FREE_EXERCISE_DB_URL}/exercises/Hammer_Curls/0.jpg`);
+
+    const strict = await app.request('GET', '/api/admin/image-matches?max_score=0.4', { token: admin.token });
+    assert.deepEqual(strict.body.matches.map(match => match.exercise_name), ['Crunch']);
+    assert.equal((await app.request('GET', '/api/admin/image-matches?status=maybe', { token: admin.token })).status, 400);
+    assert.equal((await app.request('GET', '/api/admin/image-matches?max_score=high', { token: admin.token })).status, 400);
+  });
+
+  test('POST confirm accepts the current pick', async () => {
+    const { status, body } = await app.request('POST', `/api/admin/image-matches/${exercises[1].id}/confirm`, { token: admin.token });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'confirmed');
+    assert.equal(body.needs_review, false);
+
+    assert.equal((await app.request('POST', `/api/admin/image-matches/${exercises[3].id}/confirm`, { token: admin.token })).status, 400);
+    assert.equal((await app.request('POST', '/api/admin/image-matches/9999/confirm', { token: admin.token })).status, 404);
+  });
+
+  test('PUT switches candidates and copies their images from free-exercise-db', async () => {
+    const get = mock.method(axios, 'get', async () => ({ data: png }));
+    try {
+      const { status, body } = await app.request('PUT', `/api/admin/image-matches/${exercises[1].id}`, {
+        token: admin.token, body: { source_id: 'Cross_Body_Hammer_Curl' }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.source_id, 'Cross_Body_Hammer_Curl');
+      assert.equal(body.status, 'confirmed');
+
+      assert.deepEqual(get.mock.calls.map(call => call.arguments[0]), [`${FREE_EXERCISE_DB_URL}/exercises/Cross_Body_Hammer_Curl/0.jpg`]);
+      const images = await app.db.getExerciseImages(exercises[1].id);
+      assert.deepEqual(images.map(image => [image.source, image.source_path]), [['free-exercise-db', 'Cross_Body_Hammer_Curl/0.jpg']]);
+    } finally {
+      get.mock.restore();
+    }
+  });
+
+  test('PUT with source_id null rejects the match and removes its images', async () => {
+    const { status, body } = await app.request('PUT', `/api/admin/image-matches/${exercises[1].id}`, {
+      token: admin.token, body: { source_id: null }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'rejected');
+    assert.deepEqual(await app.db.getExerciseImages(exercises[1].id), []);
+  });
+
+  test('PUT answers 502 when free-exercise-db cannot be reached, leaving everything as it was', async () => {
+    const get = mock.method(axios, 'get', async () => { throw new Error('socket hang up'); });
+    try {
+      const { status, body } = await app.request('PUT', `/api/admin/image-matches/${exercises[3].id}`, {
+        token: admin.token, body: { source_id: 'Cross_Body_Hammer_Curl' }
+      });
+      assert.equal(status, 502);
+      assert.equal(body.code, 'upstream_error');
+      assert.equal((await app.db.getImageMatch(exercises[3].id)).status, 'auto');
+    } finally {
+      get.mock.restore();
+    }
+  });
+
+  test('PUT validates the pick', async () => {
+    const put = (id, body) => app.request('PUT', `/api/admin/image-matches/${id}`, { token: admin.token, body });
+    assert.equal((await put(exercises[1].id, {})).status, 400);
+    assert.match((await put(exercises[1].id, { source_id: 'Someone_Else' })).body.error, /not one of this exercise's candidates/);
+    assert.equal((await put(9999, { source_id: null })).status, 404);
+  });
+});
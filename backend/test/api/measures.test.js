@@ -0,0 +1,178 @@
+// backend/test/api/measures.test.js
+// HTTP tests for the outcome measure catalog and patients' measurements
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceConsole, seedExercises, createAccount, startApp } = require('../helpers');
+
+silenceConsole();
+
+let app;
+let clinician;
+let outsider;
+let patient;
+let patientAccount;
+
+before(async () => {
+  app = await startApp();
+  clinician = await createAccount(app.db, { role: 'clinician' });
+  outsider = await createAccount(app.db, { role: 'clinician' });
+  patient = await app.db.createPatient({ clinic_id: clinician.clinic_id, first_name: 'Pat', last_name: 'Smith' });
+  patientAccount = await createAccount(app.db, { role: 'patient', clinicId: clinician.clinic_id, patientId: patient.id });
+});
+after(() => app.close());
+
+describe('measures', () => {
+  let tug;
+
+  test('GET /api/measures lists the catalog to logged-in users', async () => {
+    assert.equal((await app.request('GET', '/api/measures')).status, 401);
+
+    const { status, body } = await app.request('GET', '/api/measures', { token: patientAccount.token });
+    assert.equal(status, 200);
+    const nprs = body.find(measure => measure.slug === 'pain_nprs');
+    assert.equal(nprs.higher_is_better, false);
+    assert.equal(nprs.bilateral, false);
+    assert.equal(nprs.active, true);
+  });
+
+  test('POST /api/measures adds a measure; a taken slug is a 409', async () => {
+    const { status, body } = await app.request('POST', '/api/measures', {
+      token: clinician.token,
+      body: { slug: 'tug', label: ' Timed Up and Go ', category: 'other', unit: 's', min_value: 0, higher_is_better: false, mcid: 3 }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.label, 'Timed Up and Go');
+    assert.equal(body.higher_is_better, false);
+    tug = body;
+
+    const taken = await app.request('POST', '/api/measures', { token: clinician.token, body: { slug: 'tug', label: 'Again', category: 'other' } });
+    assert.equal(taken.status, 409);
+  });
+
+  test('POST /api/measures validates the definition', async () => {
+    const post = body => app.request('POST', '/api/measures', { token: clinician.token, body });
+    const base = { slug: 'new_one', label: 'New', category: 'other' };
+    assert.match((await post({ ...base, slug: 'Bad Slug' })).body.error, /slug/);
+    assert.match((await post({ ...base, label: ' ' })).body.error, /label/);
+    assert.match((await post({ ...base, category: 'vibes' })).body.error, /category/);
+    assert.match((await post({ ...base, min_value: 10, max_value: 1 })).body.error, /min_value/);
+    assert.match((await post({ ...base, mcid: 0 })).body.error, /mcid/);
+    assert.match((await post({ ...base, bilateral: 'yes' })).body.error, /bilateral/);
+    assert.equal((await app.request('POST', '/api/measures', { token: patientAccount.token, body: base })).status, 403);
+  });
+
+  test('PUT /api/measures/:id updates and retires a measure', async () => {
+    const { status, body } = await app.request('PUT', `/api/measures/${tug.id}`, { token: clinician.token, body: { label: 'TUG', active: false } });
+    assert.equal(status, 200);
+    assert.equal(body.label, 'TUG');
+    assert.equal(body.active, false);
+
+    const active = await app.request('GET', '/api/measures', { token: clinician.token });
+    assert.ok(!active.body.some(measure => measure.slug === 'tug'));
+    const all = await app.request('GET', '/api/measures?all=true', { token: clinician.token });
+    assert.ok(all.body.some(measure => measure.slug === 'tug'));
+
+    assert.equal((await app.request('PUT', `/api/measures/${tug.id}`, { token: clinician.token, body: { slug: 'other' } })).status, 400);
+    assert.equal((await app.request('PUT', `/api/measures/${tug.id}`, { token: clinician.token, body: { mcid: -1 } })).status, 400);
+    assert.equal((await app.request('PUT', '/api/measures/9999', { token: clinician.token, body: { label: 'X' } })).status, 404);
+  });
+
+  test('PUT /api/measures/:id with nothing to change is a 400', async () => {
+    for (const body of [{}, { slug: 'tug' }, { position: 3 }]) {
+      const { status, body: error } = await app.request('PUT', `/api/measures/${tug.id}`, { token: clinician.token, body });
+      assert.equal(status, 400);
+      assert.equal(error.code, 'validation_failed');
+      assert.match(error.error, /^Nothing to update/);
+    }
+  });
+});
+
+describe('measurements', () => {
+  let measurement;
+  const path = () => `/api/patients/${patient.id}/measurements`;
+
+  test('POST records a measurement checked against its measure', async () => {
+    const { status, body } = await app.request('POST', path(), {
+      token: clinician.token, body: { measure: 'pain_nprs', measured_on: '2024-01-02', value: 7 }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.measure, 'pain_nprs');
+    assert.equal(body.recorded_by, clinician.id);
+    measurement = body;
+
+    await app.request('POST', path(), { token: clinician.token, body: { measure: 'pain_nprs', measured_on: '2024-02-02', value: 3 } });
+    const rom = await app.request('POST', path(), {
+      token: clinician.token, body: { measure: 'knee_flexion_rom', measured_on: '2024-01-02', value: 95, side: 'left' }
+    });
+    assert.equal(rom.status, 201);
+  });
+
+  test('POST rejects unknown measures, bad dates, values out of range and wrong sides', async () => {
+    const post = body => app.request('POST', path(), { token: clinician.token, body });
+    assert.match((await post({ measure: 'nothing', measured_on: '2024-01-02', value: 1 })).body.error, /Unknown measure/);
+    assert.match((await post({ measure: 'tug', measured_on: '2024-01-02', value: 1 })).body.error, /Unknown measure/);
+    assert.match((await post({ measure: 'pain_nprs', measured_on: '02/01/2024', value: 1 })).body.error, /measured_on/);
+    assert.match((await post({ measure: 'pain_nprs', measured_on: '2024-01-02', value: 11 })).body.error, /value must be from 0 to 10/);
+    assert.match((await post({ measure: 'pain_nprs', measured_on: '2024-01-02', value: 1, side: 'left' })).body.error, /not measured per side/);
+    assert.match((await post({ measure: 'knee_flexion_rom', measured_on: '2024-01-02', value: 90 })).body.error, /side must be one of/);
+    assert.equal((await app.request('POST', path(), {
+      token: patientAccount.token, body: { measure: 'pain_nprs', measured_on: '2024-01-02', value: 1 }
+    })).status, 403);
+  });
+
+  test('GET lists and filters a patient\'s measurements; other clinics get 404', async () => {
+    const all = await app.request('GET', path(), { token: patientAccount.token });
+    assert.deepEqual(all.body.map(row => row.value), [7, 95, 3]);
+    const nprs = await app.request('GET', `${path()}?measure=pain_nprs&from=2024-02-01`, { token: clinician.token });
+    assert.deepEqual(nprs.body.map(row => row.value), [3]);
+
+    assert.equal((await app.request('GET', `${path()}?to=soon`, { token: clinician.token })).status, 400);
+    assert.equal((await app.request('GET', path(), { token: outsider.token })).status, 404);
+  });
+
+  test('GET trends summarizes each series with the exercises prescribed', async () => {
+    const [exercise] = await seedExercises(app.db, [{
+      name: 'Quad Set', type: 'strength', muscle: 'quadriceps', equipment: 'none', difficulty: 'beginner', instructions: 'Tighten the thigh.'
+    }]);
+    await app.db.createProgram(patient.id, { name: 'Knee', exercises: [{ exercise_id: exercise.id }] });
+
+    const { status, body } = await app.request('GET', `${path()}/trends`, { token: clinician.token });
+    assert.equal(status, 200);
+    assert.equal(body.patient_id, patient.id);
+    const pain = body.series.find(series => series.measure.slug === 'pain_nprs');
+    assert.equal(pain.change, -4);
+    assert.equal(pain.trend, 'improving');
+    assert.equal(pain.meaningful, true);
+    const knee = body.series.find(series => series.measure.slug === 'knee_flexion_rom');
+    assert.equal(knee.side, 'left');
+    assert.equal(knee.trend, null);
+    assert.deepEqual(body.prescriptions.map(period => period.name), ['Quad Set']);
+
+    assert.equal((await app.request('GET', `${path()}/trends?from=x`, { token: clinician.token })).status, 400);
+  });
+
+  test('PUT updates a measurement, checked merged with what is stored', async () => {
+    const { status, body } = await app.request('PUT', `${path()}/${measurement.id}`, { token: clinician.token, body: { value: 6, notes: 'Retest' } });
+    assert.equal(status, 200);
+    assert.equal(body.value, 6);
+    assert.equal(body.notes, 'Retest');
+
+    assert.equal((await app.request('PUT', `${path()}/${measurement.id}`, { token: clinician.token, body: { value: 20 } })).status, 400);
+    assert.equal((await app.request('PUT', `${path()}/${measurement.id}`, { token: clinician.token, body: { measure: 'nothing' } })).status, 400);
+    assert.equal((await app.request('PUT', `${path()}/9999`, { token: clinician.token, body: { value: 1 } })).status, 404);
+  });
+
+  test('PUT with nothing to change is a 400', async () => {
+    for (const body of [{}, { measure_id: 1 }, { patient_id: 2 }]) {
+      const { status, body: error } = await app.request('PUT', `${path()}/${measurement.id}`, { token: clinician.token, body });
+      assert.equal(status, 400);
+      assert.equal(error.code, 'validation_failed');
+      assert.match(error.error, /^Nothing to update: send at least one of measure, measured_on/);
+    }
+  });
+
+  test('DELETE removes a measurement', async () => {
+    assert.equal((await app.request('DELETE', `${path()}/${measurement.id}`, { token: clinician.token })).status, 200);
+    assert.equal((await app.request('DELETE', `${path()}/${measurement.id}`, { token: clinician.token })).status, 404);
+  });
+});
@@ -0,0 +1,302 @@
+// backend/test/api/patients.test.js
+// HTTP tests for patients, their programs, session logs, adherence and handouts
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceConsole, seedExercises, createAccount, startApp } = require('../helpers');
+
+silenceConsole();
+
+let app;
+let clinician;
+let outsider;
+let patient;
+let patientAccount;
+let exercises;
+
+before(async () => {
+  app = await startApp();
+  exercises = await seedExercises(app.db);
+  clinician = await createAccount(app.db, { role: 'clinician' });
+  outsider = await createAccount(app.db, { role: 'clinician' });
+  patient = await app.db.createPatient({ clinic_id: clinician.clinic_id, first_name: 'Pat', last_name: 'Smith' });
+  patientAccount = await createAccount(app.db, { role: 'patient', clinicId: clinician.clinic_id, patientId: patient.id });
+});
+after(() => app.close());
+
+describe('patients', () => {
+  test('need a login', async () => {
+    assert.equal((await app.request('GET', '/api/patients')).status, 401);
+    assert.equal((await app.request('GET', `/api/patients/${patient.id}`)).status, 401);
+  });
+
+  test('POST /api/patients adds a patient to the clinic', async () => {
+    const missing = await app.request('POST', '/api/patients', { token: clinician.token, body: { first_name: 'Only' } });
+    assert.equal(missing.status, 400);
+    assert.deepEqual(missing.body.details.map(detail => detail.field), ['first_name', 'last_name']);
+
+    const { status, body } = await app.request('POST', '/api/patients', {
+      token: clinician.token, body: { first_name: 'Ann', last_name: 'Able', diagnosis: 'Frozen shoulder' }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.clinic_id, clinician.clinic_id);
+
+    assert.equal((await app.request('POST', '/api/patients', { token: patientAccount.token, body: { first_name: 'A', last_name: 'B' } })).status, 403);
+  });
+
+  test('POST /api/patients checks names and date of birth', async () => {
+    const invalid = await app.request('POST', '/api/patients', {
+      token: clinician.token, body: { first_name: '  ', last_name: null, date_of_birth: 'garbage' }
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'validation_failed');
+    assert.deepEqual(invalid.body.details.map(detail => detail.field), ['first_name', 'last_name', 'date_of_birth']);
+
+    const trimmed = await app.request('POST', '/api/patients', {
+      token: clinician.token, body: { first_name: ' Bo ', last_name: 'Baker ', date_of_birth: '1980-02-29' }
+    });
+    assert.equal(trimmed.status, 201);
+    assert.deepEqual([trimmed.body.first_name, trimmed.body.last_name], ['Bo', 'Baker']);
+    await app.db.deletePatient(trimmed.body.id);
+  });
+
+  test('GET /api/patients lists the clinic, or only themselves for patients', async () => {
+    const staff = await app.request('GET', '/api/patients', { token: clinician.token });
+    assert.deepEqual(staff.body.map(row => row.last_name), ['Able', 'Smith']);
+
+    const own = await app.request('GET', '/api/patients', { token: patientAccount.token });
+    assert.deepEqual(own.body.map(row => row.id), [patient.id]);
+
+    assert.deepEqual((await app.request('GET', '/api/patients', { token: outsider.token })).body, []);
+  });
+
+  test('GET /api/patients/:id is 404 for other clinics\' patients', async () => {
+    assert.equal((await app.request('GET', `/api/patients/${patient.id}`, { token: clinician.token })).body.first_name, 'Pat');
+    assert.equal((await app.request('GET', `/api/patients/${patient.id}`, { token: patientAccount.token })).status, 200);
+    assert.equal((await app.request('GET', `/api/patients/${patient.id}`, { token: outsider.token })).status, 404);
+    assert.equal((await app.request('GET', '/api/patients/9999', { token: clinician.token })).status, 404);
+  });
+
+  test('PUT and DELETE /api/patients/:id', async () => {
+    const created = await app.db.createPatient({ clinic_id: clinician.clinic_id, first_name: 'Tmp', last_name: 'Patient' });
+    const updated = await app.request('PUT', `/api/patients/${created.id}`, { token: clinician.token, body: { notes: 'Runner' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.notes, 'Runner');
+    assert.equal((await app.request('PUT', `/api/patients/${created.id}`, { token: outsider.token, body: { notes: 'x' } })).status, 404);
+    assert.equal((await app.request('PUT', `/api/patients/${patient.id}`, { token: patientAccount.token, body: { notes: 'x' } })).status, 403);
+
+    for (const body of [{}, { clinic_id: 999 }]) {
+      const nothing = await app.request('PUT', `/api/patients/${created.id}`, { token: clinician.token, body });
+      assert.equal(nothing.status, 400);
+      assert.equal(nothing.body.code, 'validation_failed');
+    }
+    assert.equal((await app.db.getPatientById(created.id)).clinic_id, clinician.clinic_id);
+
+    const noName = await app.request('PUT', `/api/patients/${created.id}`, { token: clinician.token, body: { first_name: null } });
+    assert.equal(noName.status, 400);
+    assert.equal(noName.body.code, 'validation_failed');
+    assert.equal(noName.body.error, 'first_name must be a non-empty string');
+
+    const badDate = await app.request('PUT', `/api/patients/${created.id}`, { token: clinician.token, body: { date_of_birth: 'garbage' } });
+    assert.equal(badDate.status, 400);
+    assert.deepEqual(badDate.body.details, [{ in: 'body', field: 'date_of_birth', message: 'must be a date (YYYY-MM-DD)' }]);
+    assert.equal((await app.db.getPatientById(created.id)).date_of_birth, null);
+
+    const cleared = await app.request('PUT', `/api/patients/${created.id}`, { token: clinician.token, body: { last_name: ' Patient ', date_of_birth: null } });
+    assert.equal(cleared.status, 200);
+    assert.equal(cleared.body.last_name, 'Patient');
+
+    assert.equal((await app.request('DELETE', `/api/patients/${created.id}`, { token: clinician.token })).status, 200);
+    assert.equal((await app.request('DELETE', `/api/patients/${created.id}`, { token: clinician.token })).status, 404);
+  });
+});
+
+describe('programs', () => {
+  let program;
+  const programsPath = () => `/api/patients/${patient.id}/programs`;
+
+  test('POST creates a program with its dosage in order', async () => {
+    const { status, body } = await app.request('POST', programsPath(), {
+      token: clinician.token,
+      body: {
+        name: 'Core',
+        notes: 'Daily',
+        exercises: [
+          { exercise_id: exercises[2].id, sets: 3, hold_seconds: 30, frequency_per_week: 7 },
+          { exercise_id: exercises[3].id, sets: 2, reps: 15, frequency_per_week: 3, clinician_notes: 'Slowly' }
+        ]
+      }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.name, 'Core');
+    assert.deepEqual(body.exercises.map(entry => [entry.position, entry.name]), [[1, 'Plank'], [2, 'Crunch']]);
+    assert.equal(body.exercises[1].clinician_notes, 'Slowly');
+    program = body;
+  });
+
+  test('POST validates the program', async () => {
+    const post = body => app.request('POST', programsPath(), { token: clinician.token, body });
+    assert.equal((await post({ exercises: [] })).status, 400);
+    assert.match((await post({ name: 'X', exercises: 'plank' })).body.error, /must be an array/);
+    assert.match((await post({ name: 'X', exercises: [{ exercise_id: exercises[0].id, sets: -1 }] })).body.error, /sets must be a non-negative integer/);
+    assert.equal((await post({ name: 'X', exercises: [{ exercise_id: 9999 }] })).body.error, 'Unknown exercise ids: 9999');
+    for (const exerciseId of [null, '', '12', 1.5]) {
+      assert.equal((await post({ name: 'X', exercises: [{ exercise_id: exerciseId }] })).body.error, 'exercises[0].exercise_id must be an integer');
+    }
+    assert.equal((await app.request('POST', programsPath(), { token: patientAccount.token, body: { name: 'X' } })).status, 403);
+    assert.equal((await app.request('POST', programsPath(), { token: outsider.token, body: { name: 'X' } })).status, 404);
+  });
+
+  test('GET lists and fetches programs', async () => {
+    const list = await app.request('GET', programsPath(), { token: patientAccount.token });
+    assert.deepEqual(list.body.map(row => row.id), [program.id]);
+
+    const one = await app.request('GET', `${programsPath()}/${program.id}`, { token: clinician.token });
+    assert.equal(one.body.exercises.length, 2);
+    assert.equal((await app.request('GET', `${programsPath()}/9999`, { token: clinician.token })).status, 404);
+  });
+
+  test('PUT renames and replaces the exercise list', async () => {
+    const { status, body } = await app.request('PUT', `${programsPath()}/${program.id}`, {
+      token: clinician.token, body: { name: 'Core 2', exercises: [{ exercise_id: exercises[2].id, sets: 4 }, { exercise_id: exercises[0].id }] }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.name, 'Core 2');
+    assert.deepEqual(body.exercises.map(entry => entry.name), ['Plank', 'Barbell Curl']);
+
+    const put = (path, body) => app.request('PUT', path, { token: clinician.token, body });
+    assert.equal((await put(`${programsPath()}/${program.id}`, { exercises: [{ exercise_id: 'x' }] })).status, 400);
+    assert.equal((await put(`${programsPath()}/${program.id}`, { exercises: [{ exercise_id: 9999 }] })).status, 400);
+    assert.equal((await put(`${programsPath()}/9999`, { name: 'Y' })).status, 404);
+  });
+
+  test('DELETE removes a program', async () => {
+    const { body: temporary } = await app.request('POST', programsPath(), { token: clinician.token, body: { name: 'Temporary' } });
+    assert.equal((await app.request('DELETE', `${programsPath()}/${temporary.id}`, { token: clinician.token })).status, 200);
+    assert.equal((await app.request('DELETE', `${programsPath()}/${temporary.id}`, { token: clinician.token })).status, 404);
+  });
+
+  describe('session logs and adherence', () => {
+    let log;
+    const logsPath = () => `${programsPath()}/${program.id}/logs`;
+
+    test('patients log sessions of exercises in their program', async () => {
+      const { status, body } = await app.request('POST', logsPath(), {
+        token: patientAccount.token,
+        body: { exercise_id: exercises[2].id, session_date: '2024-05-06', sets_completed: 4, pain_score: 2 }
+      });
+      assert.equal(status, 201);
+      assert.equal(body.exercise_name, 'Plank');
+      log = body;
+    });
+
+    test('POST validates the log', async () => {
+      const post = body => app.request('POST', logsPath(), { token: patientAccount.token, body });
+      assert.match((await post({ exercise_id: exercises[2].id, session_date: '2024-02-30' })).body.error, /session_date/);
+      assert.match((await post({ exercise_id: exercises[2].id, session_date: '2024-05-06', pain_score: 11 })).body.error, /pain_score/);
+      assert.equal((await post({ exercise_id: null, session_date: '2024-05-06' })).body.error, 'exercise_id must be an integer');
+      assert.equal((await post({ exercise_id: exercises[4].id, session_date: '2024-05-06' })).body.error, 'Exercise is not part of this program');
+      assert.equal((await app.request('POST', `${programsPath()}/9999/logs`, {
+        token: patientAccount.token, body: { exercise_id: exercises[2].id, session_date: '2024-05-06' }
+      })).status, 404);
+    });
+
+    test('GET filters by date', async () => {
+      await app.request('POST', logsPath(), { token: patientAccount.token, body: { exercise_id: exercises[0].id, session_date: '2024-05-09' } });
+      assert.equal((await app.request('GET', logsPath(), { token: clinician.token })).body.length, 2);
+      assert.deepEqual((await app.request('GET', `${logsPath()}?from=2024-05-07`, { token: clinician.token })).body.map(row => row.session_date), ['2024-05-09']);
+      assert.equal((await app.request('GET', `${logsPath()}?from=May`, { token: clinician.token })).status, 400);
+      assert.equal((await app.request('GET', `${programsPath()}/9999/logs`, { token: clinician.token })).status, 404);
+    });
+
+    test('PUT and DELETE a log', async () => {
+      const updated = await app.request('PUT', `${logsPath()}/${log.id}`, { token: patientAccount.token, body: { comment: 'Felt good' } });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.comment, 'Felt good');
+      assert.equal((await app.request('PUT', `${logsPath()}/${log.id}`, { token: patientAccount.token, body: { exercise_id: exercises[5].id } })).status, 400);
+      assert.equal((await app.request('PUT', `${logsPath()}/${log.id}`, { token: patientAccount.token, body: { sets_completed: -2 } })).status, 400);
+      for (const body of [{}, { program_id: 9999 }]) {
+        const nothing = await app.request('PUT', `${logsPath()}/${log.id}`, { token: patientAccount.token, body });
+        assert.equal(nothing.status, 400);
+        assert.equal(nothing.body.code, 'validation_failed');
+      }
+      assert.equal((await app.request('PUT', `${logsPath()}/9999`, { token: patientAccount.token, body: { comment: 'x' } })).status, 404);
+
+      assert.equal((await app.request('DELETE', `${logsPath()}/${log.id}`, { token: patientAccount.token })).status, 200);
+      assert.equal((await app.request('DELETE', `${logsPath()}/${log.id}`, { token: patientAccount.token })).status, 404);
+    });
+
+    test('GET adherence compares logged with prescribed sessions', async () => {
+      // The program began on Wednesday 2024-05-01 with Plank; Barbell Curl was added on the 8th
+      await app.db.run("UPDATE Programs SET created_timestamp = '2024-05-01 09:00:00' WHERE id = ?", [program.id]);
+      await app.db.run("UPDATE PrescriptionPeriods SET started_on = '2024-05-01' WHERE program_id = ?", [program.id]);
+      await app.db.run("UPDATE PrescriptionPeriods SET started_on = '2024-05-08' WHERE program_id = ? AND exercise_id = ?", [program.id, exercises[0].id]);
+
+      const path = `${programsPath()}/${program.id}/adherence`;
+      const { status, body } = await app.request('GET', `${path}?from=2024-05-06&to=2024-05-12`, { token: clinician.token });
+      assert.equal(status, 200);
+      assert.equal(body.program_id, program.id);
+      assert.equal(body.from, '2024-05-06');
+      assert.equal(body.completed, 1);
+      assert.ok(Array.isArray(body.weeks));
+
+      assert.equal((await app.request('GET', `${path}?from=2024-05-12&to=2024-05-06`, { token: clinician.token })).status, 400);
+      assert.equal((await app.request('GET', `${path}?to=someday`, { token: clinician.token })).status, 400);
+      assert.equal((await app.request('GET', `${programsPath()}/9999/adherence`, { token: clinician.token })).status, 404);
+    });
+
+    test('GET adherence only prescribes exercises from the day they were added', async () => {
+      const path = `${programsPath()}/${program.id}/adherence`;
+      const { body } = await app.request('GET', `${path}?from=2024-04-01&to=2024-05-12`, { token: clinician.token });
+      assert.equal(body.from, '2024-05-01');
+      assert.deepEqual(body.weeks.map(week => week.exercises.map(exercise => [exercise.name, exercise.prescribed])), [
+        [['Plank', 5], ['Barbell Curl', 0]],
+        [['Plank', 7], ['Barbell Curl', 5]]
+      ]);
+      assert.equal(body.prescribed, 17);
+      assert.equal(body.completed, 1);
+
+      const before = await app.request('GET', `${path}?to=2024-04-15`, { token: clinician.token });
+      assert.equal(before.status, 400);
+      assert.match(before.body.error, /before the program started \(2024-05-01\)/);
+    });
+
+    test('GET adherence keeps an explicit frequency of 0', async () => {
+      await app.db.run('UPDATE ProgramExercises SET frequency_per_week = 0 WHERE program_id = ? AND exercise_id = ?', [program.id, exercises[0].id]);
+      const { body } = await app.request('GET', `${programsPath()}/${program.id}/adherence?from=2024-05-06&to=2024-05-12`, { token: clinician.token });
+      assert.deepEqual(body.weeks[0].exercises.map(exercise => [exercise.name, exercise.prescribed, exercise.completed]), [
+        ['Plank', 7, 0], ['Barbell Curl', 0, 0]
+      ]);
+    });
+  });
+
+  describe('handouts', () => {
+    test('a program handout as HTML and PDF', async () => {
+      const path = `${programsPath()}/${program.id}/handout`;
+      const html = await app.request('GET', path, { token: patientAccount.token });
+      assert.equal(html.status, 200);
+      assert.match(html.headers.get('content-type'), /text\/html/);
+      assert.match(html.body.toString(), /Pat Smith/);
+      assert.match(html.body.toString(), /Plank/);
+
+      const pdf = await app.request('GET', `${path}?format=pdf`, { token: patientAccount.token });
+      assert.equal(pdf.status, 200);
+      assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+
+      assert.equal((await app.request('GET', `${path}?format=doc`, { token: clinician.token })).status, 400);
+      assert.equal((await app.request('GET', `${programsPath()}/9999/handout`, { token: clinician.token })).status, 404);
+      assert.equal((await app.request('GET', path, { token: outsider.token })).status, 404);
+    });
+
+    test('GET /api/handout for a list of exercise ids', async () => {
+      const html = await app.request('GET', `/api/handout?ids=${exercises[0].id},${exercises[1].id}&title=Arms`);
+      assert.equal(html.status, 200);
+      assert.match(html.body.toString(), /Arms/);
+      assert.match(html.body.toString(), /Hammer Curl/);
+
+      assert.equal((await app.request('GET', '/api/handout')).status, 400);
+      assert.equal((await app.request('GET', '/api/handout?ids=1,x')).status, 400);
+      assert.equal((await app.request('GET', `/api/handout?ids=${exercises[0].id}&format=doc`)).status, 400);
+      assert.equal((await app.request('GET', '/api/handout?ids=9999')).status, 404);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// backend/test/api/relations.test.js
+// HTTP tests for exercise relations, progression ladders, similar exercises and the
+// workout generator
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceConsole, seedExercises, createAccount, startApp } = require('../helpers');
+
+silenceConsole();
+
+let app;
+let clinician;
+let patient;
+let barbellCurl;
+let hammerCurl;
+let plank;
+let crunch;
+let boxJump;
+
+before(async () => {
+  app = await startApp();
+  [barbellCurl, hammerCurl, plank, crunch, , boxJump] = await seedExercises(app.db);
+  clinician = await createAccount(app.db, { role: 'clinician' });
+  patient = await createAccount(app.db, { role: 'patient', clinicId: clinician.clinic_id });
+});
+after(() => app.close());
+
+describe('relations', () => {
+  let relation;
+  const relate = (id, body, token = clinician.token) => app.request('POST', `/api/exercises/${id}/relations`, { token, body });
+
+  test('POST relates two exercises from this one\'s point of view', async () => {
+    const { status, body } = await relate(barbellCurl.id, { related_exercise_id: hammerCurl.id, relation: 'progression', notes: ' Add load ' });
+    assert.equal(status, 201);
+    assert.equal(body.relation, 'progression');
+    assert.equal(body.name, 'Hammer Curl');
+    assert.equal(body.notes, 'Add load');
+    relation = body;
+
+    assert.equal((await relate(plank.id, { related_exercise_id: crunch.id, relation: 'alternative' })).status, 201);
+  });
+
+  test('GET groups relations as seen from each exercise', async () => {
+    const { status, body } = await app.request('GET', `/api/exercises/${hammerCurl.id}/relations`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.easier.map(item => item.name), ['Barbell Curl']);
+    assert.deepEqual(body.harder, []);
+
+    const plankRelations = await app.request('GET', `/api/exercises/${plank.id}/relations`);
+    assert.deepEqual(plankRelations.body.alternatives.map(item => item.name), ['Crunch']);
+    assert.equal((await app.request('GET', '/api/exercises/9999/relations')).status, 404);
+  });
+
+  test('POST rejects self-relations, unknown exercises, duplicates and loops', async () => {
+    assert.equal((await relate(plank.id, { related_exercise_id: plank.id, relation: 'variation' })).status, 400);
+    assert.equal((await relate(plank.id, { related_exercise_id: plank.id, relation: 'cousin' })).status, 400);
+    assert.equal((await relate(9999, { related_exercise_id: plank.id, relation: 'variation' })).status, 404);
+    assert.equal((await relate(plank.id, { related_exercise_id: 9999, relation: 'variation' })).status, 404);
+
+    const duplicate = await relate(hammerCurl.id, { related_exercise_id: barbellCurl.id, relation: 'variation' });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.error, 'These exercises are already related');
+
+    assert.equal((await relate(hammerCurl.id, { related_exercise_id: boxJump.id, relation: 'progression' })).status, 201);
+    const loop = await relate(barbellCurl.id, { related_exercise_id: boxJump.id, relation: 'regression' });
+    assert.equal(loop.status, 409);
+    assert.match(loop.body.error, /loop/);
+
+    assert.equal((await relate(plank.id, { related_exercise_id: boxJump.id, relation: 'variation' }, patient.token)).status, 403);
+  });
+
+  test('GET progression lists the ladder by step', async () => {
+    const { status, body } = await app.request('GET', `/api/exercises/${hammerCurl.id}/progression`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.steps.map(({ step, exercises }) => [step, exercises.map(exercise => exercise.name)]), [
+      [-1, ['Barbell Curl']], [0, ['Hammer Curl']], [1, ['Box Jump']]
+    ]);
+    assert.equal((await app.request('GET', '/api/exercises/9999/progression')).status, 404);
+  });
+
+  test('DELETE removes a relation from either side', async () => {
+    const path = `/api/exercises/${hammerCurl.id}/relations/${relation.relation_id}`;
+    assert.equal((await app.request('DELETE', `/api/exercises/${plank.id}/relations/${relation.relation_id}`, { token: clinician.token })).status, 404);
+    assert.equal((await app.request('DELETE', path, { token: clinician.token })).status, 200);
+    assert.equal((await app.request('DELETE', path, { token: clinician.token })).status, 404);
+  });
+});
+
+describe('GET /api/exercises/:id/similar', () => {
+  test('ranks substitutes with their match breakdown', async () => {
+    const { status, body } = await app.request('GET', `/api/exercises/${barbellCurl.id}/similar?limit=2`);
+    assert.equal(status, 200);
+    assert.equal(body.length, 2);
+    assert.equal(body[0].name, 'Hammer Curl');
+    assert.ok(body[0].similarity > body[1].similarity);
+    assert.equal(typeof body[0].match, 'object');
+  });
+
+  test('filters by equipment and conditions', async () => {
+    const bodyWeight = await app.request('GET', `/api/exercises/${crunch.id}/similar?no_equipment=true`);
+    assert.ok(bodyWeight.body.every(exercise => exercise.equipment === 'none'));
+
+    const safe = await app.request('GET', `/api/exercises/${plank.id}/similar?exclude_conditions=osteoporosis`);
+    assert.ok(!safe.body.some(exercise => exercise.name === 'Crunch'));
+  });
+
+  test('two edits in quick succession both show up', async () => {
+    const path = `/api/exercises/${barbellCurl.id}/similar`;
+    const rename = name => app.request('PUT', `/api/exercises/${hammerCurl.id}`, { token: clinician.token, body: { name } });
+    const names = async () => (await app.request('GET', path)).body.map(exercise => exercise.name);
+    assert.ok((await names()).includes('Hammer Curl'));
+
+    await rename('Hammer Press');
+    assert.ok((await names()).includes('Hammer Press'));
+    // Usually within the same second as the first edit, which a timestamp cannot tell apart
+    await rename('Hammer Curl');
+    const after = await names();
+    assert.ok(after.includes('Hammer Curl'));
+    assert.ok(!after.includes('Hammer Press'));
+  });
+
+  test('404 for an unknown exercise, 400 for bad options', async () => {
+    assert.equal((await app.request('GET', '/api/exercises/9999/similar')).status, 404);
+    assert.equal((await app.request('GET', `/api/exercises/${plank.id}/similar?limit=0`)).status, 400);
+    assert.equal((await app.request('GET', `/api/exercises/${plank.id}/similar?difficulty=impossible`)).status, 400);
+  });
+});
+
+describe('POST /api/workouts/generate', () => {
+  test('builds a repeatable workout from the seed', async () => {
+    const request = { muscles: ['biceps', 'abdominals'], exercise_count: 3, seed: 42 };
+    const { status, body } = await app.request('POST', '/api/workouts/generate', { body: request });
+    assert.equal(status, 200);
+    assert.equal(body.seed, 42);
+    assert.equal(body.exercises.length, 3);
+    assert.deepEqual(body.exercises.map(exercise => exercise.position), [1, 2, 3]);
+    assert.ok(body.estimated_minutes > 0);
+
+    const again = await app.request('POST', '/api/workouts/generate', { body: request });
+    assert.deepEqual(again.body, body);
+  });
+
+  test('honours hard constraints', async () => {
+    const { body } = await app.request('POST', '/api/workouts/generate', {
+      body: { max_difficulty: 'beginner', equipment: [], exclude_conditions: 'osteoporosis', seed: 1 }
+    });
+    assert.ok(body.exercises.length > 0);
+    assert.ok(body.exercises.every(exercise => exercise.difficulty === 'beginner' && exercise.equipment === 'none'));
+  });
+
+  test('rejects values outside the taxonomy and ranges', async () => {
+    const { status, body } = await app.request('POST', '/api/workouts/generate', {
+      body: { muscles: 'wings', max_difficulty: 'legendary', exercise_count: 0, prefer_favorites: 'yes' }
+    });
+    assert.equal(status, 400);
+    assert.match(body.error, /muscles "wings" is not in the taxonomy/);
+    assert.match(body.error, /max_difficulty/);
+    assert.match(body.error, /exercise_count/);
+    assert.match(body.error, /prefer_favorites/);
+  });
+});
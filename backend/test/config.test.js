@@ -0,0 +1,109 @@
+// backend/test/config.test.js
+// Unit tests for config.js: profiles, environment overrides, validation and log levels
+const path = require('path');
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, applyLogLevel, PROFILES } = require('../config');
+
+describe('loadConfig', () => {
+  test('NODE_ENV picks the profile; development is the default', () => {
+    const development = loadConfig({});
+    assert.equal(development.profile, 'development');
+    assert.equal(development.port, 3000);
+    assert.equal(development.dbPath, PROFILES.development.dbPath);
+    assert.deepEqual(development.corsOrigins, ['*']);
+    assert.equal(development.features.apiDocs, true);
+
+    const production = loadConfig({ NODE_ENV: 'production' });
+    assert.deepEqual(production.corsOrigins, []);
+    assert.equal(production.logLevel, 'info');
+    assert.equal(production.features.apiDocs, false);
+
+    assert.equal(loadConfig({ NODE_ENV: 'test' }).dbPath, ':memory:');
+    assert.throws(() => loadConfig({ NODE_ENV: 'staging' }), /NODE_ENV must be one of development, test, production/);
+  });
+
+  test('environment variables override the profile', () => {
+    const config = loadConfig({
+      NODE_ENV: 'production',
+      PORT: '8080',
+      DB_PATH: '/var/lib/pt/exercises.db',
+      IMAGE_DIR: 'images',
+      API_BASE_URL: 'https://api.clinic.example.com/',
+      CORS_ORIGINS: 'https://clinic.example.com, http://localhost:8080',
+      LOG_LEVEL: 'WARN',
+      NINJA_API_URL: 'http://localhost:9000/v1/exercises',
+      NINJA_API_KEY: 'secret',
+      FREE_EXERCISE_DB_URL: 'http://localhost:9001/',
+      FEATURE_API_DOCS: 'yes',
+      FEATURE_SERVE_FRONTEND: 'false'
+    });
+    assert.equal(config.port, 8080);
+    assert.equal(config.dbPath, '/var/lib/pt/exercises.db');
+    assert.equal(config.imageDir, path.resolve('images'));
+    assert.equal(config.apiBaseUrl, 'https://api.clinic.example.com');
+    assert.deepEqual(config.corsOrigins, ['https://clinic.example.com', 'http://localhost:8080']);
+    assert.equal(config.logLevel, 'warn');
+    assert.equal(config.ninjaApiKey, 'secret');
+    assert.deepEqual(config.sources, { apiNinjasUrl: 'http://localhost:9000/v1/exercises', freeExerciseDbUrl: 'http://localhost:9001' });
+    assert.deepEqual(config.features, { apiDocs: true, apiNinjasFallback: true, serveFrontend: false });
+    assert.deepEqual(config.warnings, []);
+  });
+
+  test('lists every invalid setting at once', () => {
+    assert.throws(() => loadConfig({
+      PORT: '70000',
+      LOG_LEVEL: 'chatty',
+      API_BASE_URL: 'ftp://files',
+      CORS_ORIGINS: 'https://clinic.example.com/app',
+      NINJA_API_URL: 'not a url',
+      FEATURE_API_DOCS: 'maybe'
+    }), error => {
+      assert.match(error.message, /^Invalid configuration \(development\):/);
+      for (const name of ['PORT', 'LOG_LEVEL', 'API_BASE_URL', 'CORS_ORIGINS', 'NINJA_API_URL', 'FEATURE_API_DOCS']) {
+        assert.match(error.message, new RegExp(`- ${name} (entries )?must`));
+      }
+      return true;
+    });
+  });
+
+  test('production needs explicit CORS origins', () => {
+    assert.throws(() => loadConfig({ NODE_ENV: 'production', CORS_ORIGINS: '*' }), /CORS_ORIGINS must list the allowed origins in production/);
+  });
+
+  test('warns, without the key itself, when the API Ninjas fallback has no key', () => {
+    assert.deepEqual(loadConfig({}).warnings, ['NINJA_API_KEY is not set: the API Ninjas fallback will fail']);
+    assert.deepEqual(loadConfig({ FEATURE_API_NINJAS_FALLBACK: 'false' }).warnings, []);
+  });
+});
+
+describe('applyLogLevel', () => {
+  const fakeConsole = () => {
+    const written = [];
+    const target = {};
+    for (const method of ['error', 'warn', 'log', 'info', 'debug']) {
+      target[method] = () => written.push(method);
+    }
+    return { target, written };
+  };
+  const writeAll = target => ['error', 'warn', 'log', 'info', 'debug'].forEach(method => target[method]());
+
+  test('keeps the level and the ones above it', () => {
+    const { target, written } = fakeConsole();
+    applyLogLevel('warn', target);
+    writeAll(target);
+    assert.deepEqual(written, ['error', 'warn']);
+  });
+
+  test('debug keeps everything; silent nothing', () => {
+    const verbose = fakeConsole();
+    applyLogLevel('debug', verbose.target);
+    writeAll(verbose.target);
+    assert.deepEqual(verbose.written, ['error', 'warn', 'log', 'info', 'debug']);
+
+    const quiet = fakeConsole();
+    applyLogLevel('silent', quiet.target);
+    writeAll(quiet.target);
+    assert.deepEqual(quiet.written, []);
+  });
+});
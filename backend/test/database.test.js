@@ -0,0 +1,818 @@
+// backend/test/database.test.js
+// Unit tests for db/database.js, each group on its own in-memory database
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SAMPLE_EXERCISES, silenceConsole, createTestDatabase, seedExercises, createAccount
+} = require('./helpers');
+const { rollback } = require('../db/migrate');
+const Database = require('../db/database');
+const { isDuplicateNameError } = Database;
+const { openDatabase } = require('../db/service');
+
+silenceConsole();
+
+const names = rows => rows.map(row => row.exercise_name);
+
+describe('connection and helpers', () => {
+  let db;
+  before(async () => { db = await createTestDatabase(); });
+  after(() => db.close());
+
+  test('connect enables foreign keys', async () => {
+    assert.equal((await db.get('PRAGMA foreign_keys')).foreign_keys, 1);
+  });
+
+  test('run, get and all wrap the callback API', async () => {
+    await db.exec('CREATE TABLE Things (id INTEGER PRIMARY KEY, label TEXT)');
+    const result = await db.run('INSERT INTO Things (label) VALUES (?)', ['one']);
+    assert.deepEqual(result, { lastID: 1, changes: 1 });
+    await db.run('INSERT INTO Things (label) VALUES (?)', ['two']);
+
+    assert.deepEqual(await db.get('SELECT label FROM Things WHERE id = ?', [2]), { label: 'two' });
+    assert.deepEqual(names(await db.all('SELECT label AS exercise_name FROM Things ORDER BY id')), ['one', 'two']);
+  });
+
+  test('prepare reuses statements and rejects bad SQL', async () => {
+    const first = await db.prepare('SELECT 1');
+    assert.equal(await db.prepare('SELECT 1'), first);
+    await assert.rejects(db.prepare('SELEKT 1'), /syntax error/);
+    assert.equal(db.statements.has('SELEKT 1'), false);
+  });
+
+  test('withStatement hands over the prepared statement', async () => {
+    const value = await db.withStatement('SELECT 2 AS two', statement => new Promise((resolve, reject) => {
+      statement.get((err, row) => (err ? reject(err) : resolve(row.two)));
+    }));
+    assert.equal(value, 2);
+  });
+
+  test('transaction commits, rolls back on error and makes other callers wait', async () => {
+    await db.transaction(() => db.run("INSERT INTO Things (label) VALUES ('three')"));
+    await assert.rejects(db.transaction(async () => {
+      await db.run("INSERT INTO Things (label) VALUES ('four')");
+      throw new Error('boom');
+    }), /boom/);
+    assert.equal((await db.get('SELECT COUNT(*) AS count FROM Things')).count, 3);
+
+    let entered;
+    const inside = new Promise(resolve => { entered = resolve; });
+    let release;
+    const held = db.transaction(async () => {
+      assert.equal(db.isIdle(), true);
+      await new Promise(resolve => {
+        release = resolve;
+        entered();
+      });
+      await db.run("INSERT INTO Things (label) VALUES ('five')");
+    });
+    await inside;
+    assert.equal(db.isIdle(), false);
+
+    const waiting = db.get("SELECT COUNT(*) AS count FROM Things WHERE label = 'five'");
+    release();
+    await held;
+    assert.equal((await waiting).count, 1);
+    await db.idle();
+    assert.equal(db.isIdle(), true);
+  });
+
+  test('nested transactions join the one in progress', async () => {
+    const count = await db.transaction(() => db.transaction(async () => {
+      await db.run("INSERT INTO Things (label) VALUES ('six')");
+      return (await db.get('SELECT COUNT(*) AS count FROM Things')).count;
+    }));
+    assert.equal(count, 5);
+  });
+
+  test('columnExists and addColumnIfMissing', async () => {
+    assert.equal(await db.columnExists('Things', 'label'), true);
+    assert.equal(await db.columnExists('Things', 'color'), false);
+    assert.equal(await db.addColumnIfMissing('Things', 'color', 'TEXT'), true);
+    assert.equal(await db.addColumnIfMissing('Things', 'color', 'TEXT'), false);
+    assert.equal(await db.columnExists('Things', 'color'), true);
+  });
+
+  test('close finalizes statements and closes the connection', async () => {
+    const other = await createTestDatabase();
+    await other.get('SELECT 1');
+    await other.close();
+    assert.equal(other.statements.size, 0);
+    await assert.rejects(other.get('SELECT 1'));
+  });
+});
+
+describe('exercises', () => {
+  let db;
+  let exercises;
+  let byName;
+  before(async () => {
+    db = await createTestDatabase();
+    exercises = await seedExercises(db);
+    byName = Object.fromEntries(exercises.map(exercise => [exercise.name, exercise]));
+  });
+  after(() => db.close());
+
+  test('createExercise returns the id with the input and links primary muscle and equipment', async () => {
+    const curl = byName['Hammer Curl'];
+    assert.equal(typeof curl.id, 'number');
+    assert.equal(curl.muscle, 'biceps');
+
+    const row = await db.getExerciseById(curl.id);
+    assert.equal(row.exercise_name, 'Hammer Curl');
+    assert.equal(row.deleted_timestamp, null);
+    const { count } = await db.get(
+      'SELECT COUNT(*) AS count FROM ExerciseMuscles WHERE exercise_id = ? AND is_primary = 1', [curl.id]
+    );
+    assert.equal(count, 1);
+  });
+
+  test('getExercises sorts by name and filters by facet, name and favorites', async () => {
+    assert.deepEqual(names(await db.getExercises()), [...SAMPLE_EXERCISES.map(e => e.name)].sort());
+    assert.deepEqual(names(await db.getExercises({ muscle: 'biceps' })), ['Barbell Curl', 'Hammer Curl']);
+    // Secondary muscles count too
+    assert.deepEqual(names(await db.getExercises({ muscle: 'forearms' })), ['Hammer Curl']);
+    assert.deepEqual(names(await db.getExercises({ type: 'stretching' })), ['Hamstring Stretch']);
+    assert.deepEqual(names(await db.getExercises({ difficulty: 'expert' })), ['Box Jump']);
+    assert.deepEqual(names(await db.getExercises({ equipment: 'none' })), ['Hamstring Stretch', 'Plank']);
+    assert.deepEqual(names(await db.getExercises({ name: 'curl' })), ['Barbell Curl', 'Hammer Curl']);
+    assert.deepEqual(await db.getExercises({ favoritedBy: 999 }), []);
+  });
+
+  test('getExercises sorts, orders and pages', async () => {
+    const hardestFirst = await db.getExercises({ sort: 'difficulty', order: 'desc' });
+    assert.equal(hardestFirst[0].exercise_name, 'Box Jump');
+    assert.deepEqual(names(await db.getExercises({ limit: 2, offset: 1 })), ['Box Jump', 'Crunch']);
+  });
+
+  test('getExercises leaves out contraindicated exercises but keeps precautions', async () => {
+    assert.ok(!names(await db.getExercises({ excludeConditions: ['osteoporosis'] })).includes('Crunch'));
+    assert.ok(names(await db.getExercises({ excludeConditions: ['pregnancy'] })).includes('Plank'));
+  });
+
+  test('buildExerciseFilters and contraindicatedSql', () => {
+    const { where, params } = db.buildExerciseFilters({ muscle: 'biceps', type: 'strength' }, 'muscle');
+    assert.match(where, /exercise_type = \?/);
+    assert.doesNotMatch(where, /Muscles/);
+    assert.deepEqual(params, ['strength']);
+    assert.match(db.contraindicatedSql(['a', 'b']), /IN \(\?, \?\)/);
+  });
+
+  test('getExerciseFacets counts each facet without its own filter', async () => {
+    const facets = await db.getExerciseFacets({ muscle: 'biceps' });
+    assert.deepEqual(facets.type, { strength: 2 });
+    assert.equal(facets.muscle.abdominals, 2);
+    assert.equal(facets.muscle.forearms, 1);
+    assert.deepEqual(facets.equipment, { barbell: 1, dumbbell: 1 });
+  });
+
+  test('getExerciseCount honours filters', async () => {
+    assert.equal(await db.getExerciseCount(), SAMPLE_EXERCISES.length);
+    assert.equal(await db.getExerciseCount({ muscle: 'abdominals' }), 2);
+  });
+
+  test('searchExercises ranks prefix matches, marks snippets and falls back to any word', async () => {
+    const results = await db.searchExercises('curl');
+    assert.deepEqual(names(results).slice(0, 2).sort(), ['Barbell Curl', 'Hammer Curl']);
+    assert.ok(results[0].snippet.includes('\u0002'));
+
+    assert.deepEqual(names(await db.searchExercises('hamm')), ['Hammer Curl']);
+    assert.ok(names(await db.searchExercises('plank zzz')).includes('Plank'));
+    assert.deepEqual(await db.searchExercises('!!!'), []);
+    assert.equal((await db.searchExercises('the', 1)).length, 1);
+    assert.ok(!names(await db.searchExercises('mat', 10, { excludeConditions: ['osteoporosis'] })).includes('Crunch'));
+  });
+
+  test('getExerciseByName is case-insensitive and exerciseExists checks names', async () => {
+    assert.equal((await db.getExerciseByName('plank')).exercise_name, 'Plank');
+    assert.equal(await db.getExerciseByName('Nothing'), undefined);
+    assert.equal(await db.exerciseExists('Plank'), true);
+    assert.equal(await db.exerciseExists('PLANK'), true);
+    assert.equal(await db.exerciseExists('Nothing'), false);
+    assert.equal(await db.exerciseExists('Plank', { excludeId: (await db.getExerciseByName('Plank')).id }), false);
+  });
+
+  test('exerciseExists ignores deleted exercises', async () => {
+    const { id } = await db.createExercise({
+      name: 'Dead Bug', type: 'strength', muscle: 'abdominals', equipment: 'mat', difficulty: 'beginner', instructions: 'Reach.'
+    });
+    assert.equal(await db.exerciseExists('Dead Bug'), true);
+    await db.deleteExercise(id);
+    assert.equal(await db.exerciseExists('Dead Bug'), false);
+  });
+
+  test('live exercise names are unique ignoring case, deleted ones give theirs up', async () => {
+    const bridge = {
+      name: 'Glute Bridge', type: 'strength', muscle: 'glutes', equipment: 'mat', difficulty: 'beginner', instructions: 'Lift.'
+    };
+    const { id } = await db.createExercise(bridge);
+    await assert.rejects(db.createExercise({ ...bridge, name: 'GLUTE BRIDGE' }), error => isDuplicateNameError(error));
+    await db.deleteExercise(id);
+    await db.deleteExercise((await db.createExercise({ ...bridge, name: 'glute bridge' })).id);
+    assert.equal(isDuplicateNameError(new Error('SQLITE_ERROR: no such table: Exercises')), false);
+  });
+
+  test('getExistingExerciseIds returns only known ids', async () => {
+    assert.deepEqual(await db.getExistingExerciseIds([]), []);
+    assert.deepEqual(await db.getExistingExerciseIds([byName.Plank.id, 9999]), [byName.Plank.id]);
+  });
+
+  test('updateExercise changes audited fields and links, and audits the change', async () => {
+    const { id } = byName['Box Jump'];
+    const actor = { id: null, display_name: 'Script' };
+    assert.deepEqual(await db.updateExercise(id, { difficulty: 'intermediate', secondary_muscles: ['glutes'] }, actor), { changes: 1 });
+
+    const row = await db.getExerciseById(id);
+    assert.equal(row.difficulty, 'intermediate');
+    assert.deepEqual((await db.getExerciseLinks([id])).get(id).secondary_muscles, ['glutes']);
+
+    const [entry] = await db.getExerciseHistory(id);
+    assert.equal(entry.action, 'update');
+    assert.equal(entry.before.difficulty, 'expert');
+    assert.equal(entry.after.difficulty, 'intermediate');
+    assert.equal(entry.actor_name, 'Script');
+  });
+
+  test('updateExercise rejects unknown fields and ignores missing exercises', async () => {
+    await assert.rejects(db.updateExercise(byName.Plank.id, { color: 'red' }), /No valid fields to update/);
+    assert.deepEqual(await db.updateExercise(9999, { difficulty: 'expert' }), { changes: 0 });
+  });
+
+  test('deleteExercise soft-deletes and undeleteExercise brings it back', async () => {
+    const { id } = byName['Hamstring Stretch'];
+    assert.deepEqual(await db.deleteExercise(id), { changes: 1 });
+    assert.deepEqual(await db.deleteExercise(id), { changes: 0 });
+    assert.equal(await db.getExerciseById(id), undefined);
+    assert.ok(await db.getExerciseById(id, { includeDeleted: true }));
+    assert.equal(await db.getExerciseByName('Hamstring Stretch'), undefined);
+    assert.ok(await db.getExerciseByName('Hamstring Stretch', { includeDeleted: true }));
+    assert.equal(await db.getExerciseCount(), SAMPLE_EXERCISES.length - 1);
+
+    assert.deepEqual(await db.undeleteExercise(id), { changes: 1 });
+    assert.deepEqual(await db.undeleteExercise(id), { changes: 0 });
+    assert.ok(await db.getExerciseById(id));
+    assert.deepEqual((await db.getExerciseHistory(id)).map(entry => entry.action), ['undelete', 'delete', 'create']);
+  });
+
+  test('getLibraryRevision changes with every write, even within a second', async () => {
+    const before = await db.getLibraryRevision();
+    const { id } = await db.createExercise({
+      name: 'Wall Sit', type: 'strength', muscle: 'quadriceps', equipment: 'none', difficulty: 'beginner', instructions: 'Sit.'
+    });
+    const created = await db.getLibraryRevision();
+    assert.equal(created.count, before.count + 1);
+
+    await db.updateExercise(id, { instructions: 'Sit against a wall.' });
+    const first = await db.getLibraryRevision();
+    await db.updateExercise(id, { instructions: 'Sit.' });
+    const second = await db.getLibraryRevision();
+    assert.ok(created.revision < first.revision && first.revision < second.revision);
+  });
+});
+
+describe('favorites', () => {
+  let db;
+  let user;
+  let plank;
+  before(async () => {
+    db = await createTestDatabase();
+    [, , plank] = await seedExercises(db);
+    user = await createAccount(db, { role: 'clinician' });
+  });
+  after(() => db.close());
+
+  test('setFavorite stars and unstars, auditing only real changes', async () => {
+    assert.deepEqual(await db.setFavorite(user, plank.id, true), { changes: 1 });
+    assert.deepEqual(await db.setFavorite(user, plank.id, true), { changes: 0 });
+    assert.deepEqual([...await db.getFavoriteIds(user.id)], [plank.id]);
+    assert.deepEqual(names(await db.getFavorites(user.id)), ['Plank']);
+
+    assert.deepEqual(await db.setFavorite(user, plank.id, false), { changes: 1 });
+    assert.equal((await db.getFavoriteIds(user.id)).size, 0);
+    const favorites = (await db.getExerciseHistory(plank.id)).filter(entry => entry.action === 'favorite');
+    assert.equal(favorites.length, 2);
+  });
+
+  test('toggleFavorite flips the star and returns the new state', async () => {
+    assert.equal(await db.toggleFavorite(user, String(plank.id)), true);
+    assert.equal(await db.toggleFavorite(user, plank.id), false);
+  });
+
+  test('getFavoriteIds is empty without a user', async () => {
+    assert.equal((await db.getFavoriteIds(null)).size, 0);
+  });
+
+  test('getExerciseRevision tracks the latest audit entry and the user\'s last star', async () => {
+    const revision = await db.getExerciseRevision(plank.id, user.id);
+    assert.ok(revision.revision > 0);
+    assert.ok(revision.favorited_at);
+
+    const anonymous = await db.getExerciseRevision(plank.id);
+    assert.equal(anonymous.revision, revision.revision);
+    assert.equal(anonymous.favorited_at, null);
+    assert.deepEqual(await db.getExerciseRevision(9999), { revision: 0, favorited_at: null });
+  });
+
+  test('favorites of deleted exercises are hidden', async () => {
+    await db.setFavorite(user, plank.id, true);
+    await db.deleteExercise(plank.id);
+    assert.deepEqual(await db.getFavorites(user.id), []);
+  });
+});
+
+describe('audit history', () => {
+  let db;
+  let exercise;
+  before(async () => {
+    db = await createTestDatabase();
+    [exercise] = await seedExercises(db, [SAMPLE_EXERCISES[0]]);
+  });
+  after(() => db.close());
+
+  test('recordExerciseAudit and getExerciseAuditEntry', async () => {
+    await db.recordExerciseAudit(exercise.id, 'update', { difficulty: 'a' }, { difficulty: 'b' }, { id: null, display_name: 'Tester' });
+    const [latest] = await db.getExerciseHistory(exercise.id);
+    const entry = await db.getExerciseAuditEntry(exercise.id, latest.id);
+    assert.deepEqual(entry.before, { difficulty: 'a' });
+    assert.equal(entry.actor_name, 'Tester');
+    assert.equal(await db.getExerciseAuditEntry(exercise.id + 1, latest.id), undefined);
+  });
+
+  test('hasUserEdits ignores script changes', async () => {
+    const other = await createTestDatabase();
+    const [seeded] = await seedExercises(other, [SAMPLE_EXERCISES[1]]);
+    assert.equal(await other.hasUserEdits(seeded.id), false);
+    await other.updateExercise(seeded.id, { difficulty: 'expert' }, { id: null, display_name: 'Someone' });
+    assert.equal(await other.hasUserEdits(seeded.id), true);
+    await other.close();
+  });
+
+  test('restoreExerciseVersion writes back either snapshot and is audited', async () => {
+    await db.updateExercise(exercise.id, { instructions: 'Changed.' });
+    const [update] = await db.getExerciseHistory(exercise.id);
+
+    assert.deepEqual(await db.restoreExerciseVersion(exercise.id, update.id, null, 'before'), { changes: 1 });
+    assert.equal((await db.getExerciseById(exercise.id)).instructions, SAMPLE_EXERCISES[0].instructions);
+    assert.deepEqual(await db.restoreExerciseVersion(exercise.id, update.id), { changes: 1 });
+    assert.equal((await db.getExerciseById(exercise.id)).instructions, 'Changed.');
+
+    assert.equal((await db.getExerciseHistory(exercise.id))[0].action, 'restore');
+    assert.deepEqual(await db.restoreExerciseVersion(exercise.id, 9999), { changes: 0 });
+  });
+
+  test('getExerciseSnapshot includes links', async () => {
+    const snapshot = await db.getExerciseSnapshot(exercise.id);
+    assert.equal(snapshot.exercise_name, 'Barbell Curl');
+    assert.deepEqual(snapshot.secondary_muscles, []);
+    assert.equal(await db.getExerciseSnapshot(9999), null);
+  });
+});
+
+describe('taxonomy and links', () => {
+  let db;
+  let exercises;
+  before(async () => {
+    db = await createTestDatabase();
+    exercises = await seedExercises(db);
+  });
+  after(() => db.close());
+
+  test('getTaxonomy lists every lookup table', async () => {
+    const taxonomy = await db.getTaxonomy();
+    assert.ok(taxonomy.muscles.some(muscle => muscle.slug === 'biceps' && muscle.body_region === 'arms'));
+    assert.ok(taxonomy.body_regions.find(region => region.slug === 'arms').muscles.includes('biceps'));
+    assert.ok(taxonomy.equipment.some(item => item.slug === 'dumbbell'));
+    assert.ok(taxonomy.types.some(type => type.slug === 'stretching'));
+    assert.ok(taxonomy.conditions.some(condition => condition.slug === 'pregnancy'));
+  });
+
+  test('getExerciseLinks returns every field for each id', async () => {
+    const ids = exercises.map(exercise => exercise.id);
+    const links = await db.getExerciseLinks(ids);
+    assert.deepEqual(links.get(exercises[1].id).secondary_muscles, ['forearms']);
+    assert.deepEqual(links.get(exercises[2].id).precautions, ['pregnancy']);
+    assert.deepEqual(links.get(exercises[3].id).contraindications, ['osteoporosis']);
+    assert.deepEqual(links.get(exercises[0].id), {
+      secondary_muscles: [], additional_equipment: [], contraindications: [], precautions: []
+    });
+    assert.equal((await db.getExerciseLinks([])).size, 0);
+  });
+
+  test('setExerciseLinks replaces only the fields given and prefers contraindications', async () => {
+    const { id } = exercises[0];
+    await db.setExerciseLinks(id, {
+      additional_equipment: ['bench', 'unknown'],
+      contraindications: ['neck_pain'],
+      precautions: ['neck_pain', 'hypertension']
+    });
+    await db.setExerciseLinks(id, { secondary_muscles: ['forearms'] });
+
+    const links = (await db.getExerciseLinks([id])).get(id);
+    assert.deepEqual(links.secondary_muscles, ['forearms']);
+    assert.deepEqual(links.additional_equipment, ['bench']);
+    assert.deepEqual(links.contraindications, ['neck_pain']);
+    assert.deepEqual(links.precautions, ['hypertension']);
+  });
+});
+
+describe('exercise relations', () => {
+  let db;
+  let easy;
+  let medium;
+  let hard;
+  let other;
+  before(async () => {
+    db = await createTestDatabase();
+    [easy, medium, other, , , hard] = await seedExercises(db);
+  });
+  after(() => db.close());
+
+  test('createExerciseRelation stores progressions and regressions one way round', async () => {
+    const progression = await db.createExerciseRelation(easy.id, medium.id, 'progression', { notes: 'Next' });
+    assert.equal(progression.relation, 'progression');
+    assert.equal(progression.id, medium.id);
+    assert.equal(progression.notes, 'Next');
+
+    const regression = await db.createExerciseRelation(hard.id, medium.id, 'regression');
+    assert.equal(regression.relation, 'regression');
+    const stored = await db.findExerciseRelation(hard.id, medium.id);
+    assert.equal(stored.exercise_id, medium.id);
+    assert.equal(stored.relation, 'progression');
+  });
+
+  test('getExerciseRelations sees relations from either side', async () => {
+    await db.createExerciseRelation(other.id, easy.id, 'alternative');
+    const relations = await db.getExerciseRelations(medium.id);
+    assert.deepEqual(relations.map(row => [row.exercise_name, row.relation]).sort(), [
+      ['Barbell Curl', 'regression'],
+      ['Box Jump', 'progression']
+    ]);
+    assert.equal((await db.getExerciseRelations(easy.id)).length, 2);
+  });
+
+  test('getExerciseRelation and findExerciseRelation', async () => {
+    const stored = await db.findExerciseRelation(medium.id, easy.id);
+    assert.equal((await db.getExerciseRelation(medium.id, stored.id)).relation, 'regression');
+    assert.equal(await db.getExerciseRelation(other.id, stored.id), undefined);
+    assert.equal(await db.findExerciseRelation(other.id, hard.id), undefined);
+  });
+
+  test('progressionReaches follows progressions only forwards', async () => {
+    assert.equal(await db.progressionReaches(easy.id, hard.id), true);
+    assert.equal(await db.progressionReaches(easy.id, easy.id), true);
+    assert.equal(await db.progressionReaches(hard.id, easy.id), false);
+  });
+
+  test('getProgressionLadder steps from easiest to hardest', async () => {
+    const ladder = await db.getProgressionLadder(medium.id);
+    assert.deepEqual(ladder.map(row => [row.exercise_name, row.step]), [
+      ['Barbell Curl', -1], ['Hammer Curl', 0], ['Box Jump', 1]
+    ]);
+  });
+
+  test('deleteExerciseRelation only deletes relations of that exercise', async () => {
+    const stored = await db.findExerciseRelation(other.id, easy.id);
+    assert.deepEqual(await db.deleteExerciseRelation(hard.id, stored.id), { changes: 0 });
+    assert.deepEqual(await db.deleteExerciseRelation(other.id, stored.id), { changes: 1 });
+    assert.equal(await db.findExerciseRelation(other.id, easy.id), undefined);
+  });
+
+  test('relationsSql takes the exercise id four times', () => {
+    assert.equal((db.relationsSql('').match(/\?/g) || []).length, 4);
+  });
+});
+
+describe('patients, programs and session logs', () => {
+  let db;
+  let clinicId;
+  let patient;
+  let exercises;
+  let programId;
+  before(async () => {
+    db = await createTestDatabase();
+    exercises = await seedExercises(db);
+    clinicId = await db.createClinic('Clinic');
+  });
+  after(() => db.close());
+
+  test('createPatient returns the row and getPatients lists a clinic\'s patients by name', async () => {
+    patient = await db.createPatient({ clinic_id: clinicId, first_name: 'Zoe', last_name: 'Young', diagnosis: 'ACL' });
+    assert.equal(patient.first_name, 'Zoe');
+    assert.equal(patient.notes, null);
+    await db.createPatient({ clinic_id: clinicId, first_name: 'Adam', last_name: 'Able' });
+    await db.createPatient({ first_name: 'No', last_name: 'Clinic' });
+
+    assert.deepEqual((await db.getPatients(clinicId)).map(row => row.last_name), ['Able', 'Young']);
+    assert.equal((await db.getPatientById(patient.id)).diagnosis, 'ACL');
+  });
+
+  test('updatePatient only takes known fields', async () => {
+    assert.deepEqual(await db.updatePatient(patient.id, { notes: 'Runner', clinic_id: 99 }), { changes: 1 });
+    const row = await db.getPatientById(patient.id);
+    assert.equal(row.notes, 'Runner');
+    assert.equal(row.clinic_id, clinicId);
+    await assert.rejects(db.updatePatient(patient.id, { clinic_id: 99 }), /No valid fields to update/);
+  });
+
+  test('createProgram stores entries in order and opens prescription periods', async () => {
+    programId = await db.createProgram(patient.id, {
+      name: 'Knee rehab',
+      exercises: [
+        { exercise_id: exercises[4].id, sets: 3, reps: 10 },
+        { exercise_id: exercises[2].id, hold_seconds: 30, clinician_notes: 'Keep hips level' }
+      ]
+    });
+    assert.equal(typeof programId, 'number');
+    assert.equal((await db.getProgramById(programId)).program_name, 'Knee rehab');
+
+    const entries = await db.getProgramExercises(programId);
+    assert.deepEqual(entries.map(entry => [entry.position, entry.exercise_name]), [[1, 'Hamstring Stretch'], [2, 'Plank']]);
+    assert.equal(entries[1].clinician_notes, 'Keep hips level');
+    assert.equal(entries[0].frequency_per_day, null);
+
+    const periods = await db.getPrescriptionPeriods(patient.id);
+    assert.equal(periods.length, 2);
+    assert.ok(periods.every(period => period.ended_on === null));
+  });
+
+  test('getProgramsByPatient lists newest first', async () => {
+    const second = await db.createProgram(patient.id, { name: 'Maintenance' });
+    assert.deepEqual((await db.getProgramsByPatient(patient.id)).map(row => row.id), [second, programId]);
+    assert.deepEqual(await db.deleteProgram(second), { changes: 1 });
+    assert.deepEqual(await db.deleteProgram(second), { changes: 0 });
+  });
+
+  test('updateProgram renames and replaceProgramExercises closes dropped periods', async () => {
+    assert.deepEqual(await db.updateProgram(programId, {
+      name: 'Knee rehab 2',
+      exercises: [{ exercise_id: exercises[2].id }, { exercise_id: exercises[0].id }]
+    }), { changes: 1 });
+    assert.equal((await db.getProgramById(programId)).program_name, 'Knee rehab 2');
+    assert.deepEqual(names(await db.getProgramExercises(programId)), ['Plank', 'Barbell Curl']);
+
+    const periods = await db.getPrescriptionPeriods(patient.id);
+    const stretch = periods.find(period => period.exercise_name === 'Hamstring Stretch');
+    assert.ok(stretch.ended_on);
+    assert.equal(periods.filter(period => period.ended_on === null).length, 2);
+    assert.equal((await db.getPrescriptionPeriods(patient.id, { from: '2999-01-01' })).length, 2);
+    assert.equal((await db.getPrescriptionPeriods(patient.id, { to: '2000-01-01' })).length, 0);
+
+    await db.replaceProgramExercises(programId, [{ exercise_id: exercises[2].id }]);
+    assert.deepEqual(names(await db.getProgramExercises(programId)), ['Plank']);
+    assert.deepEqual(await db.updateProgram(9999, { notes: 'x' }), { changes: 0 });
+  });
+
+  test('session logs: create, filter by date, update and delete', async () => {
+    const log = await db.createSessionLog(programId, {
+      exercise_id: exercises[2].id, session_date: '2024-03-01', sets_completed: 3, pain_score: 2
+    });
+    assert.equal(log.exercise_name, 'Plank');
+    assert.equal(log.comment, null);
+    await db.createSessionLog(programId, { exercise_id: exercises[2].id, session_date: '2024-03-05' });
+
+    assert.deepEqual((await db.getSessionLogs(programId)).map(row => row.session_date), ['2024-03-05', '2024-03-01']);
+    assert.deepEqual((await db.getSessionLogs(programId, { from: '2024-03-02' })).map(row => row.session_date), ['2024-03-05']);
+    assert.deepEqual((await db.getSessionLogs(programId, { to: '2024-03-02' })).map(row => row.session_date), ['2024-03-01']);
+
+    assert.deepEqual(await db.updateSessionLog(log.id, { comment: 'Easy' }), { changes: 1 });
+    assert.equal((await db.getSessionLogById(log.id)).comment, 'Easy');
+    await assert.rejects(db.updateSessionLog(log.id, { program_id: 1 }), /No valid fields to update/);
+
+    assert.deepEqual(await db.deleteSessionLog(log.id), { changes: 1 });
+    assert.equal(await db.getSessionLogById(log.id), undefined);
+  });
+
+  test('deletePatient cascades to programs', async () => {
+    assert.deepEqual(await db.deletePatient(patient.id), { changes: 1 });
+    assert.equal(await db.getProgramById(programId), undefined);
+    assert.deepEqual(await db.getSessionLogs(programId), []);
+  });
+});
+
+describe('measures and measurements', () => {
+  let db;
+  let patient;
+  let nprs;
+  before(async () => {
+    db = await createTestDatabase();
+    const clinicId = await db.createClinic('Clinic');
+    patient = await db.createPatient({ clinic_id: clinicId, first_name: 'Pat', last_name: 'Smith' });
+    nprs = await db.getMeasureBySlug('pain_nprs');
+  });
+  after(() => db.close());
+
+  test('the catalog is seeded in order', async () => {
+    const measures = await db.getMeasures();
+    assert.ok(measures.length > 0);
+    assert.equal(nprs.bilateral, 0);
+    assert.equal(nprs.higher_is_better, 0);
+    assert.equal((await db.getMeasureById(nprs.id)).slug, 'pain_nprs');
+    assert.equal(await db.getMeasureBySlug('nothing'), undefined);
+  });
+
+  test('createMeasure appends, updateMeasure stores flags as 0/1 and hides inactive ones', async () => {
+    const measure = await db.createMeasure({ slug: 'tug', label: 'Timed Up and Go', category: 'other', unit: 's', higher_is_better: false });
+    const measures = await db.getMeasures();
+    assert.equal(measures.at(-1).slug, 'tug');
+    assert.equal(measure.higher_is_better, 0);
+    assert.equal(measure.bilateral, 0);
+
+    assert.deepEqual(await db.updateMeasure(measure.id, { label: 'TUG', active: false, slug: 'other' }), { changes: 1 });
+    const updated = await db.getMeasureById(measure.id);
+    assert.equal(updated.label, 'TUG');
+    assert.equal(updated.slug, 'tug');
+    assert.equal(updated.active, 0);
+    assert.ok(!(await db.getMeasures()).some(row => row.slug === 'tug'));
+    assert.ok((await db.getMeasures({ includeInactive: true })).some(row => row.slug === 'tug'));
+
+    await assert.rejects(db.updateMeasure(measure.id, { slug: 'x' }), /No valid fields to update/);
+    await assert.rejects(db.createMeasure({ slug: 'tug', label: 'Again', category: 'other' }), /UNIQUE/);
+  });
+
+  test('measurements: create, filter, update and delete', async () => {
+    const measurement = await db.createMeasurement(patient.id, { measure_id: nprs.id, measured_on: '2024-01-10', value: 6 });
+    assert.equal(measurement.measure, 'pain_nprs');
+    assert.equal(measurement.unit, '/10');
+    await db.createMeasurement(patient.id, { measure_id: nprs.id, measured_on: '2024-01-03', value: 8 });
+    const rom = await db.getMeasureBySlug('knee_flexion_rom');
+    await db.createMeasurement(patient.id, { measure_id: rom.id, measured_on: '2024-01-03', value: 90, side: 'left' });
+
+    assert.deepEqual((await db.getMeasurements(patient.id)).map(row => row.value), [8, 90, 6]);
+    assert.deepEqual((await db.getMeasurements(patient.id, { measure: 'pain_nprs' })).map(row => row.value), [8, 6]);
+    assert.deepEqual((await db.getMeasurements(patient.id, { from: '2024-01-05' })).map(row => row.value), [6]);
+    assert.deepEqual((await db.getMeasurements(patient.id, { to: '2024-01-05' })).map(row => row.value), [8, 90]);
+
+    assert.deepEqual(await db.updateMeasurement(measurement.id, { value: 5, notes: 'Better' }), { changes: 1 });
+    assert.equal((await db.getMeasurementById(measurement.id)).value, 5);
+    await assert.rejects(db.updateMeasurement(measurement.id, { patient_id: 2 }), /No valid fields to update/);
+
+    assert.deepEqual(await db.deleteMeasurement(measurement.id), { changes: 1 });
+    assert.equal(await db.getMeasurementById(measurement.id), undefined);
+  });
+
+  test('measurementsSql joins the measure', () => {
+    assert.match(db.measurementsSql('pm.id = ?'), /JOIN Measures m/);
+  });
+});
+
+describe('images and image matches', () => {
+  let db;
+  let exercises;
+  before(async () => {
+    db = await createTestDatabase();
+    exercises = await seedExercises(db);
+  });
+  after(() => db.close());
+
+  test('addExerciseImage appends in position order', async () => {
+    const first = await db.addExerciseImage({ exercise_id: exercises[0].id, file_name: 'a.webp' });
+    const second = await db.addExerciseImage({
+      exercise_id: exercises[0].id, file_name: 'b.webp', source: 'free-exercise-db', source_path: 'Curl/0.jpg'
+    });
+    assert.equal(first.position, 1);
+    assert.equal(first.source, 'upload');
+    assert.equal(second.position, 2);
+
+    assert.deepEqual((await db.getExerciseImages(exercises[0].id)).map(image => image.file_name), ['a.webp', 'b.webp']);
+    assert.equal((await db.getExerciseImageById(second.id)).source_path, 'Curl/0.jpg');
+    assert.deepEqual((await db.getExerciseImagesBySource('free-exercise-db')).map(image => image.id), [second.id]);
+
+    assert.deepEqual(await db.deleteExerciseImage(first.id), { changes: 1 });
+    assert.equal(await db.getExerciseImageById(first.id), undefined);
+  });
+
+  test('saveImageMatch inserts then updates, with candidates parsed', async () => {
+    const candidates = [{ id: 'Barbell_Curl', name: 'Barbell Curl', score: 0.9, images: ['Barbell_Curl/0.jpg'] }];
+    const match = await db.saveImageMatch({
+      exercise_id: exercises[0].id, source_id: 'Barbell_Curl', source_name: 'Barbell Curl', score: 0.9, candidates
+    });
+    assert.equal(match.status, 'auto');
+    assert.deepEqual(match.candidates, candidates);
+    assert.equal(match.exercise_name, 'Barbell Curl');
+
+    const updated = await db.saveImageMatch({ exercise_id: exercises[0].id, score: 0.95, candidates });
+    assert.equal(updated.score, 0.95);
+    assert.equal(updated.source_id, null);
+    assert.equal(await db.getImageMatch(exercises[1].id), undefined);
+  });
+
+  test('getImageMatches filters and lists weakest first', async () => {
+    await db.saveImageMatch({ exercise_id: exercises[1].id, score: 0.4 });
+    assert.deepEqual((await db.getImageMatches()).map(match => match.score), [0.4, 0.95]);
+    assert.deepEqual((await db.getImageMatches({ maxScore: 0.5 })).map(match => match.exercise_id), [exercises[1].id]);
+    assert.deepEqual((await db.getImageMatches({ withCandidates: true })).map(match => match.exercise_id), [exercises[0].id]);
+    assert.equal((await db.getImageMatches({ status: 'confirmed' })).length, 0);
+  });
+
+  test('confirmImageMatch and reviewImageMatch record the review', async () => {
+    assert.deepEqual(await db.confirmImageMatch(exercises[0].id), { changes: 1 });
+    const confirmed = await db.getImageMatch(exercises[0].id);
+    assert.equal(confirmed.status, 'confirmed');
+    assert.ok(confirmed.reviewed_timestamp);
+
+    assert.deepEqual(await db.reviewImageMatch(exercises[1].id, { status: 'rejected' }), { changes: 1 });
+    assert.equal((await db.getImageMatch(exercises[1].id)).status, 'rejected');
+    assert.deepEqual(await db.confirmImageMatch(9999), { changes: 0 });
+  });
+});
+
+describe('clinics, users and sessions', () => {
+  let db;
+  let clinicId;
+  let user;
+  before(async () => {
+    db = await createTestDatabase();
+    clinicId = await db.createClinic('Main Street PT');
+  });
+  after(() => db.close());
+
+  test('createClinic and getClinicById', async () => {
+    assert.equal((await db.getClinicById(clinicId)).clinic_name, 'Main Street PT');
+    assert.equal(await db.getClinicById(9999), undefined);
+  });
+
+  test('createUser never returns the password hash', async () => {
+    user = await db.createUser({ clinic_id: clinicId, email: 'b@example.com', password_hash: 'hash', display_name: 'Bea', role: 'admin' });
+    assert.equal(user.email, 'b@example.com');
+    assert.equal(user.password_hash, undefined);
+    assert.equal((await db.getUserById(user.id)).password_hash, undefined);
+    assert.equal((await db.getUserCredentials('b@example.com')).password_hash, 'hash');
+    await assert.rejects(db.createUser({ clinic_id: clinicId, email: 'b@example.com', password_hash: 'x', display_name: 'B', role: 'admin' }), /UNIQUE/);
+  });
+
+  test('getUserCount and getUsersByClinic', async () => {
+    await db.createUser({ clinic_id: clinicId, email: 'a@example.com', password_hash: 'hash', display_name: 'Al', role: 'clinician' });
+    assert.equal(await db.getUserCount(), 2);
+    assert.deepEqual((await db.getUsersByClinic(clinicId)).map(row => row.display_name), ['Al', 'Bea']);
+  });
+
+  test('updateUserPassword replaces the hash', async () => {
+    assert.deepEqual(await db.updateUserPassword(user.id, 'new-hash'), { changes: 1 });
+    assert.equal((await db.getUserCredentials('b@example.com')).password_hash, 'new-hash');
+  });
+
+  test('sessions: create, look up unexpired ones and delete', async () => {
+    const future = new Date(Date.now() + 60000).toISOString();
+    const past = new Date(Date.now() - 60000).toISOString();
+    await db.createSession(user.id, 'live', future);
+    await db.createSession(user.id, 'stale', past);
+    await db.createSession(user.id, 'other', future);
+
+    assert.equal((await db.getSessionUser('live')).email, 'b@example.com');
+    assert.equal(await db.getSessionUser('stale'), undefined);
+
+    await db.deleteExpiredSessions();
+    assert.equal((await db.get("SELECT COUNT(*) AS count FROM Sessions WHERE token_hash = 'stale'")).count, 0);
+    assert.deepEqual(await db.deleteSession('live'), { changes: 1 });
+    assert.equal(await db.getSessionUser('live'), undefined);
+
+    await db.deleteUserSessions(user.id);
+    assert.equal(await db.getSessionUser('other'), undefined);
+  });
+
+  test('adoptUnownedData hands old patients and favorites to the first clinic', async () => {
+    const patient = await db.createPatient({ first_name: 'Old', last_name: 'Record' });
+    const [exercise] = await seedExercises(db, [{ ...SAMPLE_EXERCISES[0], is_favorited: true }]);
+    await db.adoptUnownedData(clinicId, user.id);
+
+    assert.equal((await db.getPatientById(patient.id)).clinic_id, clinicId);
+    assert.deepEqual([...await db.getFavoriteIds(user.id)], [exercise.id]);
+  });
+
+  test('deleteUser removes the user and their favorites', async () => {
+    assert.deepEqual(await db.deleteUser(user.id), { changes: 1 });
+    assert.equal(await db.getUserById(user.id), undefined);
+    assert.equal((await db.getFavoriteIds(user.id)).size, 0);
+    assert.deepEqual(await db.deleteUser(user.id), { changes: 0 });
+  });
+});
+
+describe('migrations', () => {
+  let db;
+  before(async () => { db = await createTestDatabase(); });
+  after(() => db.close());
+
+  test('rolling everything back stops at 001 and keeps the library', async () => {
+    await seedExercises(db);
+    await assert.rejects(rollback(db, 100), /Migration 001 cannot be rolled back/);
+
+    assert.deepEqual((await db.all('SELECT version FROM schema_migrations')).map(row => row.version), [1]);
+    assert.equal((await db.get('SELECT COUNT(*) AS count FROM Exercises')).count, SAMPLE_EXERCISES.length);
+  });
+
+  test('openDatabase closes the connection when migrating fails', async (t) => {
+    // A table in the way of migration 001
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pt-exercise-db-')), 'clash.db');
+    const clash = new Database(file);
+    await clash.connect();
+    await clash.exec('CREATE TABLE Exercises (note TEXT)');
+    await clash.close();
+
+    const close = t.mock.method(Database.prototype, 'close');
+    await assert.rejects(openDatabase(file), /SQLITE_ERROR/);
+    assert.equal(close.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,412 @@
+// backend/test/frontend/app.test.js
+// Headless DOM tests for frontend/public/app.js: the page as the test app serves it, in
+// jsdom, with its scripts run in order. It talks to the same app, so it renders what the
+// real API returns.
+const vm = require('vm');
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { silenceConsole, seedExercises, createAccount, startApp } = require('../helpers');
+
+silenceConsole();
+
+// Twelve curls on top of the samples: enough for two pages of the list and of a search
+const CURLS = Array.from({ length: 12 }, (_, i) => ({
+  name: `Curl Variation ${String(i + 1).padStart(2, '0')}`,
+  type: 'strength',
+  muscle: 'biceps',
+  equipment: 'dumbbell',
+  difficulty: 'beginner',
+  instructions: 'Curl the weight up, then lower it slowly.'
+}));
+
+// jsdom has no IndexedDB; the offline cache and outbox are kept in memory instead
+const MEMORY_OFFLINE_STORE = `
+  const memoryExercises = new Map();
+  const memoryOutbox = [];
+  getCachedExercises = async () => [...memoryExercises.values()];
+  getCachedExercise = async id => memoryExercises.get(id);
+  putCachedExercises = async exercises => { exercises.forEach(exercise => memoryExercises.set(exercise.id, exercise)); };
+  replaceCachedExercises = async exercises => { memoryExercises.clear(); await putCachedExercises(exercises); };
+  deleteCachedExercise = async id => { memoryExercises.delete(id); };
+  queueChange = async change => { memoryOutbox.push({ ...change, key: memoryOutbox.length + 1 }); };
+  getQueuedChanges = async () => [...memoryOutbox];
+  removeQueuedChange = async key => { memoryOutbox.splice(memoryOutbox.findIndex(change => change.key === key), 1); };
+  clearOfflineData = async () => { memoryExercises.clear(); memoryOutbox.length = 0; };
+`;
+
+let app;
+let clinician;
+let exercises;
+let page;
+
+// Load the page from the app, signed in as `account`, leaving out the scripts in `skip`.
+// Every request the page makes is recorded, and so is every console warning.
+async function loadPage(account, { skip = [] } = {}) {
+  const html = (await app.request('GET', '/')).body.toString();
+  const warnings = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('warn', message => warnings.push(message));
+  const dom = new JSDOM(html, {
+    url: `${app.baseUrl}/`,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  const requests = [];
+  let inFlight = 0;
+
+  window.localStorage.setItem('authToken', account.token);
+  window.scrollTo = () => {};
+  window.alerts = [];
+  window.alert = message => window.alerts.push(message);
+  window.fetch = async (url, options = {}) => {
+    requests.push({ method: options.method || 'GET', url: String(url) });
+    inFlight++;
+    try {
+      return await fetch(new URL(url, window.location.href), options);
+    } finally {
+      inFlight--;
+    }
+  };
+
+  // Run as classic scripts (not eval) so their top-level let/const are page globals
+  const context = dom.getInternalVMContext();
+  for (const script of window.document.querySelectorAll('script[src]')) {
+    const src = script.getAttribute('src');
+    if (skip.includes(src)) {
+      continue;
+    }
+    const { body } = await app.request('GET', `/${src}`);
+    new vm.Script(body.toString(), { filename: src }).runInContext(context);
+    if (src === 'offline.js') {
+      new vm.Script(MEMORY_OFFLINE_STORE, { filename: 'memory-offline-store.js' }).runInContext(context);
+    }
+  }
+
+  // Resolves once no request has been outstanding for a few turns of the event loop
+  async function settle() {
+    for (let quiet = 0; quiet < 5; quiet = inFlight === 0 ? quiet + 1 : 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+
+  const $ = id => window.document.getElementById(id);
+  const state = name => window.eval(name);
+  const cardTitles = () => [...window.document.querySelectorAll('.exercise-card-title')].map(el => el.textContent);
+
+  await settle();
+  return { window, requests, warnings, settle, $, state, cardTitles, close: () => window.close() };
+}
+
+before(async () => {
+  app = await startApp();
+  exercises = [...await seedExercises(app.db), ...await seedExercises(app.db, CURLS)];
+  clinician = await createAccount(app.db, { role: 'clinician' });
+});
+after(() => app.close());
+
+describe('page load', () => {
+  before(async () => { page = await loadPage(clinician); });
+  after(() => page.close());
+
+  test('shows the signed-in user and the first page of exercises', () => {
+    assert.equal(page.state('currentUser').id, clinician.id);
+    assert.equal(page.cardTitles().length, 10);
+    assert.equal(page.$('currentPage').textContent, '1');
+    assert.equal(page.$('totalPages').textContent, '2');
+    assert.equal(page.$('loading').style.display, 'none');
+    assert.deepEqual(page.warnings, []);
+  });
+
+  test('warns when config.js did not load, and calls the page\'s own origin', async () => {
+    const bare = await loadPage(clinician, { skip: ['config.js'] });
+    try {
+      assert.deepEqual(bare.warnings, [`config.js did not set API_BASE_URL: calling the API on ${app.baseUrl}`]);
+      assert.equal(bare.cardTitles().length, 10);
+    } finally {
+      bare.close();
+    }
+  });
+});
+
+describe('escapeHtml', () => {
+  before(async () => { page = await loadPage(clinician); });
+  after(() => page.close());
+
+  test('keeps a name with quotes inside the attribute it is put in', () => {
+    const name = `Curl "Hammer" x' onerror="window.hacked = true`;
+    const escaped = page.window.escapeHtml(name);
+    assert.equal(escaped, 'Curl &quot;Hammer&quot; x&#39; onerror=&quot;window.hacked = true');
+
+    const list = page.window.document.createElement('datalist');
+    list.innerHTML = `<option value="${escaped}"></option><img alt='${escaped}' src="">`;
+    assert.equal(list.querySelector('option').value, name);
+    assert.deepEqual(Array.from(list.querySelector('option').attributes, attribute => attribute.name), ['value']);
+    assert.equal(list.querySelector('img').alt, name);
+    assert.equal(list.querySelector('img').getAttribute('onerror'), null);
+  });
+
+  test('escapes markup and treats null as empty', () => {
+    assert.equal(page.window.escapeHtml('<b>&</b>'), '&lt;b&gt;&amp;&lt;/b&gt;');
+    assert.equal(page.window.escapeHtml(null), '');
+    assert.equal(page.window.escapeHtml(3), '3');
+  });
+});
+
+describe('displayExercises', () => {
+  before(async () => { page = await loadPage(clinician); });
+  after(() => page.close());
+
+  test('names and image URLs cannot add attributes to the card', async () => {
+    const name = 'Curl" onerror="window.hacked = true';
+    const thumbnail = '/images/thumbs/x.jpg" onload="window.hacked = true';
+    page.window.eval(`fetchImages = async () => [{ id: 1, url: ${JSON.stringify(thumbnail)}, thumbnail_url: ${JSON.stringify(thumbnail)} }]`);
+    page.window.displayExercises([{ id: 9999, name, is_favorited: false }]);
+    await page.settle();
+
+    const image = page.window.document.querySelector('.exercise-card .exercise-image-container img');
+    assert.equal(image.alt, name);
+    assert.equal(image.getAttribute('src'), thumbnail);
+    assert.deepEqual(Array.from(image.attributes, attribute => attribute.name), ['src', 'alt']);
+    assert.deepEqual(page.cardTitles(), [name]);
+    assert.equal(page.window.hacked, undefined);
+  });
+});
+
+describe('pagination', () => {
+  before(async () => { page = await loadPage(clinician); });
+  after(() => page.close());
+
+  test('nextPage fetches the following page and updates the controls', async () => {
+    const firstPage = page.cardTitles();
+    assert.equal(page.$('prevBtn').disabled, true);
+    assert.equal(page.$('nextBtn').disabled, false);
+    assert.equal(page.$('pagination').style.display, 'flex');
+
+    page.$('nextBtn').click();
+    await page.settle();
+
+    assert.equal(page.state('currentPage'), 2);
+    assert.equal(page.$('currentPage').textContent, '2');
+    assert.equal(page.cardTitles().length, exercises.length - 10);
+    assert.ok(page.cardTitles().every(title => !firstPage.includes(title)));
+    assert.equal(page.$('prevBtn').disabled, false);
+    assert.equal(page.$('nextBtn').disabled, true);
+    assert.ok(page.requests.some(request => request.url.startsWith('/api/exercises?') && request.url.includes('page=2')));
+  });
+
+  test('nextPage does nothing on the last page', async () => {
+    const requestCount = page.requests.length;
+    page.window.nextPage();
+    await page.settle();
+    assert.equal(page.state('currentPage'), 2);
+    assert.equal(page.requests.length, requestCount);
+  });
+
+  test('previousPage goes back to the first page', async () => {
+    page.$('prevBtn').click();
+    await page.settle();
+    assert.equal(page.state('currentPage'), 1);
+    assert.equal(page.cardTitles().length, 10);
+    assert.equal(page.$('prevBtn').disabled, true);
+
+    page.window.previousPage();
+    await page.settle();
+    assert.equal(page.state('currentPage'), 1);
+  });
+});
+
+describe('performSearch', () => {
+  before(async () => { page = await loadPage(clinician); });
+  after(() => page.close());
+
+  test('shows ranked results and pages them locally', async () => {
+    page.$('searchInput').value = ' curl ';
+    await page.window.performSearch();
+    await page.settle();
+
+    const { body: ranked } = await app.request('GET', '/api/exercises/search?query=curl');
+    assert.ok(ranked.length > 10);
+    assert.deepEqual(Array.from(page.state('searchResults'), exercise => exercise.id), ranked.map(exercise => exercise.id));
+    assert.equal(page.state('isSearchMode'), true);
+    assert.equal(page.$('searchInfo').textContent, `Found ${ranked.length} result(s) for "curl"`);
+    assert.equal(page.$('filtersContainer').classList.contains('hidden'), true);
+    assert.equal(page.cardTitles().length, 10);
+    assert.equal(page.$('totalPages').textContent, '2');
+    assert.ok(page.requests.some(request => request.url === '/api/exercises/search?query=curl'));
+
+    const requestCount = page.requests.filter(request => request.url.includes('/api/exercises?')).length;
+    page.window.nextPage();
+    await page.settle();
+    assert.equal(page.cardTitles().length, ranked.length - 10);
+    assert.equal(page.requests.filter(request => request.url.includes('/api/exercises?')).length, requestCount);
+  });
+
+  test('shows a message when nothing matches', async () => {
+    page.$('searchInput').value = 'zzzzzz';
+    await page.window.performSearch();
+    await page.settle();
+    assert.equal(page.$('searchInfo').textContent, 'Found 0 result(s) for "zzzzzz"');
+    assert.match(page.$('exercises').textContent, /No exercises found/);
+  });
+
+  test('an empty query goes back to the full list', async () => {
+    page.$('searchInput').value = '   ';
+    await page.window.performSearch();
+    await page.settle();
+    assert.equal(page.state('isSearchMode'), false);
+    assert.equal(page.$('searchInfo').textContent, '');
+    assert.equal(page.$('filtersContainer').classList.contains('hidden'), false);
+    assert.equal(page.cardTitles().length, 10);
+  });
+
+  test('shows the error when the search fails', async () => {
+    const fetchToServer = page.window.fetch;
+    page.window.fetch = async () => new Response('{}', { status: 500 });
+    try {
+      page.$('searchInput').value = 'curl';
+      await page.window.performSearch();
+    } finally {
+      page.window.fetch = fetchToServer;
+    }
+    assert.equal(page.$('error').style.display, 'block');
+    assert.equal(page.$('error').textContent, 'Error: Search failed: 500');
+    assert.equal(page.$('loading').style.display, 'none');
+  });
+});
+
+describe('toggleFavorite', () => {
+  before(async () => { page = await loadPage(clinician); });
+  after(() => page.close());
+
+  const firstStar = () => page.window.document.querySelector('.exercise-card .star-button');
+
+  test('a star click favorites the exercise on the server and fills the star', async () => {
+    const exerciseId = page.state('allExercises')[0].id;
+    firstStar().click();
+    await page.settle();
+
+    assert.ok(page.requests.some(request => request.method === 'PATCH' && request.url === `/api/exercises/${exerciseId}/favorite`));
+    assert.equal(firstStar().textContent, '★');
+    assert.equal(firstStar().classList.contains('favorited'), true);
+    assert.equal(page.state('allExercises')[0].is_favorited, true);
+    assert.deepEqual(await app.db.getFavoriteIds(clinician.id), new Set([exerciseId]));
+    assert.equal((await page.window.getCachedExercise(exerciseId)).is_favorited, true);
+  });
+
+  test('a second click takes the favorite back', async () => {
+    const exerciseId = page.state('allExercises')[0].id;
+    firstStar().click();
+    await page.settle();
+
+    assert.equal(firstStar().textContent, '☆');
+    assert.equal(firstStar().classList.contains('favorited'), false);
+    assert.equal((await app.db.getFavoriteIds(clinician.id)).size, 0);
+  });
+
+  test('favorites are kept offline when the server cannot be reached', async () => {
+    const exerciseId = page.state('allExercises')[0].id;
+    const fetchToServer = page.window.fetch;
+    page.window.fetch = async () => { throw new TypeError('Failed to fetch'); };
+    try {
+      firstStar().click();
+      await page.settle();
+    } finally {
+      page.window.fetch = fetchToServer;
+    }
+
+    assert.equal(firstStar().textContent, '★');
+    assert.deepEqual(Array.from(await page.window.getQueuedChanges(), change => [change.type, change.user_id, change.exercise_id]), [['favorite', clinician.id, exerciseId]]);
+    assert.equal((await app.db.getFavoriteIds(clinician.id)).size, 0);
+  });
+
+  test('signed-out users are asked to log in instead', async () => {
+    const requestCount = page.requests.length;
+    page.window.eval('currentUser = null');
+    firstStar().click();
+    await page.settle();
+
+    assert.equal(page.requests.length, requestCount);
+    assert.equal(firstStar().textContent, '★');
+    assert.equal(page.$('loginModal').classList.contains('active'), true);
+  });
+});
+
+describe('offline data and accounts', () => {
+  before(async () => { page = await loadPage(clinician); });
+  after(() => page.close());
+
+  test('changes queued by another account are dropped, not replayed', async () => {
+    const exerciseId = exercises[0].id;
+    await page.window.queueChange({ type: 'favorite', user_id: clinician.id + 1000, exercise_id: exerciseId, data: { is_favorited: true } });
+    const requestCount = page.requests.length;
+
+    await page.window.syncOfflineChanges();
+    await page.settle();
+
+    assert.equal((await page.window.getQueuedChanges()).length, 0);
+    assert.ok(!page.requests.slice(requestCount).some(request => request.method === 'PUT'));
+    assert.equal((await app.db.getFavoriteIds(clinician.id)).size, 0);
+  });
+
+  test('logout forgets the offline library and unsynced changes', async () => {
+    await page.window.queueChange({ type: 'favorite', user_id: clinician.id, exercise_id: exercises[0].id, data: { is_favorited: true } });
+    const fetchToServer = page.window.fetch;
+    page.window.fetch = async () => { throw new TypeError('Failed to fetch'); };
+    try {
+      await page.window.logout();
+    } finally {
+      page.window.fetch = fetchToServer;
+    }
+
+    assert.equal(page.state('currentUser'), null);
+    assert.equal(page.window.localStorage.getItem('authToken'), null);
+    assert.equal((await page.window.getQueuedChanges()).length, 0);
+    assert.equal((await page.window.getCachedExercises()).length, 0);
+  });
+});
+
+describe('logPlayedSession', () => {
+  let logsPath;
+  before(async () => {
+    page = await loadPage(clinician);
+    const patient = await app.db.createPatient({ clinic_id: clinician.clinic_id, first_name: 'Pat', last_name: 'Smith' });
+    const { body: program } = await app.request('POST', `/api/patients/${patient.id}/programs`, {
+      token: clinician.token,
+      body: { name: 'Core', exercises: [{ exercise_id: exercises[0].id }, { exercise_id: exercises[1].id }] }
+    });
+    logsPath = `/api/patients/${patient.id}/programs/${program.id}/logs`;
+  });
+  after(() => page.close());
+
+  test('a retry after a failed save only sends the entries not yet saved', async () => {
+    const played = [exercises[0], exercises[1]].map(exercise => ({
+      exercise_id: exercise.id, name: exercise.name, sets_planned: 2, sets_completed: 2, reps_completed: 10, skipped: false
+    }));
+    page.window.eval(`player = { phase: 'done', logUrl: ${JSON.stringify(logsPath)}, summary: ${JSON.stringify({ title: 'Core', completed: 2, duration_seconds: 60, exercises: played })} }`);
+
+    // The second POST fails: the first is already saved
+    const fetchToServer = page.window.fetch;
+    let posts = 0;
+    page.window.fetch = async (url, options = {}) => (
+      options.method === 'POST' && ++posts === 2 ? new Response('{"error":"Server busy"}', { status: 503 }) : fetchToServer(url, options)
+    );
+    try {
+      await page.window.logPlayedSession();
+    } finally {
+      page.window.fetch = fetchToServer;
+    }
+    assert.deepEqual(page.window.alerts, ['Error saving session: Server busy']);
+    assert.equal(page.state('player').logged, undefined);
+
+    await page.window.logPlayedSession();
+    await page.settle();
+
+    const { body: logs } = await app.request('GET', logsPath, { token: clinician.token });
+    assert.deepEqual(logs.map(log => log.exercise_id).sort(), [exercises[0].id, exercises[1].id].sort());
+    assert.equal(page.state('player').logged, true);
+    assert.match(page.$('playerContent').textContent, /Saved to your session log/);
+  });
+});
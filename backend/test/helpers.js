@@ -0,0 +1,156 @@
+// backend/test/helpers.js
+// Fixtures shared by the tests: a migrated in-memory database, accounts, sample
+// exercises, and the Express app listening on a free port. Every test file runs in its
+// own process (node --test), so each gets its own database and app.
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { mock } = require('node:test');
+
+// config.js reads these when first required: the app must never touch db/exercises.db
+// or the real image store (a temporary one is removed when the test file finishes),
+// whatever backend/.env says
+process.env.NODE_ENV = 'test';
+process.env.DB_PATH = ':memory:';
+process.env.IMAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pt-exercise-images-'));
+process.on('exit', () => fs.rmSync(process.env.IMAGE_DIR, { recursive: true, force: true }));
+
+const Database = require('../db/database');
+const { migrate } = require('../db/migrate');
+const { hashPassword, createSession } = require('../auth');
+
+const PASSWORD = 'Password123!';
+
+// A few exercises covering every filter: two muscles, types, difficulties and equipment
+const SAMPLE_EXERCISES = [
+  {
+    name: 'Barbell Curl', type: 'strength', muscle: 'biceps', equipment: 'barbell', difficulty: 'beginner',
+    instructions: 'Curl the barbell up to the shoulders, then lower it slowly.'
+  },
+  {
+    name: 'Hammer Curl', type: 'strength', muscle: 'biceps', equipment: 'dumbbell', difficulty: 'intermediate',
+    instructions: 'Curl the dumbbells with palms facing each other.', secondary_muscles: ['forearms']
+  },
+  {
+    name: 'Plank', type: 'strength', muscle: 'abdominals', equipment: 'none', difficulty: 'beginner',
+    instructions: 'Hold a straight line from head to heels on the forearms.', precautions: ['pregnancy']
+  },
+  {
+    name: 'Crunch', type: 'strength', muscle: 'abdominals', equipment: 'mat', difficulty: 'beginner',
+    instructions: 'Lift the shoulders off the mat by curling the trunk.', contraindications: ['osteoporosis']
+  },
+  {
+    name: 'Hamstring Stretch', type: 'stretching', muscle: 'hamstrings', equipment: 'none', difficulty: 'beginner',
+    instructions: 'Reach for the toes with a straight knee and hold.'
+  },
+  {
+    name: 'Box Jump', type: 'plyometrics', muscle: 'quadriceps', equipment: 'other', difficulty: 'expert',
+    instructions: 'Jump onto the box and land softly with bent knees.'
+  }
+];
+
+// The app and scripts log as they work; tests only need what they assert on
+function silenceConsole() {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+}
+
+// A fresh, fully migrated database that only this caller sees
+async function createTestDatabase() {
+  const db = new Database(':memory:');
+  await db.connect();
+  await migrate(db);
+  return db;
+}
+
+// Add SAMPLE_EXERCISES (or others); returns them as created, in order
+async function seedExercises(db, exercises = SAMPLE_EXERCISES) {
+  const created = [];
+  for (const exercise of exercises) {
+    created.push(await db.createExercise(exercise));
+  }
+  return created;
+}
+
+// A user of a clinic (a new one unless clinicId is given) with PASSWORD and a session.
+// Returns the user row plus its token.
+async function createAccount(db, { role = 'admin', clinicId, email, patientId = null } = {}) {
+  const clinic_id = clinicId || await db.createClinic('Test Clinic');
+  const user = await db.createUser({
+    clinic_id,
+    email: email || `${role}-${Date.now()}-${Math.random().toString(36).slice(2)}@example.com`,
+    password_hash: await hashPassword(PASSWORD),
+    display_name: `Test ${role}`,
+    role,
+    patient_id: patientId
+  });
+  const { token } = await createSession(db, user.id);
+  return { ...user, token };
+}
+
+// Start the app (server.js) on a free port against the shared in-memory database.
+// Returns { db, baseUrl, request, close }; request(method, path, { token, body, headers })
+// resolves to { status, headers, body } with JSON bodies parsed.
+async function startApp() {
+  const app = require('../server');
+  const { openDatabase, closeDatabase } = require('../db/service');
+  const db = await openDatabase();
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Plain http rather than fetch, which adds Cache-Control: no-cache to conditional
+  // requests (so they could never answer 304)
+  async function request(method, urlPath, { token, body, headers = {} } = {}) {
+    const requestHeaders = { ...headers };
+    if (token) {
+      requestHeaders.Authorization = `Bearer ${token}`;
+    }
+
+    let payload = null;
+    if (body instanceof FormData) {
+      const encoded = new Response(body);
+      requestHeaders['Content-Type'] = encoded.headers.get('content-type');
+      payload = Buffer.from(await encoded.arrayBuffer());
+    } else if (typeof body === 'string') {
+      payload = Buffer.from(body);
+    } else if (body !== undefined) {
+      requestHeaders['Content-Type'] = 'application/json';
+      payload = Buffer.from(JSON.stringify(body));
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = http.request(`${baseUrl}${urlPath}`, { method, headers: requestHeaders }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks);
+          const isJson = (res.headers['content-type'] || '').includes('application/json');
+          resolve({ status: res.statusCode, headers: new Headers(res.headers), body: isJson ? JSON.parse(raw) : raw });
+        });
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await closeDatabase();
+  }
+
+  return { db, baseUrl, request, close };
+}
+
+module.exports = {
+  PASSWORD,
+  SAMPLE_EXERCISES,
+  silenceConsole,
+  createTestDatabase,
+  seedExercises,
+  createAccount,
+  startApp
+};
@@ -0,0 +1,263 @@
+// backend/workouts/generator.js
+// Session generator: assembles a balanced workout from the library for a set of
+// constraints (target muscles, available equipment, maximum difficulty, session length,
+// exercise count) with suggested sets, reps and rest. Picks are random but seeded: the
+// same seed and constraints give the same session, a new seed a fresh one.
+const { DIFFICULTIES, cleanList } = require('../library/import');
+const { serializeExerciseSummary } = require('../api/serializers');
+
+const DEFAULT_EXERCISE_COUNT = 6;
+const MAX_EXERCISE_COUNT = 20;
+const MIN_DURATION_MINUTES = 5;
+const MAX_DURATION_MINUTES = 180;
+
+// Time estimates: one rep, and moving on to the next exercise
+const REP_SECONDS = 3;
+const TRANSITION_SECONDS = 30;
+
+// Session order by type: cardio warms up, power work comes while fresh, stretching cools down
+const TYPE_ORDER = ['cardio', 'plyometrics', 'olympic_weightlifting', 'powerlifting', 'strongman', 'strength', 'stretching'];
+
+// Request fields checked against the taxonomy, and the taxonomy list each must come from
+const TAXONOMY_FIELDS = {
+  muscles: 'muscles',
+  equipment: 'equipment',
+  types: 'types',
+  exclude_conditions: 'conditions'
+};
+
+// Suggested dosage for an exercise: { sets, reps, hold_seconds, rest_seconds }. Timed
+// work (stretches, cardio) gets hold_seconds instead of reps.
+function suggestDosage(exercise) {
+  const level = Math.max(0, DIFFICULTIES.indexOf(exercise.difficulty));
+
+  switch (exercise.type) {
+    case 'stretching':
+      return { sets: 2, reps: null, hold_seconds: 30, rest_seconds: 15 };
+    case 'cardio':
+      return { sets: 1, reps: null, hold_seconds: 300, rest_seconds: 60 };
+    case 'plyometrics':
+      return { sets: 3, reps: [6, 8, 10][level], hold_seconds: null, rest_seconds: 90 };
+    case 'olympic_weightlifting':
+    case 'powerlifting':
+    case 'strongman':
+      return { sets: [3, 4, 5][level], reps: [8, 5, 3][level], hold_seconds: null, rest_seconds: 120 };
+    default:
+      return { sets: [2, 3, 3][level], reps: [12, 10, 8][level], hold_seconds: null, rest_seconds: [60, 60, 90][level] };
+  }
+}
+
+// Seconds an exercise takes at a dosage, rests and moving on included
+function estimateSeconds(dosage) {
+  const work = dosage.hold_seconds ?? (dosage.reps || 0) * REP_SECONDS;
+  return dosage.sets * work + (dosage.sets - 1) * dosage.rest_seconds + TRANSITION_SECONDS;
+}
+
+// Small deterministic PRNG (mulberry32): seed → function returning [0, 1)
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function optionalInteger(value, field, min, max, errors) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    errors.push(`${field} must be an integer from ${min} to ${max}`);
+    return null;
+  }
+  return number;
+}
+
+// Request body → { options, errors }. Lists may be arrays or comma-separated; leaving
+// equipment out allows any, while a list (even empty) allows only those plus none.
+// Slugs must be in the taxonomy, as returned by db.getTaxonomy().
+function validateWorkoutRequest(body, taxonomy) {
+  const errors = [];
+  const lists = {};
+
+  for (const [field, list] of Object.entries(TAXONOMY_FIELDS)) {
+    lists[field] = cleanList(body[field]);
+    for (const value of lists[field]) {
+      if (!taxonomy[list].some(entry => entry.slug === value)) {
+        errors.push(`${field} "${value}" is not in the taxonomy`);
+      }
+    }
+  }
+
+  const maxDifficulty = body.max_difficulty ? String(body.max_difficulty).toLowerCase() : null;
+  if (maxDifficulty && !DIFFICULTIES.includes(maxDifficulty)) {
+    errors.push(`max_difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+  if (body.prefer_favorites !== undefined && typeof body.prefer_favorites !== 'boolean') {
+    errors.push('prefer_favorites must be true or false');
+  }
+
+  const options = {
+    muscles: lists.muscles,
+    equipment: body.equipment === undefined || body.equipment === null ? null : lists.equipment,
+    types: lists.types,
+    maxDifficulty,
+    durationMinutes: optionalInteger(body.duration_minutes, 'duration_minutes', MIN_DURATION_MINUTES, MAX_DURATION_MINUTES, errors),
+    exerciseCount: optionalInteger(body.exercise_count, 'exercise_count', 1, MAX_EXERCISE_COUNT, errors),
+    preferFavorites: body.prefer_favorites === true,
+    excludeConditions: lists.exclude_conditions,
+    seed: optionalInteger(body.seed, 'seed', 0, 2 ** 32 - 1, errors) ?? Math.floor(Math.random() * 2 ** 32)
+  };
+
+  return { options, errors };
+}
+
+// Whether an exercise (in the API's shape, with its links) meets the hard constraints
+function fitsConstraints(exercise, options) {
+  if (options.maxDifficulty && DIFFICULTIES.indexOf(exercise.difficulty) > DIFFICULTIES.indexOf(options.maxDifficulty)) {
+    return false;
+  }
+  if (options.types.length > 0 && !options.types.includes(exercise.type)) {
+    return false;
+  }
+  if (options.equipment) {
+    const needs = [exercise.equipment || 'none', ...(exercise.additional_equipment || [])];
+    if (!needs.every(item => item === 'none' || options.equipment.includes(item))) {
+      return false;
+    }
+  }
+  if ((exercise.contraindications || []).some(condition => options.excludeConditions.includes(condition))) {
+    return false;
+  }
+  if (options.muscles.length > 0) {
+    return [exercise.muscle, ...(exercise.secondary_muscles || [])].some(muscle => options.muscles.includes(muscle));
+  }
+  return true;
+}
+
+// Pick and order a session from candidate exercises (API shape, with links).
+// Target muscles take turns, so work is spread across them; each pick favors an
+// exercise whose primary muscle is the one whose turn it is, and is marked down for
+// muscles the session already works (primary counts 1, secondary ½). Favorites get a
+// boost with preferFavorites. With a duration, sets are trimmed and picking stops once
+// the next exercise no longer fits.
+function buildWorkout(candidates, options, favoriteIds = new Set()) {
+  const random = seededRandom(options.seed);
+  const pool = candidates.filter(exercise => fitsConstraints(exercise, options));
+  const budget = options.durationMinutes ? options.durationMinutes * 60 : null;
+  const count = options.exerciseCount ?? (budget ? MAX_EXERCISE_COUNT : DEFAULT_EXERCISE_COUNT);
+
+  // Without targets the whole body takes turns, in a seeded order
+  const targets = options.muscles.length > 0
+    ? options.muscles
+    : [...new Set(pool.map(exercise => exercise.muscle).filter(Boolean))]
+      .map(muscle => ({ muscle, order: random() }))
+      .sort((a, b) => a.order - b.order)
+      .map(({ muscle }) => muscle);
+
+  const load = new Map();
+  const loadOf = muscle => load.get(muscle) || 0;
+  const picked = [];
+  let seconds = 0;
+
+  while (picked.length < count) {
+    const turn = targets[picked.length % Math.max(1, targets.length)];
+    let best = null;
+
+    for (const exercise of pool) {
+      if (picked.some(entry => entry.exercise === exercise)) {
+        continue;
+      }
+      const secondary = exercise.secondary_muscles || [];
+      const score = random() +
+        (exercise.muscle === turn ? 3 : secondary.includes(turn) ? 1.5 : 0) +
+        (options.preferFavorites && favoriteIds.has(exercise.id) ? 1.5 : 0) -
+        loadOf(exercise.muscle) -
+        secondary.reduce((sum, muscle) => sum + loadOf(muscle) / 2, 0);
+
+      if (!best || score > best.score) {
+        best = { exercise, score };
+      }
+    }
+    if (!best) {
+      break;
+    }
+
+    const dosage = suggestDosage(best.exercise);
+    if (budget) {
+      while (dosage.sets > 1 && seconds + estimateSeconds(dosage) > budget) {
+        dosage.sets--;
+      }
+      // The first exercise always goes in, however short the session
+      if (picked.length > 0 && seconds + estimateSeconds(dosage) > budget) {
+        break;
+      }
+    }
+
+    picked.push({ exercise: best.exercise, dosage });
+    seconds += estimateSeconds(dosage);
+    load.set(best.exercise.muscle, loadOf(best.exercise.muscle) + 1);
+    for (const muscle of best.exercise.secondary_muscles || []) {
+      load.set(muscle, loadOf(muscle) + 0.5);
+    }
+  }
+
+  const typeRank = type => (TYPE_ORDER.includes(type) ? TYPE_ORDER.indexOf(type) : TYPE_ORDER.indexOf('strength'));
+  const ordered = picked
+    .map((entry, index) => ({ ...entry, index }))
+    .sort((a, b) =>
+      typeRank(a.exercise.type) - typeRank(b.exercise.type) ||
+      DIFFICULTIES.indexOf(b.exercise.difficulty) - DIFFICULTIES.indexOf(a.exercise.difficulty) ||
+      a.index - b.index
+    );
+
+  const warnings = [];
+  if (options.exerciseCount && picked.length < options.exerciseCount) {
+    warnings.push(budget && picked.length < pool.length
+      ? `Only ${picked.length} exercises fit in ${options.durationMinutes} minutes`
+      : `Only ${picked.length} exercises match these constraints`);
+  }
+  for (const muscle of options.muscles) {
+    if (!picked.some(({ exercise }) => exercise.muscle === muscle || (exercise.secondary_muscles || []).includes(muscle))) {
+      warnings.push(`No exercise for ${muscle} made it into the session`);
+    }
+  }
+
+  return {
+    seed: options.seed,
+    estimated_minutes: Math.round(seconds / 60),
+    exercises: ordered.map(({ exercise, dosage }, index) => ({
+      position: index + 1,
+      exercise_id: exercise.id,
+      name: exercise.name,
+      type: exercise.type,
+      muscle: exercise.muscle,
+      equipment: exercise.equipment,
+      difficulty: exercise.difficulty,
+      secondary_muscles: exercise.secondary_muscles || [],
+      ...dosage,
+      estimated_minutes: Math.round(estimateSeconds(dosage) / 6) / 10,
+      is_favorited: favoriteIds.has(exercise.id)
+    })),
+    muscles_worked: Object.fromEntries(load),
+    warnings
+  };
+}
+
+// Generate a session from the library for validated options; favorites are those of
+// userId (none when logged out)
+async function generateWorkout(db, options, { userId = null } = {}) {
+  const rows = await db.getExercises({ excludeConditions: options.excludeConditions });
+  const links = await db.getExerciseLinks(rows.map(row => row.id));
+  const favoriteIds = options.preferFavorites ? await db.getFavoriteIds(userId) : new Set();
+
+  const exercises = rows.map(row => ({ ...serializeExerciseSummary(row), ...links.get(row.id) }));
+
+  return buildWorkout(exercises, options, favoriteIds);
+}
+
+module.exports = { suggestDosage, validateWorkoutRequest, buildWorkout, generateWorkout };
@@ -1,11 +1,29 @@
 // frontend/public/app.js
 
-const API_URL = 'http://localhost:3000/api/exercises';
-const SEARCH_API_URL = 'http://localhost:3000/api/exercises/search';
-const IMAGE_API_URL = 'http://localhost:3000/api/exercise-image';
+// Set by config.js, which the backend generates from API_BASE_URL; empty means the API
+// is on this page's own origin
+const API_BASE_URL = window.API_BASE_URL || '';
 
-let allExercises = [];
+// Without config.js (e.g. the page is hosted away from the backend) every request goes to
+// this page's origin, which is only right when the API is served from here too
+if (window.API_BASE_URL === undefined) {
+    console.warn(`config.js did not set API_BASE_URL: calling the API on ${window.location.origin}`);
+}
+
+const API_URL = `${API_BASE_URL}/api/exercises`;
+const SEARCH_API_URL = `${API_BASE_URL}/api/exercises/search`;
+const HANDOUT_API_URL = `${API_BASE_URL}/api/handout`;
+const PATIENTS_API_URL = `${API_BASE_URL}/api/patients`;
+const IMAGE_MATCHES_API_URL = `${API_BASE_URL}/api/admin/image-matches`;
+const AUTH_API_URL = `${API_BASE_URL}/api/auth`;
+const TAXONOMY_API_URL = `${API_BASE_URL}/api/taxonomy`;
+const WORKOUTS_API_URL = `${API_BASE_URL}/api/workouts`;
+const MEASURES_API_URL = `${API_BASE_URL}/api/measures`;
+
+let allExercises = []; // Exercises currently on screen
+let searchResults = []; // Full result list of the last search, paged locally
 let currentPage = 1;
+let totalPages = 1;
 const ITEMS_PER_PAGE = 10;
 let isSearchMode = false;
 let currentSearchQuery = '';
@@ -20,13 +38,26 @@ async function toggleFavorite(exerciseId, event) {
     // CRITICAL: Capture the button reference BEFORE any async operations
     const starButton = event.currentTarget;
     
+    // Favorites belong to a user account
+    if (!currentUser) {
+        showLoginModal();
+        return;
+    }
+    
     console.log(`=== Frontend: Toggling favorite for exercise ${exerciseId} ===`);
     
     try {
+        // Exercises created offline only exist locally until they sync
+        if (exerciseId < 0) {
+            const updatedExercise = await toggleFavoriteOffline(exerciseId);
+            applyFavoriteState(exerciseId, starButton, updatedExercise.is_favorited);
+            return;
+        }
+        
         // Call backend API to toggle favorite in database
         console.log('Sending PATCH request to:', `${API_URL}/${exerciseId}/favorite`);
         
-        const response = await fetch(`${API_URL}/${exerciseId}/favorite`, {
+        const response = await apiFetch(`${API_URL}/${exerciseId}/favorite`, {
             method: 'PATCH'
         });
         
@@ -48,32 +79,47 @@ async function toggleFavorite(exerciseId, event) {
         const updatedExercise = await response.json();
         console.log('Received updated exercise:', updatedExercise);
         
-        // Update the star icon based on server response
-        updateStarIcon(starButton, updatedExercise.is_favorited);
-        
-        // Update the exercise in our local array
-        const exerciseIndex = allExercises.findIndex(ex => ex.id === exerciseId);
-        if (exerciseIndex !== -1) {
-            allExercises[exerciseIndex].is_favorited = updatedExercise.is_favorited;
-            console.log('Updated local exercise array');
-        }
-        
-        // If we're on the favorites tab, refresh the view
-        if (currentTab === 'favorites') {
-            console.log('Refreshing favorites view');
-            displayFavorites();
-        }
+        await putCachedExercises([updatedExercise]);
+        applyFavoriteState(exerciseId, starButton, updatedExercise.is_favorited);
         
         console.log(`✓ Successfully toggled favorite for exercise ${exerciseId}: ${updatedExercise.is_favorited}`);
         console.log('===========================================\n');
         
     } catch (error) {
+        if (error.offline) {
+            // Server unreachable: star it locally and sync on reconnect
+            try {
+                const updatedExercise = await toggleFavoriteOffline(exerciseId);
+                applyFavoriteState(exerciseId, starButton, updatedExercise.is_favorited);
+                return;
+            } catch (offlineError) {
+                error = offlineError;
+            }
+        }
         console.error('❌ ERROR in toggleFavorite:', error);
         console.error('Error stack:', error.stack);
         alert('Failed to update favorite. Please try again.');
     }
 }
 
+function applyFavoriteState(exerciseId, starButton, isFavorite) {
+    // Update the star icon based on the new state
+    updateStarIcon(starButton, isFavorite);
+    
+    // Update the exercise in our local array
+    const exerciseIndex = allExercises.findIndex(ex => ex.id === exerciseId);
+    if (exerciseIndex !== -1) {
+        allExercises[exerciseIndex].is_favorited = isFavorite;
+        console.log('Updated local exercise array');
+    }
+    
+    // If we're on the favorites tab, refresh the view
+    if (currentTab === 'favorites') {
+        console.log('Refreshing favorites view');
+        displayFavorites();
+    }
+}
+
 function updateStarIcon(starButton, isFavorite) {
     if (!starButton) {
         console.error('Star button is null - cannot update icon');
@@ -85,14 +131,68 @@ function updateStarIcon(starButton, isFavorite) {
 
 // ========== IMAGE FETCHING ==========
 
-async function fetchImage(exerciseName) {
+async function fetchImages(exerciseId) {
+    // Exercises created offline have no server-side images yet
+    if (exerciseId < 0) {
+        return [];
+    }
+
+    try {
+        const response = await authFetch(`${API_URL}/${exerciseId}/images`);
+        if (!response.ok) {
+            return [];
+        }
+        return await response.json();
+    } catch (error) {
+        console.error(`Error fetching images for exercise ${exerciseId}:`, error);
+        return [];
+    }
+}
+
+async function uploadImage(exerciseId, input) {
+    const file = input.files[0];
+    if (!file) {
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('image', file);
+
     try {
-        const response = await fetch(`${IMAGE_API_URL}/${encodeURIComponent(exerciseName)}`);
+        const response = await authFetch(`${API_URL}/${exerciseId}/images`, {
+            method: 'POST',
+            body: formData
+        });
         const data = await response.json();
-        return data.images;
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        showDetailView(currentExercise);
+    } catch (error) {
+        console.error('Error uploading image:', error);
+        alert(`Could not upload photo: ${error.message}`);
+        input.value = '';
+    }
+}
+
+async function deleteImage(exerciseId, imageId) {
+    if (!confirm('Delete this photo?')) {
+        return;
+    }
+
+    try {
+        const response = await authFetch(`${API_URL}/${exerciseId}/images/${imageId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Delete failed');
+        }
+
+        showDetailView(currentExercise);
     } catch (error) {
-        console.error(`Error fetching image for ${exerciseName}:`, error);
-        return null;
+        console.error('Error deleting image:', error);
+        alert(`Could not delete photo: ${error.message}`);
     }
 }
 
@@ -121,66 +221,61 @@ function switchTab(tab) {
             fetchExercises();
         }
     } else if (tab === 'favorites') {
+        if (!currentUser) {
+            showLoginModal();
+            switchTab('all');
+            return;
+        }
         fetchFavorites();
     }
 }
 
 async function fetchFavorites() {
-    const loadingEl = document.getElementById('loading');
-    const errorEl = document.getElementById('error');
-    const exercisesEl = document.getElementById('exercises');
-    
-    try {
-        loadingEl.style.display = 'block';
-        errorEl.style.display = 'none';
-        exercisesEl.innerHTML = '';
-        
-        const response = await fetch(`${API_URL}/favorites`);
-        
-        if (!response.ok) {
-            throw new Error('Failed to fetch favorites');
-        }
-        
-        const favorites = await response.json();
-        allExercises = favorites; // Update allExercises with favorites
-        
-        loadingEl.style.display = 'none';
-        
-        if (favorites.length === 0) {
-            exercisesEl.innerHTML = '<div class="no-results-message">No favorites yet. Click the star icon on exercises to add them to your favorites!</div>';
-            document.getElementById('pagination').style.display = 'none';
-            return;
-        }
-        
-        displayCurrentPage();
-        
-    } catch (error) {
-        console.error('Error fetching favorites:', error);
-        loadingEl.style.display = 'none';
-        errorEl.textContent = `Error: ${error.message}`;
-        errorEl.style.display = 'block';
-    }
+    isSearchMode = false;
+    currentPage = 1;
+    await fetchPage();
 }
 
 function displayFavorites() {
-    // Just call fetchFavorites to get fresh data from backend
-    fetchFavorites();
+    // Re-fetch the current page so an un-starred exercise drops out
+    fetchPage();
 }
 
 // ========== UI HELPERS ==========
 
-function showSuccess(message) {
+let successTimer = null;
+
+// action ({ label, onClick }) adds a button to the message, e.g. "Undo"
+function showSuccess(message, action = null) {
     const el = document.getElementById('successMessage');
     el.textContent = message;
+    
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'success-action';
+        button.textContent = action.label;
+        button.onclick = () => {
+            el.style.display = 'none';
+            action.onClick();
+        };
+        el.appendChild(button);
+    }
+    
     el.style.display = 'block';
-    setTimeout(() => {
+    clearTimeout(successTimer);
+    successTimer = setTimeout(() => {
         el.style.display = 'none';
-    }, 3000);
+    }, action ? 10000 : 3000);
 }
 
 function showListView() {
     document.getElementById('listView').classList.remove('hidden');
     document.getElementById('detailView').classList.remove('active');
+    document.getElementById('logView').classList.remove('active');
+    document.getElementById('progressView').classList.remove('active');
+    document.getElementById('matchView').classList.remove('active');
+    document.getElementById('workoutView').classList.remove('active');
+    document.getElementById('playerView').classList.remove('active');
     window.scrollTo(0, 0);
 }
 
@@ -192,57 +287,89 @@ function showDetailView(exercise) {
     document.getElementById('detailView').classList.add('active');
     
     const detailContent = document.getElementById('detailContent');
+    const safetyHtml = safetyBannerHtml(exercise);
     
     detailContent.innerHTML = `
         <div class="detail-header">
             <h2 class="detail-title">${exercise.name}</h2>
             <div class="detail-actions">
-                <button class="btn btn-primary" onclick="editExercise(${exercise.id})">Edit</button>
-                <button class="btn btn-danger" onclick="confirmDelete(${exercise.id}, '${exercise.name.replace(/'/g, "\\'")}')">Delete</button>
+                ${canEditLibrary() ? `
+                    <button class="btn btn-primary" onclick="editExercise(${exercise.id})">Edit</button>
+                    <button class="btn btn-danger" onclick="confirmDelete(${exercise.id}, '${exercise.name.replace(/'/g, "\\'")}')">Delete</button>
+                ` : ''}
+                <button class="btn btn-secondary" onclick="exportHandout(${exercise.id})">Export handout</button>
+                <button class="btn btn-success" onclick="startPlayer([${exercise.id}], { title: 'Single exercise' })">▶ Play</button>
             </div>
         </div>
+        ${safetyHtml}
         <div style="text-align: center; padding: 40px; color: #667eea;">
             Loading images...
         </div>
     `;
     
-    fetchImage(exercise.name).then(images => {
-        const imagesHtml = images && images.length > 0 
+    fetchImages(exercise.id).then(images => {
+        const imagesHtml = images.length > 0 
             ? `<div class="detail-images">
                 ${images.map(img => `
                     <div class="detail-image">
-                        <img src="${img}" alt="${exercise.name}">
+                        <img src="${escapeHtml(img.url)}" alt="${escapeHtml(exercise.name)}">
+                        ${img.source === 'upload' && canEditLibrary() ? `<button class="image-delete" onclick="deleteImage(${exercise.id}, ${img.id})" title="Delete photo">✕</button>` : ''}
                     </div>
                 `).join('')}
                </div>`
             : '<p style="color: #999;">No images available for this exercise.</p>';
         
+        const uploadHtml = exercise.id > 0 && canEditLibrary()
+            ? `<label class="btn btn-secondary image-upload">
+                   📷 Add photo
+                   <input type="file" accept="image/*" onchange="uploadImage(${exercise.id}, this)">
+               </label>`
+            : '';
+        
         detailContent.innerHTML = `
             <div class="detail-header">
                 <h2 class="detail-title">${exercise.name}</h2>
                 <div class="detail-actions">
-                    <button class="btn btn-primary" onclick="editExercise(${exercise.id})">Edit</button>
-                    <button class="btn btn-danger" onclick="confirmDelete(${exercise.id}, '${exercise.name.replace(/'/g, "\\'")}')">Delete</button>
+                    ${canEditLibrary() ? `
+                        <button class="btn btn-primary" onclick="editExercise(${exercise.id})">Edit</button>
+                        <button class="btn btn-danger" onclick="confirmDelete(${exercise.id}, '${exercise.name.replace(/'/g, "\\'")}')">Delete</button>
+                    ` : ''}
+                    <button class="btn btn-secondary" onclick="exportHandout(${exercise.id})">Export handout</button>
+                    <button class="btn btn-success" onclick="startPlayer([${exercise.id}], { title: 'Single exercise' })">▶ Play</button>
                 </div>
             </div>
             
+            ${safetyHtml}
             ${imagesHtml}
+            ${uploadHtml}
             
             <div class="detail-section">
                 <h3>Exercise Details</h3>
                 <div class="detail-info">
                     <div class="info-item">
                         <div class="info-label">Type</div>
-                        <div class="info-value"><span class="tag">${exercise.type || 'N/A'}</span></div>
+                        <div class="info-value"><span class="tag">${exercise.type ? escapeHtml(taxonomyLabel('types', exercise.type)) : 'N/A'}</span></div>
                     </div>
                     <div class="info-item">
                         <div class="info-label">Muscle Group</div>
-                        <div class="info-value">${exercise.muscle || 'N/A'}</div>
+                        <div class="info-value">${exercise.muscle ? escapeHtml(taxonomyLabel('muscles', exercise.muscle)) : 'N/A'}</div>
                     </div>
+                    ${exercise.secondary_muscles?.length ? `
+                        <div class="info-item">
+                            <div class="info-label">Also Works</div>
+                            <div class="info-value">${exercise.secondary_muscles.map(slug => escapeHtml(taxonomyLabel('muscles', slug))).join(', ')}</div>
+                        </div>
+                    ` : ''}
                     <div class="info-item">
                         <div class="info-label">Equipment</div>
-                        <div class="info-value">${exercise.equipment || 'None'}</div>
+                        <div class="info-value">${exercise.equipment ? escapeHtml(taxonomyLabel('equipment', exercise.equipment)) : 'None'}</div>
                     </div>
+                    ${exercise.additional_equipment?.length ? `
+                        <div class="info-item">
+                            <div class="info-label">Also Needs</div>
+                            <div class="info-value">${exercise.additional_equipment.map(slug => escapeHtml(taxonomyLabel('equipment', slug))).join(', ')}</div>
+                        </div>
+                    ` : ''}
                     <div class="info-item">
                         <div class="info-label">Difficulty</div>
                         <div class="info-value">
@@ -258,179 +385,2210 @@ function showDetailView(exercise) {
                     <p class="instructions-text">${exercise.instructions}</p>
                 </div>
             ` : ''}
+            
+            ${exercise.id > 0 ? `
+                <div class="detail-section">
+                    <h3>Related Exercises</h3>
+                    <div id="relationsContent">Loading related exercises...</div>
+                </div>
+                
+                <div class="detail-section">
+                    <h3>Similar Exercises</h3>
+                    <div class="similar-filters">
+                        <label>
+                            <input type="checkbox" id="similarNoEquipment" onchange="loadSimilarExercises(${exercise.id})">
+                            No equipment
+                        </label>
+                        <select id="similarDifficulty" onchange="loadSimilarExercises(${exercise.id})">
+                            ${Object.entries(SIMILAR_DIFFICULTIES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div id="similarContent">Finding similar exercises...</div>
+                </div>
+            ` : ''}
+            
+            ${exercise.id > 0 && canEditLibrary() ? `
+                <div class="detail-section">
+                    <h3>History</h3>
+                    <div id="historyContent">Loading history...</div>
+                </div>
+            ` : ''}
         `;
+        
+        if (exercise.id > 0) {
+            loadExerciseRelations(exercise.id);
+            loadSimilarExercises(exercise.id);
+        }
+        if (exercise.id > 0 && canEditLibrary()) {
+            loadExerciseHistory(exercise.id);
+        }
     });
     
     window.scrollTo(0, 0);
 }
 
-// ========== MODAL OPERATIONS ==========
+// Warnings for the conditions an exercise is contraindicated or needs care for
+function safetyBannerHtml(exercise) {
+    const labels = slugs => slugs.map(slug => escapeHtml(taxonomyLabel('conditions', slug))).join(', ');
+    
+    return `
+        ${exercise.contraindications?.length ? `
+            <div class="safety-banner contraindicated">
+                ⛔ <strong>Contraindicated for:</strong> ${labels(exercise.contraindications)}
+            </div>
+        ` : ''}
+        ${exercise.precautions?.length ? `
+            <div class="safety-banner precaution">
+                ⚠️ <strong>Use with caution for:</strong> ${labels(exercise.precautions)}
+            </div>
+        ` : ''}
+    `;
+}
 
-function showCreateModal() {
-    document.getElementById('modalTitle').textContent = 'Add New Exercise';
-    document.getElementById('exerciseForm').reset();
-    document.getElementById('exerciseId').value = '';
-    document.getElementById('exerciseModal').classList.add('active');
+// ========== EXERCISE HISTORY ==========
+
+const HISTORY_ACTIONS = {
+    create: 'Created',
+    update: 'Edited',
+    delete: 'Deleted',
+    undelete: 'Undeleted',
+    restore: 'Restored an earlier version',
+    favorite: 'Changed favorite'
+};
+
+function describeHistoryEntry(entry) {
+    if (entry.action === 'favorite') {
+        return entry.after.is_favorited ? 'Starred' : 'Unstarred';
+    }
+    if (entry.changed_fields.length > 0) {
+        return `${HISTORY_ACTIONS[entry.action]}: ${entry.changed_fields.join(', ')}`;
+    }
+    return HISTORY_ACTIONS[entry.action] || entry.action;
 }
 
-async function editExercise(id) {
+async function loadExerciseHistory(exerciseId) {
+    const historyContent = document.getElementById('historyContent');
+    
     try {
-        const response = await fetch(`${API_URL}/${id}`);
-        const exercise = await response.json();
+        const response = await authFetch(`${API_URL}/${exerciseId}/history`);
+        if (!response.ok) {
+            throw new Error('Failed to fetch history');
+        }
         
-        document.getElementById('modalTitle').textContent = 'Edit Exercise';
-        document.getElementById('exerciseId').value = exercise.id;
-        document.getElementById('exerciseName').value = exercise.name;
-        document.getElementById('exerciseType').value = exercise.type;
-        document.getElementById('exerciseMuscle').value = exercise.muscle;
-        document.getElementById('exerciseEquipment').value = exercise.equipment;
-        document.getElementById('exerciseDifficulty').value = exercise.difficulty;
-        document.getElementById('exerciseInstructions').value = exercise.instructions;
+        const history = await response.json();
+        
+        const versions = history.filter(entry => entry.action !== 'favorite');
+        // The newest version-producing entry is the current version: nothing to restore
+        const current = versions.find(entry => entry.after);
+        // Exercises older than the history only have their original in the first edit's "before"
+        const oldest = versions[versions.length - 1];
+        const original = oldest && oldest.action === 'update' ? oldest : null;
+        
+        if (history.length === 0) {
+            historyContent.innerHTML = '<p style="color: #999;">No changes recorded yet.</p>';
+            return;
+        }
+        
+        historyContent.innerHTML = `
+            <ul class="history-list">
+                ${history.map(entry => `
+                    <li class="history-entry">
+                        <div>
+                            <strong>${escapeHtml(describeHistoryEntry(entry))}</strong>
+                            <div class="history-meta">
+                                ${escapeHtml(entry.actor_name || 'System')} · ${new Date(entry.created_timestamp + 'Z').toLocaleString()}
+                            </div>
+                        </div>
+                        ${entry.after && entry.action !== 'favorite' && entry !== current ? `
+                            <button class="btn btn-secondary" onclick="restoreExerciseVersion(${exerciseId}, ${entry.id})">Restore this version</button>
+                        ` : ''}
+                        ${entry === original ? `
+                            <button class="btn btn-secondary" onclick="restoreExerciseVersion(${exerciseId}, ${entry.id}, 'before')">Restore original</button>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
         
-        document.getElementById('exerciseModal').classList.add('active');
     } catch (error) {
-        alert('Error loading exercise: ' + error.message);
+        historyContent.innerHTML = `<p style="color: #999;">Error: ${escapeHtml(error.message)}</p>`;
     }
 }
 
-async function saveExercise(event) {
-    event.preventDefault();
-    
-    const id = document.getElementById('exerciseId').value;
-    const data = {
-        name: document.getElementById('exerciseName').value,
-        type: document.getElementById('exerciseType').value,
-        muscle: document.getElementById('exerciseMuscle').value,
-        equipment: document.getElementById('exerciseEquipment').value,
-        difficulty: document.getElementById('exerciseDifficulty').value,
-        instructions: document.getElementById('exerciseInstructions').value
-    };
+async function restoreExerciseVersion(exerciseId, auditId, version = 'after') {
+    if (!confirm('Restore this version of the exercise? The current version stays in the history.')) {
+        return;
+    }
     
     try {
-        const url = id ? `${API_URL}/${id}` : API_URL;
-        const method = id ? 'PUT' : 'POST';
-        
-        const response = await fetch(url, {
-            method,
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(data)
+        const response = await authFetch(`${API_URL}/${exerciseId}/history/${auditId}/restore?version=${version}`, {
+            method: 'POST'
         });
         
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to save exercise');
+            throw new Error(error.error || 'Failed to restore version');
         }
         
-        closeModal();
-        showSuccess(id ? 'Exercise updated successfully!' : 'Exercise created successfully!');
+        const exercise = await response.json();
+        await putCachedExercises([exercise]);
         
-        // Refresh the list based on current tab
-        if (currentTab === 'favorites') {
-            fetchFavorites();
-        } else {
-            fetchExercises();
-        }
+        showSuccess('Earlier version restored');
+        showDetailView(exercise);
         
     } catch (error) {
-        alert('Error saving exercise: ' + error.message);
+        alert('Error restoring version: ' + error.message);
     }
 }
 
-function confirmDelete(id, name) {
-    if (confirm(`Are you sure you want to delete "${name}"? This cannot be undone.`)) {
-        deleteExercise(id);
-    }
+// ========== RELATED EXERCISES ==========
+
+// Choices for relating another exercise, phrased as what it is to the one on screen
+const RELATION_CHOICES = {
+    regression: 'Easier',
+    progression: 'Harder',
+    alternative: 'Alternative',
+    variation: 'Variation'
+};
+
+let relatedSuggestions = []; // Search results behind the "related exercise" suggestions
+let suggestTimer = null;
+
+function relatedExerciseItem(exerciseId, item) {
+    return `
+        <li class="related-item">
+            <button class="related-link" onclick="openRelatedExercise(${item.id})">
+                ${escapeHtml(item.name)}
+                ${item.relation === 'variation' ? '<span class="related-tag">Variation</span>' : ''}
+                ${item.difficulty ? `<span class="difficulty ${item.difficulty.toLowerCase()}">${escapeHtml(item.difficulty)}</span>` : ''}
+            </button>
+            ${item.notes ? `<div class="history-meta">${escapeHtml(item.notes)}</div>` : ''}
+            ${canEditLibrary() ? `<button class="related-remove" onclick="removeExerciseRelation(${exerciseId}, ${item.relation_id})" title="Remove link">✕</button>` : ''}
+        </li>
+    `;
 }
 
-async function deleteExercise(id) {
+async function loadExerciseRelations(exerciseId) {
+    const relationsContent = document.getElementById('relationsContent');
+    
     try {
-        const response = await fetch(`${API_URL}/${id}`, {
-            method: 'DELETE'
-        });
-        
+        const response = await apiFetch(`${API_URL}/${exerciseId}/relations`);
         if (!response.ok) {
-            throw new Error('Failed to delete exercise');
+            throw new Error('Failed to fetch related exercises');
         }
         
-        showSuccess('Exercise deleted successfully!');
-        showListView();
+        const relations = await response.json();
+        const groups = [
+            ['Easier', relations.easier],
+            ['Harder', relations.harder],
+            ['Alternatives', [...relations.alternatives, ...relations.variations]]
+        ].filter(([, items]) => items.length > 0);
         
-        // Refresh based on current tab
-        if (currentTab === 'favorites') {
-            fetchFavorites();
-        } else {
-            fetchExercises();
-        }
+        const groupsHtml = groups.length > 0
+            ? `<div class="related-groups">
+                ${groups.map(([title, items]) => `
+                    <div class="related-group">
+                        <h4>${title}</h4>
+                        <ul class="related-list">
+                            ${items.map(item => relatedExerciseItem(exerciseId, item)).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+               </div>`
+            : '<p style="color: #999;">No related exercises yet.</p>';
+        
+        const formHtml = canEditLibrary() ? `
+            <form class="related-form" onsubmit="addExerciseRelation(event, ${exerciseId})">
+                <select id="relationType">
+                    ${Object.entries(RELATION_CHOICES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+                <input type="text" id="relatedExerciseName" list="relatedExerciseOptions" placeholder="Exercise name"
+                       autocomplete="off" oninput="suggestRelatedExercises(this.value, ${exerciseId})" required>
+                <datalist id="relatedExerciseOptions"></datalist>
+                <button type="submit" class="btn btn-secondary">Link exercise</button>
+            </form>
+        ` : '';
+        
+        relationsContent.innerHTML = groupsHtml + formHtml;
         
     } catch (error) {
-        alert('Error deleting exercise: ' + error.message);
+        relationsContent.innerHTML = error.offline
+            ? '<p style="color: #999;">Related exercises are not available offline.</p>'
+            : `<p style="color: #999;">Error: ${escapeHtml(error.message)}</p>`;
     }
 }
 
-function closeModal() {
-    document.getElementById('exerciseModal').classList.remove('active');
+async function openRelatedExercise(id) {
+    try {
+        showDetailView(await fetchExerciseById(id));
+    } catch (error) {
+        alert(`Could not open exercise: ${error.message}`);
+    }
 }
 
-// ========== LIST DISPLAY ==========
+// Offer library exercises matching what has been typed so far
+function suggestRelatedExercises(query, exerciseId) {
+    clearTimeout(suggestTimer);
+    if (query.trim().length < 2) {
+        return;
+    }
+    
+    suggestTimer = setTimeout(async () => {
+        try {
+            relatedSuggestions = (await loadSearchResults(query.trim()))
+                .filter(exercise => exercise.id > 0 && exercise.id !== exerciseId)
+                .slice(0, 20);
+            document.getElementById('relatedExerciseOptions').innerHTML = relatedSuggestions
+                .map(exercise => `<option value="${escapeHtml(exercise.name)}"></option>`)
+                .join('');
+        } catch (error) {
+            console.error('Error suggesting exercises:', error);
+        }
+    }, 250);
+}
 
-function displayExercises(exercises) {
-    const exercisesEl = document.getElementById('exercises');
-    exercisesEl.innerHTML = '';
+async function addExerciseRelation(event, exerciseId) {
+    event.preventDefault();
     
-    if (exercises.length === 0) {
-        exercisesEl.innerHTML = '<div class="no-results-message">No exercises found. Try a different search.</div>';
+    const name = document.getElementById('relatedExerciseName').value.trim();
+    const related = relatedSuggestions.find(exercise => exercise.name.toLowerCase() === name.toLowerCase());
+    if (!related) {
+        alert('Pick an exercise from the suggestions');
         return;
     }
     
-    exercises.forEach(async (exercise) => {
-        const card = document.createElement('div');
-        card.className = 'exercise-card';
+    try {
+        const response = await authFetch(`${API_URL}/${exerciseId}/relations`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                related_exercise_id: related.id,
+                relation: document.getElementById('relationType').value
+            })
+        });
+        const data = await response.json();
         
-        const isFavorite = exercise.is_favorited;
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to link exercise');
+        }
         
-        card.innerHTML = `
-            <button class="star-button ${isFavorite ? 'favorited' : ''}" onclick="toggleFavorite(${exercise.id}, event)">
-                ${isFavorite ? '★' : '☆'}
-            </button>
-            <div class="card-content" onclick="showDetailView(${JSON.stringify(exercise).replace(/"/g, '&quot;')})">
-                <div class="image-placeholder">💪</div>
-                <div class="exercise-card-title">${exercise.name || 'Unnamed Exercise'}</div>
-            </div>
-        `;
+        relatedSuggestions = [];
+        showSuccess(`Linked ${related.name}`);
+        loadExerciseRelations(exerciseId);
         
-        exercisesEl.appendChild(card);
+    } catch (error) {
+        alert('Error linking exercise: ' + error.message);
+    }
+}
+
+async function removeExerciseRelation(exerciseId, relationId) {
+    if (!confirm('Remove this link between the exercises?')) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${API_URL}/${exerciseId}/relations/${relationId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Failed to remove link');
+        }
         
-        const images = await fetchImage(exercise.name);
-        const placeholder = card.querySelector('.image-placeholder');
+        loadExerciseRelations(exerciseId);
         
-        if (images && images.length > 0) {
-            placeholder.innerHTML = `<img src="${images[0]}" alt="${exercise.name}">`;
-            placeholder.className = 'exercise-image-container';
-        }
-    });
+    } catch (error) {
+        alert('Error removing link: ' + error.message);
+    }
 }
 
-// ========== PAGINATION ==========
+// ========== SIMILAR EXERCISES ==========
 
-function updatePagination() {
-    const totalPages = Math.ceil(allExercises.length / ITEMS_PER_PAGE);
-    document.getElementById('currentPage').textContent = currentPage;
-    document.getElementById('totalPages').textContent = totalPages;
-    document.getElementById('prevBtn').disabled = currentPage === 1;
+const SIMILAR_DIFFICULTIES = {
+    '': 'Any difficulty',
+    easier: 'Easier only',
+    not_harder: 'Same or easier',
+    harder: 'Harder only'
+};
+
+// What a suggestion has in common with the exercise on screen
+const SIMILAR_MATCHES = {
+    muscle: 'same muscle',
+    type: 'same type',
+    equipment: 'same equipment'
+};
+
+// Substitutes for an exercise, honouring the detail view's filters and the list's
+// "Exclude unsafe for" conditions
+async function loadSimilarExercises(exerciseId) {
+    const similarContent = document.getElementById('similarContent');
+    
+    const params = new URLSearchParams({ limit: 8 });
+    if (document.getElementById('similarNoEquipment').checked) {
+        params.set('no_equipment', 'true');
+    }
+    const difficulty = document.getElementById('similarDifficulty').value;
+    if (difficulty) {
+        params.set('difficulty', difficulty);
+    }
+    const excluded = getExcludedConditions();
+    if (excluded.length > 0) {
+        params.set('exclude_conditions', excluded.join(','));
+    }
+    
+    try {
+        const response = await apiFetch(`${API_URL}/${exerciseId}/similar?${params}`);
+        if (!response.ok) {
+            throw new Error('Failed to find similar exercises');
+        }
+        
+        const similar = await response.json();
+        if (similar.length === 0) {
+            similarContent.innerHTML = '<p style="color: #999;">No similar exercises match these filters.</p>';
+            return;
+        }
+        
+        similarContent.innerHTML = `
+            <ul class="related-list">
+                ${similar.map(item => {
+                    const shared = Object.entries(SIMILAR_MATCHES)
+                        .filter(([part]) => item.match[part] === 1)
+                        .map(([, text]) => text);
+                    return `
+                        <li class="related-item">
+                            <button class="related-link" onclick="openRelatedExercise(${item.id})">
+                                ${escapeHtml(item.name)}
+                                ${item.difficulty ? `<span class="difficulty ${item.difficulty.toLowerCase()}">${escapeHtml(item.difficulty)}</span>` : ''}
+                            </button>
+                            <span class="similar-score">${Math.round(item.similarity * 100)}% match</span>
+                            ${shared.length > 0 ? `<div class="history-meta">${shared.join(' · ')}</div>` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+        
+    } catch (error) {
+        similarContent.innerHTML = error.offline
+            ? '<p style="color: #999;">Similar exercises are not available offline.</p>'
+            : `<p style="color: #999;">Error: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// ========== HANDOUT EXPORT ==========
+
+function exportHandout(exerciseId) {
+    // The backend renders the PDF; open it in a new tab so it can be printed or saved
+    window.open(`${HANDOUT_API_URL}?ids=${exerciseId}&format=pdf`, '_blank');
+}
+
+// ========== SESSION LOG ==========
+
+let logPrograms = [];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Safe in text and in quoted attribute values alike
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function todayString() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function programLogUrl(path = '') {
+    const patientId = document.getElementById('logPatient').value;
+    const programId = document.getElementById('logProgram').value;
+    return `${PATIENTS_API_URL}/${patientId}/programs/${programId}${path}`;
+}
+
+async function showLogView() {
+    document.getElementById('listView').classList.add('hidden');
+    document.getElementById('detailView').classList.remove('active');
+    document.getElementById('logView').classList.add('active');
+    window.scrollTo(0, 0);
+    
+    const patientSelect = document.getElementById('logPatient');
+    const logContent = document.getElementById('logContent');
+    
+    try {
+        const response = await authFetch(PATIENTS_API_URL);
+        if (!response.ok) {
+            throw new Error('Failed to fetch patients');
+        }
+        
+        const patients = await response.json();
+        
+        if (patients.length === 0) {
+            patientSelect.innerHTML = '<option value="">No patients yet</option>';
+            document.getElementById('logProgram').innerHTML = '';
+            logContent.innerHTML = '<div class="no-results-message">Add a patient and assign a program to start logging sessions.</div>';
+            return;
+        }
+        
+        patientSelect.innerHTML = patients.map(patient => `
+            <option value="${patient.id}">${escapeHtml(patient.last_name)}, ${escapeHtml(patient.first_name)}</option>
+        `).join('');
+        
+        loadPatientPrograms();
+        
+    } catch (error) {
+        logContent.innerHTML = `<div class="no-results-message">Error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function loadPatientPrograms() {
+    const patientId = document.getElementById('logPatient').value;
+    const programSelect = document.getElementById('logProgram');
+    const logContent = document.getElementById('logContent');
+    
+    try {
+        const response = await authFetch(`${PATIENTS_API_URL}/${patientId}/programs`);
+        if (!response.ok) {
+            throw new Error('Failed to fetch programs');
+        }
+        
+        logPrograms = await response.json();
+        
+        if (logPrograms.length === 0) {
+            programSelect.innerHTML = '<option value="">No programs assigned</option>';
+            logContent.innerHTML = '<div class="no-results-message">This patient has no programs yet.</div>';
+            return;
+        }
+        
+        programSelect.innerHTML = logPrograms.map(program => `
+            <option value="${program.id}">${escapeHtml(program.name)}</option>
+        `).join('');
+        
+        loadProgramLog();
+        
+    } catch (error) {
+        logContent.innerHTML = `<div class="no-results-message">Error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function loadProgramLog() {
+    const programId = Number(document.getElementById('logProgram').value);
+    const program = logPrograms.find(p => p.id === programId);
+    const logContent = document.getElementById('logContent');
+    
+    if (!program) {
+        return;
+    }
+    
+    try {
+        const [logsResponse, adherenceResponse] = await Promise.all([
+            authFetch(programLogUrl('/logs')),
+            authFetch(programLogUrl('/adherence'))
+        ]);
+        
+        if (!logsResponse.ok || !adherenceResponse.ok) {
+            throw new Error('Failed to fetch session log');
+        }
+        
+        const logs = await logsResponse.json();
+        const adherence = await adherenceResponse.json();
+        
+        logContent.innerHTML = `
+            ${program.exercises.length > 0 ? `
+                <div class="form-actions">
+                    <button class="btn btn-success" onclick="startProgramPlayer()">▶ Start Session</button>
+                </div>
+            ` : ''}
+            
+            <div class="detail-section">
+                <h3>Record a Session</h3>
+                <form class="log-form" onsubmit="saveSessionLog(event)">
+                    <div class="form-group">
+                        <label for="logExercise">Exercise</label>
+                        <select id="logExercise" required>
+                            ${program.exercises.map(ex => `<option value="${ex.exercise_id}">${escapeHtml(ex.name)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="logDate">Date</label>
+                        <input type="date" id="logDate" value="${todayString()}" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="logPain">Pain (0–10)</label>
+                        <input type="number" id="logPain" min="0" max="10">
+                    </div>
+                    <div class="form-group">
+                        <label for="logSets">Sets completed</label>
+                        <input type="number" id="logSets" min="0">
+                    </div>
+                    <div class="form-group">
+                        <label for="logReps">Reps completed</label>
+                        <input type="number" id="logReps" min="0">
+                    </div>
+                    <div class="form-group wide">
+                        <label for="logComment">Comment</label>
+                        <textarea id="logComment"></textarea>
+                    </div>
+                    <div class="form-actions wide">
+                        <button type="submit" class="btn btn-success">Save Entry</button>
+                    </div>
+                </form>
+            </div>
+            
+            <div class="detail-section">
+                <h3>Adherence</h3>
+                <p>${adherence.completed} of ${adherence.prescribed} prescribed sessions completed${adherence.adherence !== null ? ` (${Math.round(adherence.adherence * 100)}%)` : ''}</p>
+                <table class="log-table">
+                    <thead><tr><th>Week of</th><th>Completed</th><th>Prescribed</th><th>Adherence</th></tr></thead>
+                    <tbody>
+                        ${adherence.weeks.map(week => `
+                            <tr>
+                                <td>${week.week_start}</td>
+                                <td>${week.completed}</td>
+                                <td>${week.prescribed}</td>
+                                <td>${week.adherence !== null ? Math.round(week.adherence * 100) + '%' : '–'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            
+            <div class="detail-section">
+                <h3>History</h3>
+                ${logs.length === 0 ? '<p style="color: #999;">No sessions logged yet.</p>' : `
+                    <table class="log-table">
+                        <thead><tr><th>Date</th><th>Exercise</th><th>Sets</th><th>Reps</th><th>Pain</th><th>Comment</th><th></th></tr></thead>
+                        <tbody>
+                            ${logs.map(log => `
+                                <tr>
+                                    <td>${log.session_date}</td>
+                                    <td>${escapeHtml(log.exercise_name)}</td>
+                                    <td>${log.sets_completed ?? '–'}</td>
+                                    <td>${log.reps_completed ?? '–'}</td>
+                                    <td>${log.pain_score ?? '–'}</td>
+                                    <td>${escapeHtml(log.comment)}</td>
+                                    <td><button class="btn btn-danger" onclick="deleteSessionLog(${log.id})">Delete</button></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+        `;
+        
+    } catch (error) {
+        logContent.innerHTML = `<div class="no-results-message">Error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function optionalNumber(id) {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : Number(value);
+}
+
+async function saveSessionLog(event) {
+    event.preventDefault();
+    
+    const data = {
+        exercise_id: Number(document.getElementById('logExercise').value),
+        session_date: document.getElementById('logDate').value,
+        sets_completed: optionalNumber('logSets'),
+        reps_completed: optionalNumber('logReps'),
+        pain_score: optionalNumber('logPain'),
+        comment: document.getElementById('logComment').value || null
+    };
+    
+    try {
+        const response = await authFetch(programLogUrl('/logs'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save session');
+        }
+        
+        loadProgramLog();
+        
+    } catch (error) {
+        alert('Error saving session: ' + error.message);
+    }
+}
+
+async function deleteSessionLog(logId) {
+    if (!confirm('Delete this session entry?')) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch(programLogUrl(`/logs/${logId}`), {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to delete session');
+        }
+        
+        loadProgramLog();
+        
+    } catch (error) {
+        alert('Error deleting session: ' + error.message);
+    }
+}
+
+// ========== PROGRESS ==========
+
+let progressMeasures = []; // Active measures of the catalog
+
+const MEASURE_CATEGORY_LABELS = {
+    range_of_motion: 'Range of Motion',
+    strength: 'Strength',
+    pain: 'Pain',
+    questionnaire: 'Questionnaires',
+    other: 'Other'
+};
+
+const TREND_LABELS = {
+    improving: '▲ Improving',
+    worsening: '▼ Worsening',
+    unchanged: '→ Unchanged'
+};
+
+// Trend chart geometry (SVG user units)
+const CHART_WIDTH = 640;
+const CHART_PLOT_HEIGHT = 160;
+const CHART_MARGIN = { top: 12, right: 16, bottom: 24, left: 44 };
+const CHART_LANE_HEIGHT = 16;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dateValue(dateString) {
+    return Date.parse(`${dateString}T00:00:00Z`);
+}
+
+// "95°", "52/80", "40%" but "30 kg"
+function formatMeasureValue(value, unit) {
+    if (!unit) {
+        return String(value);
+    }
+    return /^[a-z]/i.test(unit) ? `${value} ${unit}` : `${value}${unit}`;
+}
+
+function seriesTitle(series) {
+    return series.side
+        ? `${series.measure.label} (${series.side})`
+        : series.measure.label;
+}
+
+// Exercises prescribed on a date, as names
+function prescribedOn(prescriptions, date) {
+    return prescriptions
+        .filter(p => p.started_on <= date && (!p.ended_on || p.ended_on >= date))
+        .map(p => p.name);
+}
+
+async function showProgressView() {
+    document.getElementById('listView').classList.add('hidden');
+    document.getElementById('detailView').classList.remove('active');
+    document.getElementById('progressView').classList.add('active');
+    window.scrollTo(0, 0);
+    
+    const patientSelect = document.getElementById('progressPatient');
+    const measureSelect = document.getElementById('progressMeasure');
+    const progressContent = document.getElementById('progressContent');
+    
+    try {
+        const [patientsResponse, measuresResponse] = await Promise.all([
+            authFetch(PATIENTS_API_URL),
+            authFetch(MEASURES_API_URL)
+        ]);
+        if (!patientsResponse.ok || !measuresResponse.ok) {
+            throw new Error('Failed to fetch patients');
+        }
+        
+        const patients = await patientsResponse.json();
+        progressMeasures = await measuresResponse.json();
+        
+        measureSelect.innerHTML = `<option value="">All measures</option>${measureOptionsHtml()}`;
+        
+        if (patients.length === 0) {
+            patientSelect.innerHTML = '<option value="">No patients yet</option>';
+            progressContent.innerHTML = '<div class="no-results-message">Add a patient to start tracking outcome measures.</div>';
+            return;
+        }
+        
+        patientSelect.innerHTML = patients.map(patient => `
+            <option value="${patient.id}">${escapeHtml(patient.last_name)}, ${escapeHtml(patient.first_name)}</option>
+        `).join('');
+        
+        loadProgress();
+        
+    } catch (error) {
+        progressContent.innerHTML = `<div class="no-results-message">Error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Measure <option>s grouped by category
+function measureOptionsHtml() {
+    return Object.entries(MEASURE_CATEGORY_LABELS).map(([category, label]) => {
+        const measures = progressMeasures.filter(measure => measure.category === category);
+        return measures.length === 0 ? '' : `
+            <optgroup label="${label}">
+                ${measures.map(measure => `<option value="${measure.slug}">${escapeHtml(measure.label)}</option>`).join('')}
+            </optgroup>
+        `;
+    }).join('');
+}
+
+async function loadProgress() {
+    const patientId = document.getElementById('progressPatient').value;
+    const measure = document.getElementById('progressMeasure').value;
+    const progressContent = document.getElementById('progressContent');
+    
+    if (!patientId) {
+        return;
+    }
+    
+    try {
+        const query = measure ? `?measure=${encodeURIComponent(measure)}` : '';
+        const [trendsResponse, measurementsResponse] = await Promise.all([
+            authFetch(`${PATIENTS_API_URL}/${patientId}/measurements/trends${query}`),
+            authFetch(`${PATIENTS_API_URL}/${patientId}/measurements${query}`)
+        ]);
+        
+        if (!trendsResponse.ok || !measurementsResponse.ok) {
+            throw new Error('Failed to fetch measurements');
+        }
+        
+        const trends = await trendsResponse.json();
+        const measurements = await measurementsResponse.json();
+        
+        progressContent.innerHTML = `
+            ${canEditLibrary() ? `
+                <div class="detail-section">
+                    <h3>Record a Measurement</h3>
+                    <form class="log-form" onsubmit="saveMeasurement(event)">
+                        <div class="form-group">
+                            <label for="measurementMeasure">Measure</label>
+                            <select id="measurementMeasure" onchange="updateMeasurementSide()" required>
+                                ${measureOptionsHtml()}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="measurementDate">Date</label>
+                            <input type="date" id="measurementDate" value="${todayString()}" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="measurementValue" id="measurementValueLabel">Value</label>
+                            <input type="number" id="measurementValue" step="any" required>
+                        </div>
+                        <div class="form-group" id="measurementSideGroup">
+                            <label for="measurementSide">Side</label>
+                            <select id="measurementSide">
+                                <option value="left">Left</option>
+                                <option value="right">Right</option>
+                            </select>
+                        </div>
+                        <div class="form-group wide">
+                            <label for="measurementNotes">Notes</label>
+                            <textarea id="measurementNotes"></textarea>
+                        </div>
+                        <div class="form-actions wide">
+                            <button type="submit" class="btn btn-success">Save Measurement</button>
+                        </div>
+                    </form>
+                </div>
+            ` : ''}
+            
+            ${trends.series.length === 0
+                ? '<div class="no-results-message">No measurements recorded yet.</div>'
+                : trends.series.map(series => trendSectionHtml(series, trends)).join('')}
+            
+            ${measurements.length > 0 ? `
+                <div class="detail-section">
+                    <h3>All Measurements</h3>
+                    <table class="log-table">
+                        <thead><tr><th>Date</th><th>Measure</th><th>Side</th><th>Value</th><th>Notes</th>${canEditLibrary() ? '<th></th>' : ''}</tr></thead>
+                        <tbody>
+                            ${measurements.slice().reverse().map(m => `
+                                <tr>
+                                    <td>${m.measured_on}</td>
+                                    <td>${escapeHtml(m.measure_label)}</td>
+                                    <td>${m.side ?? '–'}</td>
+                                    <td>${escapeHtml(formatMeasureValue(m.value, m.unit))}</td>
+                                    <td>${escapeHtml(m.notes)}</td>
+                                    ${canEditLibrary() ? `<td><button class="btn btn-danger" onclick="deleteMeasurement(${m.id})">Delete</button></td>` : ''}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `;
+        
+        if (canEditLibrary()) {
+            if (measure) {
+                document.getElementById('measurementMeasure').value = measure;
+            }
+            updateMeasurementSide();
+        }
+        
+    } catch (error) {
+        progressContent.innerHTML = `<div class="no-results-message">Error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// One measure's chart with its change summary
+function trendSectionHtml(series, trends) {
+    const { measure } = series;
+    const change = series.change > 0 ? `+${series.change}` : String(series.change);
+    
+    return `
+        <div class="detail-section">
+            <h3>${escapeHtml(seriesTitle(series))}</h3>
+            <p class="trend-summary">
+                ${escapeHtml(formatMeasureValue(series.first, measure.unit))} → ${escapeHtml(formatMeasureValue(series.latest, measure.unit))}
+                ${series.trend ? `
+                    (${escapeHtml(change)})
+                    <span class="trend-tag ${series.trend}">${TREND_LABELS[series.trend]}</span>
+                ` : ''}
+                ${series.meaningful === true ? `<span class="trend-tag meaningful">Beyond MCID (${measure.mcid})</span>` : ''}
+                ${series.meaningful === false ? `<span class="form-hint">Within MCID (${measure.mcid})</span>` : ''}
+            </p>
+            ${trendChartSvg(series, trends.series, trends.prescriptions)}
+        </div>
+    `;
+}
+
+// Line chart of one series, with a lane per prescribed exercise underneath showing when
+// it was in the patient's programs. Every chart shares the date axis of allSeries.
+function trendChartSvg(series, allSeries, prescriptions) {
+    const { measure, points } = series;
+    const dates = allSeries.flatMap(s => s.points.map(point => dateValue(point.measured_on)));
+    let start = Math.min(...dates);
+    let end = Math.max(...dates);
+    if (start === end) {
+        start -= 7 * DAY_MS;
+        end += 7 * DAY_MS;
+    }
+    
+    // The measure's own range when it has one, else the data's with some headroom
+    const values = points.map(point => point.value);
+    let low = measure.min_value ?? Math.min(...values);
+    let high = measure.max_value ?? Math.max(...values);
+    if (measure.min_value === null || measure.max_value === null) {
+        const pad = (high - low) * 0.1 || 1;
+        low = measure.min_value ?? low - pad;
+        high = measure.max_value ?? high + pad;
+    }
+    
+    const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+    const x = date => CHART_MARGIN.left + ((dateValue(date) - start) / (end - start)) * plotWidth;
+    const y = value => CHART_MARGIN.top + (1 - (value - low) / (high - low)) * CHART_PLOT_HEIGHT;
+    const clampX = date => Math.min(Math.max(x(date), CHART_MARGIN.left), CHART_MARGIN.left + plotWidth);
+    
+    // One lane per prescribed exercise and program, holding each period it was prescribed
+    const lanes = [];
+    for (const period of prescriptions) {
+        let lane = lanes.find(l => l.exercise_id === period.exercise_id && l.program_id === period.program_id);
+        if (!lane) {
+            lane = { exercise_id: period.exercise_id, program_id: period.program_id, name: period.name, periods: [] };
+            lanes.push(lane);
+        }
+        lane.periods.push(period);
+    }
+    
+    const axisY = CHART_MARGIN.top + CHART_PLOT_HEIGHT;
+    const lanesTop = axisY + CHART_MARGIN.bottom;
+    const height = lanesTop + lanes.length * CHART_LANE_HEIGHT + 4;
+    const endDate = new Date(end).toISOString().slice(0, 10);
+    
+    const gridlines = [low, (low + high) / 2, high].map(value => `
+        <line class="chart-grid" x1="${CHART_MARGIN.left}" x2="${CHART_MARGIN.left + plotWidth}" y1="${y(value)}" y2="${y(value)}"></line>
+        <text class="chart-label" x="${CHART_MARGIN.left - 6}" y="${y(value) + 4}" text-anchor="end">${Math.round(value * 10) / 10}</text>
+    `).join('');
+    
+    const laneBars = lanes.map((lane, index) => {
+        const top = lanesTop + index * CHART_LANE_HEIGHT;
+        const bars = lane.periods.map(period => {
+            const left = clampX(period.started_on);
+            const right = clampX(period.ended_on || endDate);
+            return `<rect class="chart-lane" x="${left}" y="${top}" width="${Math.max(right - left, 3)}" height="${CHART_LANE_HEIGHT - 3}" rx="3">
+                <title>${escapeHtml(lane.name)}: ${period.started_on} – ${period.ended_on || 'now'}</title>
+            </rect>`;
+        }).join('');
+        return `${bars}<text class="chart-lane-label" x="${CHART_MARGIN.left + 4}" y="${top + CHART_LANE_HEIGHT - 6}">${escapeHtml(lane.name)}</text>`;
+    }).join('');
+    
+    const line = points.map(point => `${x(point.measured_on)},${y(point.value)}`).join(' ');
+    const dots = points.map(point => {
+        const prescribed = prescribedOn(prescriptions, point.measured_on);
+        const tooltip = `${point.measured_on}: ${formatMeasureValue(point.value, measure.unit)}` +
+            (prescribed.length > 0 ? ` — prescribed: ${prescribed.join(', ')}` : '');
+        return `<circle class="chart-point" cx="${x(point.measured_on)}" cy="${y(point.value)}" r="4"><title>${escapeHtml(tooltip)}</title></circle>`;
+    }).join('');
+    
+    return `
+        <svg class="trend-chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeHtml(seriesTitle(series))} over time">
+            ${gridlines}
+            <text class="chart-label" x="${CHART_MARGIN.left}" y="${axisY + 16}">${new Date(start).toISOString().slice(0, 10)}</text>
+            <text class="chart-label" x="${CHART_MARGIN.left + plotWidth}" y="${axisY + 16}" text-anchor="end">${endDate}</text>
+            ${laneBars}
+            <polyline class="chart-line" points="${line}"></polyline>
+            ${dots}
+        </svg>
+    `;
+}
+
+// Show the side picker only for measures taken per side, and the chosen measure's range
+function updateMeasurementSide() {
+    const measure = progressMeasures.find(m => m.slug === document.getElementById('measurementMeasure').value);
+    if (!measure) {
+        return;
+    }
+    
+    const valueInput = document.getElementById('measurementValue');
+    valueInput.min = measure.min_value ?? '';
+    valueInput.max = measure.max_value ?? '';
+    document.getElementById('measurementValueLabel').textContent = measure.unit ? `Value (${measure.unit})` : 'Value';
+    document.getElementById('measurementSideGroup').style.display = measure.bilateral ? '' : 'none';
+}
+
+async function saveMeasurement(event) {
+    event.preventDefault();
+    
+    const patientId = document.getElementById('progressPatient').value;
+    const slug = document.getElementById('measurementMeasure').value;
+    const measure = progressMeasures.find(m => m.slug === slug);
+    const data = {
+        measure: slug,
+        measured_on: document.getElementById('measurementDate').value,
+        value: optionalNumber('measurementValue'),
+        side: measure.bilateral ? document.getElementById('measurementSide').value : null,
+        notes: document.getElementById('measurementNotes').value || null
+    };
+    
+    try {
+        const response = await authFetch(`${PATIENTS_API_URL}/${patientId}/measurements`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save measurement');
+        }
+        
+        loadProgress();
+        
+    } catch (error) {
+        alert('Error saving measurement: ' + error.message);
+    }
+}
+
+async function deleteMeasurement(measurementId) {
+    if (!confirm('Delete this measurement?')) {
+        return;
+    }
+    
+    const patientId = document.getElementById('progressPatient').value;
+    
+    try {
+        const response = await authFetch(`${PATIENTS_API_URL}/${patientId}/measurements/${measurementId}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to delete measurement');
+        }
+        
+        loadProgress();
+        
+    } catch (error) {
+        alert('Error deleting measurement: ' + error.message);
+    }
+}
+
+// ========== WORKOUT BUILDER ==========
+
+let generatedWorkout = null; // Last generated session, with the user's tweaks
+
+function showWorkoutView() {
+    document.getElementById('listView').classList.add('hidden');
+    document.getElementById('detailView').classList.remove('active');
+    document.getElementById('workoutView').classList.add('active');
+    
+    // The list's "Exclude unsafe for" conditions apply here too
+    const excluded = getExcludedConditions();
+    document.getElementById('workoutConditionsHint').textContent = excluded.length > 0
+        ? `Leaving out exercises unsafe for: ${excluded.map(slug => taxonomyLabel('conditions', slug)).join(', ')}`
+        : '';
+    
+    renderWorkout();
+    window.scrollTo(0, 0);
+}
+
+// Every click asks for a fresh session: the server picks a new seed each time
+async function generateWorkout(event) {
+    event?.preventDefault();
+    
+    const workoutContent = document.getElementById('workoutContent');
+    const equipment = getSelectedValues('workoutEquipment');
+    const type = document.getElementById('workoutType').value;
+    const body = {
+        muscles: getSelectedValues('workoutMuscles'),
+        equipment: equipment.length > 0 ? equipment : undefined,
+        types: type ? [type] : [],
+        max_difficulty: document.getElementById('workoutMaxDifficulty').value || undefined,
+        duration_minutes: optionalNumber('workoutDuration'),
+        exercise_count: optionalNumber('workoutCount'),
+        prefer_favorites: currentUser ? document.getElementById('workoutPreferFavorites').checked : false,
+        exclude_conditions: getExcludedConditions()
+    };
+    
+    workoutContent.innerHTML = '<div class="no-results-message">Building your session...</div>';
+    
+    try {
+        const response = await apiFetch(`${WORKOUTS_API_URL}/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to generate a workout');
+        }
+        
+        generatedWorkout = data;
+        renderWorkout();
+        
+    } catch (error) {
+        workoutContent.innerHTML = error.offline
+            ? '<div class="no-results-message">The workout builder needs a connection.</div>'
+            : `<div class="no-results-message">Error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderWorkout() {
+    const workoutContent = document.getElementById('workoutContent');
+    
+    if (!generatedWorkout) {
+        workoutContent.innerHTML = '';
+        return;
+    }
+    
+    const { exercises, warnings } = generatedWorkout;
+    const minutes = Math.round(exercises.reduce((sum, entry) => sum + entry.estimated_minutes, 0));
+    const dosageInput = (index, field, value) => `
+        <input type="number" min="0" class="dosage-input" value="${value ?? ''}"
+               onchange="updateWorkoutEntry(${index}, '${field}', this.value)">
+    `;
+    
+    workoutContent.innerHTML = `
+        <div class="detail-section">
+            <h3>Your Session · ${exercises.length} exercises · about ${minutes} min</h3>
+            ${warnings.map(warning => `<p class="form-hint">⚠️ ${escapeHtml(warning)}</p>`).join('')}
+            ${exercises.length > 0 ? `
+                <table class="log-table">
+                    <thead><tr><th>#</th><th>Exercise</th><th>Sets</th><th>Reps</th><th>Hold (s)</th><th>Rest (s)</th><th></th></tr></thead>
+                    <tbody>
+                    ${exercises.map((entry, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td>
+                                <strong>${escapeHtml(entry.name)}</strong> ${entry.is_favorited ? '★' : ''}
+                                <div class="history-meta">
+                                    ${escapeHtml(taxonomyLabel('muscles', entry.muscle))} ·
+                                    ${escapeHtml(taxonomyLabel('types', entry.type))} ·
+                                    ${escapeHtml(entry.difficulty || '')}
+                                </div>
+                            </td>
+                            <td>${dosageInput(index, 'sets', entry.sets)}</td>
+                            <td>${dosageInput(index, 'reps', entry.reps)}</td>
+                            <td>${dosageInput(index, 'hold_seconds', entry.hold_seconds)}</td>
+                            <td>${dosageInput(index, 'rest_seconds', entry.rest_seconds)}</td>
+                            <td><button class="btn btn-secondary" onclick="removeWorkoutEntry(${index})" title="Remove">✕</button></td>
+                        </tr>
+                    `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            <div class="form-actions">
+                <button class="btn btn-secondary" onclick="generateWorkout()">↻ Regenerate</button>
+                ${exercises.length > 0 ? `
+                    <button class="btn btn-success" onclick="startPlayer(generatedWorkout.exercises, { title: 'Generated session' })">▶ Start Session</button>
+                ` : ''}
+            </div>
+        </div>
+        
+        ${canEditLibrary() && exercises.length > 0 ? `
+            <div class="detail-section">
+                <h3>Save as a Program</h3>
+                <form class="log-form" onsubmit="saveWorkoutProgram(event)">
+                    <div class="form-group">
+                        <label for="workoutPatient">Patient</label>
+                        <select id="workoutPatient" required></select>
+                    </div>
+                    <div class="form-group">
+                        <label for="workoutProgramName">Program Name</label>
+                        <input type="text" id="workoutProgramName" required value="Session ${todayString()}">
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-success">Save Program</button>
+                    </div>
+                </form>
+                <p class="form-hint" id="workoutSaved"></p>
+            </div>
+        ` : ''}
+    `;
+    
+    if (canEditLibrary() && exercises.length > 0) {
+        loadWorkoutPatients();
+    }
+}
+
+function updateWorkoutEntry(index, field, value) {
+    generatedWorkout.exercises[index][field] = value === '' ? null : Math.max(0, Math.round(Number(value)));
+}
+
+function removeWorkoutEntry(index) {
+    generatedWorkout.exercises.splice(index, 1);
+    renderWorkout();
+}
+
+async function loadWorkoutPatients() {
+    const patientSelect = document.getElementById('workoutPatient');
+    
+    try {
+        const response = await authFetch(PATIENTS_API_URL);
+        if (!response.ok) {
+            throw new Error('Failed to fetch patients');
+        }
+        
+        const patients = await response.json();
+        patientSelect.innerHTML = patients.length > 0
+            ? patients.map(patient => `
+                <option value="${patient.id}">${escapeHtml(patient.last_name)}, ${escapeHtml(patient.first_name)}</option>
+              `).join('')
+            : '<option value="">No patients yet</option>';
+        
+    } catch (error) {
+        patientSelect.innerHTML = `<option value="">${escapeHtml(error.message)}</option>`;
+    }
+}
+
+// Programs have no rest field, so the suggested rest goes in the clinician notes
+async function saveWorkoutProgram(event) {
+    event.preventDefault();
+    
+    const patientId = document.getElementById('workoutPatient').value;
+    if (!patientId) {
+        alert('Choose a patient first');
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${PATIENTS_API_URL}/${patientId}/programs`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('workoutProgramName').value.trim(),
+                exercises: generatedWorkout.exercises.map(entry => ({
+                    exercise_id: entry.exercise_id,
+                    sets: entry.sets,
+                    reps: entry.reps,
+                    hold_seconds: entry.hold_seconds,
+                    clinician_notes: entry.rest_seconds ? `Rest ${entry.rest_seconds} s between sets` : null
+                }))
+            })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save program');
+        }
+        
+        // The list's success banner is hidden on this view
+        document.getElementById('workoutSaved').textContent = `✓ Saved program "${data.name}"`;
+        
+    } catch (error) {
+        alert('Error saving program: ' + error.message);
+    }
+}
+
+// ========== WORKOUT PLAYER ==========
+
+// Dosage for exercises played without one (e.g. a single exercise from its detail view)
+const DEFAULT_DOSAGE = { sets: 3, reps: 10, hold_seconds: null, rest_seconds: 30 };
+const DEFAULT_STRETCH_DOSAGE = { sets: 2, reps: null, hold_seconds: 30, rest_seconds: 15 };
+
+// Views the player can be started from, and goes back to when exited
+const PLAYER_RETURN_VIEWS = ['detailView', 'workoutView', 'logView'];
+
+let player = null; // The session being played
+let audioContext = null;
+
+// Play exercises one at a time with set/rep counting and hold/rest countdowns.
+// items: exercise ids, or entries with exercise_id and optional sets, reps, hold_seconds
+// and rest_seconds (program entries and generated workouts both fit). With logUrl (a
+// program's /logs URL) the summary offers to record the session. When the session ends,
+// finished or stopped early, its summary is dispatched as a "workoutcomplete" event.
+async function startPlayer(items, { title = 'Workout', logUrl = null } = {}) {
+    const returnView = PLAYER_RETURN_VIEWS.find(id => document.getElementById(id).classList.contains('active'));
+    const playerContent = document.getElementById('playerContent');
+    
+    stopPlayerTimer();
+    for (const id of PLAYER_RETURN_VIEWS) {
+        document.getElementById(id).classList.remove('active');
+    }
+    document.getElementById('listView').classList.add('hidden');
+    document.getElementById('playerView').classList.add('active');
+    playerContent.innerHTML = '<div class="no-results-message">Getting your session ready...</div>';
+    window.scrollTo(0, 0);
+    
+    try {
+        const steps = await Promise.all(items.map(async item => {
+            const entry = typeof item === 'object' ? item : { exercise_id: item };
+            const exercise = await fetchExerciseById(entry.exercise_id);
+            const defaults = exercise.type === 'stretching' ? DEFAULT_STRETCH_DOSAGE : DEFAULT_DOSAGE;
+            const hasDosage = entry.sets || entry.reps || entry.hold_seconds;
+            
+            return {
+                exercise,
+                images: await fetchImages(exercise.id),
+                sets: (hasDosage ? entry.sets : defaults.sets) || 1,
+                reps: hasDosage ? entry.reps ?? null : defaults.reps,
+                hold_seconds: hasDosage ? entry.hold_seconds ?? null : defaults.hold_seconds,
+                rest_seconds: entry.rest_seconds ?? defaults.rest_seconds,
+                setsDone: 0,
+                repsDone: 0,
+                skipped: false
+            };
+        }));
+        
+        player = {
+            title,
+            logUrl,
+            returnView,
+            steps,
+            index: 0,
+            set: 1,
+            phase: 'ready',
+            remaining: 0,
+            reps: 0,
+            paused: false,
+            muted: false,
+            timer: null,
+            startedAt: new Date()
+        };
+        renderPlayer();
+        
+    } catch (error) {
+        playerContent.innerHTML = `<div class="no-results-message">Could not start the session: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Start the program chosen in the session log, with its prescribed dosage
+function startProgramPlayer() {
+    const programId = Number(document.getElementById('logProgram').value);
+    const program = logPrograms.find(p => p.id === programId);
+    startPlayer(program.exercises, { title: program.name, logUrl: programLogUrl('/logs') });
+}
+
+function exitPlayer() {
+    if (player && player.phase !== 'done' && !confirm('Leave this session? Your progress will not be kept.')) {
+        return;
+    }
+    
+    stopPlayerTimer();
+    const returnView = player?.returnView;
+    player = null;
+    
+    document.getElementById('playerView').classList.remove('active');
+    if (returnView) {
+        document.getElementById(returnView).classList.add('active');
+        window.scrollTo(0, 0);
+    } else {
+        showListView();
+    }
+}
+
+// ----- Audio cues -----
+
+// A short tone; a no-op where Web Audio is unavailable
+function beep(frequency = 660, seconds = 0.15) {
+    if (player?.muted) {
+        return;
+    }
+    
+    try {
+        audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, audioContext.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + seconds);
+        oscillator.connect(gain).connect(audioContext.destination);
+        oscillator.start();
+        oscillator.stop(audioContext.currentTime + seconds);
+    } catch (error) {
+        console.error('Audio cue failed:', error);
+    }
+}
+
+function toggleMute() {
+    player.muted = !player.muted;
+    renderPlayer();
+}
+
+// ----- Timers -----
+
+function formatSeconds(total) {
+    const minutes = Math.floor(total / 60);
+    const seconds = total % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+function stopPlayerTimer() {
+    if (player?.timer) {
+        clearInterval(player.timer);
+        player.timer = null;
+    }
+}
+
+// Count player.remaining down once a second, beeping over the last three seconds, then call done
+function startCountdown(seconds, done) {
+    stopPlayerTimer();
+    player.remaining = seconds;
+    player.paused = false;
+    player.onCountdownEnd = done;
+    player.timer = setInterval(tickCountdown, 1000);
+}
+
+function tickCountdown() {
+    if (player.paused) {
+        return;
+    }
+    
+    player.remaining--;
+    const timerEl = document.getElementById('playerTimer');
+    if (timerEl) {
+        timerEl.textContent = formatSeconds(Math.max(0, player.remaining));
+    }
+    
+    if (player.remaining > 0 && player.remaining <= 3) {
+        beep(520);
+    }
+    if (player.remaining <= 0) {
+        stopPlayerTimer();
+        beep(880, 0.4);
+        player.onCountdownEnd();
+    }
+}
+
+function togglePause() {
+    player.paused = !player.paused;
+    renderPlayer();
+}
+
+// ----- Session flow -----
+
+function currentStep() {
+    return player.steps[player.index];
+}
+
+// Begin the current set: holds count down, reps are counted by the patient
+function startSet() {
+    const step = currentStep();
+    player.phase = 'work';
+    player.reps = 0;
+    beep(880);
+    
+    if (step.hold_seconds) {
+        startCountdown(step.hold_seconds, completeSet);
+    }
+    renderPlayer();
+}
+
+function countRep(change) {
+    player.reps = Math.max(0, player.reps + change);
+    document.getElementById('playerReps').textContent = player.reps;
+}
+
+function completeSet() {
+    const step = currentStep();
+    stopPlayerTimer();
+    step.setsDone++;
+    step.repsDone += step.hold_seconds ? 0 : player.reps;
+    
+    if (player.set < step.sets) {
+        player.set++;
+        player.phase = 'rest';
+        startCountdown(step.rest_seconds || 0, startSet);
+        renderPlayer();
+    } else {
+        nextExercise();
+    }
+}
+
+function skipRest() {
+    stopPlayerTimer();
+    startSet();
+}
+
+function skipExercise() {
+    const step = currentStep();
+    step.skipped = step.setsDone === 0;
+    nextExercise();
+}
+
+function nextExercise() {
+    stopPlayerTimer();
+    
+    if (player.index >= player.steps.length - 1) {
+        finishPlayer();
+        return;
+    }
+    
+    player.index++;
+    player.set = 1;
+    player.phase = 'ready';
+    renderPlayer();
+}
+
+function finishPlayer() {
+    stopPlayerTimer();
+    player.phase = 'done';
+    
+    const finishedAt = new Date();
+    player.summary = {
+        title: player.title,
+        started_at: player.startedAt.toISOString(),
+        finished_at: finishedAt.toISOString(),
+        duration_seconds: Math.round((finishedAt - player.startedAt) / 1000),
+        completed: player.steps.filter(step => step.setsDone >= step.sets).length,
+        exercises: player.steps.map(step => ({
+            exercise_id: step.exercise.id,
+            name: step.exercise.name,
+            sets_planned: step.sets,
+            sets_completed: step.setsDone,
+            reps_completed: step.hold_seconds ? null : step.repsDone,
+            skipped: step.skipped
+        }))
+    };
+    
+    beep(660, 0.2);
+    document.dispatchEvent(new CustomEvent('workoutcomplete', { detail: player.summary }));
+    renderPlayer();
+}
+
+// Record the played exercises in the program's session log, one entry each. Entries
+// are marked as they are saved, so a retry after a failed save only sends the rest.
+async function logPlayedSession() {
+    const unsaved = player.summary.exercises.filter(entry => entry.sets_completed > 0 && !entry.saved);
+    
+    try {
+        for (const entry of unsaved) {
+            const response = await authFetch(player.logUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    exercise_id: entry.exercise_id,
+                    session_date: todayString(),
+                    sets_completed: entry.sets_completed,
+                    reps_completed: entry.reps_completed
+                })
+            });
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to save session');
+            }
+            entry.saved = true;
+        }
+        
+        player.logged = true;
+        renderPlayer();
+        loadProgramLog();
+        
+    } catch (error) {
+        alert('Error saving session: ' + error.message);
+    }
+}
+
+// ----- Rendering -----
+
+function renderPlayerSummary() {
+    const { summary } = player;
+    
+    return `
+        <h2 class="detail-title">🎉 ${escapeHtml(summary.title)} complete</h2>
+        <p>${summary.completed} of ${summary.exercises.length} exercises completed in ${formatSeconds(summary.duration_seconds)}.</p>
+        <table class="log-table">
+            <thead><tr><th>Exercise</th><th>Sets</th><th>Reps</th></tr></thead>
+            <tbody>
+                ${summary.exercises.map(entry => `
+                    <tr>
+                        <td>${escapeHtml(entry.name)}</td>
+                        <td>${entry.skipped ? 'Skipped' : `${entry.sets_completed} / ${entry.sets_planned}`}</td>
+                        <td>${entry.reps_completed ?? '–'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="form-actions">
+            ${player.logUrl && summary.exercises.some(entry => entry.sets_completed > 0) ? (player.logged
+                ? '<span class="form-hint">✓ Saved to your session log</span>'
+                : '<button class="btn btn-success" onclick="logPlayedSession()">Save to Session Log</button>') : ''}
+            <button class="btn btn-secondary" onclick="exitPlayer()">Done</button>
+        </div>
+    `;
+}
+
+function renderPlayer() {
+    const playerContent = document.getElementById('playerContent');
+    
+    if (player.phase === 'done') {
+        playerContent.innerHTML = renderPlayerSummary();
+        return;
+    }
+    
+    const step = currentStep();
+    const { exercise } = step;
+    const target = step.hold_seconds ? `${step.hold_seconds} s hold` : `${step.reps ?? '–'} reps`;
+    const timed = player.phase === 'rest' || (player.phase === 'work' && step.hold_seconds);
+    
+    let stage;
+    if (player.phase === 'ready') {
+        stage = `
+            <div class="player-phase">Get ready · ${step.sets} × ${target}</div>
+            <button class="btn btn-success player-main" onclick="startSet()">▶ Start set 1</button>
+        `;
+    } else if (player.phase === 'rest') {
+        stage = `
+            <div class="player-phase">Rest · set ${player.set} of ${step.sets} next</div>
+            <div class="player-timer" id="playerTimer">${formatSeconds(player.remaining)}</div>
+            <button class="btn btn-secondary player-main" onclick="skipRest()">Skip rest</button>
+        `;
+    } else if (step.hold_seconds) {
+        stage = `
+            <div class="player-phase">Set ${player.set} of ${step.sets} · hold</div>
+            <div class="player-timer" id="playerTimer">${formatSeconds(player.remaining)}</div>
+            <button class="btn btn-secondary player-main" onclick="completeSet()">Done early</button>
+        `;
+    } else {
+        stage = `
+            <div class="player-phase">Set ${player.set} of ${step.sets} · ${target}</div>
+            <div class="player-counter">
+                <button class="btn btn-secondary" onclick="countRep(-1)">−</button>
+                <span id="playerReps">${player.reps}</span>
+                <button class="btn btn-primary" onclick="countRep(1)">+</button>
+            </div>
+            <button class="btn btn-success player-main" onclick="completeSet()">✓ Set done</button>
+        `;
+    }
+    
+    playerContent.innerHTML = `
+        <div class="player-progress">
+            <span>${escapeHtml(player.title)} · exercise ${player.index + 1} of ${player.steps.length}</span>
+            <div class="player-progress-bar"><div style="width: ${(player.index / player.steps.length) * 100}%"></div></div>
+        </div>
+        <h2 class="detail-title">${escapeHtml(exercise.name)}</h2>
+        ${safetyBannerHtml(exercise)}
+        ${step.images.length > 0 ? `
+            <div class="detail-images">
+                ${step.images.slice(0, 2).map(img => `
+                    <div class="detail-image"><img src="${img.url}" alt="${escapeHtml(exercise.name)}"></div>
+                `).join('')}
+            </div>
+        ` : ''}
+        
+        <div class="player-stage">
+            ${stage}
+            <div class="player-controls">
+                ${timed ? `<button class="btn btn-secondary" onclick="togglePause()">${player.paused ? '▶ Resume' : '⏸ Pause'}</button>` : ''}
+                <button class="btn btn-secondary" onclick="skipExercise()">Skip exercise ⏭</button>
+                <button class="btn btn-secondary" onclick="toggleMute()">${player.muted ? '🔇 Sound off' : '🔊 Sound on'}</button>
+                <button class="btn btn-danger" onclick="finishPlayer()">End session</button>
+            </div>
+        </div>
+        
+        ${exercise.instructions ? `
+            <div class="detail-section">
+                <h3>Instructions</h3>
+                <p class="instructions-text">${escapeHtml(exercise.instructions)}</p>
+            </div>
+        ` : ''}
+    `;
+}
+
+// ========== IMAGE MATCH REVIEW ==========
+
+let reviewMatches = [];
+
+function formatScore(score) {
+    return `${Math.round(score * 100)}%`;
+}
+
+async function showMatchView() {
+    document.getElementById('listView').classList.add('hidden');
+    document.getElementById('detailView').classList.remove('active');
+    document.getElementById('matchView').classList.add('active');
+    window.scrollTo(0, 0);
+    
+    loadImageMatches();
+}
+
+async function loadImageMatches() {
+    const status = document.getElementById('matchStatus').value;
+    const matchContent = document.getElementById('matchContent');
+    
+    try {
+        const response = await authFetch(`${IMAGE_MATCHES_API_URL}?status=${status}`);
+        if (!response.ok) {
+            throw new Error('Failed to fetch image matches');
+        }
+        
+        const { matches } = await response.json();
+        reviewMatches = matches;
+        
+        if (matches.length === 0) {
+            matchContent.innerHTML = '<div class="no-results-message">Nothing to review. Run <code>npm run images:import</code> to match new exercises.</div>';
+            return;
+        }
+        
+        matchContent.innerHTML = matches.map(match => `
+            <div class="detail-section match-review">
+                <h3>${escapeHtml(match.exercise_name)}</h3>
+                <p>
+                    ${match.source_name
+                        ? `Matched to <strong>${escapeHtml(match.source_name)}</strong> (${formatScore(match.score)})`
+                        : 'No image'}
+                    · ${match.status}
+                </p>
+                <div class="match-candidates">
+                    ${match.candidates.map((candidate, index) => `
+                        <div class="match-candidate ${candidate.id === match.source_id ? 'selected' : ''}">
+                            ${candidate.preview_url ? `<img src="${escapeHtml(candidate.preview_url)}" alt="${escapeHtml(candidate.name)}" loading="lazy">` : ''}
+                            <div>${escapeHtml(candidate.name)}</div>
+                            <div class="match-score">${formatScore(candidate.score)}</div>
+                            ${candidate.id !== match.source_id || match.status === 'rejected' ? `
+                                <button class="btn btn-secondary" onclick="pickImageMatch(${match.exercise_id}, ${index})">Use this</button>
+                            ` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="form-actions">
+                    ${match.source_id && match.status !== 'confirmed' ? `<button class="btn btn-success" onclick="confirmImageMatch(${match.exercise_id})">Confirm</button>` : ''}
+                    ${match.status !== 'rejected' ? `<button class="btn btn-danger" onclick="pickImageMatch(${match.exercise_id}, null)">No image</button>` : ''}
+                </div>
+            </div>
+        `).join('');
+        
+    } catch (error) {
+        matchContent.innerHTML = `<div class="no-results-message">Error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function confirmImageMatch(exerciseId) {
+    try {
+        const response = await authFetch(`${IMAGE_MATCHES_API_URL}/${exerciseId}/confirm`, { method: 'POST' });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to confirm match');
+        }
+        
+        loadImageMatches();
+        
+    } catch (error) {
+        alert('Error confirming match: ' + error.message);
+    }
+}
+
+// candidateIndex: position in the match's candidate list, or null for no image
+async function pickImageMatch(exerciseId, candidateIndex) {
+    const match = reviewMatches.find(m => m.exercise_id === exerciseId);
+    const sourceId = candidateIndex === null ? null : match.candidates[candidateIndex].id;
+    
+    try {
+        const response = await authFetch(`${IMAGE_MATCHES_API_URL}/${exerciseId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source_id: sourceId })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update match');
+        }
+        
+        loadImageMatches();
+        
+    } catch (error) {
+        alert('Error updating match: ' + error.message);
+    }
+}
+
+// ========== MODAL OPERATIONS ==========
+
+function showCreateModal() {
+    document.getElementById('modalTitle').textContent = 'Add New Exercise';
+    document.getElementById('exerciseForm').reset();
+    document.getElementById('exerciseId').value = '';
+    document.getElementById('exerciseModal').classList.add('active');
+}
+
+async function editExercise(id) {
+    try {
+        const exercise = await fetchExerciseById(id);
+        
+        document.getElementById('modalTitle').textContent = 'Edit Exercise';
+        document.getElementById('exerciseId').value = exercise.id;
+        document.getElementById('exerciseName').value = exercise.name;
+        document.getElementById('exerciseType').value = exercise.type;
+        document.getElementById('exerciseMuscle').value = exercise.muscle;
+        document.getElementById('exerciseEquipment').value = exercise.equipment;
+        document.getElementById('exerciseDifficulty').value = exercise.difficulty;
+        document.getElementById('exerciseInstructions').value = exercise.instructions;
+        setSelectedValues('exerciseSecondaryMuscles', exercise.secondary_muscles || []);
+        setSelectedValues('exerciseAdditionalEquipment', exercise.additional_equipment || []);
+        setSelectedValues('exerciseContraindications', exercise.contraindications || []);
+        setSelectedValues('exercisePrecautions', exercise.precautions || []);
+        
+        document.getElementById('exerciseModal').classList.add('active');
+    } catch (error) {
+        alert('Error loading exercise: ' + error.message);
+    }
+}
+
+async function saveExercise(event) {
+    event.preventDefault();
+    
+    const id = document.getElementById('exerciseId').value;
+    const data = {
+        name: document.getElementById('exerciseName').value,
+        type: document.getElementById('exerciseType').value,
+        muscle: document.getElementById('exerciseMuscle').value,
+        equipment: document.getElementById('exerciseEquipment').value,
+        difficulty: document.getElementById('exerciseDifficulty').value,
+        instructions: document.getElementById('exerciseInstructions').value,
+        secondary_muscles: getSelectedValues('exerciseSecondaryMuscles'),
+        additional_equipment: getSelectedValues('exerciseAdditionalEquipment'),
+        contraindications: getSelectedValues('exerciseContraindications'),
+        precautions: getSelectedValues('exercisePrecautions')
+    };
+    
+    try {
+        // Exercises created offline (negative ids) stay local until they sync
+        let savedOffline = !navigator.onLine || Number(id) < 0;
+        
+        if (!savedOffline) {
+            try {
+                await saveExerciseOnline(id, data);
+            } catch (error) {
+                if (!error.offline) {
+                    throw error;
+                }
+                savedOffline = true;
+            }
+        }
+        
+        if (savedOffline) {
+            await saveExerciseOffline(id ? Number(id) : null, data);
+        }
+        
+        closeModal();
+        if (savedOffline) {
+            showSuccess('Saved offline. Your changes will sync when you reconnect.');
+        } else {
+            showSuccess(id ? 'Exercise updated successfully!' : 'Exercise created successfully!');
+        }
+        
+        // Refresh the list based on current tab
+        if (currentTab === 'favorites') {
+            fetchFavorites();
+        } else {
+            fetchExercises();
+        }
+        
+    } catch (error) {
+        alert('Error saving exercise: ' + error.message);
+    }
+}
+
+async function saveExerciseOnline(id, data) {
+    const url = id ? `${API_URL}/${id}` : API_URL;
+    const method = id ? 'PUT' : 'POST';
+    
+    const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data)
+    });
+    
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to save exercise');
+    }
+    
+    // Keep the offline copy in step with the server
+    await putCachedExercises([await response.json()]);
+}
+
+function confirmDelete(id, name) {
+    if (confirm(`Are you sure you want to delete "${name}"?`)) {
+        deleteExercise(id);
+    }
+}
+
+async function deleteExercise(id) {
+    try {
+        let deletedOffline = !navigator.onLine || id < 0;
+        
+        if (!deletedOffline) {
+            try {
+                const response = await apiFetch(`${API_URL}/${id}`, {
+                    method: 'DELETE'
+                });
+                
+                if (!response.ok) {
+                    throw new Error('Failed to delete exercise');
+                }
+                
+                await deleteCachedExercise(id);
+            } catch (error) {
+                if (!error.offline) {
+                    throw error;
+                }
+                deletedOffline = true;
+            }
+        }
+        
+        if (deletedOffline) {
+            await deleteExerciseOffline(id);
+        }
+        
+        if (deletedOffline) {
+            showSuccess('Deleted offline. The deletion will sync when you reconnect.');
+        } else {
+            showSuccess('Exercise deleted.', { label: 'Undo', onClick: () => undeleteExercise(id) });
+        }
+        showListView();
+        
+        // Refresh based on current tab
+        if (currentTab === 'favorites') {
+            fetchFavorites();
+        } else {
+            fetchExercises();
+        }
+        
+    } catch (error) {
+        alert('Error deleting exercise: ' + error.message);
+    }
+}
+
+async function undeleteExercise(id) {
+    try {
+        const response = await apiFetch(`${API_URL}/${id}/undelete`, {
+            method: 'POST'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to undo delete');
+        }
+        
+        await putCachedExercises([await response.json()]);
+        showSuccess('Exercise restored');
+        
+        if (currentTab === 'favorites') {
+            fetchFavorites();
+        } else {
+            fetchExercises();
+        }
+        
+    } catch (error) {
+        alert('Error undoing delete: ' + error.message);
+    }
+}
+
+function closeModal() {
+    document.getElementById('exerciseModal').classList.remove('active');
+}
+
+// ========== LIST DISPLAY ==========
+
+function displayExercises(exercises) {
+    const exercisesEl = document.getElementById('exercises');
+    exercisesEl.innerHTML = '';
+    
+    if (exercises.length === 0) {
+        exercisesEl.innerHTML = '<div class="no-results-message">No exercises found. Try a different search.</div>';
+        return;
+    }
+    
+    exercises.forEach(async (exercise) => {
+        const card = document.createElement('div');
+        card.className = 'exercise-card';
+        
+        const isFavorite = exercise.is_favorited;
+        
+        card.innerHTML = `
+            <button class="star-button ${isFavorite ? 'favorited' : ''}" onclick="toggleFavorite(${exercise.id}, event)">
+                ${isFavorite ? '★' : '☆'}
+            </button>
+            <div class="card-content" onclick="showDetailView(${JSON.stringify(exercise).replace(/"/g, '&quot;')})">
+                <div class="image-placeholder">💪</div>
+                <div class="exercise-card-title">${escapeHtml(exercise.name || 'Unnamed Exercise')}</div>
+                ${exercise.snippet ? `<div class="exercise-card-snippet">${exercise.snippet}</div>` : ''}
+            </div>
+        `;
+        
+        exercisesEl.appendChild(card);
+        
+        const images = await fetchImages(exercise.id);
+        const placeholder = card.querySelector('.image-placeholder');
+        
+        if (images.length > 0) {
+            // Image URLs can come from imported data, so they are escaped like the name
+            placeholder.innerHTML = `<img src="${escapeHtml(images[0].thumbnail_url)}" alt="${escapeHtml(exercise.name)}">`;
+            placeholder.className = 'exercise-image-container';
+        }
+    });
+}
+
+// ========== TAXONOMY ==========
+
+// Muscles (grouped by body region), equipment, types and difficulties from
+// /api/taxonomy; the service worker keeps the last copy for offline use
+let taxonomy = null;
+
+// Exercise form and workout builder dropdown → taxonomy list (multiple selects have no placeholder)
+const FORM_SELECTS = {
+    exerciseType: { list: 'types', placeholder: 'Select type...' },
+    exerciseMuscle: { list: 'muscles', placeholder: 'Select muscle...' },
+    exerciseSecondaryMuscles: { list: 'muscles' },
+    exerciseEquipment: { list: 'equipment', placeholder: 'Select equipment...' },
+    exerciseAdditionalEquipment: { list: 'equipment' },
+    exerciseContraindications: { list: 'conditions' },
+    exercisePrecautions: { list: 'conditions' },
+    exerciseDifficulty: { list: 'difficulties', placeholder: 'Select difficulty...' },
+    workoutMuscles: { list: 'muscles' },
+    workoutEquipment: { list: 'equipment' },
+    workoutType: { list: 'types', placeholder: 'Any type' },
+    workoutMaxDifficulty: { list: 'difficulties', placeholder: 'Any difficulty' }
+};
+
+async function loadTaxonomy() {
+    try {
+        const response = await authFetch(TAXONOMY_API_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        taxonomy = await response.json();
+        renderTaxonomyOptions();
+        renderFilterOptions(currentFacets);
+        renderConditionFilter();
+    } catch (error) {
+        console.error('Error loading taxonomy:', error);
+    }
+}
+
+// A taxonomy list as [{ slug, label, body_region? }]; difficulties arrive as plain strings
+function taxonomyEntries(list) {
+    return (taxonomy?.[list] || []).map(entry => (
+        typeof entry === 'string' ? { slug: entry, label: formatLabel(entry) } : entry
+    ));
+}
+
+// Display label of a taxonomy value, e.g. taxonomyLabel('muscles', 'lower_back') → 'Lower Back'
+function taxonomyLabel(list, slug) {
+    const entry = taxonomyEntries(list).find(item => item.slug === slug);
+    return entry ? entry.label : formatLabel(slug);
+}
+
+// <option>s for taxonomy entries; muscles are grouped into an <optgroup> per body region.
+// text(entry) gives each option's text.
+function taxonomyOptionsHtml(list, entries, text = entry => entry.label) {
+    const option = entry => `<option value="${escapeHtml(entry.slug)}">${escapeHtml(text(entry))}</option>`;
+    
+    if (list !== 'muscles' || !taxonomy) {
+        return entries.map(option).join('');
+    }
+    
+    const regions = [...taxonomy.body_regions, { slug: null, label: 'Other' }];
+    return regions.map(region => {
+        const inRegion = entries.filter(entry => (entry.body_region ?? null) === region.slug);
+        return inRegion.length > 0
+            ? `<optgroup label="${escapeHtml(region.label)}">${inRegion.map(option).join('')}</optgroup>`
+            : '';
+    }).join('');
+}
+
+function getSelectedValues(id) {
+    return [...document.getElementById(id).selectedOptions].map(option => option.value);
+}
+
+function setSelectedValues(id, values) {
+    for (const option of document.getElementById(id).options) {
+        option.selected = values.includes(option.value);
+    }
+}
+
+// Fill the taxonomy dropdowns, keeping what is selected
+function renderTaxonomyOptions() {
+    for (const [id, { list, placeholder }] of Object.entries(FORM_SELECTS)) {
+        const selected = getSelectedValues(id);
+        document.getElementById(id).innerHTML = (placeholder ? `<option value="">${placeholder}</option>` : '') +
+            taxonomyOptionsHtml(list, taxonomyEntries(list));
+        setSelectedValues(id, selected);
+    }
+}
+
+// ========== FILTERS ==========
+
+// Facet name → filter dropdown and the taxonomy list its values come from
+const FACET_SELECTS = {
+    muscle: { id: 'filterMuscle', label: 'All muscles', list: 'muscles' },
+    type: { id: 'filterType', label: 'All types', list: 'types' },
+    difficulty: { id: 'filterDifficulty', label: 'All difficulties', list: 'difficulties' },
+    equipment: { id: 'filterEquipment', label: 'All equipment', list: 'equipment' }
+};
+
+// Facet counts of the list on screen, kept to redraw the filters once the taxonomy loads
+let currentFacets = {};
+
+function formatLabel(value) {
+    return String(value).replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// Rebuild the dropdown options from the server's facet counts, keeping current selections.
+// Options follow the taxonomy's order and labels; values it does not know go last.
+function renderFilterOptions(facets = {}) {
+    currentFacets = facets;
+    
+    for (const [facet, { id, label, list }] of Object.entries(FACET_SELECTS)) {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        const counts = { ...(facets[facet] || {}) };
+        
+        if (selected && counts[selected] === undefined) {
+            counts[selected] = 0;
+        }
+        
+        const known = taxonomyEntries(list);
+        const entries = [
+            ...known.filter(entry => counts[entry.slug] !== undefined),
+            ...Object.keys(counts)
+                .filter(value => !known.some(entry => entry.slug === value))
+                .map(value => ({ slug: value, label: formatLabel(value), body_region: null }))
+        ];
+        
+        select.innerHTML = `<option value="">${label}</option>` +
+            taxonomyOptionsHtml(list, entries, entry => `${entry.label} (${counts[entry.slug]})`);
+        select.value = selected;
+    }
+}
+
+function hasActiveFilters() {
+    return Object.values(FACET_SELECTS).some(({ id }) => document.getElementById(id).value) ||
+        getExcludedConditions().length > 0;
+}
+
+// Condition slugs ticked under "Exclude unsafe for"
+function getExcludedConditions() {
+    return [...document.querySelectorAll('#conditionFilterOptions input:checked')].map(input => input.value);
+}
+
+function renderConditionFilter() {
+    const excluded = getExcludedConditions();
+    
+    document.getElementById('conditionFilterOptions').innerHTML = taxonomyEntries('conditions').map(entry => `
+        <label>
+            <input type="checkbox" value="${escapeHtml(entry.slug)}" onchange="applyConditionFilter()"
+                   ${excluded.includes(entry.slug) ? 'checked' : ''}>
+            ${escapeHtml(entry.label)}
+        </label>
+    `).join('');
+    updateConditionFilterSummary();
+}
+
+function updateConditionFilterSummary() {
+    const count = getExcludedConditions().length;
+    document.getElementById('conditionFilterSummary').textContent = count > 0
+        ? `Excluding unsafe for ${count} condition(s)`
+        : 'Exclude unsafe for...';
+}
+
+// The condition filter narrows searches as well as the list
+function applyConditionFilter() {
+    updateConditionFilterSummary();
+    if (isSearchMode) {
+        performSearch();
+    } else {
+        applyFilters();
+    }
+}
+
+// Query string for the current tab, filters, sort and page
+function getListParams() {
+    const params = new URLSearchParams();
+    
+    for (const [facet, { id }] of Object.entries(FACET_SELECTS)) {
+        const value = document.getElementById(id).value;
+        if (value) {
+            params.set(facet, value);
+        }
+    }
+    
+    const excluded = getExcludedConditions();
+    if (excluded.length > 0) {
+        params.set('exclude_conditions', excluded.join(','));
+    }
+    
+    if (currentTab === 'favorites') {
+        params.set('favorites', 'true');
+    }
+    
+    params.set('sort', document.getElementById('sortField').value);
+    params.set('order', document.getElementById('sortOrder').value);
+    params.set('page', currentPage);
+    params.set('page_size', ITEMS_PER_PAGE);
+    
+    return params;
+}
+
+function applyFilters() {
+    currentPage = 1;
+    fetchPage();
+}
+
+// ========== PAGINATION ==========
+
+function updatePagination() {
+    document.getElementById('currentPage').textContent = currentPage;
+    document.getElementById('totalPages').textContent = totalPages;
+    document.getElementById('prevBtn').disabled = currentPage === 1;
     document.getElementById('nextBtn').disabled = currentPage >= totalPages;
     document.getElementById('pagination').style.display = totalPages > 1 ? 'flex' : 'none';
 }
 
 function displayCurrentPage() {
+    document.getElementById('filtersContainer').classList.toggle('hidden', isSearchMode);
+    
+    if (!isSearchMode) {
+        fetchPage();
+        return;
+    }
+    
+    // Search results arrive in one ranked list, so they are paged here
     const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
-    const endIndex = startIndex + ITEMS_PER_PAGE;
-    const pageExercises = allExercises.slice(startIndex, endIndex);
-    displayExercises(pageExercises);
+    allExercises = searchResults.slice(startIndex, startIndex + ITEMS_PER_PAGE);
+    totalPages = Math.ceil(searchResults.length / ITEMS_PER_PAGE);
+    displayExercises(allExercises);
     updatePagination();
 }
 
 function nextPage() {
-    const totalPages = Math.ceil(allExercises.length / ITEMS_PER_PAGE);
     if (currentPage < totalPages) {
         currentPage++;
         displayCurrentPage();
@@ -482,16 +2640,10 @@ async function performSearch() {
         currentSearchQuery = query;
         currentPage = 1;
         
-        const response = await fetch(`${SEARCH_API_URL}?query=${encodeURIComponent(query)}`);
-        
-        if (!response.ok) {
-            throw new Error(`Search failed: ${response.status}`);
-        }
-        
-        allExercises = await response.json();
+        searchResults = await loadSearchResults(query, getExcludedConditions());
         loadingEl.style.display = 'none';
         
-        searchInfo.textContent = `Found ${allExercises.length} result(s) for "${query}"`;
+        searchInfo.textContent = `Found ${searchResults.length} result(s) for "${query}"`;
         
         displayCurrentPage();
         
@@ -506,8 +2658,6 @@ async function performSearch() {
 // ========== DATA FETCHING ==========
 
 async function fetchExercises() {
-    const loadingEl = document.getElementById('loading');
-    const errorEl = document.getElementById('error');
     const searchInfo = document.getElementById('searchInfo');
     
     isSearchMode = false;
@@ -515,18 +2665,44 @@ async function fetchExercises() {
     document.getElementById('searchInput').value = '';
     searchInfo.textContent = '';
     
+    await fetchPage();
+}
+
+// Fetch the current page of the list (or favorites) with the active filters
+async function fetchPage() {
+    const loadingEl = document.getElementById('loading');
+    const errorEl = document.getElementById('error');
+    const exercisesEl = document.getElementById('exercises');
+    
+    document.getElementById('filtersContainer').classList.remove('hidden');
+    
     try {
         loadingEl.style.display = 'block';
-        const response = await fetch(API_URL);
+        errorEl.style.display = 'none';
+        exercisesEl.innerHTML = '';
         
-        if (!response.ok) {
-            throw new Error(`API request failed: ${response.status}`);
+        const data = await loadExercisePage(getListParams());
+        
+        // The last item of the last page may have gone (e.g. un-favorited); step back a page
+        if (data.exercises.length === 0 && currentPage > 1 && data.total_pages > 0) {
+            currentPage = data.total_pages;
+            return fetchPage();
         }
         
-        allExercises = await response.json();
+        allExercises = data.exercises;
+        totalPages = data.total_pages;
         loadingEl.style.display = 'none';
         
-        displayCurrentPage();
+        renderFilterOptions(data.facets);
+        
+        if (data.total === 0 && currentTab === 'favorites' && !hasActiveFilters()) {
+            exercisesEl.innerHTML = '<div class="no-results-message">No favorites yet. Click the star icon on exercises to add them to your favorites!</div>';
+            document.getElementById('pagination').style.display = 'none';
+            return;
+        }
+        
+        displayExercises(allExercises);
+        updatePagination();
         
     } catch (error) {
         console.error('Error fetching exercises:', error);
@@ -536,7 +2712,510 @@ async function fetchExercises() {
     }
 }
 
+// ========== ACCOUNTS ==========
+
+const AUTH_TOKEN_KEY = 'authToken';
+const AUTH_USER_KEY = 'authUser';
+
+let currentUser = null;
+let setupRequired = false;
+
+// fetch() with the session token attached. A rejected token means the session
+// expired or was ended elsewhere, so drop it and ask the user to log in again.
+async function authFetch(url, options = {}) {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    const headers = { ...(options.headers || {}) };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+    
+    const response = await fetch(url, { ...options, headers });
+    
+    if (response.status === 401 && token) {
+        setSession(null, null);
+        showLoginModal();
+    }
+    return response;
+}
+
+function hasRole(...roles) {
+    return currentUser !== null && roles.includes(currentUser.role);
+}
+
+function canEditLibrary() {
+    return hasRole('admin', 'clinician');
+}
+
+function setSession(token, user) {
+    if (token) {
+        localStorage.setItem(AUTH_TOKEN_KEY, token);
+    } else if (!user) {
+        localStorage.removeItem(AUTH_TOKEN_KEY);
+    }
+    // Remembered so the right buttons still show when starting up offline
+    localStorage.setItem(AUTH_USER_KEY, JSON.stringify(user));
+    currentUser = user;
+    renderUserBar();
+}
+
+function renderUserBar() {
+    const userBar = document.getElementById('userBar');
+    
+    userBar.innerHTML = currentUser
+        ? `Signed in as <strong>${escapeHtml(currentUser.display_name)}</strong> (${currentUser.role})
+           <button class="btn btn-secondary" onclick="logout()">Log out</button>`
+        : '<button class="btn btn-secondary" onclick="showLoginModal()">Log in</button>';
+    
+    // Buttons marked data-roles="..." only show for those roles
+    document.querySelectorAll('[data-roles]').forEach(el => {
+        el.style.display = hasRole(...el.dataset.roles.split(' ')) ? '' : 'none';
+    });
+}
+
+async function loadCurrentUser() {
+    // Show the last known user straight away; the server has the final say
+    currentUser = JSON.parse(localStorage.getItem(AUTH_USER_KEY) || 'null');
+    renderUserBar();
+    
+    try {
+        const response = await authFetch(`${AUTH_API_URL}/me`);
+        if (!response.ok) {
+            return;
+        }
+        
+        const data = await response.json();
+        setupRequired = data.setup_required;
+        setSession(null, data.user);
+        
+        if (setupRequired) {
+            showLoginModal();
+        }
+    } catch (error) {
+        // Offline: keep the last known user until the server can be asked again
+        console.log('Could not check the session; using the last known user');
+    }
+}
+
+function showLoginModal() {
+    const modal = document.getElementById('loginModal');
+    
+    document.getElementById('loginForm').reset();
+    document.getElementById('loginError').textContent = '';
+    modal.classList.toggle('setup', setupRequired);
+    document.getElementById('loginTitle').textContent = setupRequired ? 'Set Up Your Clinic' : 'Log In';
+    document.getElementById('loginSubmit').textContent = setupRequired ? 'Create Clinic' : 'Log In';
+    document.getElementById('setupClinic').required = setupRequired;
+    document.getElementById('setupName').required = setupRequired;
+    
+    modal.classList.add('active');
+}
+
+function closeLoginModal() {
+    document.getElementById('loginModal').classList.remove('active');
+}
+
+async function submitLogin(event) {
+    event.preventDefault();
+    
+    const credentials = {
+        email: document.getElementById('loginEmail').value.trim(),
+        password: document.getElementById('loginPassword').value
+    };
+    const url = setupRequired ? `${AUTH_API_URL}/setup` : `${AUTH_API_URL}/login`;
+    const body = setupRequired
+        ? {
+            ...credentials,
+            clinic_name: document.getElementById('setupClinic').value.trim(),
+            display_name: document.getElementById('setupName').value.trim()
+        }
+        : credentials;
+    
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Login failed');
+        }
+        
+        setupRequired = false;
+        setSession(data.token, data.user);
+        closeLoginModal();
+        onSessionChange();
+        
+    } catch (error) {
+        document.getElementById('loginError').textContent = error.message;
+    }
+}
+
+async function logout() {
+    try {
+        await authFetch(`${AUTH_API_URL}/logout`, { method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    
+    setSession(null, null);
+    await forgetOfflineData();
+    onSessionChange();
+}
+
+// Cached API responses (sw.js DATA_CACHE), the offline library and unsynced changes
+// belong to the user logging out, so the next person on this device never sees them
+async function forgetOfflineData() {
+    try {
+        if ('caches' in window) {
+            const keys = await caches.keys();
+            await Promise.all(keys.filter(key => key.startsWith('exercise-data-')).map(key => caches.delete(key)));
+        }
+        await clearOfflineData();
+    } catch (error) {
+        console.error('Error clearing offline data:', error);
+    }
+    updateOfflineBanner();
+}
+
+// Favorites and permissions differ per user, so start over from the exercise list
+function onSessionChange() {
+    showListView();
+    if (currentTab === 'favorites' && !currentUser) {
+        switchTab('all');
+    } else {
+        isSearchMode ? performSearch() : fetchPage();
+    }
+    refreshExerciseCache().catch(error => console.error('Error refreshing offline cache:', error));
+}
+
+// ========== OFFLINE SUPPORT ==========
+
+let isSyncing = false;
+
+// Like authFetch(), but flags "server unreachable" failures with error.offline
+async function apiFetch(url, options) {
+    try {
+        return await authFetch(url, options);
+    } catch (error) {
+        error.offline = true;
+        throw error;
+    }
+}
+
+// A page of the exercise list: from the server when reachable, else from IndexedDB
+async function loadExercisePage(params) {
+    if (navigator.onLine) {
+        try {
+            const response = await apiFetch(`${API_URL}?${params}`);
+            
+            if (!response.ok) {
+                throw new Error(`API request failed: ${response.status}`);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            if (!error.offline) {
+                throw error;
+            }
+        }
+    }
+    
+    return queryCachedExercises(await getCachedExercises(), params);
+}
+
+async function loadSearchResults(query, excludeConditions = []) {
+    if (navigator.onLine) {
+        try {
+            const params = new URLSearchParams({ query });
+            if (excludeConditions.length > 0) {
+                params.set('exclude_conditions', excludeConditions.join(','));
+            }
+            const response = await apiFetch(`${SEARCH_API_URL}?${params}`);
+            
+            if (!response.ok) {
+                throw new Error(`Search failed: ${response.status}`);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            if (!error.offline) {
+                throw error;
+            }
+        }
+    }
+    
+    return searchCachedExercises(await getCachedExercises(), query)
+        .filter(exercise => !isContraindicated(exercise, excludeConditions));
+}
+
+async function fetchExerciseById(id) {
+    // Exercises created offline only exist locally until they sync
+    if (id > 0 && navigator.onLine) {
+        try {
+            const response = await apiFetch(`${API_URL}/${id}`);
+            
+            if (!response.ok) {
+                throw new Error('Exercise not found');
+            }
+            
+            return await response.json();
+        } catch (error) {
+            if (!error.offline) {
+                throw error;
+            }
+        }
+    }
+    
+    const exercise = await getCachedExercise(id);
+    if (!exercise) {
+        throw new Error('Exercise is not available offline');
+    }
+    return exercise;
+}
+
+// Offline changes keep the cached last_updated: it is the server version the
+// change was based on, and is compared with the server's when replaying.
+
+async function toggleFavoriteOffline(id) {
+    const exercise = await getCachedExercise(id);
+    if (!exercise) {
+        throw new Error('Exercise is not available offline');
+    }
+    
+    exercise.is_favorited = !exercise.is_favorited;
+    await putCachedExercises([exercise]);
+    await queueChange({
+        type: 'favorite',
+        user_id: currentUser.id,
+        exercise_id: id,
+        data: { is_favorited: exercise.is_favorited },
+        base_last_updated: exercise.last_updated
+    });
+    updateOfflineBanner();
+    
+    return exercise;
+}
+
+async function saveExerciseOffline(id, data) {
+    if (id) {
+        const existing = await getCachedExercise(id);
+        if (!existing) {
+            throw new Error('Exercise is not available offline');
+        }
+        
+        await putCachedExercises([{ ...existing, ...data }]);
+        await queueChange({ type: 'update', user_id: currentUser.id, exercise_id: id, data, base_last_updated: existing.last_updated });
+    } else {
+        // Negative ids mark exercises that do not exist on the server yet
+        const tempId = -Date.now();
+        await putCachedExercises([{
+            id: tempId,
+            ...data,
+            is_favorited: false,
+            last_updated: null,
+            created_timestamp: new Date().toISOString()
+        }]);
+        await queueChange({ type: 'create', user_id: currentUser.id, exercise_id: tempId, data });
+    }
+    updateOfflineBanner();
+}
+
+async function deleteExerciseOffline(id) {
+    const existing = await getCachedExercise(id);
+    await deleteCachedExercise(id);
+    
+    if (id < 0) {
+        // Never reached the server: just forget its queued changes
+        const changes = await getQueuedChanges();
+        for (const change of changes.filter(c => c.exercise_id === id)) {
+            await removeQueuedChange(change.key);
+        }
+    } else {
+        await queueChange({ type: 'delete', user_id: currentUser.id, exercise_id: id, base_last_updated: existing ? existing.last_updated : null });
+    }
+    updateOfflineBanner();
+}
+
+// Send one queued change; returns the server id of the exercise it touched
+async function sendQueuedChange(change, id) {
+    const requests = {
+        create: () => authFetch(API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(change.data)
+        }),
+        update: () => authFetch(`${API_URL}/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(change.data)
+        }),
+        // Replay the resulting state rather than a toggle, so replays are idempotent
+        favorite: () => authFetch(`${API_URL}/${id}/favorite`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(change.data)
+        }),
+        delete: () => authFetch(`${API_URL}/${id}`, { method: 'DELETE' })
+    };
+    
+    const response = await requests[change.type]();
+    
+    if (response.status >= 500) {
+        // Keep it queued and try again on the next reconnect
+        throw new Error(`Server error ${response.status} while syncing`);
+    }
+    
+    if (!response.ok && !(change.type === 'delete' && response.status === 404)) {
+        const error = await response.json().catch(() => ({}));
+        console.error(`Dropping offline ${change.type} of exercise ${id}:`, error);
+        alert(`An offline change could not be applied: ${error.error || response.status}`);
+        return id;
+    }
+    
+    if (change.type === 'create') {
+        const created = await response.json();
+        return created.id;
+    }
+    return id;
+}
+
+// Replay the outbox in order. Before the first change to an exercise, its
+// last_updated on the server is compared with the version the change was based
+// on; if someone else edited it meanwhile the user decides which version wins.
+async function syncOfflineChanges() {
+    if (isSyncing || !navigator.onLine) {
+        return;
+    }
+    isSyncing = true;
+    
+    let applied = 0;
+    
+    try {
+        const changes = await getQueuedChanges();
+        const serverIds = {};       // temporary id → id assigned by the server
+        const checked = new Set();  // exercises already checked for conflicts
+        const discarded = new Set();
+        
+        for (const change of changes) {
+            // Only ever replayed under the account that made it
+            if (!currentUser || change.user_id !== currentUser.id) {
+                await removeQueuedChange(change.key);
+                continue;
+            }
+            
+            const localId = change.exercise_id;
+            const id = serverIds[localId] ?? localId;
+            
+            // Favorites are per user, so nobody else can have changed them
+            if (change.type !== 'favorite' && !discarded.has(localId) && id > 0 && !checked.has(id)) {
+                checked.add(id);
+                
+                const response = await authFetch(`${API_URL}/${id}`);
+                if (response.status === 404) {
+                    // Deleted on the server; nothing left to change
+                    discarded.add(localId);
+                } else if (!response.ok) {
+                    throw new Error(`Server error ${response.status} while syncing`);
+                } else {
+                    const serverExercise = await response.json();
+                    if (serverExercise.last_updated !== change.base_last_updated) {
+                        const keepMine = confirm(
+                            `"${serverExercise.name}" was changed by someone else while you were offline.\n\n` +
+                            'OK: apply your offline changes on top.\nCancel: keep the server version.'
+                        );
+                        if (!keepMine) {
+                            discarded.add(localId);
+                        }
+                    }
+                }
+            }
+            
+            if (!discarded.has(localId)) {
+                serverIds[localId] = await sendQueuedChange(change, id);
+                applied++;
+            }
+            await removeQueuedChange(change.key);
+        }
+        
+        await refreshExerciseCache();
+        
+        if (changes.length > 0) {
+            showSuccess(`Synced ${applied} offline change(s).`);
+            isSearchMode ? performSearch() : fetchPage();
+        }
+        
+    } catch (error) {
+        console.error('Error syncing offline changes:', error);
+    } finally {
+        isSyncing = false;
+        updateOfflineBanner();
+    }
+}
+
+// Keep a full copy of the library in IndexedDB for offline browsing and search
+async function refreshExerciseCache() {
+    const pending = await getQueuedChanges();
+    if (pending.length > 0) {
+        // Would overwrite local changes that have not synced yet
+        return;
+    }
+    
+    const exercises = [];
+    let page = 1;
+    let pageCount = 1;
+    
+    do {
+        const response = await authFetch(`${API_URL}?page=${page}&page_size=100`);
+        if (!response.ok) {
+            throw new Error(`Failed to refresh offline cache: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        exercises.push(...data.exercises);
+        pageCount = data.total_pages;
+        page++;
+    } while (page <= pageCount);
+    
+    await replaceCachedExercises(exercises);
+    console.log(`Cached ${exercises.length} exercises for offline use`);
+}
+
+async function updateOfflineBanner() {
+    const banner = document.getElementById('offlineBanner');
+    const pending = (await getQueuedChanges()).length;
+    const pendingText = pending > 0 ? ` ${pending} change(s) waiting to sync.` : '';
+    
+    if (!navigator.onLine) {
+        banner.textContent = `You're offline. Showing saved exercises.${pendingText}`;
+        banner.style.display = 'block';
+    } else if (pending > 0) {
+        banner.textContent = `Back online.${pendingText}`;
+        banner.style.display = 'block';
+    } else {
+        banner.style.display = 'none';
+    }
+}
+
+window.addEventListener('online', () => {
+    updateOfflineBanner();
+    syncOfflineChanges();
+});
+
+window.addEventListener('offline', updateOfflineBanner);
+
 // ========== INITIALIZATION ==========
 
-// Load default exercises on page load
-fetchExercises();
\ No newline at end of file
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+// Load default exercises on page load, then sync anything left from an offline session
+loadCurrentUser();
+loadTaxonomy();
+fetchExercises();
+updateOfflineBanner();
+syncOfflineChanges();
\ No newline at end of file
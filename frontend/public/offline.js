@@ -0,0 +1,224 @@
+// frontend/public/offline.js
+// IndexedDB copy of the exercise library plus an outbox of changes made while offline.
+// Loaded before app.js; everything here is a plain global like the rest of the frontend.
+
+const OFFLINE_DB_NAME = 'exercise-database';
+const OFFLINE_DB_VERSION = 1;
+const EXERCISE_STORE = 'exercises';
+const OUTBOX_STORE = 'outbox';
+
+let offlineDbPromise = null;
+
+// ========== INDEXEDDB PLUMBING ==========
+
+function openOfflineDb() {
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(EXERCISE_STORE)) {
+                    db.createObjectStore(EXERCISE_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                    db.createObjectStore(OUTBOX_STORE, { keyPath: 'key', autoIncrement: true });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDbPromise;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run fn against one object store and resolve once the transaction commits
+async function withStore(storeName, mode, fn) {
+    const db = await openOfflineDb();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const store = transaction.objectStore(storeName);
+        let result;
+
+        Promise.resolve(fn(store)).then(value => { result = value; }, reject);
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// ========== CACHED EXERCISES ==========
+
+async function getCachedExercises() {
+    return withStore(EXERCISE_STORE, 'readonly', store => idbRequest(store.getAll()));
+}
+
+async function getCachedExercise(id) {
+    return withStore(EXERCISE_STORE, 'readonly', store => idbRequest(store.get(id)));
+}
+
+async function putCachedExercises(exercises) {
+    return withStore(EXERCISE_STORE, 'readwrite', store => {
+        exercises.forEach(exercise => store.put(exercise));
+    });
+}
+
+// Swap the whole cache for a fresh copy of the server's library
+async function replaceCachedExercises(exercises) {
+    return withStore(EXERCISE_STORE, 'readwrite', store => {
+        store.clear();
+        exercises.forEach(exercise => store.put(exercise));
+    });
+}
+
+async function deleteCachedExercise(id) {
+    return withStore(EXERCISE_STORE, 'readwrite', store => {
+        store.delete(id);
+    });
+}
+
+// ========== OUTBOX ==========
+
+// change: { type: 'create' | 'update' | 'delete' | 'favorite', user_id, exercise_id, data?, base_last_updated? }
+async function queueChange(change) {
+    return withStore(OUTBOX_STORE, 'readwrite', store => {
+        store.add({ ...change, queued_at: new Date().toISOString() });
+    });
+}
+
+// Queued changes in the order they were made
+async function getQueuedChanges() {
+    return withStore(OUTBOX_STORE, 'readonly', store => idbRequest(store.getAll()));
+}
+
+async function removeQueuedChange(key) {
+    return withStore(OUTBOX_STORE, 'readwrite', store => {
+        store.delete(key);
+    });
+}
+
+// Empty the cached library and the outbox (on logout: both belong to that user)
+async function clearOfflineData() {
+    await withStore(EXERCISE_STORE, 'readwrite', store => {
+        store.clear();
+    });
+    await withStore(OUTBOX_STORE, 'readwrite', store => {
+        store.clear();
+    });
+}
+
+// ========== LOCAL QUERIES ==========
+
+const DIFFICULTY_ORDER = { beginner: 1, intermediate: 2, expert: 3 };
+
+const LOCAL_SORT_KEYS = {
+    name: ex => (ex.name || '').toLowerCase(),
+    type: ex => ex.type || '',
+    muscle: ex => ex.muscle || '',
+    equipment: ex => ex.equipment || '',
+    difficulty: ex => DIFFICULTY_ORDER[ex.difficulty] || 4,
+    created: ex => ex.created_timestamp || '',
+    updated: ex => ex.last_updated || ''
+};
+
+// Like the server, muscle and equipment match and count secondary muscles and
+// additional equipment too
+const FACET_LINKS = { muscle: 'secondary_muscles', equipment: 'additional_equipment' };
+
+function facetValues(exercise, facet) {
+    return [exercise[facet], ...(exercise[FACET_LINKS[facet]] || [])];
+}
+
+// Whether an exercise is contraindicated for any of the condition slugs; precautions
+// alone do not count, as on the server
+function isContraindicated(exercise, conditions) {
+    return (exercise.contraindications || []).some(condition => conditions.includes(condition));
+}
+
+// Mirror of GET /api/exercises over the cached library: same params, same response shape
+function queryCachedExercises(exercises, params) {
+    const facetNames = ['muscle', 'type', 'difficulty', 'equipment'];
+    const excluded = (params.get('exclude_conditions') || '').split(',').filter(Boolean);
+
+    const matches = (exercise, skipFacet) => {
+        if (params.get('favorites') === 'true' && !exercise.is_favorited) {
+            return false;
+        }
+        if (isContraindicated(exercise, excluded)) {
+            return false;
+        }
+        return facetNames.every(facet =>
+            facet === skipFacet || !params.get(facet) || facetValues(exercise, facet).includes(params.get(facet))
+        );
+    };
+
+    const facets = {};
+    for (const facet of facetNames) {
+        const counts = {};
+        exercises.filter(ex => matches(ex, facet)).forEach(ex => {
+            for (const value of facetValues(ex, facet)) {
+                counts[value] = (counts[value] || 0) + 1;
+            }
+        });
+        // Same value order as the server
+        facets[facet] = Object.fromEntries(Object.entries(counts).sort(([a], [b]) => (a < b ? -1 : 1)));
+    }
+
+    const sortKey = LOCAL_SORT_KEYS[params.get('sort')] || LOCAL_SORT_KEYS.name;
+    const direction = params.get('order') === 'desc' ? -1 : 1;
+    const filtered = exercises.filter(ex => matches(ex, null)).sort((a, b) => {
+        const ka = sortKey(a);
+        const kb = sortKey(b);
+        if (ka !== kb) {
+            return ka < kb ? -direction : direction;
+        }
+        return LOCAL_SORT_KEYS.name(a) < LOCAL_SORT_KEYS.name(b) ? -1 : 1;
+    });
+
+    const page = Number(params.get('page')) || 1;
+    const pageSize = Number(params.get('page_size')) || 10;
+
+    return {
+        exercises: filtered.slice((page - 1) * pageSize, page * pageSize),
+        total: filtered.length,
+        page,
+        page_size: pageSize,
+        total_pages: Math.ceil(filtered.length / pageSize),
+        facets
+    };
+}
+
+// Offline stand-in for /api/exercises/search: every word must prefix a word in
+// the name, instructions, muscle or equipment; name matches come first
+function searchCachedExercises(exercises, query) {
+    const terms = (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    if (terms.length === 0) {
+        return [];
+    }
+
+    const words = text => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const hasTerm = (text, term) => words(text).some(word => word.startsWith(term));
+
+    return exercises
+        .map(exercise => {
+            const fields = [exercise.name, exercise.instructions, exercise.muscle, exercise.equipment];
+            if (!terms.every(term => fields.some(field => hasTerm(field, term)))) {
+                return null;
+            }
+            const nameHits = terms.filter(term => hasTerm(exercise.name, term)).length;
+            return { exercise, nameHits };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.nameHits - a.nameHits || a.exercise.name.localeCompare(b.exercise.name))
+        .map(({ exercise }) => exercise);
+}
@@ -0,0 +1,134 @@
+// frontend/public/sw.js
+
+// Bump the version when shell files change so clients pick up the new cache
+const CACHE_VERSION = 'v13';
+const SHELL_CACHE = `exercise-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `exercise-data-${CACHE_VERSION}`;
+const IMAGE_CACHE = `exercise-images-${CACHE_VERSION}`;
+
+// Patient records, measures, accounts and admin data belong to whoever is signed in.
+// Cache entries are keyed by URL alone, so these are never kept: offline, they would be
+// shown to the next person using the device.
+const PRIVATE_API_PATHS = [
+    '/api/auth/',
+    '/api/patients',
+    '/api/measures',
+    '/api/users',
+    '/api/admin/',
+    '/api/exercises/favorites'
+];
+
+// config.js is left out: the backend generates it, and a frontend hosted elsewhere may
+// not have one. It is cached on its own in install so a 404 cannot fail the install.
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'app.js',
+    'offline.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+// ========== LIFECYCLE ==========
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES)
+                .then(() => cache.add('config.js').catch(() => {})))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !currentCaches.includes(key)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ========== STRATEGIES ==========
+
+// Serve from cache when possible; images never change for a given URL
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    // Cross-origin images come back opaque (status 0) but are still worth keeping
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Always try the server for fresh data, falling back to the last good response
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// Answer from cache immediately and refresh it in the background
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || refresh;
+}
+
+// ========== ROUTING ==========
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Mutations go straight to the network; the page queues them when offline
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    // Session checks and private data must never be answered from a cache
+    if (PRIVATE_API_PATHS.some(prefix => url.pathname.startsWith(prefix))) {
+        return;
+    }
+    
+    if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE));
+    } else if (url.pathname.startsWith('/api/')) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});